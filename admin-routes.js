@@ -0,0 +1,130 @@
+// Admin API for operating the voice agent
+// All routes require "Authorization: Bearer <ADMIN_API_TOKEN>"
+import express from 'express';
+import crypto from 'crypto';
+import {
+  listCallerThreads,
+  getCallerThread,
+  rotateThreadForPhoneNumber,
+  deleteThreadForPhoneNumber
+} from './assistants-util.js';
+import { getStore } from './functions/src/services/datastore.js';
+import { getBrandKit, saveBrandKit } from './functions/src/agents/graphic-designer/designer.js';
+
+/**
+ * Check a provided token against the admin token in constant time
+ * @param {string} adminToken - Expected token
+ * @param {string} provided - Token to check
+ * @returns {boolean} - True when they match
+ */
+export function adminTokenMatches(adminToken, provided) {
+  const expectedBuffer = Buffer.from(adminToken || '');
+  const providedBuffer = Buffer.from(provided || '');
+  return expectedBuffer.length > 0 && providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Create middleware that only lets through requests carrying the admin token
+ * @param {string} adminToken - Expected bearer token (admin API is disabled when empty)
+ * @returns {Function} - Express middleware
+ */
+export function requireAdminToken(adminToken) {
+  return (req, res, next) => {
+    if (!adminToken) {
+      return res.status(503).json({ success: false, error: 'Admin API disabled: ADMIN_API_TOKEN is not configured' });
+    }
+
+    const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!adminTokenMatches(adminToken, provided)) {
+      console.warn(`🚫 Rejected admin request: ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Create the admin router (mounted under /admin)
+ * @returns {Object} - Express router
+ */
+export function createAdminRouter() {
+  const router = express.Router();
+
+  // List every caller's thread mapping
+  router.get('/threads', async (req, res) => {
+    try {
+      const threads = await listCallerThreads();
+      res.json({ success: true, threads });
+    } catch (error) {
+      console.error('❌ Error listing caller threads:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Get a single caller's thread mapping
+  router.get('/threads/:phoneNumber', async (req, res) => {
+    try {
+      const thread = await getCallerThread(req.params.phoneNumber);
+      if (!thread) {
+        return res.status(404).json({ success: false, error: 'No thread for this caller' });
+      }
+      res.json({ success: true, thread });
+    } catch (error) {
+      console.error('❌ Error getting caller thread:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Start a fresh thread for a caller
+  router.post('/threads/:phoneNumber/rotate', async (req, res) => {
+    try {
+      const thread = await rotateThreadForPhoneNumber(req.params.phoneNumber);
+      res.json({ success: true, thread });
+    } catch (error) {
+      console.error('❌ Error rotating caller thread:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Forget a caller's thread
+  router.delete('/threads/:phoneNumber', async (req, res) => {
+    try {
+      const deleted = await deleteThreadForPhoneNumber(req.params.phoneNumber);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'No thread for this caller' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ Error deleting caller thread:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Get a workspace's brand kit (defaults filled in)
+  router.get('/brand-kits/:workspace', async (req, res) => {
+    try {
+      const brandKit = await getBrandKit(getStore(), req.params.workspace);
+      res.json({ success: true, brandKit });
+    } catch (error) {
+      console.error('❌ Error getting brand kit:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Update a workspace's brand kit (fonts, colors, logo, handle)
+  router.put('/brand-kits/:workspace', async (req, res) => {
+    try {
+      const brandKit = await saveBrandKit(getStore(), req.params.workspace, req.body || {});
+      res.json({ success: true, brandKit });
+    } catch (error) {
+      if (error.code === 'INVALID_BRAND_KIT') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('❌ Error saving brand kit:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
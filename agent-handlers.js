@@ -0,0 +1,211 @@
+// Handlers the worker runs for each agent_tasks type
+// Each handler receives the queue document and returns a JSON-friendly result
+import { getStore } from './functions/src/services/datastore.js';
+import { searchForUrls, fetchPage, extractContent, processWithAI } from './functions/src/agents/web-scraper/pipeline.js';
+import { loadSourceMaterial, createDrafts, writeDraft } from './functions/src/agents/copywriter/copywriter.js';
+import { formatForPlatform } from './functions/src/agents/copywriter/templates.js';
+import { loadDesignMaterial, createGraphics } from './functions/src/agents/graphic-designer/designer.js';
+import { loadPostContent, createPost } from './functions/src/agents/social-media-manager/manager.js';
+import { PLATFORMS, normalizePlatform } from './functions/src/agents/social-media-manager/platforms.js';
+import { applyApprovedItem } from './functions/src/agents/project-manager/project-manager.js';
+import { toDate } from './functions/src/services/datastore.js';
+import { parseReminderRequest } from './reminder-time.js';
+import { DEFAULT_TIMEZONE } from './functions/src/utils/timezone.js';
+
+// Formats written for a scrape when the task doesn't name any
+const DEFAULT_DRAFT_FORMATS = (process.env.COPYWRITER_DEFAULT_FORMATS || 'blog_post').split(',').map(format => format.trim());
+// Platform for social posts when the caller didn't name one
+const DEFAULT_SOCIAL_PLATFORM = process.env.SOCIAL_DEFAULT_PLATFORM || 'twitter';
+
+/**
+ * Research a topic the caller asked about (tasks of type web_scraper)
+ * @param {Object} task - Queue document; data.parameters.topic or data.sourceText is the query
+ * @param {Object} options - Handler options
+ * @param {AbortSignal} options.signal - Aborted when the worker loses the lease
+ * @returns {Promise<Object>} - { query, url, title, summary, keyPoints }
+ */
+export async function runResearchTask(task, { signal } = {}) {
+  const query = task.data?.parameters?.topic || task.data?.sourceText;
+  if (!query) {
+    throw new Error('Research task has no topic');
+  }
+
+  const urls = await searchForUrls(query, { maxResults: 3 });
+  if (urls.length === 0) {
+    throw new Error(`No sources found for "${query}"`);
+  }
+
+  const failures = [];
+  for (const url of urls) {
+    if (signal?.aborted) throw signal.reason;
+    try {
+      const page = await fetchPage(url, { maxRetries: 1 });
+      const extracted = extractContent(page.html, page.url);
+      const processed = await processWithAI(extracted, page.url, { summaryLength: '150-250 words' });
+      if (processed.error) {
+        throw new Error(processed.error);
+      }
+      return {
+        query,
+        url: page.url,
+        title: extracted.title,
+        summary: processed.summary,
+        keyPoints: processed.keyPoints || []
+      };
+    } catch (error) {
+      failures.push(`${url}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`Could not research "${query}" - ${failures.join('; ')}`);
+}
+
+/**
+ * Write drafts (tasks of type copywriter)
+ * Scrape tasks from the Web Scraper carry data.scrapeId (or data.scrapedDataId for the
+ * ScraperAgent); content requests from callers carry a topic, which is researched first
+ * @param {Object} task - Queue document
+ * @param {Object} options - Handler options
+ * @param {AbortSignal} options.signal - Aborted when the worker loses the lease
+ * @returns {Promise<Object>} - { drafts: [{ draftId, reviewTaskId, format, title }] }
+ */
+export async function runCopywriterTask(task, { signal } = {}) {
+  const db = getStore();
+  const data = task.data || {};
+
+  let material;
+  let formats = data.formats || DEFAULT_DRAFT_FORMATS;
+  if (data.scrapeId || data.scrapedDataId) {
+    material = await loadSourceMaterial(db, { scrapeId: data.scrapeId, scrapedDataId: data.scrapedDataId });
+  } else {
+    const research = await runResearchTask(task, { signal });
+    material = await loadSourceMaterial(db, { research: { ...research, id: task.id } });
+    formats = data.formats || [formatForPlatform(data.parameters?.platform)];
+  }
+
+  if (signal?.aborted) throw signal.reason;
+  const drafts = await createDrafts(db, material, {
+    formats,
+    tone: data.tone,
+    length: data.length,
+    requestedBy: task.taskId || task.id
+  });
+  return { drafts };
+}
+
+/**
+ * Render branded graphics (tasks of type graphic_designer)
+ * Follow-up tasks carry data.draftId or data.scrapeId; image requests from callers
+ * only have a topic, which becomes a title card
+ * @param {Object} task - Queue document
+ * @param {Object} options - Handler options
+ * @param {AbortSignal} options.signal - Aborted when the worker loses the lease
+ * @returns {Promise<Object>} - { graphicId, reviewTaskId, images }
+ */
+export async function runGraphicDesignerTask(task, { signal } = {}) {
+  const db = getStore();
+  const data = task.data || {};
+
+  let material;
+  let templates = data.templates;
+  if (data.draftId || data.scrapeId) {
+    material = await loadDesignMaterial(db, { draftId: data.draftId, scrapeId: data.scrapeId });
+  } else {
+    const topic = data.parameters?.topic || data.sourceText;
+    if (!topic) {
+      throw new Error('Graphic Designer task has no draft, scrape or topic');
+    }
+    material = await loadDesignMaterial(db, { content: { title: topic } });
+    templates = templates || ['title'];
+  }
+
+  if (signal?.aborted) throw signal.reason;
+  return createGraphics(db, material, {
+    templates,
+    size: data.size,
+    workspace: data.workspace,
+    requestedBy: task.taskId || task.id
+  });
+}
+
+/**
+ * Prepare social posts and send them to review (tasks of type social_media_manager)
+ * Follow-up tasks carry data.draftId, data.graphicId or data.text; post requests from
+ * callers carry a topic, which is researched and written up for the platform first.
+ * The post time comes from data.scheduledAt or what the caller said ("tomorrow at 9"), read in
+ * data.timezone (the caller's).
+ * @param {Object} task - Queue document
+ * @param {Object} options - Handler options
+ * @param {AbortSignal} options.signal - Aborted when the worker loses the lease
+ * @returns {Promise<Object>} - { posts: [{ postId, reviewTaskId, platform, scheduledAt }] }
+ */
+export async function runSocialMediaTask(task, { signal } = {}) {
+  const db = getStore();
+  const data = task.data || {};
+  const platforms = (data.platforms || [data.parameters?.platform || DEFAULT_SOCIAL_PLATFORM]).map(name => {
+    const platform = normalizePlatform(name);
+    if (!platform) {
+      throw new Error(`Unknown platform: ${name}`);
+    }
+    return platform;
+  });
+  const timezone = data.timezone || DEFAULT_TIMEZONE;
+  const scheduledAt = toDate(data.scheduledAt) ||
+    parseReminderRequest(data.sourceText, { timezone }).dueAt ||
+    (data.parameters?.dueTime ? parseReminderRequest(data.parameters.dueTime, { timezone }).dueAt : null);
+
+  let content = null;
+  let material = null;
+  if (data.draftId || data.graphicId || data.text) {
+    content = await loadPostContent(db, { draftId: data.draftId, graphicId: data.graphicId, text: data.text });
+  } else {
+    const research = await runResearchTask(task, { signal });
+    material = await loadSourceMaterial(db, { research: { ...research, id: task.id } });
+  }
+
+  const posts = [];
+  for (const platform of platforms) {
+    if (signal?.aborted) throw signal.reason;
+    let postContent = content;
+    if (!postContent) {
+      const draft = await writeDraft(material, { format: PLATFORMS[platform].draftFormat, length: 'short' });
+      postContent = { topic: draft.title, parts: draft.parts, citations: draft.citations, images: [], sourceRef: material.sourceRef };
+    }
+    posts.push(await createPost(db, platform, postContent, { scheduledAt, requestedBy: task.taskId || task.id }));
+  }
+  return { posts };
+}
+
+/**
+ * Carry out an approval (tasks of type project_manager, queued when a review task is approved)
+ * Marks the reviewed draft, graphics or post approved; approved posts are then published
+ * by the posting scheduler
+ * @param {Object} task - Queue document; taskId is the approved review task
+ * @returns {Promise<Object>} - { item, id, approvedBy }
+ */
+export async function runApprovalTask(task) {
+  const db = getStore();
+  const reviewTask = task.taskId ? await db.get('potential_tasks', task.taskId) : null;
+  if (!reviewTask) {
+    throw new Error(`Approval task ${task.taskId} not found`);
+  }
+
+  // Credit whoever approved it, not the worker
+  const approvedBy = [...(reviewTask.history || [])].reverse().find(entry => entry.to === 'approved')?.actor || 'project_manager';
+  const applied = await applyApprovedItem(db, reviewTask, { actor: approvedBy });
+  return { ...applied, approvedBy };
+}
+
+/**
+ * Register every agent handler on a worker
+ * @param {Object} worker - AgentWorker
+ * @returns {Object} - The worker
+ */
+export function registerAgentHandlers(worker) {
+  return worker
+    .register('web_scraper', runResearchTask)
+    .register('copywriter', runCopywriterTask)
+    .register('graphic_designer', runGraphicDesignerTask)
+    .register('social_media_manager', runSocialMediaTask)
+    .register('project_manager', runApprovalTask);
+}
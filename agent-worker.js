@@ -0,0 +1,469 @@
+// Worker runtime for the agent_tasks queue
+// Workers claim pending tasks under a lease, keep the lease alive with heartbeats while the
+// handler for the task's type runs, retry failures with exponential backoff and move tasks
+// that keep failing to a dead-letter collection. Tasks queued from potential_tasks have their
+// lifecycle status kept in step (queued -> running -> done / failed).
+import os from 'os';
+import { transitionTask } from './tasks.js';
+
+const QUEUE_COLLECTION = 'agent_tasks';
+const DEAD_LETTER_COLLECTION = 'agent_tasks_dead_letter';
+const WORKERS_COLLECTION = 'workers';
+
+const DEFAULT_LEASE_MS = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+// Queue documents fetched per page while looking for a task to claim
+const CLAIM_SCAN_LIMIT = 25;
+
+/**
+ * Delay before the next attempt: exponential with +/-20% jitter, capped at five minutes
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} - Milliseconds
+ */
+export function backoffMs(attempt) {
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Whether a queued task can be claimed now
+ * Pending tasks are claimable once their backoff has passed; running tasks only when
+ * their worker stopped heartbeating and the lease ran out
+ * @param {Object} task - Queue document
+ * @param {number} now - Current time (ms)
+ * @param {Array<string>} types - Task types the worker handles
+ * @returns {boolean} - True when claimable
+ */
+function isClaimable(task, now, types) {
+  if (!task || !types.includes(task.type)) return false;
+  if (task.status === 'pending') return (task.availableAt || 0) <= now;
+  if (task.status === 'running') return (task.leaseExpiresAt || 0) < now;
+  return false;
+}
+
+/**
+ * Fields written when a worker claims a task
+ * @param {Object} task - Queue document
+ * @param {string} workerId - Claiming worker
+ * @param {number} leaseMs - Lease length
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - Patch
+ */
+function claimPatch(task, workerId, leaseMs, now) {
+  return {
+    status: 'running',
+    leaseOwner: workerId,
+    leaseExpiresAt: now + leaseMs,
+    heartbeatAt: now,
+    attempts: (task.attempts || 0) + 1,
+    startedAt: now
+  };
+}
+
+/**
+ * Queue backend on top of the storage layer (memory or file)
+ * Claims are serialized inside this process, so it is only safe with one worker process -
+ * use FirestoreQueueBackend when several processes share the queue
+ */
+export class StoreQueueBackend {
+  /**
+   * @param {Object} db - Storage backend from datastore.js
+   */
+  constructor(db) {
+    this.name = `store:${db.backend}`;
+    this.db = db;
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Run fn after every earlier locked call has finished
+   * @param {Function} fn - async () => value
+   * @returns {Promise<*>} - fn's result
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async claim(workerId, types, leaseMs) {
+    return this.withLock(async () => {
+      const now = Date.now();
+      const candidates = [
+        ...await this.db.query(QUEUE_COLLECTION, { where: [['status', '==', 'pending']] }),
+        ...await this.db.query(QUEUE_COLLECTION, { where: [['status', '==', 'running']] })
+      ]
+        .filter(task => isClaimable(task, now, types))
+        .sort((a, b) => (a.availableAt || a.createdAt || 0) - (b.availableAt || b.createdAt || 0));
+
+      const task = candidates[0];
+      if (!task) return null;
+
+      const patch = claimPatch(task, workerId, leaseMs, now);
+      await this.db.update(QUEUE_COLLECTION, task.id, patch);
+      return { ...task, ...patch };
+    });
+  }
+
+  async updateIfOwner(taskId, workerId, patch) {
+    return this.withLock(async () => {
+      const task = await this.db.get(QUEUE_COLLECTION, taskId);
+      if (!task || task.status !== 'running' || task.leaseOwner !== workerId) return false;
+      await this.db.update(QUEUE_COLLECTION, taskId, patch);
+      return true;
+    });
+  }
+
+  async deadLetter(task, workerId, patch) {
+    return this.withLock(async () => {
+      const current = await this.db.get(QUEUE_COLLECTION, task.id);
+      if (!current || current.leaseOwner !== workerId) return false;
+      const { id, ...data } = current;
+      await this.db.set(DEAD_LETTER_COLLECTION, id, { ...data, ...patch });
+      await this.db.delete(QUEUE_COLLECTION, id);
+      return true;
+    });
+  }
+}
+
+/**
+ * Queue backend using Firestore transactions, safe for any number of worker processes
+ */
+export class FirestoreQueueBackend {
+  /**
+   * @param {Object} store - FirestoreStore from datastore.js
+   */
+  constructor(store) {
+    this.name = 'firestore';
+    this.store = store;
+    this.firestore = store.db;
+    this.collection = store.db.collection(QUEUE_COLLECTION);
+  }
+
+  /**
+   * Page through the queue documents of the given types with a status
+   * Only this worker's types are fetched, and paging goes on past tasks that are backing
+   * off, so neither can crowd out claimable work
+   * @param {string} status - pending or running
+   * @param {Array<string>} types - Task types the worker handles
+   * @returns {AsyncGenerator<Array<Object>>} - Pages of document snapshots
+   */
+  async *scan(status, types) {
+    const query = this.collection.where('status', '==', status).where('type', 'in', types).limit(CLAIM_SCAN_LIMIT);
+    let last = null;
+    while (true) {
+      const page = await (last ? query.startAfter(last) : query).get();
+      if (!page.empty) yield page.docs;
+      if (page.size < CLAIM_SCAN_LIMIT) return;
+      last = page.docs[page.docs.length - 1];
+    }
+  }
+
+  async claim(workerId, types, leaseMs) {
+    for (const status of ['pending', 'running']) {
+      for await (const docs of this.scan(status, types)) {
+        const now = Date.now();
+        const candidates = docs
+          .filter(doc => isClaimable(doc.data(), now, types))
+          .sort((a, b) => (a.data().availableAt || a.data().createdAt || 0) - (b.data().availableAt || b.data().createdAt || 0));
+
+        for (const doc of candidates) {
+          // Re-check inside the transaction - another worker may have claimed it first
+          const claimed = await this.firestore.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(doc.ref);
+            const task = snapshot.data();
+            if (!isClaimable(task, Date.now(), types)) return null;
+            const patch = claimPatch(task, workerId, leaseMs, Date.now());
+            transaction.update(doc.ref, patch);
+            return { id: snapshot.id, ...this.store.fromFirestore(task), ...patch };
+          });
+          if (claimed) return claimed;
+        }
+      }
+    }
+    return null;
+  }
+
+  async updateIfOwner(taskId, workerId, patch) {
+    const ref = this.collection.doc(taskId);
+    return this.firestore.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const task = snapshot.data();
+      if (!task || task.status !== 'running' || task.leaseOwner !== workerId) return false;
+      transaction.update(ref, patch);
+      return true;
+    });
+  }
+
+  async deadLetter(task, workerId, patch) {
+    const ref = this.collection.doc(task.id);
+    return this.firestore.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const current = snapshot.data();
+      if (!current || current.leaseOwner !== workerId) return false;
+      transaction.set(this.firestore.collection(DEAD_LETTER_COLLECTION).doc(task.id), { ...current, ...patch });
+      transaction.delete(ref);
+      return true;
+    });
+  }
+}
+
+/**
+ * Pick the queue backend for a store
+ * @param {Object} db - Storage backend from datastore.js
+ * @returns {Object} - Queue backend
+ */
+export function createQueueBackend(db) {
+  return db.backend === 'firestore' ? new FirestoreQueueBackend(db) : new StoreQueueBackend(db);
+}
+
+export class AgentWorker {
+  /**
+   * @param {Object} options - Worker options
+   * @param {Object} options.db - Storage backend (for worker heartbeats and linked potential_tasks)
+   * @param {Object} options.queue - Queue backend (defaults to createQueueBackend(db))
+   * @param {string} options.workerId - Unique worker ID (defaults to hostname:pid)
+   * @param {number} options.concurrency - Tasks run at the same time
+   * @param {number} options.pollIntervalMs - Wait between claims when the queue is empty
+   * @param {number} options.leaseMs - Lease length; heartbeats renew it every third of this
+   * @param {number} options.maxAttempts - Attempts before a task is dead-lettered
+   */
+  constructor({
+    db,
+    queue,
+    workerId = `${os.hostname()}:${process.pid}`,
+    concurrency = Number(process.env.WORKER_CONCURRENCY || 2),
+    pollIntervalMs = Number(process.env.WORKER_POLL_INTERVAL_MS || 2000),
+    leaseMs = Number(process.env.WORKER_LEASE_MS || DEFAULT_LEASE_MS),
+    maxAttempts = Number(process.env.WORKER_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS)
+  }) {
+    this.db = db;
+    this.queue = queue || createQueueBackend(db);
+    this.workerId = workerId;
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leaseMs = leaseMs;
+    this.maxAttempts = maxAttempts;
+    this.handlers = new Map();
+    this.active = new Map();
+    this.running = false;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Register the handler for a task type
+   * @param {string} type - Task type (the agent, e.g. "copywriter")
+   * @param {Function} handler - async (task, { signal, workerId }) => result
+   * @returns {AgentWorker} - The worker, for chaining
+   */
+  register(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${type} must be a function`);
+    }
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  start() {
+    if (this.running) return;
+    if (this.handlers.size === 0) {
+      throw new Error('No task handlers registered');
+    }
+
+    this.running = true;
+    console.log(`👷 Worker ${this.workerId} started (${[...this.handlers.keys()].join(', ')}) on ${this.queue.name}`);
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), Math.max(this.leaseMs / 3, 1000));
+    this.heartbeat();
+    this.poll();
+  }
+
+  /**
+   * Stop claiming new tasks and wait for the running ones to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    await Promise.allSettled([...this.active.values()].map(({ promise }) => promise));
+    await this.recordWorker('stopped');
+    console.log(`👷 Worker ${this.workerId} stopped`);
+  }
+
+  /**
+   * Claim tasks until the worker is full or the queue is empty, then check again later
+   */
+  async poll() {
+    if (!this.running) return;
+
+    try {
+      while (this.running && this.active.size < this.concurrency) {
+        const task = await this.queue.claim(this.workerId, [...this.handlers.keys()], this.leaseMs);
+        if (!task) break;
+        this.runTask(task);
+      }
+    } catch (error) {
+      console.error('❌ Error claiming tasks:', error);
+    }
+
+    if (this.running) {
+      this.pollTimer = setTimeout(() => this.poll(), this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Renew the leases of running tasks and record that this worker is alive
+   * Tasks whose lease was lost (taken over after expiring) are aborted
+   */
+  async heartbeat() {
+    const now = Date.now();
+
+    for (const [taskId, { controller }] of this.active) {
+      try {
+        const renewed = await this.queue.updateIfOwner(taskId, this.workerId, {
+          heartbeatAt: now,
+          leaseExpiresAt: now + this.leaseMs
+        });
+        if (!renewed) {
+          console.warn(`⚠️ Lost the lease on task ${taskId} - abandoning it`);
+          controller.abort(new Error('Lease lost'));
+        }
+      } catch (error) {
+        console.error(`❌ Heartbeat failed for task ${taskId}:`, error.message);
+      }
+    }
+
+    await this.recordWorker(this.running ? 'running' : 'stopped');
+  }
+
+  /**
+   * Record this worker's state in the workers collection
+   * @param {string} status - running or stopped
+   */
+  async recordWorker(status) {
+    try {
+      await this.db.set(WORKERS_COLLECTION, this.workerId.replace(/\//g, '_'), {
+        workerId: this.workerId,
+        status,
+        types: [...this.handlers.keys()],
+        activeTaskIds: [...this.active.keys()],
+        lastHeartbeatAt: new Date()
+      });
+    } catch (error) {
+      console.error('❌ Error recording worker heartbeat:', error.message);
+    }
+  }
+
+  /**
+   * Run one claimed task and record its outcome
+   * @param {Object} task - Claimed queue document
+   */
+  runTask(task) {
+    const controller = new AbortController();
+    const promise = this.execute(task, controller.signal)
+      .catch(error => console.error(`❌ Error finishing task ${task.id}:`, error))
+      .finally(() => {
+        this.active.delete(task.id);
+        // A slot opened up - look for more work straight away
+        if (this.running) {
+          clearTimeout(this.pollTimer);
+          this.poll();
+        }
+      });
+    this.active.set(task.id, { controller, promise });
+  }
+
+  async execute(task, signal) {
+    const maxAttempts = task.maxAttempts || this.maxAttempts;
+
+    // A task reclaimed after its worker died has already used up an attempt
+    if (task.attempts > maxAttempts) {
+      await this.deadLetter(task, 'Lease expired on the final attempt');
+      return;
+    }
+
+    if (task.attempts === 1) {
+      await this.syncLinkedTask(task, 'running');
+    }
+
+    console.log(`▶️ Running ${task.type} task ${task.id} (attempt ${task.attempts}/${maxAttempts})`);
+
+    let result;
+    try {
+      result = await this.handlers.get(task.type)(task, { signal, workerId: this.workerId });
+      if (signal.aborted) return;
+    } catch (error) {
+      if (signal.aborted) return;
+      await this.handleFailure(task, error, maxAttempts);
+      return;
+    }
+
+    const completed = await this.queue.updateIfOwner(task.id, this.workerId, {
+      status: 'done',
+      result: result ?? null,
+      completedAt: Date.now(),
+      leaseOwner: null,
+      leaseExpiresAt: null
+    });
+    if (completed) {
+      console.log(`✅ Task ${task.id} done`);
+      await this.syncLinkedTask(task, 'done', { result: result ?? null });
+    }
+  }
+
+  async handleFailure(task, error, maxAttempts) {
+    const failure = { attempt: task.attempts, error: error.message, at: Date.now(), workerId: this.workerId };
+
+    // Errors marked retryable: false can't succeed on another attempt
+    if (task.attempts >= maxAttempts || error.retryable === false) {
+      await this.deadLetter(task, error.message, failure);
+      return;
+    }
+
+    const delay = backoffMs(task.attempts);
+    console.warn(`⚠️ Task ${task.id} failed (attempt ${task.attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    await this.queue.updateIfOwner(task.id, this.workerId, {
+      status: 'pending',
+      availableAt: Date.now() + delay,
+      lastError: error.message,
+      failures: [...(task.failures || []), failure],
+      leaseOwner: null,
+      leaseExpiresAt: null
+    });
+  }
+
+  async deadLetter(task, reason, failure) {
+    const moved = await this.queue.deadLetter(task, this.workerId, {
+      status: 'dead',
+      lastError: reason,
+      failures: failure ? [...(task.failures || []), failure] : (task.failures || []),
+      deadLetteredAt: Date.now()
+    });
+    if (moved) {
+      console.error(`☠️ Task ${task.id} moved to ${DEAD_LETTER_COLLECTION}: ${reason}`);
+      await this.syncLinkedTask(task, 'failed', { reason });
+    }
+  }
+
+  /**
+   * Keep the potential_tasks lifecycle in step with the queue
+   * @param {Object} task - Queue document
+   * @param {string} status - running, done or failed
+   * @param {Object} details - { result, reason }
+   */
+  async syncLinkedTask(task, status, { result, reason } = {}) {
+    if (!task.taskId) return;
+    try {
+      await transitionTask(this.db, task.taskId, status, {
+        actor: this.workerId,
+        reason,
+        patch: result !== undefined ? { result } : {}
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not mark task ${task.taskId} as ${status}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,368 @@
+// Approvals over the phone
+// Approvers (APPROVER_NUMBERS) review pending approval tasks on a call: the Lead Agent reads
+// a summary of each item and the approver says approve, reject, skip or "change ..." (or
+// presses 1, 2, 3; 9 repeats). The script runs inside the normal /voice -> /respond flow
+// while the session is in approval mode, then hands the call back to the assistant.
+import express from 'express';
+import cron from 'node-cron';
+import twilio from 'twilio';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { approveTask, rejectTask, editTask } from './tasks.js';
+import { gatherAttributes, getVoiceProfile, phrase, say } from './voice-profiles.js';
+import {
+  loadApprovalQueue,
+  describeApprovalItem,
+  interpretApprovalReply
+} from './functions/src/agents/project-manager/project-manager.js';
+
+const APPROVAL_CALL_LIMIT = Number(process.env.APPROVAL_CALL_LIMIT || 10);
+// Unclear replies to one item before moving on
+const MAX_UNCLEAR_REPLIES = 2;
+
+/**
+ * Approver phone numbers from APPROVER_NUMBERS (comma-separated)
+ * @returns {Array<string>} - E.164 numbers
+ */
+export function approverNumbers() {
+  return (process.env.APPROVER_NUMBERS || '')
+    .split(',')
+    .map(number => normalizePhoneNumber(number))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a number belongs to an approver
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {boolean} - True for approvers
+ */
+export function isApprover(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  return Boolean(normalized) && approverNumbers().includes(normalized);
+}
+
+/**
+ * Apply an approver's decision to a task and record it in audit_events
+ * Approvals queue the task for the Project Manager; change requests are saved in the task's
+ * notes and leave it waiting for review
+ * @param {Object} db - Storage backend
+ * @param {Object} task - Approval task
+ * @param {Object} reply - { decision, change } from interpretApprovalReply
+ * @param {Object} options - { actor, channel, callSid }
+ * @returns {Promise<Object|null>} - Updated task (null for skip and repeat)
+ */
+export async function applyApprovalDecision(db, task, { decision, change }, { actor, channel = 'phone', callSid } = {}) {
+  let updated;
+  switch (decision) {
+    case 'approve':
+      updated = await approveTask(db, task.id, { actor, reason: `Approved by ${channel}` });
+      break;
+    case 'reject':
+      updated = await rejectTask(db, task.id, { actor, reason: `Rejected by ${channel}` });
+      break;
+    case 'change': {
+      const notes = [task.notes, `Change requested by ${actor}: ${change}`].filter(Boolean).join('\n');
+      updated = await editTask(db, task.id, { notes }, { actor });
+      break;
+    }
+    default:
+      return null;
+  }
+
+  await db.add('audit_events', {
+    type: 'approval_decision',
+    taskId: task.id,
+    decision,
+    ...(change ? { change } : {}),
+    actor,
+    channel,
+    callSid: callSid || null,
+    timestamp: new Date()
+  });
+  console.log(`🗳️ ${actor} chose ${decision} for task ${task.id}${change ? `: "${change}"` : ''}`);
+  return updated;
+}
+
+/**
+ * Listen for a spoken or keypad decision
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} voice - Voice profile
+ * @returns {Object} - Gather verb to nest the prompt in
+ */
+function approvalGather(twiml, sessionId, voice) {
+  return twiml.gather({
+    input: 'dtmf speech',
+    numDigits: 1,
+    action: `/respond?session=${sessionId}`,
+    method: 'POST',
+    speechTimeout: 'auto',
+    ...gatherAttributes(voice),
+    hints: 'approve, reject, skip, repeat, change'
+  });
+}
+
+/**
+ * Ask for a decision on the current item
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {string} prompt - What to say while listening
+ * @param {Object} voice - Voice profile
+ */
+function gatherApprovalReply(twiml, sessionId, prompt, voice) {
+  say(approvalGather(twiml, sessionId, voice), prompt, voice);
+
+  // If no input, prompt again
+  twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+}
+
+/**
+ * Reprompt an approver who went quiet, then hang up if they stay quiet
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} voice - Voice profile
+ */
+export function repromptApproval(twiml, sessionId, voice = getVoiceProfile()) {
+  say(approvalGather(twiml, sessionId, voice), `${phrase(voice, 'approvals.reprompt')} ${phrase(voice, 'approvals.help')}`, voice);
+
+  say(twiml, phrase(voice, 'approvals.goodbye'), voice);
+  twiml.hangup();
+}
+
+/**
+ * Read out the current item, skipping any that were decided elsewhere in the meantime
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} approval - Approval state from the session
+ * @returns {Promise<boolean>} - False when there are no items left
+ */
+async function presentItem(db, twiml, sessionId, approval) {
+  while (approval.index < approval.taskIds.length) {
+    const task = await db.get('potential_tasks', approval.taskIds[approval.index]);
+    if (task?.status === 'potential') {
+      const voice = getVoiceProfile(approval.voiceProfile);
+      const summary = await describeApprovalItem(db, task);
+      const position = phrase(voice, 'approvals.item', { number: approval.index + 1, total: approval.taskIds.length });
+      const ask = phrase(voice, approval.index === 0 ? 'approvals.help' : 'approvals.ask');
+      gatherApprovalReply(twiml, sessionId, `${position} ${summary} ${ask}`, voice);
+      return true;
+    }
+    approval.index++;
+  }
+  return false;
+}
+
+/**
+ * Wrap up the review and say what was decided
+ * @param {Object} twiml - VoiceResponse
+ * @param {Object} approval - Approval state from the session
+ */
+function summarizeReview(twiml, approval) {
+  const voice = getVoiceProfile(approval.voiceProfile);
+  const parts = ['approve', 'reject', 'change', 'skip']
+    .filter(decision => approval.counts[decision])
+    .map(decision => phrase(voice, `approvals.decisions.${decision}`, { count: approval.counts[decision] }));
+  say(
+    twiml,
+    parts.length > 0 ? phrase(voice, 'approvals.summary', { decisions: parts.join(', ') }) : phrase(voice, 'approvals.nothingLeft'),
+    voice
+  );
+}
+
+/**
+ * Start the approval script on a call
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { greeting, voice } - voice is the call's voice profile
+ * @returns {Promise<Object|null>} - Approval state to keep in the session, or null when nothing is pending
+ */
+export async function startApprovalScript(db, twiml, sessionId, { greeting, voice = getVoiceProfile() } = {}) {
+  const tasks = await loadApprovalQueue(db, { limit: APPROVAL_CALL_LIMIT });
+  if (tasks.length === 0) {
+    return null;
+  }
+
+  const approval = { taskIds: tasks.map(task => task.id), index: 0, unclear: 0, counts: {}, voiceProfile: voice.name };
+  const waiting = tasks.length === 1 ? phrase(voice, 'approvals.waitingOne') : phrase(voice, 'approvals.waitingMany', { count: tasks.length });
+  say(twiml, `${greeting ? `${greeting} ` : ''}${waiting}`, voice);
+  if (!await presentItem(db, twiml, sessionId, approval)) {
+    return null;
+  }
+  return approval;
+}
+
+/**
+ * Handle the approver's reply to the current item and move on
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} approval - Approval state from the session (updated in place)
+ * @param {Object} reply - { speech, digits, actor, callSid }
+ * @returns {Promise<Object>} - { done, decision } - done means the call goes back to the assistant
+ */
+export async function continueApprovalScript(db, twiml, sessionId, approval, { speech, digits, actor, callSid }) {
+  const voice = getVoiceProfile(approval.voiceProfile);
+  let reply = interpretApprovalReply({ speech, digits });
+  const taskId = approval.taskIds[approval.index];
+  const task = taskId ? await db.get('potential_tasks', taskId) : null;
+
+  if (!task) {
+    summarizeReview(twiml, approval);
+    return { done: true, decision: null };
+  }
+
+  if (!reply) {
+    approval.unclear++;
+    if (approval.unclear <= MAX_UNCLEAR_REPLIES) {
+      gatherApprovalReply(twiml, sessionId, `${phrase(voice, 'approvals.unclear')} ${phrase(voice, 'approvals.help')}`, voice);
+      return { done: false, decision: null };
+    }
+    say(twiml, phrase(voice, 'approvals.leaveForLater'), voice);
+    reply = { decision: 'skip' };
+  }
+
+  if (reply.decision === 'repeat') {
+    approval.unclear = 0;
+    await presentItem(db, twiml, sessionId, approval);
+    return { done: false, decision: 'repeat' };
+  }
+
+  try {
+    if (task.status !== 'potential') {
+      throw Object.assign(new Error(`Task ${task.id} is already ${task.status}`), { code: 'ALREADY_DECIDED' });
+    }
+    await applyApprovalDecision(db, task, reply, { actor, callSid });
+    say(twiml, phrase(voice, `approvals.confirm.${reply.decision}`, { change: reply.change }), voice);
+    approval.counts[reply.decision] = (approval.counts[reply.decision] || 0) + 1;
+  } catch (error) {
+    // TASK_CONFLICT: someone decided it (e.g. through the admin API) while it was being read out
+    if (error.code === 'ALREADY_DECIDED' || error.code === 'TASK_CONFLICT') {
+      say(twiml, phrase(voice, 'approvals.alreadyDecided'), voice);
+    } else {
+      console.error(`❌ Error applying approval decision for task ${task.id}:`, error);
+      say(twiml, phrase(voice, 'approvals.recordError'), voice);
+    }
+  }
+
+  approval.index++;
+  approval.unclear = 0;
+  if (await presentItem(db, twiml, sessionId, approval)) {
+    return { done: false, decision: reply.decision };
+  }
+  summarizeReview(twiml, approval);
+  return { done: true, decision: reply.decision };
+}
+
+/**
+ * Call approvers through Twilio - the call starts at /voice in approval mode
+ * @param {Object} options - Caller options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.from - Twilio number to call from
+ * @param {string} options.publicBaseUrl - Public URL of this server, for the call webhooks
+ * @returns {Function} - async (phoneNumber) => callSid
+ */
+export function createApproverCaller({ accountSid, authToken, from, publicBaseUrl }) {
+  const client = twilio(accountSid, authToken);
+  const baseUrl = publicBaseUrl.replace(/\/$/, '');
+
+  return async (phoneNumber) => {
+    const call = await client.calls.create({
+      to: phoneNumber,
+      from,
+      url: `${baseUrl}/voice?mode=approval`,
+      method: 'POST',
+      statusCallback: `${baseUrl}/status`,
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['completed']
+    });
+    return call.sid;
+  };
+}
+
+/**
+ * Call every approver when something is waiting for approval
+ * @param {Object} db - Storage backend
+ * @param {Function} callApprover - async (phoneNumber) => callSid
+ * @returns {Promise<Array<Object>>} - [{ to, callSid }] (empty when nothing is pending)
+ */
+export async function callApproversIfPending(db, callApprover) {
+  const pending = await loadApprovalQueue(db, { limit: 1 });
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const calls = [];
+  for (const to of approverNumbers()) {
+    const callSid = await callApprover(to);
+    console.log(`📞 Calling approver ${to} about pending approvals: ${callSid}`);
+    calls.push({ to, callSid });
+  }
+  return calls;
+}
+
+/**
+ * Call approvers on a schedule (APPROVAL_CALL_CRON, e.g. "0 10,16 * * 1-5")
+ * @param {Object} options - { db, callApprover, schedule }
+ * @returns {Object} - node-cron job
+ */
+export function scheduleApprovalCalls({ db, callApprover, schedule }) {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid APPROVAL_CALL_CRON expression: ${schedule}`);
+  }
+  console.log(`🗳️ Approval calls scheduled (${schedule})`);
+  return cron.schedule(schedule, () => {
+    callApproversIfPending(db, callApprover).catch(error => console.error('❌ Error calling approvers:', error));
+  });
+}
+
+/**
+ * Create the approvals router (mounted under /admin/approvals)
+ * @param {Object} options - Router options
+ * @param {Object} options.db - Storage backend
+ * @param {Function} options.callApprover - async (phoneNumber) => callSid, or null when calls aren't configured
+ * @returns {Object} - Express router
+ */
+export function createApprovalRouter({ db, callApprover }) {
+  const router = express.Router();
+
+  // Pending approvals with the summaries read out on calls
+  router.get('/', async (req, res) => {
+    try {
+      const tasks = await loadApprovalQueue(db, { limit: APPROVAL_CALL_LIMIT });
+      const approvals = await Promise.all(tasks.map(async task => ({
+        taskId: task.id,
+        source: task.source || null,
+        summary: await describeApprovalItem(db, task),
+        createdAt: task.createdAt
+      })));
+      res.json({ success: true, approvals });
+    } catch (error) {
+      console.error('❌ Error listing approvals:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Call an approver now - body { to } or every approver
+  router.post('/call', async (req, res) => {
+    if (!callApprover) {
+      return res.status(503).json({ success: false, error: 'Approval calls need PUBLIC_BASE_URL, TWILIO_SID and TWILIO_PHONE' });
+    }
+    try {
+      const to = req.body?.to;
+      if (to && !isApprover(to)) {
+        return res.status(400).json({ success: false, error: `${to} is not in APPROVER_NUMBERS` });
+      }
+      const calls = to
+        ? [{ to: normalizePhoneNumber(to), callSid: await callApprover(normalizePhoneNumber(to)) }]
+        : await callApproversIfPending(db, callApprover);
+      res.json({ success: true, calls });
+    } catch (error) {
+      console.error('❌ Error calling approver:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
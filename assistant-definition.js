@@ -0,0 +1,133 @@
+// Assistant definition loading and drift detection
+// The Lead Agent's name, model, instructions and tools live in assistant-definition.json
+// so changes reach the remote Assistant on the next startup instead of needing manual edits
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_DEFINITION_PATH = path.join(__dirname, 'assistant-definition.json');
+
+/**
+ * Load the assistant definition and resolve its tool names against the registry
+ * @param {Object} toolRegistry - Registry holding the tool schemas
+ * @param {string} definitionPath - Path to the JSON definition (defaults to ASSISTANT_DEFINITION_PATH)
+ * @returns {Object} - { version, name, model, instructions, tools }
+ */
+export function loadAssistantDefinition(toolRegistry, definitionPath = process.env.ASSISTANT_DEFINITION_PATH || DEFAULT_DEFINITION_PATH) {
+  const raw = JSON.parse(fs.readFileSync(definitionPath, 'utf8'));
+
+  for (const field of ['version', 'name', 'model', 'instructions']) {
+    if (raw[field] === undefined) {
+      throw new Error(`Assistant definition ${definitionPath} is missing "${field}"`);
+    }
+  }
+
+  // Instructions may be written as an array of lines to keep diffs readable
+  const instructions = Array.isArray(raw.instructions) ? raw.instructions.join('\n') : raw.instructions;
+
+  // Tools are listed by name; their schemas come from the registry next to the handlers
+  const registered = new Map(toolRegistry.definitions().map(tool => [tool.function.name, tool]));
+  const tools = (raw.tools || []).map(name => {
+    if (!registered.has(name)) {
+      throw new Error(`Assistant definition lists tool "${name}" but no such tool is registered`);
+    }
+    return registered.get(name);
+  });
+
+  return {
+    version: String(raw.version),
+    name: raw.name,
+    model: raw.model,
+    instructions,
+    tools
+  };
+}
+
+/**
+ * JSON with sorted keys, so equal schemas compare equal regardless of key order
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Reduce a tool to the fields we manage (the API adds defaults like strict: false)
+ * @param {Object} tool - Tool definition
+ * @returns {Object} - Comparable tool
+ */
+function comparableTool(tool) {
+  if (tool.type !== 'function') return { type: tool.type };
+  return {
+    type: 'function',
+    name: tool.function.name,
+    description: tool.function.description || '',
+    parameters: tool.function.parameters || {}
+  };
+}
+
+/**
+ * Compare the remote assistant with the desired definition field by field
+ * @param {Object} remote - Assistant returned by the API
+ * @param {Object} desired - Definition from loadAssistantDefinition
+ * @returns {Array<Object>} - Differences as { field, remote, desired, summary }
+ */
+export function diffAssistant(remote, desired) {
+  const diffs = [];
+
+  for (const field of ['name', 'model']) {
+    if (remote[field] !== desired[field]) {
+      diffs.push({ field, remote: remote[field], desired: desired[field], summary: `"${remote[field]}" -> "${desired[field]}"` });
+    }
+  }
+
+  const remoteInstructions = (remote.instructions || '').trim();
+  const desiredInstructions = desired.instructions.trim();
+  if (remoteInstructions !== desiredInstructions) {
+    let firstDifference = 0;
+    while (remoteInstructions[firstDifference] === desiredInstructions[firstDifference]) {
+      firstDifference++;
+    }
+    diffs.push({
+      field: 'instructions',
+      remote: remoteInstructions,
+      desired: desiredInstructions,
+      summary: `${remoteInstructions.length} -> ${desiredInstructions.length} chars, first difference at ` +
+        `"${desiredInstructions.substring(firstDifference, firstDifference + 60)}"`
+    });
+  }
+
+  const remoteTools = new Map((remote.tools || []).map(comparableTool).map(tool => [tool.name || tool.type, tool]));
+  const desiredTools = new Map(desired.tools.map(comparableTool).map(tool => [tool.name || tool.type, tool]));
+  const added = [...desiredTools.keys()].filter(name => !remoteTools.has(name));
+  const removed = [...remoteTools.keys()].filter(name => !desiredTools.has(name));
+  const changed = [...desiredTools.keys()].filter(name =>
+    remoteTools.has(name) && canonicalJson(remoteTools.get(name)) !== canonicalJson(desiredTools.get(name))
+  );
+  if (added.length || removed.length || changed.length) {
+    diffs.push({
+      field: 'tools',
+      remote: remote.tools,
+      desired: desired.tools,
+      summary: [
+        added.length ? `added: ${added.join(', ')}` : null,
+        removed.length ? `removed: ${removed.join(', ')}` : null,
+        changed.length ? `changed: ${changed.join(', ')}` : null
+      ].filter(Boolean).join('; ')
+    });
+  }
+
+  const remoteVersion = remote.metadata?.definitionVersion;
+  if (remoteVersion !== desired.version) {
+    diffs.push({ field: 'version', remote: remoteVersion, desired: desired.version, summary: `${remoteVersion || 'none'} -> ${desired.version}` });
+  }
+
+  return diffs;
+}
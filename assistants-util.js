@@ -1,17 +1,42 @@
 // Utility functions for OpenAI Assistants API integration
 import { OpenAI } from 'openai';
+import { getStore } from './functions/src/services/datastore.js';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { ToolRegistry } from './tool-registry.js';
+import { loadAssistantDefinition, diffAssistant } from './assistant-definition.js';
+import { searchForUrls, fetchPage, extractContent, processWithAI } from './functions/src/agents/web-scraper/pipeline.js';
+import { getWeatherReport } from './weather.js';
 
 // Initialize OpenAI client
 let openaiClient = null;
 
-// Initialize mapping between phone numbers and thread IDs
-const phoneToThreadMap = new Map();
+// Caller-to-thread mappings are stored durably, keyed by E.164 number
+const CALLER_THREADS_COLLECTION = 'caller_threads';
 
 // Assistant ID cache
 let assistantId = null;
 
+// Tools the Assistant can call - other modules register theirs here too
+export const toolRegistry = new ToolRegistry();
+
+// apply updates (or creates) the remote assistant, dry-run only reports drift, off skips the check
+const ASSISTANT_SYNC_MODES = ['apply', 'dry-run', 'off'];
+
+// Safety net against runs that keep asking for tools
+const MAX_TOOL_ROUNDS = 8;
+
+// Run states that still hold the thread's lock and can be cancelled
+const ACTIVE_RUN_STATES = ['queued', 'in_progress', 'requires_action'];
+
+// Time budget for one searchWeb call, and how much of it is kept for summarizing
+const SEARCH_WEB_BUDGET_MS = Number(process.env.SEARCH_WEB_BUDGET_MS || 20000);
+const SEARCH_WEB_SUMMARY_RESERVE_MS = 6000;
+
 /**
  * Initialize the OpenAI client and create/retrieve the assistant
+ * The remote assistant is brought in line with assistant-definition.json unless
+ * ASSISTANT_SYNC_MODE is 'dry-run' (report drift only) or 'off'. Only 'apply' creates a
+ * missing assistant
  * @param {string} apiKey - OpenAI API key
  * @returns {Object} - OpenAI client and assistant ID
  */
@@ -24,10 +49,15 @@ export async function initializeAssistant(apiKey) {
 
     // Check if we already have an assistant ID stored
     if (!assistantId) {
-      // Create or retrieve the assistant
-      const assistantName = "Lead Agent";
+      // Load the desired assistant from the versioned definition file
+      const definition = loadAssistantDefinition(toolRegistry);
+      const syncMode = process.env.ASSISTANT_SYNC_MODE || 'apply';
+      if (!ASSISTANT_SYNC_MODES.includes(syncMode)) {
+        throw new Error(`Invalid ASSISTANT_SYNC_MODE "${syncMode}" (expected ${ASSISTANT_SYNC_MODES.join(', ')})`);
+      }
+      const assistantName = definition.name;
       
-      console.log(`🔍 Looking for existing assistant: ${assistantName}`);
+      console.log(`🔍 Looking for existing assistant: ${assistantName} (definition v${definition.version})`);
       // First check if the assistant already exists
       const assistants = await openaiClient.beta.assistants.list({
         limit: 100,
@@ -43,82 +73,46 @@ export async function initializeAssistant(apiKey) {
       if (existingAssistant) {
         assistantId = existingAssistant.id;
         console.log(`✅ Found existing assistant: ${assistantName} (${assistantId})`);
-        console.log(`📝 Assistant tools:`, JSON.stringify(existingAssistant.tools, null, 2));
-      } else {
-        console.log(`🆕 Creating new assistant: ${assistantName}`);
-        // Define tool JSON explicitly for logging
-        const tools = [
-          {
-            type: "function",
-            function: {
-              name: "getWeather",
-              description: "Get the current weather forecast for a specific location and date",
-              parameters: {
-                type: "object",
-                properties: {
-                  location: {
-                    type: "string",
-                    description: "The city and state or country, e.g. San Francisco, CA or Paris, France"
-                  },
-                  date: {
-                    type: "string",
-                    description: "The date for the forecast, e.g. 'today', 'tomorrow', or a specific date like '2023-07-15'. Optional, defaults to today."
-                  }
-                },
-                required: ["location"]
-              }
-            }
-          },
-          {
-            type: "function",
-            function: {
-              name: "searchWeb",
-              description: "Search for information on the web and extract relevant content from web pages",
-              parameters: {
-                type: "object",
-                properties: {
-                  url: {
-                    type: "string",
-                    description: "Specific URL to scrape for information"
-                  },
-                  query: {
-                    type: "string",
-                    description: "Search query if no specific URL is provided"
-                  },
-                  keywords: {
-                    type: "array",
-                    items: {
-                      type: "string"
-                    },
-                    description: "Keywords to focus on when extracting content"
-                  }
-                }
-              }
+        
+        if (syncMode === 'off') {
+          console.log('⏭️ ASSISTANT_SYNC_MODE=off - not comparing the assistant with its definition');
+        } else {
+          // Compare the remote assistant with the definition field by field
+          const diffs = diffAssistant(existingAssistant, definition);
+          
+          if (diffs.length === 0) {
+            console.log(`✅ Assistant is in sync with definition v${definition.version}`);
+          } else {
+            console.log(`🔀 Assistant differs from definition v${definition.version}:`);
+            diffs.forEach(diff => console.log(`   - ${diff.field}: ${diff.summary}`));
+            
+            if (syncMode === 'apply') {
+              await openaiClient.beta.assistants.update(assistantId, {
+                model: definition.model,
+                instructions: definition.instructions,
+                tools: definition.tools,
+                metadata: { ...existingAssistant.metadata, definitionVersion: definition.version }
+              });
+              console.log(`🚀 Updated assistant ${assistantId} to definition v${definition.version}`);
+            } else {
+              console.log(`🧪 ASSISTANT_SYNC_MODE=${syncMode} - leaving the remote assistant unchanged`);
             }
           }
-        ];
-        
-        console.log(`🔧 Registering assistant with tools:`, JSON.stringify(tools, null, 2));
+        }
+      } else if (syncMode !== 'apply') {
+        // Calls fall back to direct chat completions until the assistant exists
+        console.warn(`⚠️ No assistant named ${assistantName} and ASSISTANT_SYNC_MODE=${syncMode} - not creating one`);
+      } else {
+        console.log(`🆕 Creating new assistant: ${assistantName}`);
+        console.log(`🔧 Registering assistant with tools:`, JSON.stringify(definition.tools, null, 2));
         
         // Create a new assistant
         const assistant = await openaiClient.beta.assistants.create({
           name: assistantName,
-          instructions: `You are the Lead Agent for AI Taskforce, a specialized system with 6 agents:
-- Lead Agent (you): Handle scheduled calls and coordinate other agents
-- Web Scraper: Gather information from web sources
-- Copywriter: Create content based on information
-- Graphic Designer: Generate images and visual assets
-- Social Media Manager: Post content to social platforms
-- Project Manager: Handle approvals and coordination
-
-Respond helpfully and professionally to voice queries. 
-Keep responses concise as they will be spoken aloud.
-Spell out numbers (say 'twenty' not '20').
-Use contractions and casual language to sound natural when spoken.
-
-YOU HAVE ACCESS TO TOOLS INCLUDING A WEATHER TOOL. WHEN ASKED ABOUT WEATHER, USE THE getWeather TOOL.`,
-          tools: tools,
-          model: "gpt-4o"
+          instructions: definition.instructions,
+          tools: definition.tools,
+          model: definition.model,
+          metadata: { definitionVersion: definition.version }
         });
         
         console.log(`🚀 Assistant created with ID: ${assistant.id}`);
@@ -136,6 +130,16 @@ YOU HAVE ACCESS TO TOOLS INCLUDING A WEATHER TOOL. WHEN ASKED ABOUT WEATHER, USE
   }
 }
 
+/**
+ * Key used for a caller's thread record
+ * Falls back to the raw value for callers without a dialable number (e.g. Twilio Client)
+ * @param {string} phoneNumber - The caller's phone number
+ * @returns {string} - Record key
+ */
+function callerThreadKey(phoneNumber) {
+  return normalizePhoneNumber(phoneNumber) || String(phoneNumber).trim().replace(/\//g, '_');
+}
+
 /**
  * Ensure a thread exists for the given phone number
  * @param {string} phoneNumber - The caller's phone number
@@ -147,9 +151,14 @@ export async function ensureThreadForPhoneNumber(phoneNumber) {
       throw new Error('OpenAI client not initialized');
     }
     
+    const db = getStore();
+    const key = callerThreadKey(phoneNumber);
+    
     // Check if we already have a thread for this phone number
-    if (phoneToThreadMap.has(phoneNumber)) {
-      return phoneToThreadMap.get(phoneNumber);
+    const existing = await db.get(CALLER_THREADS_COLLECTION, key);
+    if (existing?.threadId) {
+      await db.update(CALLER_THREADS_COLLECTION, key, { lastUsedAt: new Date() });
+      return existing.threadId;
     }
     
     // Create a new thread
@@ -157,8 +166,14 @@ export async function ensureThreadForPhoneNumber(phoneNumber) {
     const threadId = thread.id;
     
     // Store the mapping
-    phoneToThreadMap.set(phoneNumber, threadId);
-    console.log(`Created new thread (${threadId}) for phone number: ${phoneNumber}`);
+    const now = new Date();
+    await db.set(CALLER_THREADS_COLLECTION, key, {
+      phoneNumber: key,
+      threadId,
+      createdAt: now,
+      lastUsedAt: now
+    });
+    console.log(`Created new thread (${threadId}) for phone number: ${key}`);
     
     return threadId;
   } catch (error) {
@@ -167,13 +182,97 @@ export async function ensureThreadForPhoneNumber(phoneNumber) {
   }
 }
 
+/**
+ * List all caller-to-thread mappings, most recently used first
+ * @returns {Array<Object>} - Thread records
+ */
+export async function listCallerThreads() {
+  return getStore().query(CALLER_THREADS_COLLECTION, { orderBy: 'lastUsedAt', direction: 'desc' });
+}
+
+/**
+ * Get the thread record for a caller
+ * @param {string} phoneNumber - The caller's phone number
+ * @returns {Object|null} - Thread record or null if the caller has no thread
+ */
+export async function getCallerThread(phoneNumber) {
+  return getStore().get(CALLER_THREADS_COLLECTION, callerThreadKey(phoneNumber));
+}
+
+/**
+ * Give a caller a fresh thread, e.g. when their history has gone off the rails
+ * The old thread is kept on OpenAI's side and recorded in previousThreadIds
+ * @param {string} phoneNumber - The caller's phone number
+ * @returns {Object} - Updated thread record
+ */
+export async function rotateThreadForPhoneNumber(phoneNumber) {
+  if (!openaiClient) {
+    throw new Error('OpenAI client not initialized');
+  }
+  
+  const db = getStore();
+  const key = callerThreadKey(phoneNumber);
+  const existing = await db.get(CALLER_THREADS_COLLECTION, key);
+  
+  const thread = await openaiClient.beta.threads.create();
+  const now = new Date();
+  const record = {
+    phoneNumber: key,
+    threadId: thread.id,
+    createdAt: now,
+    lastUsedAt: now,
+    rotatedAt: now,
+    previousThreadIds: [
+      ...(existing?.previousThreadIds || []),
+      ...(existing?.threadId ? [existing.threadId] : [])
+    ]
+  };
+  
+  await db.set(CALLER_THREADS_COLLECTION, key, record);
+  console.log(`🔄 Rotated thread for ${key}: ${existing?.threadId || 'none'} -> ${thread.id}`);
+  
+  return { id: key, ...record };
+}
+
+/**
+ * Forget a caller's thread and delete it from OpenAI
+ * @param {string} phoneNumber - The caller's phone number
+ * @returns {boolean} - Whether a mapping existed
+ */
+export async function deleteThreadForPhoneNumber(phoneNumber) {
+  const db = getStore();
+  const key = callerThreadKey(phoneNumber);
+  const existing = await db.get(CALLER_THREADS_COLLECTION, key);
+  
+  if (!existing) {
+    return false;
+  }
+  
+  await db.delete(CALLER_THREADS_COLLECTION, key);
+  
+  // Deleting the remote thread is best-effort - the mapping is already gone
+  if (openaiClient && existing.threadId) {
+    try {
+      await openaiClient.beta.threads.del(existing.threadId);
+    } catch (error) {
+      console.warn(`⚠️ Could not delete thread ${existing.threadId} from OpenAI: ${error.message}`);
+    }
+  }
+  
+  console.log(`🗑️ Deleted thread mapping for ${key}`);
+  return true;
+}
+
 /**
  * Add a user message to a thread and get the assistant response
  * @param {string} threadId - Thread ID
  * @param {string} userMessage - User's message
+ * @param {Object} context - Passed to tool handlers (e.g. sessionId, caller phone number)
+ * @param {Object} options - Run options
+ * @param {string} options.instructions - Extra instructions for this run only (e.g. for a text channel)
  * @returns {string} - Assistant's response
  */
-export async function getAssistantResponse(threadId, userMessage) {
+export async function getAssistantResponse(threadId, userMessage, context = {}, { instructions } = {}) {
   try {
     console.log(`
 🤖 ASSISTANT API REQUEST START 🤖
@@ -202,7 +301,8 @@ export async function getAssistantResponse(threadId, userMessage) {
     const run = await openaiClient.beta.threads.runs.create(
       threadId,
       { 
-        assistant_id: assistantId
+        assistant_id: assistantId,
+        ...(instructions ? { additional_instructions: instructions } : {})
       }
     );
     console.log(`✅ Run created successfully, ID: ${run.id}`);
@@ -210,74 +310,54 @@ export async function getAssistantResponse(threadId, userMessage) {
     console.log(`⏳ Polling for run completion...`);
     // Poll until the run completes
     let runStatus = await pollRunStatus(threadId, run.id);
-    console.log(`📊 Run status: ${runStatus.status}`);
+    console.log(`📊 Run status: ${runStatus?.status}`);
     
-    // Check if tool calls are required
-    if (runStatus.status === 'requires_action') {
-      console.log(`🔧 Tool calls required!`);
-      // Process tool calls
-      const toolCalls = runStatus.required_action.submit_tool_outputs.tool_calls;
-      console.log(`📋 Number of tool calls: ${toolCalls.length}`);
+    // Keep answering tool calls until the run reaches a final state
+    let toolRounds = 0;
+    while (runStatus?.status === 'requires_action') {
+      if (toolRounds >= MAX_TOOL_ROUNDS) {
+        console.error(`❌ Run still requires action after ${MAX_TOOL_ROUNDS} tool rounds - cancelling`);
+        await openaiClient.beta.threads.runs.cancel(threadId, run.id).catch(() => {});
+        throw new Error(`Run exceeded ${MAX_TOOL_ROUNDS} tool rounds`);
+      }
+      toolRounds++;
       
+      const toolCalls = runStatus.required_action.submit_tool_outputs.tool_calls;
+      console.log(`🔧 Tool round ${toolRounds}: ${toolCalls.length} tool call(s)`);
       console.log(`Tool calls details: ${JSON.stringify(toolCalls, null, 2)}`);
       
-      const toolOutputs = [];
+      // Independent tool calls run in parallel; failures come back as error outputs
+      const toolOutputs = await toolRegistry.executeAll(toolCalls, context);
       
-      for (const toolCall of toolCalls) {
-        console.log(`🔨 Processing tool: ${toolCall.function.name}`);
-        console.log(`📝 Tool arguments: ${toolCall.function.arguments}`);
-        
-        if (toolCall.function.name === 'getWeather') {
-          console.log(`🌤️ Executing getWeather tool...`);
-          const args = JSON.parse(toolCall.function.arguments);
-          console.log(`🌍 Location: ${args.location}, Date: ${args.date}`);
-          
-          const weatherOutput = await getWeather(args);
-          console.log(`🌡️ Weather output: "${weatherOutput}"`);
-          
-          toolOutputs.push({
-            tool_call_id: toolCall.id,
-            output: weatherOutput
-          });
-          console.log(`✅ Added tool output for tool call ${toolCall.id}`);
-        } else if (toolCall.function.name === 'searchWeb') {
-          console.log(`🔍 Executing searchWeb tool...`);
-          const args = JSON.parse(toolCall.function.arguments);
-          console.log(`🌐 URL: ${args.url}, Query: ${args.query}, Keywords: ${args.keywords}`);
-          
-          const webOutput = await searchWeb(args);
-          console.log(`📊 Web output: "${webOutput}"`);
-          
-          toolOutputs.push({
-            tool_call_id: toolCall.id,
-            output: webOutput
-          });
-          console.log(`✅ Added tool output for tool call ${toolCall.id}`);
-        } else {
-          console.warn(`⚠️ Unknown tool called: ${toolCall.function.name}`);
+      console.log(`📤 Submitting ${toolOutputs.length} tool outputs back to the Assistant...`);
+      await openaiClient.beta.threads.runs.submitToolOutputs(
+        threadId,
+        run.id,
+        {
+          tool_outputs: toolOutputs
         }
-        // Add more tool handling cases here as needed
-      }
+      );
+      console.log(`✅ Tool outputs submitted successfully`);
       
-      if (toolOutputs.length > 0) {
-        console.log(`📤 Submitting ${toolOutputs.length} tool outputs back to the Assistant...`);
-        // Submit tool outputs
-        await openaiClient.beta.threads.runs.submitToolOutputs(
-          threadId,
-          run.id,
-          {
-            tool_outputs: toolOutputs
-          }
-        );
-        console.log(`✅ Tool outputs submitted successfully`);
-        
-        // Poll again for final status
-        console.log(`⏳ Polling again for final status...`);
-        runStatus = await pollRunStatus(threadId, run.id);
-        console.log(`📊 Final run status: ${runStatus.status}`);
-      } else {
-        console.warn(`⚠️ No tool outputs were created despite requiring action!`);
+      // Poll again for the next status
+      console.log(`⏳ Polling again for run status...`);
+      runStatus = await pollRunStatus(threadId, run.id);
+      console.log(`📊 Run status after tool round ${toolRounds}: ${runStatus?.status}`);
+    }
+    
+    if (runStatus?.status === 'cancelled') {
+      console.log(`🛑 Run ${run.id} was cancelled`);
+      throw Object.assign(new Error('Assistant run was cancelled'), { cancelled: true });
+    }
+    
+    if (runStatus?.status !== 'completed') {
+      const reason = runStatus?.last_error?.message || 'no final state reached';
+      console.error(`❌ ERROR: Run ended with status ${runStatus?.status}: ${reason}`);
+      // Polling gave up on a run that's still going - cancel it so the thread isn't left locked
+      if (!runStatus || ACTIVE_RUN_STATES.includes(runStatus.status)) {
+        await openaiClient.beta.threads.runs.cancel(threadId, run.id).catch(() => {});
       }
+      throw new Error(`Assistant run ended with status ${runStatus?.status}: ${reason}`);
     }
     
     console.log(`📥 Getting messages from thread...`);
@@ -313,6 +393,101 @@ export async function getAssistantResponse(threadId, userMessage) {
   }
 }
 
+/**
+ * Add a user message to a thread and stream the assistant response as it's written
+ * @param {string} threadId - Thread ID
+ * @param {string} userMessage - User's message
+ * @param {Object} context - Passed to tool handlers (e.g. sessionId, caller phone number)
+ * @param {Object} options - Run options
+ * @param {string} options.instructions - Extra instructions for this run only
+ * @param {Function} options.onDelta - Called with each piece of text as it arrives
+ * @param {Function} options.onToolCalls - Called with the tool names before each tool round
+ * @param {AbortSignal} options.signal - Aborting stops the stream and cancels the run (throws with cancelled: true)
+ * @returns {string} - Assistant's full response
+ */
+export async function streamAssistantResponse(threadId, userMessage, context = {}, { instructions, onDelta, onToolCalls, signal } = {}) {
+  if (!openaiClient || !assistantId) {
+    throw new Error('OpenAI client or assistant ID not initialized');
+  }
+
+  console.log(`🧵 Streaming run on thread ${threadId}: "${userMessage}"`);
+  await openaiClient.beta.threads.messages.create(threadId, { role: 'user', content: userMessage });
+  const cancelled = () => Object.assign(new Error('Assistant run was cancelled'), { cancelled: true });
+  if (signal?.aborted) throw cancelled();
+
+  let stream = openaiClient.beta.threads.runs.stream(threadId, {
+    assistant_id: assistantId,
+    ...(instructions ? { additional_instructions: instructions } : {})
+  }, { signal });
+  let responseText = '';
+  let toolRounds = 0;
+
+  while (true) {
+    stream.on('textDelta', delta => {
+      if (!delta.value) return;
+      responseText += delta.value;
+      onDelta?.(delta.value);
+    });
+    let run;
+    try {
+      run = await stream.finalRun();
+    } catch (error) {
+      // The stream broke off (or was aborted) mid-run - cancel the run so the thread isn't left locked
+      const runId = stream.currentRun()?.id;
+      await (runId ? openaiClient.beta.threads.runs.cancel(threadId, runId) : cancelActiveRuns(threadId)).catch(() => {});
+      throw signal?.aborted ? cancelled() : error;
+    }
+
+    if (run.status === 'requires_action') {
+      if (toolRounds >= MAX_TOOL_ROUNDS) {
+        console.error(`❌ Run still requires action after ${MAX_TOOL_ROUNDS} tool rounds - cancelling`);
+        await openaiClient.beta.threads.runs.cancel(threadId, run.id).catch(() => {});
+        throw new Error(`Run exceeded ${MAX_TOOL_ROUNDS} tool rounds`);
+      }
+      toolRounds++;
+
+      const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
+      console.log(`🔧 Tool round ${toolRounds}: ${toolCalls.map(t => t.function.name).join(', ')}`);
+      onToolCalls?.(toolCalls.map(t => t.function.name));
+      const toolOutputs = await toolRegistry.executeAll(toolCalls, context);
+      if (signal?.aborted) {
+        await openaiClient.beta.threads.runs.cancel(threadId, run.id).catch(() => {});
+        throw cancelled();
+      }
+      stream = openaiClient.beta.threads.runs.submitToolOutputsStream(threadId, run.id, { tool_outputs: toolOutputs }, { signal });
+      continue;
+    }
+
+    if (run.status !== 'completed') {
+      const reason = run.last_error?.message || 'no final state reached';
+      throw new Error(`Assistant run ended with status ${run.status}: ${reason}`);
+    }
+
+    console.log(`✅ Streamed response on thread ${threadId}: "${responseText.substring(0, 100)}..."`);
+    return responseText;
+  }
+}
+
+/**
+ * Cancel any run still going on a thread, so the next message isn't refused with "run is active"
+ * @param {string} threadId - Thread ID
+ * @returns {number} - How many runs were cancelled
+ */
+export async function cancelActiveRuns(threadId) {
+  if (!openaiClient) return 0;
+  const runs = await openaiClient.beta.threads.runs.list(threadId, { limit: 5 });
+  const active = runs.data.filter(run => ACTIVE_RUN_STATES.includes(run.status));
+  for (const run of active) {
+    await openaiClient.beta.threads.runs.cancel(threadId, run.id).catch(error => {
+      console.warn(`⚠️ Could not cancel run ${run.id}: ${error.message}`);
+    });
+  }
+  if (active.length > 0) {
+    console.log(`🛑 Cancelled ${active.length} active run(s) on thread ${threadId}`);
+  }
+  return active.length;
+}
+
 /**
  * Poll the run status until it completes or requires action
  * @param {string} threadId - Thread ID
@@ -377,13 +552,15 @@ async function pollRunStatus(threadId, runId) {
 }
 
 /**
- * Get weather forecast for a location and date (mock implementation)
+ * Get weather forecast for a location and date
  * @param {Object} args - Function arguments
  * @param {string} args.location - Location
- * @param {string} args.date - Date
- * @returns {string} - Weather forecast
+ * @param {string} args.date - Date, e.g. "tomorrow" or "Saturday" (optional)
+ * @param {Object} context - Request context; context.timezone (the caller's, from their profile or
+ *   browser) resolves relative dates, else DEFAULT_TIMEZONE is used
+ * @returns {string} - Spoken weather forecast
  */
-async function getWeather({ location, date }) {
+async function getWeather({ location, date }, context = {}) {
   console.log(`
 🌤️ WEATHER TOOL CALLED 🌤️
 -------------------`);
@@ -391,50 +568,8 @@ async function getWeather({ location, date }) {
   console.log(`📅 Date: ${date || 'today'}`);
   console.log(`-------------------`);
 
-  // Mock implementation - in production, you would call a real weather API
-  const temperatures = {
-    'new york': 68,
-    'san francisco': 62,
-    'chicago': 72,
-    'los angeles': 75,
-    'miami': 85,
-    'seattle': 58,
-    'austin': 82,
-    'boston': 66,
-    'denver': 70,
-  };
-
-  const conditions = {
-    'new york': 'Partly Cloudy',
-    'san francisco': 'Foggy',
-    'chicago': 'Sunny',
-    'los angeles': 'Sunny',
-    'miami': 'Thunderstorms',
-    'seattle': 'Rainy',
-    'austin': 'Clear',
-    'boston': 'Cloudy',
-    'denver': 'Sunny',
-  };
-
-  // Normalize location to lowercase for matching
-  const normalizedLocation = location.toLowerCase();
-
-  // Get temperature and conditions, with defaults if not found
-  const temperature = temperatures[normalizedLocation] || 70;
-  const condition = conditions[normalizedLocation] || 'Clear';
+  const responseText = await getWeatherReport({ location, date }, { timezone: context.timezone });
 
-  // Format response
-  const response = {
-    location: location,
-    date: date || 'today',
-    temperature: temperature,
-    condition: condition,
-    forecast: `${temperature}°F and ${condition}`,
-  };
-
-  console.log(`📅 Formatted date text: "${date}"`);
-  
-  const responseText = `${date} in ${location} it will be ${temperature}°F and ${condition}.`;
   console.log(`💬 Final weather response: "${responseText}"`);
   console.log(`🌤️ WEATHER TOOL COMPLETE 🌤️
 -------------------------`);
@@ -442,7 +577,39 @@ async function getWeather({ location, date }) {
   return responseText;
 }
 
-// Implementation of the searchWeb tool using Firebase Functions
+/**
+ * Short, speakable fallback summary when AI summarization isn't available
+ * @param {Object} extracted - Output of extractContent
+ * @returns {string} - Description or the first couple of sentences of the page
+ */
+function fallbackSummary(extracted) {
+  if (extracted.description) {
+    return extracted.description;
+  }
+  const sentences = extracted.text.match(/[^.!?]+[.!?]+/g) || [extracted.text];
+  return sentences.slice(0, 2).join(' ').trim();
+}
+
+/**
+ * Trim text to a maximum length on a word boundary
+ * @param {string} text - Text to trim
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Trimmed text
+ */
+function truncateText(text, maxLength) {
+  if (!text || text.length <= maxLength) return text;
+  return `${text.substring(0, maxLength).replace(/\s+\S*$/, '')}...`;
+}
+
+/**
+ * Search the web or scrape a URL and summarize it for a spoken answer
+ * Runs the shared fetch -> extract -> summarize pipeline within SEARCH_WEB_BUDGET_MS
+ * @param {Object} args - Function arguments
+ * @param {string} args.url - Specific URL to scrape
+ * @param {string} args.query - Search query if no URL is given
+ * @param {Array<string>} args.keywords - Keywords to focus on
+ * @returns {string} - JSON string with the answer and its sources, or the failure details
+ */
 export async function searchWeb({ url, query, keywords = [] }) {
   console.log(`
 🔍 WEB SCRAPER TOOL CALLED 🔍
@@ -452,61 +619,152 @@ export async function searchWeb({ url, query, keywords = [] }) {
   console.log(`🏷️ Keywords: ${keywords ? keywords.join(', ') : 'None provided'}`);
   console.log(`---------------------------`);
   
+  const deadline = Date.now() + SEARCH_WEB_BUDGET_MS;
+  const remaining = () => deadline - Date.now();
+  
   try {
     // Validate input
     if (!url && !query) {
       throw new Error('Either url or query must be provided');
     }
     
-    // For this implementation, we'll use a simplified mock version
-    // In production, this would call the Firebase function
-    
-    // Mock result for testing
-    let result;
-    
+    // Find pages to read
+    let urls;
     if (url) {
       console.log(`📄 Scraping specific URL: ${url}`);
-      
-      result = {
-        success: true,
-        url: url,
-        title: `Information about ${url.split('/').pop() || 'the requested topic'}`,
-        summary: `This is information extracted from ${url}. The page contains details about ${url.split('/').pop() || 'the requested topic'}.`,
-        keyPoints: [
-          `Key point 1 about ${url.split('/').pop() || 'the topic'}`,
-          `Key point 2 about ${url.split('/').pop() || 'the topic'}`,
-          `Key point 3 about ${url.split('/').pop() || 'the topic'}`
-        ]
-      };
-    } else if (query) {
+      urls = [url];
+    } else {
       console.log(`🔎 Searching for: ${query}`);
-      
-      result = {
-        success: true,
-        query: query,
-        results: [
-          {
-            title: `Information about ${query}`,
-            url: `https://example.com/search?q=${encodeURIComponent(query)}`,
-            snippet: `This is information about ${query}. In production, this would contain actual content from web searches.`
-          }
-        ],
-        summary: `Here is information about ${query}. This is a comprehensive overview that would be generated from actual web content in production.`
+      urls = await searchForUrls(query, { maxResults: 2, timeoutMs: Math.min(5000, remaining()) });
+      if (urls.length === 0) {
+        return JSON.stringify({
+          success: false,
+          query,
+          error: `No web pages found for "${query}"`,
+          instructions: 'Tell the caller you could not find anything online about this.'
+        });
+      }
+    }
+    
+    // Fetch and extract every page in parallel, keeping time back for the summary
+    const pages = await Promise.all(urls.map(async (pageUrl) => {
+      try {
+        const fetched = await fetchPage(pageUrl, {
+          maxRetries: 1,
+          timeoutMs: Math.max(1000, remaining() - SEARCH_WEB_SUMMARY_RESERVE_MS)
+        });
+        return { url: fetched.url, extracted: extractContent(fetched.html, fetched.url) };
+      } catch (error) {
+        console.warn(`⚠️ Could not fetch ${pageUrl}: ${error.message}`);
+        return { url: pageUrl, error: error.message };
+      }
+    }));
+    
+    const fetchedPages = pages.filter(page => page.extracted?.text);
+    const failures = pages.filter(page => page.error).map(({ url, error }) => ({ url, error }));
+    
+    if (fetchedPages.length === 0) {
+      const result = {
+        success: false,
+        query: query || null,
+        error: `Could not fetch ${urls.length === 1 ? urls[0] : 'any of the pages found'}`,
+        failures,
+        instructions: 'Tell the caller the website could not be reached right now and offer to try again later.'
       };
+      console.log(`📊 Result: ${JSON.stringify(result).substring(0, 150)}...`);
+      return JSON.stringify(result);
+    }
+    
+    // Summarize the best page if there's time left, otherwise use its description
+    const primary = fetchedPages[0];
+    let summary = null;
+    let keyPoints = [];
+    
+    if (remaining() > 2000) {
+      const processed = await processWithAI(primary.extracted, primary.url, {
+        maxLength: 6000,
+        summaryLength: '2-3 short sentences that can be read aloud',
+        keywords,
+        timeoutMs: remaining()
+      });
+      if (!processed.error) {
+        summary = processed.summary;
+        keyPoints = processed.keyPoints || [];
+      }
     }
     
+    const result = {
+      success: true,
+      query: query || null,
+      answer: truncateText(summary || fallbackSummary(primary.extracted), 600),
+      keyPoints: keyPoints.slice(0, 3).map(point => truncateText(point, 160)),
+      sources: fetchedPages.map(page => ({ title: page.extracted.title, url: page.url })),
+      ...(failures.length > 0 ? { failures } : {})
+    };
+    
     console.log(`📊 Result: ${JSON.stringify(result).substring(0, 150)}...`);
     console.log(`---------------------------\n`);
     
-    return result;
+    return JSON.stringify(result);
     
   } catch (error) {
     console.error(`❌ Web scraper error: ${error.message}`);
     console.log(`---------------------------\n`);
     
-    return {
+    return JSON.stringify({
       success: false,
-      error: error.message
-    };
+      error: error.message,
+      instructions: 'Tell the caller the web search did not work this time.'
+    });
   }
 }
+
+// Tool registrations
+toolRegistry.register({
+  name: 'getWeather',
+  description: 'Get the current weather forecast for a specific location and date',
+  parameters: {
+    type: 'object',
+    properties: {
+      location: {
+        type: 'string',
+        description: 'The city and state or country, e.g. San Francisco, CA or Paris, France'
+      },
+      date: {
+        type: 'string',
+        description: "The date for the forecast, e.g. 'today', 'tomorrow', or a specific date like '2023-07-15'. Optional, defaults to today."
+      }
+    },
+    required: ['location']
+  },
+  handler: getWeather,
+  timeoutMs: 10000
+});
+
+toolRegistry.register({
+  name: 'searchWeb',
+  description: 'Search for information on the web and extract relevant content from web pages',
+  parameters: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'Specific URL to scrape for information'
+      },
+      query: {
+        type: 'string',
+        description: 'Search query if no specific URL is provided'
+      },
+      keywords: {
+        type: 'array',
+        items: {
+          type: 'string'
+        },
+        description: 'Keywords to focus on when extracting content'
+      }
+    }
+  },
+  handler: searchWeb,
+  timeoutMs: SEARCH_WEB_BUDGET_MS + 5000,
+  concurrency: 3
+});
@@ -0,0 +1,336 @@
+// Warm transfers to a person
+// The Assistant's transferCall tool asks for the caller to be handed to a human. Once its
+// reply has been spoken the call is dialed to the on-call number (TRANSFER_NUMBER), or put
+// in a Twilio queue (TRANSFER_QUEUE) that staff pick calls up from. Whoever answers hears a
+// short summary of the call before being connected. If nobody answers, the caller can leave
+// a voicemail. Every step is kept on the conversation: its transfer field holds the latest
+// state and each step is stored as a transfer message.
+import express from 'express';
+import twilio from 'twilio';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { getVoiceProfile, phrase, say, sessionVoice } from './voice-profiles.js';
+
+const RING_SECONDS = Number(process.env.TRANSFER_RING_SECONDS || 25);
+const VOICEMAIL_MAX_SECONDS = Number(process.env.TRANSFER_VOICEMAIL_SECONDS || 120);
+const HOLD_AUDIO_URL = process.env.HOLD_AUDIO_URL;
+// Long enough for a sentence or two in the whisper
+const MAX_SUMMARY_CHARS = 300;
+
+// Dial and queue outcomes that mean a person took the call
+const CONNECTED_RESULTS = ['completed', 'answered', 'bridged'];
+
+/**
+ * Where transfers go
+ * @returns {Object|null} - { type: number, number } or { type: queue, queue }, or null when nobody is on call
+ */
+export function transferTarget() {
+  const number = normalizePhoneNumber(process.env.TRANSFER_NUMBER);
+  if (number) {
+    return { type: 'number', number };
+  }
+  if (process.env.TRANSFER_QUEUE) {
+    return { type: 'queue', queue: process.env.TRANSFER_QUEUE };
+  }
+  return null;
+}
+
+/**
+ * Record a step of a transfer on the conversation
+ * @param {Object} db - Storage backend
+ * @param {string} sessionId - Session ID
+ * @param {string} status - requested, dialing, connected, no_answer, voicemail, ...
+ * @param {string} content - What happened, for the conversation record
+ * @param {Object} details - Fields kept on the transfer and stored with the message
+ * @returns {Promise<Object|null>} - Updated transfer, or null when the conversation is gone
+ */
+async function recordTransfer(db, sessionId, status, content, details = {}) {
+  const conversation = await db.get('conversations', sessionId);
+  if (!conversation) {
+    console.warn(`⚠️ No conversation ${sessionId} to record the transfer on`);
+    return null;
+  }
+
+  const now = new Date();
+  const transfer = { ...conversation.transfer, ...details, status, updatedAt: now };
+  await db.appendToArray('conversations', sessionId, 'messages', {
+    timestamp: now,
+    type: 'transfer',
+    content,
+    status,
+    ...details
+  }, { transfer, updatedAt: now });
+  console.log(`📲 Transfer for ${sessionId}: ${status}`);
+  return transfer;
+}
+
+/**
+ * Register the transferCall tool with the Assistant's tool registry
+ * @param {Object} toolRegistry - Tool registry
+ * @param {Object} options - { db }
+ */
+export function registerTransferTool(toolRegistry, { db }) {
+  toolRegistry.register({
+    name: 'transferCall',
+    description: 'Transfer the phone call to a person. Use it when the caller asks for a human, or when you can\'t help with what they need.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Why the caller is being transferred, e.g. "asked for a person" or "billing dispute"'
+        },
+        summary: {
+          type: 'string',
+          description: 'One or two sentences for the person taking the call: who is calling and what they need'
+        }
+      },
+      required: ['reason', 'summary']
+    },
+    handler: async ({ reason, summary }, context = {}) => {
+      // Text and web chats have no call to transfer
+      if (!context.callSid || context.channel) {
+        return {
+          success: false,
+          error: 'Transfers only work on phone calls',
+          instructions: 'Tell the caller you can\'t put them through from here, and offer to pass on a message instead.'
+        };
+      }
+
+      const target = transferTarget();
+      if (!target) {
+        return {
+          success: false,
+          error: 'Nobody is on call for transfers',
+          instructions: 'Tell the caller nobody is available to take the call right now, and offer to pass on a message instead.'
+        };
+      }
+
+      const conversation = await db.get('conversations', context.sessionId);
+      if (['requested', 'dialing'].includes(conversation?.transfer?.status)) {
+        return { success: true, status: 'already_transferring' };
+      }
+
+      await recordTransfer(db, context.sessionId, 'requested', `Transfer requested: ${reason}`, {
+        reason,
+        summary: String(summary).slice(0, MAX_SUMMARY_CHARS),
+        target,
+        requestedAt: new Date()
+      });
+      return {
+        success: true,
+        status: 'transferring',
+        instructions: 'In one short sentence, tell the caller you are putting them through to a person now. Don\'t ask them anything else.'
+      };
+    },
+    timeoutMs: 5000
+  });
+}
+
+/**
+ * The transfer the Assistant asked for on this call, if it hasn't been dialed yet
+ * @param {Object} db - Storage backend
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Transfer, or null
+ */
+export async function requestedTransfer(db, sessionId) {
+  const conversation = await db.get('conversations', sessionId);
+  return conversation?.transfer?.status === 'requested' ? conversation.transfer : null;
+}
+
+/**
+ * Dial the transfer target, or put the caller in the transfer queue
+ * Twilio posts to /transfer/ended when the transfer is over or nobody answered.
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} transfer - Requested transfer
+ */
+export async function connectTransfer(db, twiml, sessionId, transfer) {
+  const { target } = transfer;
+  const action = `/transfer/ended?session=${sessionId}`;
+
+  if (target.type === 'queue') {
+    twiml.enqueue({ action, method: 'POST', waitUrl: `/transfer/hold?session=${sessionId}`, waitUrlMethod: 'POST' }, target.queue);
+  } else {
+    const dial = twiml.dial({ action, method: 'POST', timeout: RING_SECONDS });
+    // Played to whoever answers, before the caller is connected
+    dial.number({ url: `/transfer/whisper?session=${sessionId}`, method: 'POST' }, target.number);
+  }
+
+  await recordTransfer(db, sessionId, 'dialing', `Transferring to ${target.type === 'queue' ? `queue ${target.queue}` : target.number}`);
+}
+
+/**
+ * Create the router for transfer webhooks (mounted under /transfer)
+ * @param {Object} options - Router options
+ * @param {Object} options.db - Storage backend
+ * @param {Object} options.sessions - Call session store
+ * @returns {Object} - Express router
+ */
+export function createTransferRouter({ db, sessions }) {
+  const router = express.Router();
+
+  const sendTwiml = (res, twiml) => {
+    res.set('Content-Type', 'text/xml');
+    res.send(twiml.toString());
+  };
+
+  // The caller's voice, or the default once the session is gone
+  const callerVoice = async (sessionId) => sessionVoice(sessionId ? await sessions.get(sessionId) : null);
+
+  // Queue calls are whispered by the call being picked up, since the agent's side has no session
+  const findSessionId = async (req) => {
+    if (req.query.session) return req.query.session;
+    if (!req.body.CallSid) return null;
+    const [conversation] = await db.query('conversations', { where: [['callSid', '==', req.body.CallSid]] });
+    return conversation?.id || null;
+  };
+
+  // Whisper - played to the person who answers, before they're connected
+  router.post('/whisper', async (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    try {
+      const sessionId = await findSessionId(req);
+      const conversation = sessionId ? await db.get('conversations', sessionId) : null;
+      const transfer = conversation?.transfer;
+      if (transfer) {
+        const caller = conversation.messages?.find(message => message.caller)?.caller;
+        // Staff always hear the whisper in the deployment's voice
+        const voice = getVoiceProfile();
+        say(
+          twiml,
+          phrase(voice, 'transfer.whisper', {
+            caller: caller ? caller.replace(/\D/g, '').split('').join(' ') : phrase(voice, 'transfer.unknownNumber'),
+            reason: transfer.reason,
+            summary: transfer.summary
+          }),
+          voice
+        );
+        await recordTransfer(db, sessionId, 'connected', 'Summary announced, connecting the caller', {
+          answeredBy: req.body.To || req.body.From || null,
+          connectedAt: new Date()
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error announcing transfer:', error);
+    }
+    sendTwiml(res, twiml);
+  });
+
+  // Staff pick up the next queued transfer - point the on-call phone's voice URL here
+  router.post('/dequeue', (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const target = transferTarget();
+    if (target?.type !== 'queue') {
+      say(twiml, phrase(getVoiceProfile(), 'transfer.noQueue'));
+      twiml.hangup();
+      return sendTwiml(res, twiml);
+    }
+    twiml.dial().queue({ url: '/transfer/whisper', method: 'POST' }, target.queue);
+    sendTwiml(res, twiml);
+  });
+
+  // Queue hold - repeats until someone picks the call up, or leaves the queue after the ring time
+  router.post('/hold', async (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const waited = Number(req.body.QueueTime || 0);
+    if (waited >= RING_SECONDS) {
+      twiml.leave();
+      return sendTwiml(res, twiml);
+    }
+    if (waited < 5) {
+      const voice = await callerVoice(req.query.session);
+      say(twiml, phrase(voice, 'transfer.hold'), voice);
+    }
+    if (HOLD_AUDIO_URL) {
+      twiml.play(HOLD_AUDIO_URL);
+    } else {
+      twiml.pause({ length: 5 });
+    }
+    sendTwiml(res, twiml);
+  });
+
+  // <Dial>/<Enqueue> action - the transfer is over, or nobody answered
+  router.post('/ended', async (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const sessionId = req.query.session;
+    const result = req.body.DialCallStatus || req.body.QueueResult || 'unknown';
+
+    try {
+      if (CONNECTED_RESULTS.includes(result)) {
+        await recordTransfer(db, sessionId, 'completed', 'Transferred call ended', {
+          result,
+          durationSeconds: Number(req.body.DialCallDuration || req.body.QueueTime || 0) || null
+        });
+        twiml.hangup();
+        return sendTwiml(res, twiml);
+      }
+
+      if (req.body.CallStatus === 'completed' || result === 'hangup') {
+        await recordTransfer(db, sessionId, 'caller_hung_up', 'Caller hung up before the transfer was answered', { result });
+        return sendTwiml(res, twiml);
+      }
+
+      // Nobody took it - offer voicemail
+      await recordTransfer(db, sessionId, 'no_answer', `Transfer not answered (${result}), offering voicemail`, { result });
+      const voice = await callerVoice(sessionId);
+      say(twiml, phrase(voice, 'transfer.noAnswer'), voice);
+      twiml.record({
+        action: `/transfer/voicemail?session=${sessionId}`,
+        method: 'POST',
+        maxLength: VOICEMAIL_MAX_SECONDS,
+        finishOnKey: '#',
+        playBeep: true,
+        transcribe: true,
+        transcribeCallback: `/transfer/voicemail/transcription?session=${sessionId}`
+      });
+      // Only reached when nothing was recorded
+      say(twiml, phrase(voice, 'transfer.noMessage'), voice);
+      twiml.hangup();
+    } catch (error) {
+      console.error('❌ Error handling transfer outcome:', error);
+      say(twiml, phrase(getVoiceProfile(), 'transfer.error'));
+      twiml.hangup();
+    }
+    sendTwiml(res, twiml);
+  });
+
+  // <Record> action - the caller left a voicemail
+  router.post('/voicemail', async (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const sessionId = req.query.session;
+    try {
+      await recordTransfer(db, sessionId, 'voicemail', 'Caller left a voicemail', {
+        recordingUrl: req.body.RecordingUrl || null,
+        recordingSid: req.body.RecordingSid || null,
+        recordingSeconds: Number(req.body.RecordingDuration || 0)
+      });
+    } catch (error) {
+      console.error('❌ Error saving voicemail:', error);
+    }
+    const voice = await callerVoice(sessionId);
+    say(twiml, phrase(voice, 'transfer.voicemailThanks'), voice);
+    twiml.hangup();
+    sendTwiml(res, twiml);
+  });
+
+  // Voicemail transcription - arrives after the call has ended
+  router.post('/voicemail/transcription', async (req, res) => {
+    const sessionId = req.query.session;
+    try {
+      const conversation = await db.get('conversations', sessionId);
+      if (conversation?.transfer) {
+        const transcription = req.body.TranscriptionStatus === 'completed' ? req.body.TranscriptionText : null;
+        // Keep the voicemail status, only add the transcription
+        await recordTransfer(db, sessionId, conversation.transfer.status, transcription ? `Voicemail: ${transcription}` : 'Voicemail could not be transcribed', {
+          transcription
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error saving voicemail transcription:', error);
+    }
+    res.sendStatus(204);
+  });
+
+  return router;
+}
@@ -0,0 +1,366 @@
+// Caller authentication for inbound calls
+// Each known number has a profile in caller_profiles: allowed callers get the full assistant
+// (their thread, tasks and reminders), denied callers are rejected before the call is
+// answered and everyone else gets a limited guest mode. A profile can also require a PIN,
+// spoken or typed, before the assistant engages. Failed PINs are logged to audit_events and
+// lock the profile for a while after too many tries.
+import express from 'express';
+import crypto from 'crypto';
+import { toDate } from './functions/src/services/datastore.js';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { isValidTimezone } from './functions/src/utils/timezone.js';
+import { isApprover } from './approvals.js';
+import { gatherInput } from './keypad-menus.js';
+import { getVoiceProfile, hasVoiceProfile, phrase, say } from './voice-profiles.js';
+
+const PROFILES_COLLECTION = 'caller_profiles';
+// Wrong PINs allowed on one call before hanging up
+const MAX_PIN_ATTEMPTS_PER_CALL = Number(process.env.CALLER_PIN_ATTEMPTS_PER_CALL || 3);
+// Wrong PINs in a row (across calls) before the profile is locked
+const LOCKOUT_ATTEMPTS = Number(process.env.CALLER_PIN_LOCKOUT_ATTEMPTS || 5);
+const LOCKOUT_MINUTES = Number(process.env.CALLER_PIN_LOCKOUT_MINUTES || 15);
+
+const PIN_HINTS = 'zero, one, two, three, four, five, six, seven, eight, nine';
+const SPOKEN_DIGITS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', to: '2', too: '2', three: '3', four: '4', for: '4',
+  five: '5', six: '6', seven: '7', eight: '8', ate: '8', nine: '9'
+};
+
+/**
+ * Build an error carrying a code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code INVALID_CALLER_PROFILE
+ */
+function profileError(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_CALLER_PROFILE' });
+}
+
+/**
+ * Whether caller profiles are enforced (CALLER_AUTH=off treats every caller as allowed)
+ * @returns {boolean} - True when callers are checked
+ */
+export function callerAuthEnabled() {
+  return (process.env.CALLER_AUTH || 'profiles').toLowerCase() !== 'off';
+}
+
+/**
+ * Hash a PIN for storage
+ * @param {string} pin - 4 to 8 digits
+ * @returns {string} - scrypt$<salt>$<hash>
+ */
+export function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(pin), salt, 32).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a PIN against a stored hash
+ * @param {string} pin - PIN the caller gave
+ * @param {string} stored - Output of hashPin
+ * @returns {boolean} - True when the PIN matches
+ */
+export function verifyPin(pin, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || !pin) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(pin), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Read a PIN from keys or speech ("one two three four", "1 2 3 4")
+ * @param {Object} reply - { speech, digits }
+ * @returns {string} - Digits only (empty when nothing usable was given)
+ */
+export function pinFromReply({ speech, digits } = {}) {
+  if (digits) {
+    return String(digits).replace(/\D/g, '');
+  }
+  return String(speech || '')
+    .toLowerCase()
+    .split(/[\s,.-]+/)
+    .map(word => (/^\d+$/.test(word) ? word : SPOKEN_DIGITS[word] || ''))
+    .join('');
+}
+
+/**
+ * Profile as returned by the admin API - the PIN hash never leaves the server
+ * @param {Object} profile - Stored profile
+ * @returns {Object} - Profile without pinHash
+ */
+function publicProfile(profile) {
+  const { pinHash, ...rest } = profile;
+  return { ...rest, hasPin: Boolean(pinHash) };
+}
+
+/**
+ * Record an authentication event in audit_events
+ * @param {Object} db - Storage backend
+ * @param {string} type - caller_denied, caller_pin_failed, caller_locked_out, ...
+ * @param {Object} details - { phoneNumber, callSid, ... }
+ */
+export async function recordAuthEvent(db, type, details = {}) {
+  try {
+    await db.add('audit_events', { type, ...details, timestamp: new Date() });
+  } catch (error) {
+    console.error(`❌ Error recording ${type} event:`, error);
+  }
+}
+
+/**
+ * Get a caller's profile
+ * @param {Object} db - Storage backend
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Promise<Object|null>} - Profile, or null for unknown callers
+ */
+export async function getCallerProfile(db, phoneNumber) {
+  const key = normalizePhoneNumber(phoneNumber);
+  return key ? db.get(PROFILES_COLLECTION, key) : null;
+}
+
+/**
+ * Create or update a caller's profile
+ * @param {Object} db - Storage backend
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {Object} changes - { name, access: allow|deny, pin (null removes it), voiceProfile (null for the default), timezone, notes }
+ * @returns {Promise<Object>} - Saved profile (without the PIN hash)
+ */
+export async function saveCallerProfile(db, phoneNumber, changes = {}) {
+  const key = normalizePhoneNumber(phoneNumber);
+  if (!key) {
+    throw profileError(`Not a valid phone number: ${phoneNumber}`);
+  }
+  if (changes.access !== undefined && !['allow', 'deny'].includes(changes.access)) {
+    throw profileError('access must be "allow" or "deny"');
+  }
+  if (changes.pin !== undefined && changes.pin !== null && !/^\d{4,8}$/.test(String(changes.pin))) {
+    throw profileError('pin must be 4 to 8 digits');
+  }
+  if (changes.voiceProfile && !hasVoiceProfile(changes.voiceProfile)) {
+    throw profileError(`Unknown voice profile: ${changes.voiceProfile}`);
+  }
+  if (changes.timezone && !isValidTimezone(changes.timezone)) {
+    throw profileError(`Unknown timezone: ${changes.timezone} (expected e.g. America/New_York)`);
+  }
+
+  const now = new Date();
+  const existing = await db.get(PROFILES_COLLECTION, key);
+  const profile = {
+    phoneNumber: key,
+    name: null,
+    access: 'allow',
+    pinHash: null,
+    voiceProfile: null,
+    timezone: null,
+    notes: null,
+    failedPinAttempts: 0,
+    lockedUntil: null,
+    createdAt: now,
+    ...existing,
+    updatedAt: now
+  };
+  if (changes.name !== undefined) profile.name = changes.name || null;
+  if (changes.access !== undefined) profile.access = changes.access;
+  if (changes.voiceProfile !== undefined) profile.voiceProfile = changes.voiceProfile || null;
+  if (changes.timezone !== undefined) profile.timezone = changes.timezone || null;
+  if (changes.notes !== undefined) profile.notes = changes.notes || null;
+  if (changes.pin !== undefined) {
+    profile.pinHash = changes.pin === null ? null : hashPin(changes.pin);
+    profile.failedPinAttempts = 0;
+    profile.lockedUntil = null;
+  }
+  delete profile.id;
+
+  await db.set(PROFILES_COLLECTION, key, profile);
+  console.log(`🪪 Saved caller profile for ${key} (${profile.access}${profile.pinHash ? ', PIN' : ''})`);
+  return publicProfile({ id: key, ...profile });
+}
+
+/**
+ * Work out what a caller may do before the call is answered
+ * @param {Object} db - Storage backend
+ * @param {string} phoneNumber - The other party's number
+ * @param {Object} options - { inbound } - PINs are only asked of people calling in
+ * @returns {Promise<Object>} - { access: member|guest|verify|denied|locked, phoneNumber, profile }
+ */
+export async function resolveCallerAccess(db, phoneNumber, { inbound = true } = {}) {
+  const key = normalizePhoneNumber(phoneNumber);
+  if (!callerAuthEnabled()) {
+    return { access: 'member', phoneNumber: key, profile: null };
+  }
+  // Withheld or unusable caller ID
+  if (!key) {
+    return { access: 'guest', phoneNumber: null, profile: null };
+  }
+
+  const profile = await db.get(PROFILES_COLLECTION, key);
+  if (!profile) {
+    // Approvers are known callers even without a profile
+    return { access: isApprover(key) ? 'member' : 'guest', phoneNumber: key, profile: null };
+  }
+  if (profile.access === 'deny') {
+    return { access: 'denied', phoneNumber: key, profile };
+  }
+  if (profile.pinHash && inbound) {
+    const lockedUntil = toDate(profile.lockedUntil);
+    return { access: lockedUntil && lockedUntil > new Date() ? 'locked' : 'verify', phoneNumber: key, profile };
+  }
+  return { access: 'member', phoneNumber: key, profile };
+}
+
+/**
+ * Ask the caller for their PIN
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {string} prompt - What to say while listening (the voice profile's PIN prompt by default)
+ * @param {Object} voice - Voice profile
+ */
+export function askForPin(twiml, sessionId, prompt, voice = getVoiceProfile()) {
+  say(gatherInput(twiml, sessionId, { finishOnKey: '#', timeout: 8, hints: PIN_HINTS, voice }), prompt || phrase(voice, 'pin.ask'), voice);
+
+  // If no input, prompt again
+  twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+}
+
+/**
+ * Reprompt a caller who went quiet at the PIN prompt, then hang up
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} voice - Voice profile
+ */
+export function repromptPin(twiml, sessionId, voice = getVoiceProfile()) {
+  say(gatherInput(twiml, sessionId, { finishOnKey: '#', timeout: 8, hints: PIN_HINTS, voice }), phrase(voice, 'pin.reprompt'), voice);
+
+  say(twiml, phrase(voice, 'goodbye'), voice);
+  twiml.hangup();
+}
+
+/**
+ * Check the PIN a caller gave, counting failures towards a lockout
+ * @param {Object} db - Storage backend
+ * @param {string} phoneNumber - Caller's number
+ * @param {Object} reply - { speech, digits }
+ * @param {Object} options - { callSid, attempt } - attempt is the number of this try on the call
+ * @returns {Promise<Object>} - { ok, locked, retry } - retry means the caller may try again on this call
+ */
+export async function checkCallerPin(db, phoneNumber, reply, { callSid, attempt = 1 } = {}) {
+  const profile = await getCallerProfile(db, phoneNumber);
+  if (!profile?.pinHash) {
+    return { ok: false, locked: false, retry: false };
+  }
+
+  const lockedUntil = toDate(profile.lockedUntil);
+  if (lockedUntil && lockedUntil > new Date()) {
+    return { ok: false, locked: true, retry: false };
+  }
+
+  const now = new Date();
+  if (verifyPin(pinFromReply(reply), profile.pinHash)) {
+    await db.update(PROFILES_COLLECTION, profile.id, { failedPinAttempts: 0, lockedUntil: null, lastVerifiedAt: now });
+    console.log(`🔓 Caller ${profile.id} verified`);
+    return { ok: true, locked: false, retry: false };
+  }
+
+  const failedPinAttempts = (profile.failedPinAttempts || 0) + 1;
+  const locked = failedPinAttempts >= LOCKOUT_ATTEMPTS;
+  await db.update(PROFILES_COLLECTION, profile.id, {
+    failedPinAttempts: locked ? 0 : failedPinAttempts,
+    lockedUntil: locked ? new Date(now.getTime() + LOCKOUT_MINUTES * 60000) : null,
+    lastFailedAt: now
+  });
+  // The PIN itself is never logged
+  await recordAuthEvent(db, locked ? 'caller_locked_out' : 'caller_pin_failed', {
+    phoneNumber: profile.id,
+    callSid: callSid || null,
+    failedPinAttempts,
+    input: reply.digits ? 'dtmf' : 'speech'
+  });
+  console.warn(`🔒 Wrong PIN from ${profile.id} (${failedPinAttempts} in a row)${locked ? ` - locked for ${LOCKOUT_MINUTES} minutes` : ''}`);
+  return { ok: false, locked, retry: !locked && attempt < MAX_PIN_ATTEMPTS_PER_CALL };
+}
+
+/**
+ * Create the router for caller profiles (mounted under /admin/callers)
+ * @param {Object} options - Router options
+ * @param {Object} options.db - Storage backend
+ * @returns {Object} - Express router
+ */
+export function createCallerProfileRouter({ db }) {
+  const router = express.Router();
+
+  // List profiles, most recently updated first
+  router.get('/', async (req, res) => {
+    try {
+      const profiles = await db.query(PROFILES_COLLECTION, { orderBy: 'updatedAt', direction: 'desc' });
+      const access = req.query.access;
+      res.json({
+        success: true,
+        profiles: profiles.filter(profile => !access || profile.access === access).map(publicProfile)
+      });
+    } catch (error) {
+      console.error('❌ Error listing caller profiles:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Get one caller's profile
+  router.get('/:phoneNumber', async (req, res) => {
+    try {
+      const profile = await getCallerProfile(db, req.params.phoneNumber);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'No profile for this caller' });
+      }
+      res.json({ success: true, profile: publicProfile(profile) });
+    } catch (error) {
+      console.error('❌ Error getting caller profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Create or update a profile (name, access, pin, voiceProfile, timezone, notes)
+  router.put('/:phoneNumber', async (req, res) => {
+    try {
+      const profile = await saveCallerProfile(db, req.params.phoneNumber, req.body || {});
+      res.json({ success: true, profile });
+    } catch (error) {
+      if (error.code === 'INVALID_CALLER_PROFILE') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('❌ Error saving caller profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Clear a lockout after too many wrong PINs
+  router.post('/:phoneNumber/unlock', async (req, res) => {
+    try {
+      const profile = await getCallerProfile(db, req.params.phoneNumber);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'No profile for this caller' });
+      }
+      await db.update(PROFILES_COLLECTION, profile.id, { failedPinAttempts: 0, lockedUntil: null, updatedAt: new Date() });
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ Error unlocking caller profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Remove a profile - the number becomes a guest again
+  router.delete('/:phoneNumber', async (req, res) => {
+    try {
+      const profile = await getCallerProfile(db, req.params.phoneNumber);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'No profile for this caller' });
+      }
+      await db.delete(PROFILES_COLLECTION, profile.id);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ Error deleting caller profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,254 @@
+// Copywriter Agent for AI Taskforce
+// Turns scrape results into drafts (blog post, newsletter blurb, tweet thread, LinkedIn post)
+// with citations back to the sources. Every draft is sent to review as an approval task.
+import { OpenAI } from 'openai';
+import { FORMATS, TONES, LENGTHS, DEFAULT_FORMAT, DEFAULT_TONE, DEFAULT_LENGTH } from './templates.js';
+
+const DRAFTS_COLLECTION = 'drafts';
+const MODEL = process.env.COPYWRITER_MODEL || 'gpt-4o';
+// Source text sent to the model per source
+const MAX_SOURCE_CHARACTERS = 4000;
+
+// OpenAI client is created on first use so importing this module needs no API key
+let openai = null;
+
+const DRAFT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'parts', 'citedSources'],
+  properties: {
+    title: { type: 'string' },
+    parts: { type: 'array', items: { type: 'string' } },
+    citedSources: { type: 'array', items: { type: 'integer' } }
+  }
+};
+
+/**
+ * Gather the source material for a draft
+ * Accepts a Web Scraper result (scrapes), a ScraperAgent result (scrapedData) or a
+ * research result already in hand
+ * @param {Object} db - Storage backend
+ * @param {Object} input - One of { scrapeId }, { scrapedDataId } or { research }
+ * @returns {Promise<Object>} - { topic, sources: [{ title, url, summary, keyPoints }], sourceRef }
+ */
+export async function loadSourceMaterial(db, { scrapeId, scrapedDataId, research }) {
+  if (scrapeId) {
+    const scrape = await db.get('scrapes', scrapeId);
+    if (!scrape) {
+      throw new Error(`Scrape ${scrapeId} not found`);
+    }
+    if (!scrape.processed?.summary) {
+      throw new Error(`Scrape ${scrapeId} has no processed summary`);
+    }
+    return {
+      topic: scrape.query || scrape.raw?.title,
+      sources: [{
+        title: scrape.raw?.title || scrape.url,
+        url: scrape.url,
+        summary: scrape.processed.summary,
+        keyPoints: scrape.processed.keyPoints || []
+      }],
+      sourceRef: { type: 'scrape', id: scrapeId }
+    };
+  }
+
+  if (scrapedDataId) {
+    const scrapedData = await db.get('scrapedData', scrapedDataId);
+    if (!scrapedData) {
+      throw new Error(`Scraped data ${scrapedDataId} not found`);
+    }
+    const sources = (scrapedData.results || [])
+      .filter(result => result.success && result.mainContent)
+      .map(result => ({
+        title: result.title || result.url,
+        url: result.url,
+        summary: result.mainContent,
+        keyPoints: []
+      }));
+    if (sources.length === 0) {
+      throw new Error(`Scraped data ${scrapedDataId} has no successful results`);
+    }
+    return {
+      topic: sources[0].title,
+      sources,
+      sourceRef: { type: 'scrapedData', id: scrapedDataId }
+    };
+  }
+
+  if (research?.summary) {
+    return {
+      topic: research.query || research.title,
+      sources: [{
+        title: research.title || research.url,
+        url: research.url,
+        summary: research.summary,
+        keyPoints: research.keyPoints || []
+      }],
+      sourceRef: { type: 'research', id: research.id || null }
+    };
+  }
+
+  throw new Error('No source material - pass a scrapeId, scrapedDataId or research result');
+}
+
+/**
+ * Count words across the parts of a draft
+ * @param {Array<string>} parts - Draft parts
+ * @returns {number} - Word count
+ */
+function countWords(parts) {
+  return parts.join(' ').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Write one draft with the model
+ * @param {Object} material - Output of loadSourceMaterial
+ * @param {Object} options - Draft options
+ * @param {string} options.format - Key of FORMATS
+ * @param {string} options.tone - Key of TONES
+ * @param {string} options.length - short, medium or long
+ * @returns {Promise<Object>} - { title, parts, body, citations, wordCount, warnings, model }
+ */
+export async function writeDraft(material, { format = DEFAULT_FORMAT, tone = DEFAULT_TONE, length = DEFAULT_LENGTH } = {}) {
+  const template = FORMATS[format];
+  if (!template) {
+    throw new Error(`Unknown format: ${format} (expected one of ${Object.keys(FORMATS).join(', ')})`);
+  }
+  if (!TONES[tone]) {
+    throw new Error(`Unknown tone: ${tone} (expected one of ${Object.keys(TONES).join(', ')})`);
+  }
+  if (!LENGTHS.includes(length)) {
+    throw new Error(`Unknown length: ${length} (expected one of ${LENGTHS.join(', ')})`);
+  }
+
+  const [min, max] = template.lengths[length];
+  const sourceList = material.sources.map((source, index) => `[${index + 1}] ${source.title}
+URL: ${source.url}
+SUMMARY: ${source.summary.substring(0, MAX_SOURCE_CHARACTERS)}
+${source.keyPoints.length > 0 ? `KEY POINTS:\n${source.keyPoints.map(point => `- ${point}`).join('\n')}` : ''}`).join('\n\n');
+
+  if (!openai) {
+    openai = new OpenAI();
+  }
+
+  const completion = await openai.chat.completions.create({
+    model: MODEL,
+    messages: [
+      {
+        role: 'system',
+        content: `You are the Copywriter for the AI Agent Taskforce.
+${template.instructions}
+Length: ${min}-${max} ${template.unit}.
+Tone: ${TONES[tone]}
+Only use facts from the numbered sources. Mark each fact with its source number in square brackets, e.g. [1].
+List the source numbers you cited in citedSources.`
+      },
+      {
+        role: 'user',
+        content: `TOPIC: ${material.topic || 'See sources'}\n\nSOURCES:\n${sourceList}`
+      }
+    ],
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'draft', strict: true, schema: DRAFT_SCHEMA }
+    }
+  });
+
+  // Asking again won't change a refusal or a draft too long for the model's output, so the
+  // worker is told not to retry them
+  const { message, finish_reason: finishReason } = completion.choices[0];
+  if (message.refusal) {
+    throw Object.assign(new Error(`The model refused to write the ${format} draft: ${message.refusal}`), { code: 'DRAFT_REFUSED', retryable: false });
+  }
+  if (finishReason === 'length') {
+    throw Object.assign(new Error(`The ${format} draft was cut off at the model's output limit`), { code: 'DRAFT_TRUNCATED', retryable: false });
+  }
+
+  const draft = JSON.parse(message.content);
+  const parts = draft.parts.map(part => part.trim()).filter(Boolean);
+
+  // Cite what the model says it used, falling back to every source
+  const cited = [...new Set(draft.citedSources)].filter(number => material.sources[number - 1]);
+  const citations = (cited.length > 0 ? cited : material.sources.map((source, index) => index + 1))
+    .map(number => ({ number, title: material.sources[number - 1].title, url: material.sources[number - 1].url }));
+
+  // Flag drafts that miss the template so reviewers know to look closely
+  const warnings = [];
+  const size = template.unit === 'words' ? countWords(parts) : parts.length;
+  if (size < min * 0.8 || size > max * 1.2) {
+    warnings.push(`Expected ${min}-${max} ${template.unit}, got ${size}`);
+  }
+  if (template.maxPartCharacters) {
+    parts.forEach((part, index) => {
+      if (part.length > template.maxPartCharacters) {
+        warnings.push(`Part ${index + 1} is ${part.length} characters (limit ${template.maxPartCharacters})`);
+      }
+    });
+  }
+
+  return {
+    title: draft.title,
+    parts,
+    body: parts.join('\n\n'),
+    citations,
+    wordCount: countWords(parts),
+    warnings,
+    model: MODEL
+  };
+}
+
+/**
+ * Write drafts in one or more formats, store them and send each to review
+ * @param {Object} db - Storage backend
+ * @param {Object} material - Output of loadSourceMaterial
+ * @param {Object} options - Draft options
+ * @param {Array<string>} options.formats - Formats to write
+ * @param {string} options.tone - Tone for every draft
+ * @param {string} options.length - Length for every draft
+ * @param {string} options.requestedBy - What asked for the drafts (task ID, etc.)
+ * @returns {Promise<Array<Object>>} - [{ draftId, reviewTaskId, format, title }]
+ */
+export async function createDrafts(db, material, { formats = [DEFAULT_FORMAT], tone = DEFAULT_TONE, length = DEFAULT_LENGTH, requestedBy } = {}) {
+  const created = [];
+
+  for (const format of formats) {
+    console.log(`✍️ Copywriter writing a ${length} ${tone} ${FORMATS[format]?.label || format} about "${material.topic}"`);
+    const draft = await writeDraft(material, { format, tone, length });
+    const now = new Date();
+
+    const draftId = await db.add(DRAFTS_COLLECTION, {
+      ...draft,
+      format,
+      tone,
+      length,
+      topic: material.topic || null,
+      source: material.sourceRef,
+      sourceScrapeId: material.sourceRef.type === 'scrape' ? material.sourceRef.id : null,
+      requestedBy: requestedBy || null,
+      status: 'in_review',
+      createdAt: now,
+      updatedAt: now
+    });
+
+    // Drafts go through the same review queue as everything else
+    const reviewTaskId = await db.add('potential_tasks', {
+      type: 'approval',
+      agentType: 'project_manager',
+      source: 'copywriter',
+      sourceId: draftId,
+      sourceText: `Review the ${FORMATS[format].label} "${draft.title}"`,
+      parameters: { topic: draft.title },
+      draftId,
+      status: 'potential',
+      executionStatus: 'pending_review',
+      history: [{ event: 'created', to: 'potential', actor: 'copywriter', at: now }],
+      createdAt: now
+    });
+    await db.update(DRAFTS_COLLECTION, draftId, { reviewTaskId });
+
+    console.log(`✅ Draft ${draftId} sent to review as task ${reviewTaskId}`);
+    created.push({ draftId, reviewTaskId, format, title: draft.title });
+  }
+
+  return created;
+}
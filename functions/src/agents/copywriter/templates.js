@@ -0,0 +1,74 @@
+// Copywriter formats, tones and lengths
+// Each format says how to structure the draft and how long each length should be;
+// "parts" are the pieces the model returns (paragraphs, or tweets for a thread)
+
+export const FORMATS = {
+  blog_post: {
+    label: 'blog post',
+    instructions: 'Write a blog post with a headline, a short hook, a few sections with markdown "##" subheadings and a closing takeaway. Each part is one section or paragraph.',
+    unit: 'words',
+    lengths: {
+      short: [400, 600],
+      medium: [800, 1000],
+      long: [1400, 1800]
+    }
+  },
+  newsletter_blurb: {
+    label: 'newsletter blurb',
+    instructions: 'Write a newsletter blurb: a punchy title, one or two short paragraphs and a one-line call to read more. Each part is one paragraph.',
+    unit: 'words',
+    lengths: {
+      short: [60, 90],
+      medium: [100, 150],
+      long: [180, 250]
+    }
+  },
+  tweet_thread: {
+    label: 'tweet thread',
+    instructions: 'Write a tweet thread. The first tweet hooks the reader, each later tweet makes one point, the last tweet sums up. Each part is one tweet of at most 280 characters, numbered like "1/".',
+    unit: 'tweets',
+    maxPartCharacters: 280,
+    lengths: {
+      short: [3, 4],
+      medium: [5, 7],
+      long: [8, 12]
+    }
+  },
+  linkedin_post: {
+    label: 'LinkedIn post',
+    instructions: 'Write a LinkedIn post: a strong first line, short paragraphs with line breaks, a takeaway and a question to invite comments. No more than three hashtags at the end. Each part is one paragraph.',
+    unit: 'words',
+    lengths: {
+      short: [80, 150],
+      medium: [150, 250],
+      long: [250, 400]
+    }
+  }
+};
+
+export const TONES = {
+  professional: 'Clear, confident and businesslike. No slang.',
+  conversational: 'Warm and plain-spoken, like explaining it to a friend. Short sentences.',
+  enthusiastic: 'Upbeat and energetic without overselling. Active verbs.',
+  authoritative: 'Expert and precise. Back claims with the sources.',
+  witty: 'Light and clever, with a touch of humour that never gets in the way of the facts.'
+};
+
+export const LENGTHS = ['short', 'medium', 'long'];
+
+export const DEFAULT_FORMAT = 'blog_post';
+export const DEFAULT_TONE = 'professional';
+export const DEFAULT_LENGTH = 'medium';
+
+/**
+ * Pick the format that fits a platform the caller named
+ * @param {string} platform - e.g. "twitter", "LinkedIn", "newsletter"
+ * @returns {string} - Format name
+ */
+export function formatForPlatform(platform) {
+  const name = String(platform || '').toLowerCase();
+  if (/twitter|tweet|\bx\b/.test(name)) return 'tweet_thread';
+  if (/linkedin/.test(name)) return 'linkedin_post';
+  if (/newsletter|email/.test(name)) return 'newsletter_blurb';
+  return DEFAULT_FORMAT;
+}
@@ -0,0 +1,345 @@
+// Graphic Designer Agent for AI Taskforce
+// Fills SVG templates with Copywriter drafts or scrape results, rasterizes them to PNG
+// locally and stores them with the shared file storage. Every set of graphics is sent
+// to review as an approval task, the same way drafts are.
+import fs from 'fs';
+import axios from 'axios';
+import { Resvg } from '@resvg/resvg-js';
+import { SIZES, TEMPLATES } from './templates.js';
+import { uploadFile } from '../../services/storage.js';
+
+const GRAPHICS_COLLECTION = 'graphics';
+const BRAND_KITS_COLLECTION = 'brand_kits';
+export const DEFAULT_WORKSPACE = process.env.DEFAULT_WORKSPACE || 'default';
+export const DEFAULT_TEMPLATES = ['title', 'quote', 'stat'];
+export const DEFAULT_SIZE = 'square';
+const MAX_CAROUSEL_SLIDES = 8;
+
+export const DEFAULT_BRAND_KIT = {
+  fonts: {
+    heading: 'DejaVu Sans',
+    body: 'DejaVu Sans',
+    // Extra .ttf/.otf files to load (paths on this machine)
+    files: []
+  },
+  colors: {
+    background: '#0f172a',
+    surface: '#334155',
+    primary: '#38bdf8',
+    accent: '#f59e0b',
+    text: '#f8fafc',
+    mutedText: '#94a3b8'
+  },
+  // { url } or { path } of a PNG, JPEG or SVG
+  logo: null,
+  handle: ''
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Logos are fetched once per process
+const logoCache = new Map();
+
+/**
+ * Get a workspace's brand kit, filled in with the defaults
+ * @param {Object} db - Storage backend
+ * @param {string} workspace - Workspace ID
+ * @returns {Promise<Object>} - Brand kit
+ */
+export async function getBrandKit(db, workspace = DEFAULT_WORKSPACE) {
+  const saved = await db.get(BRAND_KITS_COLLECTION, workspace) || {};
+  return {
+    workspace,
+    fonts: { ...DEFAULT_BRAND_KIT.fonts, ...saved.fonts },
+    colors: { ...DEFAULT_BRAND_KIT.colors, ...saved.colors },
+    logo: saved.logo ?? DEFAULT_BRAND_KIT.logo,
+    handle: saved.handle ?? DEFAULT_BRAND_KIT.handle
+  };
+}
+
+/**
+ * Save (part of) a workspace's brand kit
+ * @param {Object} db - Storage backend
+ * @param {string} workspace - Workspace ID
+ * @param {Object} changes - { fonts, colors, logo, handle }
+ * @returns {Promise<Object>} - The merged brand kit
+ */
+export async function saveBrandKit(db, workspace, { fonts, colors, logo, handle } = {}) {
+  const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_BRAND_KIT' });
+
+  for (const [name, value] of Object.entries(colors || {})) {
+    if (!(name in DEFAULT_BRAND_KIT.colors)) {
+      throw invalid(`Unknown color "${name}" (expected ${Object.keys(DEFAULT_BRAND_KIT.colors).join(', ')})`);
+    }
+    if (!HEX_COLOR.test(value)) {
+      throw invalid(`Color "${name}" must be a hex color like #1a2b3c`);
+    }
+  }
+  if (fonts?.files && !Array.isArray(fonts.files)) {
+    throw invalid('fonts.files must be a list of font file paths');
+  }
+  if (logo && !logo.url && !logo.path) {
+    throw invalid('logo needs a url or a path');
+  }
+
+  const existing = await db.get(BRAND_KITS_COLLECTION, workspace) || {};
+  const updated = {
+    fonts: { ...existing.fonts, ...fonts },
+    colors: { ...existing.colors, ...colors },
+    logo: logo === undefined ? existing.logo ?? null : logo,
+    handle: handle === undefined ? existing.handle ?? '' : handle,
+    updatedAt: new Date()
+  };
+  await db.set(BRAND_KITS_COLLECTION, workspace, updated);
+  logoCache.delete(workspace);
+  return getBrandKit(db, workspace);
+}
+
+/**
+ * Load a brand kit's logo as a data URI so the SVG has no external references
+ * @param {Object} brandKit - Brand kit
+ * @returns {Promise<string|null>} - Data URI, or null when there is no usable logo
+ */
+async function loadLogo(brandKit) {
+  if (!brandKit.logo) return null;
+  if (logoCache.has(brandKit.workspace)) return logoCache.get(brandKit.workspace);
+
+  let dataUri = null;
+  try {
+    const source = brandKit.logo.url || brandKit.logo.path;
+    const data = brandKit.logo.url
+      ? Buffer.from((await axios.get(brandKit.logo.url, { responseType: 'arraybuffer', timeout: 10000 })).data)
+      : await fs.promises.readFile(brandKit.logo.path);
+    const type = /\.svg$/i.test(source) ? 'image/svg+xml' : /\.jpe?g$/i.test(source) ? 'image/jpeg' : 'image/png';
+    dataUri = `data:${type};base64,${data.toString('base64')}`;
+  } catch (error) {
+    // A missing logo shouldn't stop the graphics
+    console.warn(`⚠️ Could not load logo for workspace ${brandKit.workspace}: ${error.message}`);
+  }
+
+  logoCache.set(brandKit.workspace, dataUri);
+  return dataUri;
+}
+
+/**
+ * Rasterize an SVG to PNG with the brand kit's fonts
+ * @param {string} svg - SVG document
+ * @param {Object} brandKit - Brand kit
+ * @returns {Buffer} - PNG data
+ */
+export function rasterize(svg, brandKit) {
+  const resvg = new Resvg(svg, {
+    font: {
+      loadSystemFonts: true,
+      fontFiles: brandKit.fonts.files || [],
+      defaultFontFamily: brandKit.fonts.body
+    }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Render one template to SVG and PNG
+ * @param {string} template - Key of TEMPLATES
+ * @param {Object} content - Template content
+ * @param {Object} options - { size, brandKit }
+ * @returns {Promise<Object>} - { svg, png, width, height }
+ */
+export async function renderGraphic(template, content, { size = DEFAULT_SIZE, brandKit }) {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown template: ${template} (expected one of ${Object.keys(TEMPLATES).join(', ')})`);
+  }
+  const dimensions = SIZES[size];
+  if (!dimensions) {
+    throw new Error(`Unknown size: ${size} (expected one of ${Object.keys(SIZES).join(', ')})`);
+  }
+
+  const kit = { ...brandKit, logoDataUri: await loadLogo(brandKit) };
+  const svg = TEMPLATES[template](content, dimensions, kit);
+  return { svg, png: rasterize(svg, kit), ...dimensions };
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text
+ * @returns {Array<string>} - Sentences
+ */
+function sentences(text) {
+  return String(text || '')
+    .replace(/\s*\[\d+\]/g, '')
+    .replace(/^#+\s*/gm, '')
+    .split(/(?<=[.!?])\s+/)
+    // Drop list and thread numbering ("1.", "2/")
+    .map(sentence => sentence.trim().replace(/^\d+[/.)]\s+/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Gather template content from a Copywriter draft or a Web Scraper result
+ * @param {Object} db - Storage backend
+ * @param {Object} input - One of { draftId }, { scrapeId } or { content }
+ * @returns {Promise<Object>} - { title, points, sourceTitle, sourceRef }
+ */
+export async function loadDesignMaterial(db, { draftId, scrapeId, content }) {
+  if (draftId) {
+    const draft = await db.get('drafts', draftId);
+    if (!draft) {
+      throw new Error(`Draft ${draftId} not found`);
+    }
+    return {
+      title: draft.title,
+      points: (draft.parts || []).flatMap(sentences),
+      sourceTitle: draft.citations?.[0]?.title || null,
+      sourceRef: { type: 'draft', id: draftId }
+    };
+  }
+
+  if (scrapeId) {
+    const scrape = await db.get('scrapes', scrapeId);
+    if (!scrape) {
+      throw new Error(`Scrape ${scrapeId} not found`);
+    }
+    if (!scrape.processed?.summary) {
+      throw new Error(`Scrape ${scrapeId} has no processed summary`);
+    }
+    return {
+      title: scrape.raw?.title || scrape.query || scrape.url,
+      points: [...(scrape.processed.keyPoints || []), ...sentences(scrape.processed.summary)],
+      sourceTitle: scrape.raw?.title || scrape.url,
+      sourceRef: { type: 'scrape', id: scrapeId }
+    };
+  }
+
+  if (content?.title) {
+    return {
+      title: content.title,
+      points: content.points || [],
+      sourceTitle: content.sourceTitle || null,
+      sourceRef: { type: 'content', id: null }
+    };
+  }
+
+  throw new Error('No design material - pass a draftId, scrapeId or content with a title');
+}
+
+/**
+ * Find a number worth putting on a stat card
+ * @param {Array<string>} points - Candidate sentences
+ * @returns {Object|null} - { value, label }
+ */
+export function findStat(points) {
+  const pattern = /\$?\d[\d,]*(?:\.\d+)?(?:\s?(?:%|percent\b|x\b|million\b|billion\b|thousand\b))?/gi;
+  const candidates = points.flatMap(point => (point.match(pattern) || [])
+    // Years make poor stats
+    .filter(value => !/^(19|20)\d\d$/.test(value))
+    .map(value => ({ value: value.replace(/\s?percent$/i, '%'), label: point })));
+
+  // Percentages, money and large amounts read better than bare numbers
+  return candidates.find(candidate => /[%$]|[a-z]$/i.test(candidate.value)) || candidates[0] || null;
+}
+
+/**
+ * Build the content for each requested template
+ * Templates the material can't fill (e.g. a stat card with no numbers) are skipped
+ * @param {Object} material - Output of loadDesignMaterial
+ * @param {Array<string>} templates - Template keys
+ * @returns {Array<Object>} - [{ template, content }]
+ */
+export function planGraphics(material, templates) {
+  const planned = [];
+  const points = material.points.filter(point => point.length > 20);
+
+  for (const template of templates) {
+    switch (template) {
+      case 'title':
+        planned.push({ template, content: { title: material.title, subtitle: points[0] || null } });
+        break;
+      case 'quote': {
+        // Prefer a sentence short enough to read at a glance
+        const quote = points.find(point => point.length <= 160) || points[0];
+        if (quote) planned.push({ template, content: { quote, attribution: material.sourceTitle } });
+        break;
+      }
+      case 'stat': {
+        const stat = findStat(points);
+        if (stat) planned.push({ template, content: { ...stat, source: material.sourceTitle } });
+        break;
+      }
+      case 'carousel_slide': {
+        const slides = points.slice(0, MAX_CAROUSEL_SLIDES - 1);
+        const total = slides.length + 1;
+        planned.push({ template, content: { heading: material.title, body: null, index: 1, total } });
+        slides.forEach((point, index) => {
+          planned.push({ template, content: { heading: `${index + 1}.`, body: point, index: index + 2, total } });
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown template: ${template} (expected one of ${Object.keys(TEMPLATES).join(', ')})`);
+    }
+  }
+
+  return planned;
+}
+
+/**
+ * Render graphics for some material, store them and send them to review
+ * @param {Object} db - Storage backend
+ * @param {Object} material - Output of loadDesignMaterial
+ * @param {Object} options - Design options
+ * @param {Array<string>} options.templates - Templates to render
+ * @param {string} options.size - square, landscape or portrait
+ * @param {string} options.workspace - Workspace whose brand kit to use
+ * @param {string} options.requestedBy - What asked for the graphics (task ID, etc.)
+ * @returns {Promise<Object>} - { graphicId, reviewTaskId, images }
+ */
+export async function createGraphics(db, material, { templates = DEFAULT_TEMPLATES, size = DEFAULT_SIZE, workspace = DEFAULT_WORKSPACE, requestedBy } = {}) {
+  const brandKit = await getBrandKit(db, workspace);
+  const planned = planGraphics(material, templates);
+  if (planned.length === 0) {
+    throw new Error(`Nothing to design for "${material.title}" with templates ${templates.join(', ')}`);
+  }
+
+  console.log(`🎨 Graphic Designer rendering ${planned.length} ${size} graphic(s) for "${material.title}"`);
+  const now = new Date();
+  const graphicId = await db.add(GRAPHICS_COLLECTION, {
+    title: material.title,
+    templates,
+    size,
+    workspace,
+    source: material.sourceRef,
+    requestedBy: requestedBy || null,
+    status: 'rendering',
+    images: [],
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const images = [];
+  for (const [index, { template, content }] of planned.entries()) {
+    const { svg, png, width, height } = await renderGraphic(template, content, { size, brandKit });
+    const basePath = `graphics/${graphicId}/${template}-${index + 1}`;
+    const url = await uploadFile(png, `${basePath}.png`, { contentType: 'image/png' });
+    const svgUrl = await uploadFile(svg, `${basePath}.svg`, { contentType: 'image/svg+xml' });
+    images.push({ template, url, svgUrl, width, height });
+  }
+
+  // Graphics go through the same review queue as drafts
+  const reviewTaskId = await db.add('potential_tasks', {
+    type: 'approval',
+    agentType: 'project_manager',
+    source: 'graphic_designer',
+    sourceId: graphicId,
+    sourceText: `Review ${images.length} graphic(s) for "${material.title}"`,
+    parameters: { topic: material.title },
+    graphicId,
+    status: 'potential',
+    executionStatus: 'pending_review',
+    history: [{ event: 'created', to: 'potential', actor: 'graphic_designer', at: now }],
+    createdAt: now
+  });
+  await db.update(GRAPHICS_COLLECTION, graphicId, { images, status: 'in_review', reviewTaskId, updatedAt: new Date() });
+
+  console.log(`✅ Graphics ${graphicId} sent to review as task ${reviewTaskId}`);
+  return { graphicId, reviewTaskId, images };
+}
@@ -0,0 +1,277 @@
+// SVG templates for social images: title card, quote, stat card and carousel slide
+// SVG has no automatic text wrapping, so text is wrapped and sized here using an
+// average glyph width; each template returns a complete SVG document
+
+export const SIZES = {
+  square: { width: 1080, height: 1080 },
+  landscape: { width: 1200, height: 630 },
+  portrait: { width: 1080, height: 1350 }
+};
+
+// Average glyph width as a fraction of the font size (close enough for sans-serif fonts)
+const CHARACTER_WIDTH = { normal: 0.56, bold: 0.68 };
+const LINE_HEIGHT = 1.2;
+
+/**
+ * Escape text for use inside SVG
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Break text into lines that fit a width at a font size
+ * @param {string} text - Text to wrap
+ * @param {number} fontSize - Font size in pixels
+ * @param {number} maxWidth - Available width in pixels
+ * @param {string} weight - normal or bold
+ * @returns {Array<string>} - Lines
+ */
+export function wrapText(text, fontSize, maxWidth, weight = 'normal') {
+  const maxCharacters = Math.max(Math.floor(maxWidth / (fontSize * CHARACTER_WIDTH[weight])), 1);
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxCharacters) {
+      line = candidate;
+    } else {
+      if (line) lines.push(line);
+      line = word.length > maxCharacters ? `${word.substring(0, maxCharacters - 1)}…` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Pick the largest font size (down to a minimum) at which text fits in a box
+ * Text that still doesn't fit at the minimum size is cut off with an ellipsis
+ * @param {string} text - Text to fit
+ * @param {Object} box - { maxWidth, maxHeight, maxSize, minSize, weight }
+ * @returns {Object} - { fontSize, lines }
+ */
+export function fitText(text, { maxWidth, maxHeight, maxSize, minSize, weight = 'normal' }) {
+  for (let fontSize = maxSize; fontSize >= minSize; fontSize -= 4) {
+    const lines = wrapText(text, fontSize, maxWidth, weight);
+    if (lines.length * fontSize * LINE_HEIGHT <= maxHeight) {
+      return { fontSize, lines };
+    }
+  }
+
+  const maxLines = Math.max(Math.floor(maxHeight / (minSize * LINE_HEIGHT)), 1);
+  const lines = wrapText(text, minSize, maxWidth, weight);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/[\s.,;:]+$/, '')}…`;
+  }
+  return { fontSize: minSize, lines };
+}
+
+/**
+ * Render wrapped lines as an SVG text element
+ * @param {Array<string>} lines - Lines of text
+ * @param {Object} options - { x, y, fontSize, fontFamily, fill, weight, anchor }
+ * @returns {string} - SVG markup
+ */
+function textBlock(lines, { x, y, fontSize, fontFamily, fill, weight = 'normal', anchor = 'start' }) {
+  const spans = lines.map((line, index) =>
+    `<tspan x="${x}" dy="${index === 0 ? 0 : Math.round(fontSize * LINE_HEIGHT)}">${escapeXml(line)}</tspan>`
+  ).join('');
+  return `<text x="${x}" y="${y}" font-family="${escapeXml(fontFamily)}" font-size="${fontSize}" font-weight="${weight}" fill="${fill}" text-anchor="${anchor}">${spans}</text>`;
+}
+
+/**
+ * Shared frame: background, accent bar and footer with logo and handle
+ * @param {Object} size - { width, height }
+ * @param {Object} brandKit - Brand kit
+ * @param {string} content - Inner SVG markup
+ * @returns {string} - SVG document
+ */
+function frame({ width, height }, brandKit, content) {
+  const { colors, fonts, logoDataUri, handle } = brandKit;
+  const margin = Math.round(width * 0.07);
+  const footerY = height - margin;
+  const logoSize = Math.round(height * 0.07);
+
+  const logo = logoDataUri
+    ? `<image href="${logoDataUri}" x="${margin}" y="${footerY - logoSize}" width="${logoSize}" height="${logoSize}" preserveAspectRatio="xMidYMid meet"/>`
+    : '';
+  const handleText = handle
+    ? textBlock([handle], {
+      x: width - margin,
+      y: footerY - logoSize / 3,
+      fontSize: Math.round(height * 0.03),
+      fontFamily: fonts.body,
+      fill: colors.mutedText,
+      anchor: 'end'
+    })
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="${width}" height="${height}" fill="${colors.background}"/>
+<rect x="0" y="0" width="${Math.round(width * 0.015)}" height="${height}" fill="${colors.accent}"/>
+${content}
+${logo}
+${handleText}
+</svg>`;
+}
+
+/**
+ * Layout measurements shared by the templates
+ * @param {Object} size - { width, height }
+ * @returns {Object} - { margin, innerWidth, top, bottom }
+ */
+function layout({ width, height }) {
+  const margin = Math.round(width * 0.07);
+  return {
+    margin,
+    innerWidth: width - margin * 2,
+    top: margin,
+    // Leave room for the footer
+    bottom: height - margin - Math.round(height * 0.12)
+  };
+}
+
+/**
+ * Small uppercase label above the main text
+ * @param {string} text - Label text
+ * @param {Object} position - { x, y, height }
+ * @param {Object} brandKit - Brand kit
+ * @returns {string} - SVG markup
+ */
+function eyebrow(text, { x, y, height }, brandKit) {
+  if (!text) return '';
+  return textBlock([String(text).toUpperCase()], {
+    x,
+    y,
+    fontSize: Math.round(height * 0.028),
+    fontFamily: brandKit.fonts.body,
+    fill: brandKit.colors.accent,
+    weight: 'bold'
+  });
+}
+
+export const TEMPLATES = {
+  /**
+   * Title card - { title, eyebrow, subtitle }
+   */
+  title(content, size, brandKit) {
+    const { margin, innerWidth, top, bottom } = layout(size);
+    const titleTop = top + size.height * 0.12;
+    const subtitleHeight = content.subtitle ? size.height * 0.14 : 0;
+    const title = fitText(content.title, {
+      maxWidth: innerWidth,
+      maxHeight: bottom - titleTop - subtitleHeight,
+      maxSize: Math.round(size.height * 0.09),
+      minSize: Math.round(size.height * 0.045),
+      weight: 'bold'
+    });
+    const titleBottom = titleTop + title.lines.length * title.fontSize * LINE_HEIGHT;
+
+    const subtitle = content.subtitle
+      ? fitText(content.subtitle, { maxWidth: innerWidth, maxHeight: subtitleHeight, maxSize: Math.round(size.height * 0.035), minSize: Math.round(size.height * 0.025) })
+      : null;
+
+    return frame(size, brandKit, [
+      eyebrow(content.eyebrow, { x: margin, y: top + size.height * 0.04, height: size.height }, brandKit),
+      textBlock(title.lines, { x: margin, y: titleTop + title.fontSize, fontSize: title.fontSize, fontFamily: brandKit.fonts.heading, fill: brandKit.colors.text, weight: 'bold' }),
+      subtitle ? textBlock(subtitle.lines, { x: margin, y: titleBottom + subtitle.fontSize * 1.8, fontSize: subtitle.fontSize, fontFamily: brandKit.fonts.body, fill: brandKit.colors.mutedText }) : ''
+    ].join('\n'));
+  },
+
+  /**
+   * Quote card - { quote, attribution }
+   */
+  quote(content, size, brandKit) {
+    const { margin, innerWidth, top, bottom } = layout(size);
+    const markSize = Math.round(size.height * 0.2);
+    const quoteTop = top + markSize * 0.8;
+    const quote = fitText(content.quote, {
+      maxWidth: innerWidth,
+      maxHeight: bottom - quoteTop - size.height * 0.08,
+      maxSize: Math.round(size.height * 0.06),
+      minSize: Math.round(size.height * 0.035)
+    });
+    const quoteBottom = quoteTop + quote.lines.length * quote.fontSize * LINE_HEIGHT;
+
+    return frame(size, brandKit, [
+      textBlock(['“'], { x: margin, y: top + markSize * 0.75, fontSize: markSize, fontFamily: brandKit.fonts.heading, fill: brandKit.colors.primary, weight: 'bold' }),
+      textBlock(quote.lines, { x: margin, y: quoteTop + quote.fontSize, fontSize: quote.fontSize, fontFamily: brandKit.fonts.heading, fill: brandKit.colors.text }),
+      content.attribution
+        ? textBlock([`— ${content.attribution}`], { x: margin, y: quoteBottom + size.height * 0.06, fontSize: Math.round(size.height * 0.03), fontFamily: brandKit.fonts.body, fill: brandKit.colors.mutedText })
+        : ''
+    ].join('\n'));
+  },
+
+  /**
+   * Stat card - { value, label, source }
+   */
+  stat(content, size, brandKit) {
+    const { margin, innerWidth, top, bottom } = layout(size);
+    const value = fitText(content.value, {
+      maxWidth: innerWidth,
+      maxHeight: size.height * 0.3,
+      maxSize: Math.round(size.height * 0.24),
+      minSize: Math.round(size.height * 0.1),
+      weight: 'bold'
+    });
+    const valueBottom = top + size.height * 0.08 + value.lines.length * value.fontSize * LINE_HEIGHT;
+    const label = fitText(content.label, {
+      maxWidth: innerWidth,
+      maxHeight: bottom - valueBottom - size.height * 0.06,
+      maxSize: Math.round(size.height * 0.05),
+      minSize: Math.round(size.height * 0.03)
+    });
+    const labelBottom = valueBottom + label.lines.length * label.fontSize * LINE_HEIGHT;
+
+    return frame(size, brandKit, [
+      textBlock(value.lines, { x: margin, y: top + size.height * 0.08 + value.fontSize * 0.85, fontSize: value.fontSize, fontFamily: brandKit.fonts.heading, fill: brandKit.colors.primary, weight: 'bold' }),
+      textBlock(label.lines, { x: margin, y: valueBottom + label.fontSize, fontSize: label.fontSize, fontFamily: brandKit.fonts.body, fill: brandKit.colors.text }),
+      content.source
+        ? textBlock([`Source: ${content.source}`], { x: margin, y: labelBottom + size.height * 0.05, fontSize: Math.round(size.height * 0.022), fontFamily: brandKit.fonts.body, fill: brandKit.colors.mutedText })
+        : ''
+    ].join('\n'));
+  },
+
+  /**
+   * Carousel slide - { heading, body, index, total }
+   */
+  carousel_slide(content, size, brandKit) {
+    const { margin, innerWidth, top, bottom } = layout(size);
+    const counterSize = Math.round(size.height * 0.03);
+    const headingTop = top + size.height * 0.1;
+    const heading = fitText(content.heading, {
+      maxWidth: innerWidth,
+      maxHeight: size.height * 0.25,
+      maxSize: Math.round(size.height * 0.07),
+      minSize: Math.round(size.height * 0.04),
+      weight: 'bold'
+    });
+    const headingBottom = headingTop + heading.lines.length * heading.fontSize * LINE_HEIGHT;
+    const body = content.body
+      ? fitText(content.body, { maxWidth: innerWidth, maxHeight: bottom - headingBottom - size.height * 0.05, maxSize: Math.round(size.height * 0.04), minSize: Math.round(size.height * 0.026) })
+      : null;
+
+    // Progress dots along the bottom edge
+    const dotRadius = Math.round(size.height * 0.007);
+    const dots = Array.from({ length: content.total || 0 }, (_, index) =>
+      `<circle cx="${margin + index * dotRadius * 4}" cy="${bottom + size.height * 0.04}" r="${dotRadius}" fill="${index + 1 === content.index ? brandKit.colors.primary : brandKit.colors.surface}"/>`
+    ).join('');
+
+    return frame(size, brandKit, [
+      textBlock([`${content.index}/${content.total}`], { x: margin, y: top + counterSize, fontSize: counterSize, fontFamily: brandKit.fonts.body, fill: brandKit.colors.accent, weight: 'bold' }),
+      textBlock(heading.lines, { x: margin, y: headingTop + heading.fontSize, fontSize: heading.fontSize, fontFamily: brandKit.fonts.heading, fill: brandKit.colors.text, weight: 'bold' }),
+      body ? textBlock(body.lines, { x: margin, y: headingBottom + body.fontSize * 1.6, fontSize: body.fontSize, fontFamily: brandKit.fonts.body, fill: brandKit.colors.mutedText }) : '',
+      dots
+    ].join('\n'));
+  }
+};
@@ -0,0 +1,150 @@
+// Project Manager Agent for AI Taskforce
+// Owns the approval queue: summarizes pending approval tasks so they can be read out on a
+// call, turns an approver's reply into a decision and, once an approval runs on the
+// worker, marks the reviewed draft, graphics or post approved.
+import { approvePost } from '../social-media-manager/manager.js';
+import { PLATFORMS } from '../social-media-manager/platforms.js';
+import { FORMATS } from '../copywriter/templates.js';
+import { toDate } from '../../services/datastore.js';
+import { DEFAULT_TIMEZONE } from '../../utils/timezone.js';
+
+// Characters of a draft or post read out in a summary
+const MAX_EXCERPT_CHARACTERS = 200;
+
+// Keypad choices while reviewing an item
+export const APPROVAL_KEYS = {
+  1: 'approve',
+  2: 'reject',
+  3: 'skip',
+  9: 'repeat'
+};
+
+/**
+ * Pending approval tasks, oldest first
+ * @param {Object} db - Storage backend
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} - Approval tasks
+ */
+export async function loadApprovalQueue(db, { limit = 10 } = {}) {
+  const pending = await db.query('potential_tasks', { where: [['status', '==', 'potential']] });
+  return pending
+    .filter(task => task.type === 'approval')
+    .sort((a, b) => (toDate(a.createdAt)?.getTime() || 0) - (toDate(b.createdAt)?.getTime() || 0))
+    .slice(0, limit);
+}
+
+/**
+ * Make text easier to listen to: no links or markdown, and not too long
+ * @param {string} text - Text
+ * @returns {string} - Excerpt
+ */
+function excerpt(text) {
+  const plain = String(text || '')
+    .replace(/https?:\/\/(www\.)?([^/\s]+)\S*/g, '$2')
+    .replace(/\s*\[\d+\]/g, '')
+    .replace(/[#*_>`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (plain.length <= MAX_EXCERPT_CHARACTERS) return plain;
+  return `${plain.substring(0, plain.lastIndexOf(' ', MAX_EXCERPT_CHARACTERS))}...`;
+}
+
+/**
+ * Describe an approval task in a sentence or two for the phone
+ * @param {Object} db - Storage backend
+ * @param {Object} task - Approval task
+ * @returns {Promise<string>} - Spoken summary
+ */
+export async function describeApprovalItem(db, task) {
+  if (task.postId) {
+    const post = await db.get('social_posts', task.postId);
+    if (post) {
+      const when = toDate(post.scheduledAt)
+        ? ` scheduled for ${toDate(post.scheduledAt).toLocaleString('en-US', { timeZone: DEFAULT_TIMEZONE, weekday: 'long', hour: 'numeric', minute: '2-digit' })}`
+        : '';
+      const images = post.images?.length ? ` with ${post.images.length} image${post.images.length === 1 ? '' : 's'}` : '';
+      return `A ${PLATFORMS[post.platform]?.label || post.platform} post${images}${when}. It says: ${excerpt(post.parts?.[0])}`;
+    }
+  }
+
+  if (task.draftId) {
+    const draft = await db.get('drafts', task.draftId);
+    if (draft) {
+      const warnings = draft.warnings?.length ? ` The Copywriter flagged ${draft.warnings.length} issue${draft.warnings.length === 1 ? '' : 's'}.` : '';
+      // Skip heading-only parts so the excerpt starts with actual copy
+      const opening = (draft.parts || []).find(part => !/^\s*#/.test(part)) || draft.parts?.[0];
+      return `A ${FORMATS[draft.format]?.label || 'draft'} titled ${draft.title}. It starts: ${excerpt(opening)}${warnings}`;
+    }
+  }
+
+  if (task.graphicId) {
+    const graphics = await db.get('graphics', task.graphicId);
+    if (graphics) {
+      const count = graphics.images?.length || 0;
+      return `${count} graphic${count === 1 ? '' : 's'} for ${graphics.title}, using the ${(graphics.templates || []).join(', ').replace(/_/g, ' ')} templates.`;
+    }
+  }
+
+  return excerpt(task.sourceText) || `An approval task about ${task.parameters?.topic || 'an unnamed item'}.`;
+}
+
+/**
+ * Work out what the approver wants from their reply
+ * @param {Object} reply - { speech, digits }
+ * @returns {Object|null} - { decision: approve|reject|change|skip|repeat, change } or null if unclear
+ */
+export function interpretApprovalReply({ speech, digits } = {}) {
+  const key = String(digits || '').trim().charAt(0);
+  if (APPROVAL_KEYS[key]) {
+    return { decision: APPROVAL_KEYS[key] };
+  }
+
+  const text = String(speech || '').toLowerCase().trim();
+  if (!text) return null;
+
+  const change = text.match(/\b(?:change|edit|update|revise)\b\s*(.*)/);
+  if (change) {
+    return change[1].trim() ? { decision: 'change', change: change[1].trim().replace(/[.!?]+$/, '') } : null;
+  }
+  // A bare yes or no only counts as the whole reply ("yes, no problem" is not a rejection)
+  const rejects = /\b(reject|rejected|decline|deny)\b/.test(text) || /^(no|nope)\b[.!]?$/.test(text);
+  const approves = /\b(approve|approved|looks good|go ahead|ship it|publish it)\b/.test(text) ||
+    /^(yes|yeah|yep|sure)\b[.!]?$/.test(text);
+  if (approves || rejects) {
+    // Mixed or negated signals ("don't reject it, approve") get asked again
+    if ((approves && rejects) || /\b(not|don't|dont|never)\b/.test(text)) return null;
+    return { decision: approves ? 'approve' : 'reject' };
+  }
+  if (/\b(skip|next|later|pass)\b/.test(text)) return { decision: 'skip' };
+  if (/\b(repeat|again|say that|what)\b/.test(text)) return { decision: 'repeat' };
+  return null;
+}
+
+/**
+ * Mark the item behind an approved review task as approved
+ * @param {Object} db - Storage backend
+ * @param {Object} task - Approved review task
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - { item, id } of what was approved (item is null for plain approvals)
+ */
+export async function applyApprovedItem(db, task, { actor = 'project_manager' } = {}) {
+  const approval = { status: 'approved', approvedBy: actor, approvedAt: new Date(), updatedAt: new Date() };
+
+  if (task.postId) {
+    const post = await db.get('social_posts', task.postId);
+    // The posting scheduler may have picked up the approval first
+    if (post?.status === 'pending_approval') {
+      await approvePost(db, task.postId, { actor });
+    }
+    return { item: 'social_post', id: task.postId };
+  }
+  if (task.draftId) {
+    await db.update('drafts', task.draftId, approval);
+    return { item: 'draft', id: task.draftId };
+  }
+  if (task.graphicId) {
+    await db.update('graphics', task.graphicId, approval);
+    return { item: 'graphics', id: task.graphicId };
+  }
+  return { item: null, id: null };
+}
@@ -0,0 +1,286 @@
+// Social Media Manager Agent for AI Taskforce
+// Turns drafts, graphics or plain text into platform posts, sends each post to review and
+// publishes approved posts through the platform's publisher adapter. Posts are never
+// published before their review task is approved.
+import { PLATFORMS, normalizePlatform, validatePost } from './platforms.js';
+
+const POSTS_COLLECTION = 'social_posts';
+export const MAX_PUBLISH_ATTEMPTS = Number(process.env.SOCIAL_MAX_ATTEMPTS || 3);
+const RETRY_MINUTES = Number(process.env.SOCIAL_RETRY_MINUTES || 10);
+
+// Review task statuses that mean the post was approved
+const APPROVED_REVIEW_STATUSES = ['approved', 'queued', 'running', 'done'];
+
+/**
+ * Build an error carrying a code
+ * @param {string} code - INVALID_POST, POST_NOT_FOUND or INVALID_POST_STATUS
+ * @param {string} message - Error message
+ * @param {Object} extra - Extra fields
+ * @returns {Error} - Error with a code
+ */
+function postError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { code, ...extra });
+}
+
+/**
+ * Append an event to a post's history, optionally updating other fields
+ * @param {Object} db - Storage backend
+ * @param {string} postId - Post ID
+ * @param {string} event - Event name (approved, published, publish_failed, ...)
+ * @param {Object} details - Extra details stored with the event
+ * @param {Object} patch - Fields to update on the post
+ */
+async function recordEvent(db, postId, event, details = {}, patch = {}) {
+  const at = new Date();
+  await db.appendToArray(POSTS_COLLECTION, postId, 'history', { event, at, ...details }, { ...patch, updatedAt: at });
+}
+
+/**
+ * Get a post or fail
+ * @param {Object} db - Storage backend
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object>} - Post document
+ */
+async function getPost(db, postId) {
+  const post = await db.get(POSTS_COLLECTION, postId);
+  if (!post) {
+    throw postError('POST_NOT_FOUND', `Post ${postId} does not exist`);
+  }
+  return post;
+}
+
+/**
+ * Gather post content from a draft, a set of graphics or plain text
+ * Graphics made from a draft bring that draft's text along
+ * @param {Object} db - Storage backend
+ * @param {Object} input - Any of { draftId, graphicId, text }
+ * @returns {Promise<Object>} - { topic, parts, citations, images, sourceRef }
+ */
+export async function loadPostContent(db, { draftId, graphicId, text }) {
+  let images = [];
+  let sourceRef = null;
+
+  if (graphicId) {
+    const graphics = await db.get('graphics', graphicId);
+    if (!graphics) {
+      throw new Error(`Graphics ${graphicId} not found`);
+    }
+    images = (graphics.images || []).map(image => image.url);
+    sourceRef = { type: 'graphics', id: graphicId };
+    if (!draftId && !text && graphics.source?.type === 'draft') {
+      draftId = graphics.source.id;
+    }
+  }
+
+  if (draftId) {
+    const draft = await db.get('drafts', draftId);
+    if (!draft) {
+      throw new Error(`Draft ${draftId} not found`);
+    }
+    return {
+      topic: draft.title,
+      parts: draft.parts || [],
+      citations: draft.citations || [],
+      images,
+      sourceRef: sourceRef || { type: 'draft', id: draftId }
+    };
+  }
+
+  if (text) {
+    return { topic: text.substring(0, 80), parts: [text], citations: [], images, sourceRef: sourceRef || { type: 'text', id: null } };
+  }
+
+  throw new Error('No post content - pass a draftId, a graphicId made from a draft, or text');
+}
+
+/**
+ * Fit content to a platform: threads keep one part per tweet, other platforms get a
+ * single part with the sources at the end
+ * @param {string} platform - PLATFORMS key
+ * @param {Object} content - { parts, citations }
+ * @returns {Array<string>} - Post parts
+ */
+export function composeParts(platform, { parts, citations = [] }) {
+  // Citation markers mean nothing outside the draft
+  const cleaned = parts.map(part => part.replace(/\s*\[\d+\]/g, '').trim()).filter(Boolean);
+  if (PLATFORMS[platform]?.maxParts > 1) {
+    return cleaned;
+  }
+
+  // Thread numbering ("1/") only makes sense in a thread
+  const paragraphs = cleaned.map(part => part.replace(/^\d+\/\s*/, ''));
+  const urls = citations.map(citation => citation.url).filter(Boolean);
+  const sources = urls.length > 0 ? `\n\nSources: ${urls.join(' ')}` : '';
+  return [paragraphs.join('\n\n') + sources];
+}
+
+/**
+ * Create a post and send it to review
+ * @param {Object} db - Storage backend
+ * @param {string} platformName - Platform name (normalized with normalizePlatform)
+ * @param {Object} content - Output of loadPostContent (or { topic, parts, citations, images, sourceRef })
+ * @param {Object} options - Post options
+ * @param {Date} options.scheduledAt - When to publish (as soon as approved when empty)
+ * @param {string} options.requestedBy - What asked for the post (task ID, etc.)
+ * @returns {Promise<Object>} - { postId, reviewTaskId, platform, scheduledAt }
+ */
+export async function createPost(db, platformName, content, { scheduledAt = null, requestedBy } = {}) {
+  const platform = normalizePlatform(platformName);
+  if (!platform) {
+    throw postError('INVALID_POST', `Unknown platform: ${platformName} (expected one of ${Object.keys(PLATFORMS).join(', ')})`);
+  }
+
+  const parts = composeParts(platform, content);
+  const images = content.images || [];
+  const errors = validatePost(platform, { parts, images });
+  if (errors.length > 0) {
+    throw postError('INVALID_POST', `Post is not valid for ${PLATFORMS[platform].label}: ${errors.join('; ')}`, { errors });
+  }
+
+  const now = new Date();
+  const postId = await db.add(POSTS_COLLECTION, {
+    platform,
+    parts,
+    images,
+    topic: content.topic || null,
+    source: content.sourceRef || null,
+    requestedBy: requestedBy || null,
+    scheduledAt,
+    status: 'pending_approval',
+    attemptCount: 0,
+    history: [{ event: 'created', at: now, ...(scheduledAt ? { scheduledAt } : {}) }],
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const preview = parts[0].length > 60 ? `${parts[0].substring(0, 57)}...` : parts[0];
+  const reviewTaskId = await db.add('potential_tasks', {
+    type: 'approval',
+    agentType: 'project_manager',
+    source: 'social_media_manager',
+    sourceId: postId,
+    sourceText: `Approve the ${PLATFORMS[platform].label} post "${preview}"${scheduledAt ? ` for ${scheduledAt.toISOString()}` : ''}`,
+    parameters: { topic: content.topic || preview, platform },
+    postId,
+    status: 'potential',
+    executionStatus: 'pending_review',
+    history: [{ event: 'created', to: 'potential', actor: 'social_media_manager', at: now }],
+    createdAt: now
+  });
+  await db.update(POSTS_COLLECTION, postId, { reviewTaskId });
+
+  console.log(`📣 ${PLATFORMS[platform].label} post ${postId} sent to review as task ${reviewTaskId}`);
+  return { postId, reviewTaskId, platform, scheduledAt };
+}
+
+/**
+ * Mark a post approved so the posting scheduler picks it up
+ * @param {Object} db - Storage backend
+ * @param {string} postId - Post ID
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - Updated post
+ */
+export async function approvePost(db, postId, { actor = 'system' } = {}) {
+  const post = await getPost(db, postId);
+  if (post.status !== 'pending_approval') {
+    throw postError('INVALID_POST_STATUS', `Post ${postId} is ${post.status}, not pending approval`);
+  }
+  await recordEvent(db, postId, 'approved', { actor }, { status: 'scheduled', approvedBy: actor, approvedAt: new Date() });
+  console.log(`✅ Post ${postId} approved by ${actor}`);
+  return getPost(db, postId);
+}
+
+/**
+ * Reject a post so it is never published
+ * @param {Object} db - Storage backend
+ * @param {string} postId - Post ID
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} - Updated post
+ */
+export async function rejectPost(db, postId, { actor = 'system', reason } = {}) {
+  const post = await getPost(db, postId);
+  if (!['pending_approval', 'scheduled', 'failed'].includes(post.status)) {
+    throw postError('INVALID_POST_STATUS', `Post ${postId} is ${post.status} and can't be rejected`);
+  }
+  await recordEvent(db, postId, 'rejected', { actor, ...(reason ? { reason } : {}) }, { status: 'rejected' });
+  return getPost(db, postId);
+}
+
+/**
+ * Put a failed post back in the posting queue
+ * @param {Object} db - Storage backend
+ * @param {string} postId - Post ID
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - Updated post
+ */
+export async function retryPost(db, postId, { actor = 'system' } = {}) {
+  const post = await getPost(db, postId);
+  if (post.status !== 'failed') {
+    throw postError('INVALID_POST_STATUS', `Only failed posts can be retried (post is ${post.status})`);
+  }
+  await recordEvent(db, postId, 'retry_requested', { actor }, { status: 'scheduled', attemptCount: 0, nextAttemptAt: null });
+  return getPost(db, postId);
+}
+
+/**
+ * Whether a post's review task has been approved
+ * @param {Object} db - Storage backend
+ * @param {Object} post - Post document
+ * @returns {Promise<boolean>} - True when the post may be published
+ */
+export async function isPostApproved(db, post) {
+  if (!post.reviewTaskId) return false;
+  const reviewTask = await db.get('potential_tasks', post.reviewTaskId);
+  return APPROVED_REVIEW_STATUSES.includes(reviewTask?.status);
+}
+
+/**
+ * Publish one post and record the result
+ * Retryable failures are rescheduled with a growing delay until MAX_PUBLISH_ATTEMPTS
+ * @param {Object} db - Storage backend
+ * @param {Object} post - Post document (status scheduled)
+ * @param {Object} publisher - Publisher adapter for the post's platform
+ * @returns {Promise<boolean>} - True when the post went out (false when it failed or another instance has it)
+ */
+export async function publishPost(db, post, publisher) {
+  const attempt = (post.attemptCount || 0) + 1;
+
+  // Claim the post before publishing - only one instance (and tick) gets to publish it
+  const now = new Date();
+  const claimed = await db.updateIf(POSTS_COLLECTION, post.id, [['status', '==', 'scheduled']], {
+    status: 'publishing',
+    attemptCount: attempt,
+    lastAttemptAt: now,
+    updatedAt: now
+  });
+  if (!claimed) {
+    console.log(`ℹ️ Post ${post.id} was already claimed - skipping`);
+    return false;
+  }
+  await recordEvent(db, post.id, 'publish_started', { attempt, publisher: publisher.name });
+
+  try {
+    const { permalink, externalId } = await publisher.publish(post);
+    await recordEvent(db, post.id, 'published', { attempt, permalink }, {
+      status: 'published',
+      permalink,
+      externalId: externalId || null,
+      publishedAt: new Date(),
+      failureReason: null
+    });
+    console.log(`📣 Post ${post.id} published to ${post.platform}: ${permalink}`);
+    return true;
+  } catch (error) {
+    const retry = error.retryable !== false && attempt < MAX_PUBLISH_ATTEMPTS;
+    const nextAttemptAt = retry ? new Date(Date.now() + RETRY_MINUTES * attempt * 60000) : null;
+    await recordEvent(db, post.id, 'publish_failed', { attempt, error: error.message, ...(error.code ? { code: error.code } : {}) }, {
+      status: retry ? 'scheduled' : 'failed',
+      failureReason: error.message,
+      nextAttemptAt
+    });
+    console.error(retry
+      ? `⚠️ Post ${post.id} failed (attempt ${attempt}), retrying at ${nextAttemptAt.toISOString()}: ${error.message}`
+      : `❌ Post ${post.id} failed: ${error.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,86 @@
+// Platform rules for social posts
+// A post is a list of parts (one per tweet in a thread, a single part elsewhere) plus image URLs.
+// draftFormat is the Copywriter format used when a post has to be written from scratch.
+
+export const PLATFORMS = {
+  twitter: {
+    label: 'X (Twitter)',
+    maxCharacters: 280,
+    maxImages: 4,
+    // Long posts go out as a thread, one part per tweet
+    maxParts: 25,
+    draftFormat: 'tweet_thread'
+  },
+  linkedin: {
+    label: 'LinkedIn',
+    maxCharacters: 3000,
+    maxImages: 9,
+    maxParts: 1,
+    draftFormat: 'linkedin_post'
+  },
+  facebook: {
+    label: 'Facebook',
+    maxCharacters: 63206,
+    maxImages: 10,
+    maxParts: 1,
+    draftFormat: 'linkedin_post'
+  },
+  instagram: {
+    label: 'Instagram',
+    maxCharacters: 2200,
+    minImages: 1,
+    maxImages: 10,
+    maxParts: 1,
+    draftFormat: 'linkedin_post'
+  }
+};
+
+/**
+ * Map a platform name the caller or a task used to a PLATFORMS key
+ * @param {string} name - e.g. "X", "Twitter", "LinkedIn"
+ * @returns {string|null} - Platform key, or null when unknown
+ */
+export function normalizePlatform(name) {
+  const platform = String(name || '').toLowerCase().trim();
+  if (/twitter|tweet|^x$/.test(platform)) return 'twitter';
+  if (/linkedin/.test(platform)) return 'linkedin';
+  if (/facebook|^fb$/.test(platform)) return 'facebook';
+  if (/instagram|^ig$/.test(platform)) return 'instagram';
+  return null;
+}
+
+/**
+ * Check a post against its platform's limits
+ * @param {string} platform - PLATFORMS key
+ * @param {Object} post - { parts, images }
+ * @returns {Array<string>} - Problems (empty when the post is valid)
+ */
+export function validatePost(platform, { parts = [], images = [] }) {
+  const rules = PLATFORMS[platform];
+  if (!rules) {
+    return [`Unknown platform: ${platform} (expected one of ${Object.keys(PLATFORMS).join(', ')})`];
+  }
+
+  const errors = [];
+  if (parts.length === 0 || parts.every(part => !part.trim())) {
+    errors.push('Post has no text');
+  }
+  if (parts.length > rules.maxParts) {
+    errors.push(rules.maxParts === 1
+      ? `${rules.label} posts can't be threads (got ${parts.length} parts)`
+      : `${rules.label} threads can have at most ${rules.maxParts} parts (got ${parts.length})`);
+  }
+  parts.forEach((part, index) => {
+    if (part.length > rules.maxCharacters) {
+      const label = parts.length > 1 ? `Part ${index + 1}` : 'Post';
+      errors.push(`${label} is ${part.length} characters (${rules.label} limit ${rules.maxCharacters})`);
+    }
+  });
+  if (images.length > rules.maxImages) {
+    errors.push(`${rules.label} allows at most ${rules.maxImages} images (got ${images.length})`);
+  }
+  if (rules.minImages && images.length < rules.minImages) {
+    errors.push(`${rules.label} posts need at least ${rules.minImages} image`);
+  }
+  return errors;
+}
@@ -0,0 +1,108 @@
+// Publisher adapters for the Social Media Manager
+// An adapter has a name and publish(post) => { permalink, externalId }. It throws an
+// error with retryable: false when trying again can't help (bad credentials, rejected
+// content); anything else is retried by the posting scheduler.
+//
+// SOCIAL_PUBLISHERS picks the adapter per platform, e.g. "twitter=outbox,linkedin=linkedin".
+// Every platform uses the outbox unless configured otherwise, so nothing goes live by accident.
+import { PLATFORMS } from './platforms.js';
+import { uploadFile } from '../../services/storage.js';
+
+/**
+ * Build a publishing error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether publishing again might work
+ * @returns {Error} - Error with code and retryable
+ */
+export function publishError(code, message, retryable = true) {
+  return Object.assign(new Error(message), { code, retryable });
+}
+
+/**
+ * Writes each post as JSON to outbox/<platform>/ in file storage instead of publishing it
+ * Used for testing and as the safe default
+ */
+export class OutboxPublisher {
+  /**
+   * @param {string} platform - PLATFORMS key
+   */
+  constructor(platform) {
+    this.name = 'outbox';
+    this.platform = platform;
+  }
+
+  async publish(post) {
+    const record = {
+      platform: this.platform,
+      postId: post.id,
+      parts: post.parts,
+      images: post.images || [],
+      publishedAt: new Date().toISOString()
+    };
+    const permalink = await uploadFile(
+      JSON.stringify(record, null, 2),
+      `outbox/${this.platform}/${post.id}.json`,
+      { contentType: 'application/json' }
+    );
+    return { permalink, externalId: `outbox-${post.id}` };
+  }
+}
+
+/**
+ * Placeholder for a real platform API - replace publish() with the platform's client
+ */
+export class PlatformSlotPublisher {
+  /**
+   * @param {string} platform - PLATFORMS key
+   */
+  constructor(platform) {
+    this.name = platform;
+    this.platform = platform;
+  }
+
+  async publish() {
+    throw publishError(
+      'PUBLISHER_NOT_CONFIGURED',
+      `No ${PLATFORMS[this.platform].label} publisher is implemented yet - use SOCIAL_PUBLISHERS=${this.platform}=outbox or register one`,
+      false
+    );
+  }
+}
+
+// Adapter factories by name: (platform) => adapter
+const publisherFactories = {
+  outbox: (platform) => new OutboxPublisher(platform),
+  ...Object.fromEntries(Object.keys(PLATFORMS).map(platform => [platform, () => new PlatformSlotPublisher(platform)]))
+};
+
+/**
+ * Make an adapter available to SOCIAL_PUBLISHERS
+ * @param {string} name - Adapter name used in the config
+ * @param {Function} factory - (platform) => adapter
+ */
+export function registerPublisher(name, factory) {
+  publisherFactories[name] = factory;
+}
+
+/**
+ * Create the adapter for every platform
+ * @param {string} config - "platform=adapter" pairs, comma-separated (SOCIAL_PUBLISHERS)
+ * @returns {Object} - { [platform]: adapter }
+ */
+export function createPublishers(config = process.env.SOCIAL_PUBLISHERS || '') {
+  const chosen = Object.fromEntries(Object.keys(PLATFORMS).map(platform => [platform, 'outbox']));
+
+  for (const pair of config.split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const [platform, name] = pair.split('=').map(value => value.trim());
+    if (!PLATFORMS[platform]) {
+      throw new Error(`Unknown platform in SOCIAL_PUBLISHERS: ${platform}`);
+    }
+    if (!publisherFactories[name]) {
+      throw new Error(`Unknown publisher in SOCIAL_PUBLISHERS: ${name} (expected one of ${Object.keys(publisherFactories).join(', ')})`);
+    }
+    chosen[platform] = name;
+  }
+
+  return Object.fromEntries(Object.entries(chosen).map(([platform, name]) => [platform, publisherFactories[name](platform)]));
+}
@@ -0,0 +1,369 @@
+// Scraping pipeline shared by the Web Scraper agent and the Assistant's searchWeb tool
+// fetch -> extract -> summarize, with no Firebase dependency so the voice server can use it directly
+import axios from 'axios';
+import { lookup as dnsLookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+import { load } from 'cheerio';
+import { OpenAI } from 'openai';
+
+// Largest response body read from a page
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+// Redirects followed before giving up
+const MAX_REDIRECTS = 5;
+
+// Addresses a fetched URL may never reach: private, loopback, link-local (cloud metadata) and the like
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Logger can be swapped for functions.logger when running as a Firebase function
+let logger = console;
+
+// OpenAI client is created on first use so importing this module needs no API key
+let openai = null;
+
+/**
+ * Use a different logger (e.g. functions.logger)
+ * @param {Object} newLogger - Object with info, warn and error methods
+ */
+export function setLogger(newLogger) {
+  logger = newLogger;
+}
+
+/**
+ * Find candidate URLs for a search query
+ * Well-known topics map to reliable sources; everything else goes through Wikipedia's search API
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {number} options.maxResults - Maximum number of URLs to return
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Promise<Array<string>>} - Candidate URLs
+ */
+export async function searchForUrls(query, { maxResults = 3, timeoutMs = 5000 } = {}) {
+  logger.info(`Searching for URLs for query: ${query}`);
+
+  const queryLower = query.toLowerCase();
+  if (queryLower.includes('news')) {
+    return ['https://news.google.com/'].slice(0, maxResults);
+  }
+
+  // Strip question phrasing so "what is web scraping" searches for "web scraping"
+  const topic = query.replace(/^(who is|who was|what is|what are|when did|where is|tell me about)\s+/i, '').trim() || query;
+
+  const response = await axios.get('https://en.wikipedia.org/w/api.php', {
+    params: {
+      action: 'opensearch',
+      search: topic,
+      limit: maxResults,
+      namespace: 0,
+      format: 'json'
+    },
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; AITaskforceScraper/1.0)' },
+    timeout: timeoutMs
+  });
+
+  // opensearch returns [query, titles, descriptions, urls]
+  const urls = Array.isArray(response.data) ? response.data[3] || [] : [];
+  return urls.slice(0, maxResults);
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if fetching it is not allowed
+ */
+function isBlockedAddress(address) {
+  // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Error for a URL the scraper refuses to fetch; never worth retrying
+ * @param {string} message - Reason
+ * @returns {Error} - Error with code 'url_not_allowed'
+ */
+function urlNotAllowed(message) {
+  return Object.assign(new Error(message), { code: 'url_not_allowed' });
+}
+
+/**
+ * Check a URL before fetching it: http or https only, and no IP literals outside the public internet
+ * Host names are checked when they resolve (see publicLookup), so redirects and DNS changes are covered too
+ * @param {string} url - URL to check
+ * @returns {URL} - Parsed URL
+ */
+function assertFetchableUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw urlNotAllowed(`Not a valid URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw urlNotAllowed(`Only http and https URLs can be fetched, not ${parsed.protocol}`);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && isBlockedAddress(host)) {
+    throw urlNotAllowed(`Fetching private or local addresses is not allowed: ${parsed.hostname}`);
+  }
+  return parsed;
+}
+
+/**
+ * DNS lookup for outgoing requests that refuses host names resolving to private or local addresses
+ * @param {string} hostname - Host name
+ * @returns {Promise<Array<Object>>} - Resolved { address, family } entries
+ */
+async function publicLookup(hostname) {
+  const addresses = await dnsLookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw urlNotAllowed(`${hostname} resolves to a private or local address (${blocked.address})`);
+  }
+  return addresses;
+}
+
+/**
+ * Fetch a URL with proper headers, error handling and retries
+ * Only public http(s) addresses are fetched, redirects included, and bodies stop at MAX_PAGE_BYTES
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {number} options.maxRetries - Attempts before giving up (default 3)
+ * @param {number} options.timeoutMs - Per-attempt timeout (default 15 seconds)
+ * @returns {Promise<Object>} - { html, url, status }
+ */
+export async function fetchPage(url, options = {}) {
+  logger.info(`Scraping URL: ${url}`);
+
+  const maxRetries = options.maxRetries || 3;
+  const timeoutMs = options.timeoutMs || 15000;
+  let retries = 0;
+
+  while (retries < maxRetries) {
+    try {
+      // Follow redirects by hand so every hop is checked
+      let currentUrl = url;
+      let response;
+      for (let redirects = 0; ; redirects++) {
+        assertFetchableUrl(currentUrl);
+        // Fetch content with proper headers to avoid detection
+        response = await axios.get(currentUrl, {
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; AITaskforceScraper/1.0)',
+            'Accept': 'text/html,application/xhtml+xml',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Cache-Control': 'no-cache',
+            'Pragma': 'no-cache'
+          },
+          timeout: timeoutMs,
+          lookup: publicLookup,
+          maxRedirects: 0,
+          maxContentLength: MAX_PAGE_BYTES,
+          validateStatus: status => status < 400
+        });
+        if (response.status < 300 || response.status >= 400 || !response.headers.location) break;
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+        }
+        currentUrl = new URL(response.headers.location, currentUrl).toString();
+      }
+
+      // Check if we got a successful response
+      if (response.status !== 200) {
+        throw new Error(`HTTP Error: ${response.status}`);
+      }
+
+      return {
+        html: response.data,
+        url: currentUrl, // Handle redirects
+        status: response.status
+      };
+
+    } catch (error) {
+      // A refused address stays refused
+      const refused = [error, error.cause].find(cause => cause?.code === 'url_not_allowed');
+      if (refused) {
+        logger.warn(`Refusing to scrape ${url}: ${refused.message}`);
+        throw refused;
+      }
+
+      retries++;
+      logger.warn(`Scraping attempt ${retries} failed for ${url}: ${error.message}`);
+
+      if (retries >= maxRetries) {
+        throw new Error(`Failed to scrape URL after ${maxRetries} attempts: ${error.message}`);
+      }
+
+      // Exponential backoff before retry
+      await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retries)));
+    }
+  }
+}
+
+/**
+ * Extract useful content from HTML
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Object} - { title, description, text, headings, links, url }
+ */
+export function extractContent(html, url) {
+  logger.info(`Extracting content from ${url}`);
+
+  // Use cheerio to parse HTML (jQuery-like for server)
+  const $ = load(html);
+
+  // Remove unwanted elements that typically contain noise
+  $('script, style, nav, footer, iframe, noscript, svg, [role=banner], [role=navigation]').remove();
+
+  // Extract basic metadata
+  const title = $('title').text().trim() || $('h1').first().text().trim() || '';
+  const description = $('meta[name="description"]').attr('content') ||
+                     $('meta[property="og:description"]').attr('content') || '';
+
+  // Extract main content based on common patterns
+  // Try finding main content containers first
+  let mainElement = $('main, article, #content, .content, .post, .article');
+
+  if (mainElement.length === 0) {
+    // Fallback to largest text container
+    let maxTextLength = 0;
+    let maxTextElement = $('body');
+
+    $('div, section').each((i, el) => {
+      const textLength = $(el).text().trim().length;
+      if (textLength > maxTextLength) {
+        maxTextLength = textLength;
+        maxTextElement = $(el);
+      }
+    });
+
+    mainElement = maxTextElement;
+  }
+
+  // Extract text content, headers and important elements
+  const text = mainElement.text().trim().replace(/\s+/g, ' ');
+
+  // Extract headings for structure
+  const headings = [];
+  mainElement.find('h1, h2, h3, h4, h5, h6').each((i, el) => {
+    const level = parseInt(el.name.substring(1));
+    const content = $(el).text().trim();
+    if (content) {
+      headings.push({ level, content });
+    }
+  });
+
+  // Extract links from main content
+  const links = [];
+  mainElement.find('a[href]').each((i, el) => {
+    const href = $(el).attr('href');
+    const text = $(el).text().trim();
+    if (href && text && !href.startsWith('#')) {
+      links.push({ href, text });
+    }
+  });
+
+  return {
+    title,
+    description,
+    text,
+    headings,
+    links,
+    url
+  };
+}
+
+/**
+ * Process extracted content with AI to make it usable
+ * @param {Object} extractedData - Output of extractContent
+ * @param {string} url - Page URL
+ * @param {Object} options - Processing options
+ * @param {number} options.maxLength - Characters of page text sent to the model (default 9000)
+ * @param {string} options.summaryLength - How long the summary should be (default "200-300 words")
+ * @param {Array<string>} options.keywords - Keywords to focus the summary on
+ * @returns {Promise<Object>} - { summary, keyPoints, topics, sentiment, entities, ... }
+ */
+export async function processWithAI(extractedData, url, options = {}) {
+  logger.info(`Processing content from ${url} with AI`);
+
+  // Truncate text if it's too long for the AI context window
+  const maxLength = options.maxLength || 9000;
+  const text = extractedData.text.substring(0, maxLength);
+  const summaryLength = options.summaryLength || '200-300 words';
+  const keywords = options.keywords || [];
+
+  // Prepare content for AI processing
+  const context = `
+URL: ${url}
+TITLE: ${extractedData.title}
+DESCRIPTION: ${extractedData.description}
+${keywords.length > 0 ? `FOCUS KEYWORDS: ${keywords.join(', ')}\n` : ''}
+CONTENT:
+${text}
+
+HEADINGS:
+${extractedData.headings.map(h => `${'-'.repeat(h.level)} ${h.content}`).join('\n')}
+`;
+
+  try {
+    if (!openai) {
+      openai = new OpenAI();
+    }
+
+    // Use OpenAI to summarize and structure the content
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4o",
+      messages: [
+        {
+          role: "system",
+          content: `You are an expert content analyst and summarizer for the AI Agent Taskforce.
+Extract the most important and relevant information from web content.
+Format your response as structured JSON with the following sections:
+1. summary - A concise summary of the main content (${summaryLength})
+2. keyPoints - An array of the 5-7 most important points
+3. topics - An array of main topics covered
+4. sentiment - Overall sentiment (positive, negative, neutral, mixed)
+5. entities - Key people, organizations, products mentioned`
+        },
+        {
+          role: "user",
+          content: context
+        }
+      ],
+      response_format: { type: "json_object" }
+    }, options.timeoutMs ? { timeout: options.timeoutMs } : undefined);
+
+    // Parse the JSON response
+    const aiResponse = JSON.parse(completion.choices[0].message.content);
+
+    return {
+      ...aiResponse,
+      processedAt: Date.now(),
+      tokens: {
+        prompt: completion.usage.prompt_tokens,
+        completion: completion.usage.completion_tokens,
+        total: completion.usage.total_tokens
+      }
+    };
+
+  } catch (error) {
+    logger.error(`AI processing error: ${error.message}`);
+
+    // Provide a basic fallback if AI processing fails
+    return {
+      summary: `Failed to generate AI summary. Original title: ${extractedData.title}. Description: ${extractedData.description}`,
+      keyPoints: [],
+      topics: [],
+      sentiment: "unknown",
+      entities: [],
+      error: error.message
+    };
+  }
+}
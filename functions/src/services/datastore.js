@@ -0,0 +1,477 @@
+// Pluggable storage adapters for conversations, tasks and reminders
+// Backends: memory (tests and demos), file (offline JSON on disk) and firestore (production)
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Active store shared by the voice server and the agents
+let activeStore = null;
+
+// ISO timestamps written by the file backend are revived as Dates on load
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Normalize a stored timestamp into a Date
+ * Handles Dates, ISO strings, epoch milliseconds and Firestore Timestamps
+ * @param {*} value - Stored timestamp
+ * @returns {Date|null} - Date or null if the value isn't a timestamp
+ */
+export function toDate(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value === 'number' || typeof value === 'string') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+/**
+ * Comparable representation of a field value (dates compare by time)
+ * @param {*} value - Field value
+ * @returns {*} - Value usable with < and >
+ */
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toDate === 'function') return value.toDate().getTime();
+  return value;
+}
+
+/**
+ * Read a possibly nested field (e.g. 'data.scrapeId') from a document
+ * @param {Object} data - Document data
+ * @param {string} field - Dotted field path
+ * @returns {*} - Field value
+ */
+function readField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Check a document against a single [field, op, value] filter
+ * Supports the same operators we use with Firestore queries
+ * @param {Object} data - Document data
+ * @param {Array} filter - [field, op, value]
+ * @returns {boolean} - Whether the document matches
+ */
+function matchesFilter(data, [field, op, value]) {
+  const actual = comparable(readField(data, field));
+  const expected = comparable(value);
+
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case 'in': return Array.isArray(value) && value.map(comparable).includes(actual);
+    case 'not-in': return Array.isArray(value) && !value.map(comparable).includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.map(comparable).includes(expected);
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+/**
+ * Deep-ish copy so callers can't mutate stored documents in place
+ * @param {*} value - Value to copy
+ * @returns {*} - Copy
+ */
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+}
+
+/**
+ * Drop undefined values (Firestore rejects them, so every backend does)
+ * @param {Object} data - Document data
+ * @returns {Object} - Cleaned data
+ */
+function withoutUndefined(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * In-memory store - data is lost when the process exits
+ */
+export class MemoryStore {
+  constructor() {
+    this.backend = 'memory';
+    this.collections = new Map();
+  }
+
+  /**
+   * Get (and lazily create) the document map for a collection
+   * @param {string} name - Collection name
+   * @returns {Map} - Documents keyed by ID
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Called after every write - the file backend persists here
+   * @param {string} collection - Collection that changed
+   */
+  async persist(collection) {}
+
+  /**
+   * Get a document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Object|null} - Document data with its id, or null if missing
+   */
+  async get(collection, id) {
+    const data = this.collection(collection).get(id);
+    return data ? { id, ...clone(data) } : null;
+  }
+
+  /**
+   * Create or overwrite a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} data - Document data
+   */
+  async set(collection, id, data) {
+    this.collection(collection).set(id, clone(withoutUndefined(data)));
+    await this.persist(collection);
+  }
+
+  /**
+   * Add a document with a generated ID
+   * @param {string} collection - Collection name
+   * @param {Object} data - Document data
+   * @returns {string} - New document ID
+   */
+  async add(collection, data) {
+    const id = uuidv4();
+    await this.set(collection, id, data);
+    return id;
+  }
+
+  /**
+   * Merge fields into an existing document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} patch - Fields to update
+   */
+  async update(collection, id, patch) {
+    const docs = this.collection(collection);
+    if (!docs.has(id)) {
+      throw new Error(`Document ${collection}/${id} does not exist`);
+    }
+    docs.set(id, { ...docs.get(id), ...clone(withoutUndefined(patch)) });
+    await this.persist(collection);
+  }
+
+  /**
+   * Merge fields into a document only if it still matches the filters, atomically
+   * Use it to claim work that other instances may be after too
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Array<Array>} where - Filters as [field, op, value] the document must match
+   * @param {Object} patch - Fields to update
+   * @returns {Object|null} - Updated document, or null if it's missing or no longer matches
+   */
+  async updateIf(collection, id, where, patch) {
+    const docs = this.collection(collection);
+    const existing = docs.get(id);
+    if (!existing || !where.every(filter => matchesFilter(existing, filter))) {
+      return null;
+    }
+    const updated = { ...existing, ...clone(withoutUndefined(patch)) };
+    docs.set(id, updated);
+    await this.persist(collection);
+    return { id, ...clone(updated) };
+  }
+
+  /**
+   * Append an item to an array field (like Firestore's arrayUnion)
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {string} field - Array field name
+   * @param {*} item - Item to append
+   * @param {Object} patch - Other fields to update at the same time
+   */
+  async appendToArray(collection, id, field, item, patch = {}) {
+    const docs = this.collection(collection);
+    if (!docs.has(id)) {
+      throw new Error(`Document ${collection}/${id} does not exist`);
+    }
+    const existing = docs.get(id);
+    const items = Array.isArray(existing[field]) ? existing[field] : [];
+    docs.set(id, {
+      ...existing,
+      ...clone(withoutUndefined(patch)),
+      [field]: [...items, clone(withoutUndefined(item))]
+    });
+    await this.persist(collection);
+  }
+
+  /**
+   * Delete a document (no-op if it doesn't exist)
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   */
+  async delete(collection, id) {
+    if (this.collection(collection).delete(id)) {
+      await this.persist(collection);
+    }
+  }
+
+  /**
+   * Query documents in a collection
+   * @param {string} collection - Collection name
+   * @param {Object} options - Query options
+   * @param {Array<Array>} options.where - Filters as [field, op, value]
+   * @param {string} options.orderBy - Field to sort by
+   * @param {string} options.direction - 'asc' or 'desc'
+   * @param {number} options.limit - Maximum number of documents
+   * @returns {Array<Object>} - Matching documents with their ids
+   */
+  async query(collection, { where = [], orderBy, direction = 'asc', limit } = {}) {
+    let results = [...this.collection(collection).entries()]
+      .filter(([, data]) => where.every(filter => matchesFilter(data, filter)))
+      .map(([id, data]) => ({ id, ...clone(data) }));
+
+    if (orderBy) {
+      const sign = direction === 'desc' ? -1 : 1;
+      results.sort((a, b) => {
+        const left = comparable(readField(a, orderBy));
+        const right = comparable(readField(b, orderBy));
+        if (left === right) return 0;
+        return left > right ? sign : -sign;
+      });
+    }
+
+    if (limit) {
+      results = results.slice(0, limit);
+    }
+
+    return results;
+  }
+}
+
+/**
+ * JSON-file store - one file per collection, survives restarts
+ * Suitable for running the whole voice agent offline on one machine
+ */
+export class FileStore extends MemoryStore {
+  /**
+   * @param {string} dataDir - Directory holding the collection files
+   */
+  constructor(dataDir) {
+    super();
+    this.backend = 'file';
+    this.dataDir = dataDir;
+    this.pendingWrites = new Map();
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Load every collection file from the data directory
+   */
+  load() {
+    for (const file of fs.readdirSync(this.dataDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      const name = file.slice(0, -'.json'.length);
+      try {
+        const content = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8'), (key, value) => {
+          return typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+        });
+        this.collections.set(name, new Map(Object.entries(content)));
+      } catch (error) {
+        console.error(`❌ Could not load ${file} from ${this.dataDir}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Write a collection to disk atomically (write to temp file, then rename)
+   * @param {string} collection - Collection name
+   */
+  async persist(collection) {
+    const filePath = path.join(this.dataDir, `${collection}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    // Serialize writes per collection so concurrent updates don't share the temp file
+    const previous = this.pendingWrites.get(collection) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const content = JSON.stringify(Object.fromEntries(this.collection(collection)), null, 2);
+      await fs.promises.writeFile(tempPath, content);
+      await fs.promises.rename(tempPath, filePath);
+    });
+
+    this.pendingWrites.set(collection, write);
+    await write;
+  }
+}
+
+/**
+ * Firestore store - wraps firebase-admin behind the same interface
+ */
+export class FirestoreStore {
+  /**
+   * @param {Object} firebaseAdmin - Initialized firebase-admin module
+   */
+  constructor(firebaseAdmin) {
+    this.backend = 'firestore';
+    this.admin = firebaseAdmin;
+    this.db = firebaseAdmin.firestore();
+  }
+
+  /**
+   * Convert Firestore Timestamps back to Dates so every backend returns the same types
+   * @param {*} value - Value read from Firestore
+   * @returns {*} - Value with Dates instead of Timestamps
+   */
+  fromFirestore(value) {
+    if (value instanceof this.admin.firestore.Timestamp) return value.toDate();
+    if (Array.isArray(value)) return value.map(v => this.fromFirestore(v));
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, this.fromFirestore(v)]));
+    }
+    return value;
+  }
+
+  async get(collection, id) {
+    const doc = await this.db.collection(collection).doc(id).get();
+    return doc.exists ? { id: doc.id, ...this.fromFirestore(doc.data()) } : null;
+  }
+
+  async set(collection, id, data) {
+    await this.db.collection(collection).doc(id).set(withoutUndefined(data));
+  }
+
+  async add(collection, data) {
+    const docRef = await this.db.collection(collection).add(withoutUndefined(data));
+    return docRef.id;
+  }
+
+  async update(collection, id, patch) {
+    await this.db.collection(collection).doc(id).update(withoutUndefined(patch));
+  }
+
+  async updateIf(collection, id, where, patch) {
+    const ref = this.db.collection(collection).doc(id);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+      const existing = this.fromFirestore(doc.data());
+      if (!where.every(filter => matchesFilter(existing, filter))) return null;
+      transaction.update(ref, withoutUndefined(patch));
+      return { id, ...existing, ...withoutUndefined(patch) };
+    });
+  }
+
+  async appendToArray(collection, id, field, item, patch = {}) {
+    await this.db.collection(collection).doc(id).update({
+      ...withoutUndefined(patch),
+      [field]: this.admin.firestore.FieldValue.arrayUnion(withoutUndefined(item))
+    });
+  }
+
+  async delete(collection, id) {
+    await this.db.collection(collection).doc(id).delete();
+  }
+
+  async query(collection, { where = [], orderBy, direction = 'asc', limit } = {}) {
+    let ref = this.db.collection(collection);
+    for (const [field, op, value] of where) {
+      ref = ref.where(field, op, value);
+    }
+    if (orderBy) {
+      ref = ref.orderBy(orderBy, direction);
+    }
+    if (limit) {
+      ref = ref.limit(limit);
+    }
+
+    const snapshot = await ref.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...this.fromFirestore(doc.data()) }));
+  }
+}
+
+/**
+ * Initialize firebase-admin with a service account file
+ * @param {string} serviceAccountPath - Path to the service account JSON
+ * @returns {Object} - firebase-admin default export
+ */
+async function initializeFirebase(serviceAccountPath) {
+  const { default: firebaseAdmin } = await import('firebase-admin');
+
+  if (!firebaseAdmin.apps.length) {
+    firebaseAdmin.initializeApp({
+      credential: firebaseAdmin.credential.cert(JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8')))
+    });
+  }
+
+  return firebaseAdmin;
+}
+
+/**
+ * Create a store for the configured backend
+ * @param {Object} options - Store options
+ * @param {string} options.backend - 'memory', 'file' or 'firestore' (defaults to STORAGE_BACKEND)
+ * @param {string} options.dataDir - Directory for the file backend (defaults to STORAGE_DATA_DIR or ./data)
+ * @param {string} options.serviceAccountPath - Firebase service account JSON for the firestore backend
+ * @returns {Object} - Store instance
+ */
+export async function createStore(options = {}) {
+  const serviceAccountPath = options.serviceAccountPath ||
+    process.env.FIREBASE_SERVICE_ACCOUNT ||
+    path.join(process.cwd(), 'functions', 'agentc-13331-firebase-adminsdk.json');
+
+  // Without an explicit choice, use Firestore when credentials are available
+  const backend = options.backend ||
+    process.env.STORAGE_BACKEND ||
+    (fs.existsSync(serviceAccountPath) ? 'firestore' : 'memory');
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(options.dataDir || process.env.STORAGE_DATA_DIR || path.join(process.cwd(), 'data'));
+    case 'firestore': {
+      if (!fs.existsSync(serviceAccountPath)) {
+        throw new Error(`Firebase credentials not found at ${serviceAccountPath}`);
+      }
+      return new FirestoreStore(await initializeFirebase(serviceAccountPath));
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Create the shared store used by getStore()
+ * @param {Object} options - Options passed to createStore
+ * @returns {Object} - Store instance
+ */
+export async function initializeStore(options = {}) {
+  activeStore = await createStore(options);
+  console.log(`💾 Storage backend initialized: ${activeStore.backend}`);
+  return activeStore;
+}
+
+/**
+ * Get the shared store
+ * @returns {Object} - Store instance
+ */
+export function getStore() {
+  if (!activeStore) {
+    throw new Error('Storage not initialized');
+  }
+  return activeStore;
+}
@@ -0,0 +1,110 @@
+// File storage for generated assets (screenshots, raw scrape data, graphics)
+// Backends: local (files under STORAGE_DATA_DIR/files, served by the voice server at /files)
+// and firebase (Cloud Storage bucket, using the same firebase-admin app as the firestore store)
+import fs from 'fs';
+import path from 'path';
+import { getStore } from './datastore.js';
+
+let activeBackend = null;
+
+/**
+ * Local file storage - for development and single-instance deployments
+ */
+export class LocalFileStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.dir - Directory files are written to
+   * @param {string} options.publicBaseUrl - Base URL the files are served from
+   */
+  constructor({ dir, publicBaseUrl }) {
+    this.backend = 'local';
+    this.dir = path.resolve(dir);
+    this.publicBaseUrl = (publicBaseUrl || '').replace(/\/$/, '');
+  }
+
+  async uploadFile(data, filePath, { contentType } = {}) {
+    const target = path.join(this.dir, filePath);
+    // Keep uploads inside the storage directory
+    if (!target.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid file path: ${filePath}`);
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, data);
+    console.log(`📁 Stored ${filePath} (${contentType || 'unknown type'})`);
+    return `${this.publicBaseUrl}/files/${filePath}`;
+  }
+}
+
+/**
+ * Cloud Storage bucket through firebase-admin
+ */
+export class FirebaseFileStorage {
+  /**
+   * @param {Object} firebaseAdmin - Initialized firebase-admin module
+   * @param {string} bucketName - Bucket name (defaults to the app's default bucket)
+   */
+  constructor(firebaseAdmin, bucketName) {
+    this.backend = 'firebase';
+    this.bucket = bucketName ? firebaseAdmin.storage().bucket(bucketName) : firebaseAdmin.storage().bucket();
+  }
+
+  async uploadFile(data, filePath, { contentType } = {}) {
+    const file = this.bucket.file(filePath);
+    await file.save(data, { contentType, resumable: false });
+    console.log(`📁 Stored ${filePath} in ${this.bucket.name}`);
+    return `https://storage.googleapis.com/${this.bucket.name}/${encodeURI(filePath)}`;
+  }
+}
+
+/**
+ * Create a file storage backend
+ * Defaults to firebase when the data store is Firestore and local otherwise
+ * @param {Object} options - Storage options
+ * @param {string} options.backend - local or firebase (FILE_STORAGE_BACKEND)
+ * @param {string} options.dir - Local directory (defaults to STORAGE_DATA_DIR/files)
+ * @param {string} options.bucket - Cloud Storage bucket (FIREBASE_STORAGE_BUCKET)
+ * @param {string} options.publicBaseUrl - Base URL for local file links (PUBLIC_BASE_URL)
+ * @returns {Object} - Storage backend with uploadFile(data, path, { contentType })
+ */
+export function createFileStorage(options = {}) {
+  const store = getStore();
+  const backend = options.backend || process.env.FILE_STORAGE_BACKEND || (store.backend === 'firestore' ? 'firebase' : 'local');
+
+  switch (backend) {
+    case 'local':
+      return new LocalFileStorage({
+        dir: options.dir || localFilesDir(),
+        publicBaseUrl: options.publicBaseUrl || process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8080}`
+      });
+    case 'firebase':
+      if (store.backend !== 'firestore') {
+        throw new Error('The firebase file storage backend needs STORAGE_BACKEND=firestore');
+      }
+      return new FirebaseFileStorage(store.admin, options.bucket || process.env.FIREBASE_STORAGE_BUCKET);
+    default:
+      throw new Error(`Unknown file storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Directory the local backend writes to
+ * @returns {string} - Absolute path
+ */
+export function localFilesDir() {
+  return path.resolve(process.env.STORAGE_DATA_DIR || path.join(process.cwd(), 'data'), 'files');
+}
+
+/**
+ * Upload a file with the shared storage backend
+ * @param {Buffer|string} data - File contents
+ * @param {string} filePath - Path inside the bucket or storage directory
+ * @param {Object} options - Upload options
+ * @param {string} options.contentType - MIME type
+ * @returns {Promise<string>} - Public URL of the file
+ */
+export async function uploadFile(data, filePath, options = {}) {
+  if (!activeBackend) {
+    activeBackend = createFileStorage();
+  }
+  return activeBackend.uploadFile(data, filePath, options);
+}
@@ -0,0 +1,74 @@
+// Number helpers for text that will be spoken aloud
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [
+  [1e12, 'trillion'],
+  [1e9, 'billion'],
+  [1e6, 'million'],
+  [1e3, 'thousand']
+];
+
+/**
+ * Spell out a whole number below one thousand
+ * @param {number} n - Number between 0 and 999
+ * @returns {string} - Words
+ */
+function underThousand(n) {
+  if (n < 20) return ONES[n];
+  if (n < 100) {
+    return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+  }
+  const rest = n % 100;
+  return `${ONES[Math.floor(n / 100)]} hundred${rest ? ` ${underThousand(rest)}` : ''}`;
+}
+
+/**
+ * Spell out a number (e.g. 72 -> "seventy-two", -3.5 -> "minus three point five")
+ * @param {number} value - Number to spell out
+ * @returns {string} - Words
+ */
+export function numberToWords(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value);
+  if (number < 0) return `minus ${numberToWords(-number)}`;
+
+  const [wholePart, decimalPart] = String(number).split('.');
+  let whole = Number(wholePart);
+  const parts = [];
+
+  if (whole === 0) {
+    parts.push('zero');
+  }
+  for (const [scale, name] of SCALES) {
+    if (whole >= scale) {
+      parts.push(`${numberToWords(Math.floor(whole / scale))} ${name}`);
+      whole %= scale;
+    }
+  }
+  if (whole > 0) {
+    parts.push(underThousand(whole));
+  }
+
+  let words = parts.join(' ');
+  if (decimalPart) {
+    words += ` point ${decimalPart.split('').map(digit => ONES[Number(digit)]).join(' ')}`;
+  }
+  return words;
+}
+
+/**
+ * Spell out an ordinal (e.g. 3 -> "third", 21 -> "twenty-first")
+ * @param {number} value - Whole number
+ * @returns {string} - Ordinal words
+ */
+export function ordinalToWords(value) {
+  const irregular = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+  const words = numberToWords(Math.round(value));
+  return words.replace(/(\w+)$/, (last) => {
+    if (irregular[last]) return irregular[last];
+    if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+    return `${last}th`;
+  });
+}
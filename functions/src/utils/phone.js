@@ -0,0 +1,32 @@
+// Phone number helpers shared by the voice server and the agents
+
+/**
+ * Normalize a phone number to E.164 (e.g. "(312) 555-0100" -> "+13125550100")
+ * Numbers without a country code are assumed to be North American (+1)
+ * @param {string} phoneNumber - Phone number in any common format
+ * @returns {string|null} - E.164 number, or null if it can't be normalized
+ */
+export function normalizePhoneNumber(phoneNumber) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') return null;
+
+  const trimmed = phoneNumber.trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (trimmed.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  if (trimmed.startsWith('00') && digits.length > 10) {
+    return `+${digits.slice(2)}`;
+  }
+
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+
+  if (digits.length === 11 && digits.startsWith('1')) {
+    return `+${digits}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,19 @@
+// Timezone helpers shared by the voice server and the agents
+
+// Used for callers whose timezone isn't known
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Chicago';
+
+/**
+ * Whether a string is an IANA timezone Intl knows (e.g. "America/New_York")
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} - True when it can be used with Intl
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
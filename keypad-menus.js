@@ -0,0 +1,405 @@
+// Keypad menus and digit entry for calls
+// Callers can press a key at any prompt instead of speaking. KEYPAD_MENU maps keys to menu
+// actions (by default 1 reads their pending tasks, 2 their reminders and 0 goes back to the
+// assistant). Digit prompts collect longer input such as PINs or dates, finished with #,
+// and pass the parsed value to the handler registered for the prompt.
+import { toDate } from './functions/src/services/datastore.js';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { DEFAULT_TIMEZONE } from './functions/src/utils/timezone.js';
+import { zonedTimeToDate } from './reminder-time.js';
+import { gatherAttributes, getVoiceProfile, listItems, phrase, say, sessionVoice } from './voice-profiles.js';
+
+const DEFAULT_MENU = '1=pending_tasks,2=reminders,0=assistant';
+// Items read out per menu choice
+const MAX_ITEMS_READ = 5;
+// Invalid entries before a digit prompt gives up
+const MAX_DIGIT_ATTEMPTS = 3;
+
+// Task statuses read out as open (each has a tasks.status prompt)
+const OPEN_TASK_STATUSES = ['potential', 'approved', 'queued', 'running', 'failed'];
+
+/**
+ * Listen for speech or keys on a call
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Extra gather attributes (numDigits, finishOnKey, ...), and the
+ *   voice profile to listen with
+ * @returns {Object} - Gather verb to nest a prompt in
+ */
+export function gatherInput(twiml, sessionId, { voice, ...options } = {}) {
+  const attributes = {
+    input: 'dtmf speech',
+    action: `/respond?session=${sessionId}`,
+    method: 'POST',
+    speechTimeout: 'auto',
+    ...gatherAttributes(voice),
+    ...options
+  };
+  // Enhanced recognition only exists for the phone_call model
+  if (attributes.speechModel !== 'phone_call') {
+    delete attributes.enhanced;
+  }
+  return twiml.gather(attributes);
+}
+
+/**
+ * Read a keypad date: MMDD (next time that date comes round), MMDDYY or MMDDYYYY
+ * @param {string} digits - Keys pressed
+ * @param {Object} options - { timezone, now }
+ * @returns {string|null} - Calendar date (yyyy-MM-dd), or null when it isn't a date
+ */
+export function parseKeypadDate(digits, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const match = String(digits || '').match(/^(\d{2})(\d{2})(\d{2}|\d{4})?$/);
+  if (!match) return null;
+
+  const month = Number(match[1]);
+  const day = Number(match[2]);
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+  let year = Number(today.slice(0, 4));
+  if (match[3]) {
+    year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+  }
+
+  // Reject dates such as 02/30 that roll over into the next month
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || month > 12 || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  let date = check.toISOString().slice(0, 10);
+  if (!match[3] && date < today) {
+    // A month and day that already passed this year means next year
+    const next = new Date(Date.UTC(year + 1, month - 1, day));
+    if (next.getUTCDate() !== day) return null;
+    date = next.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+// Kinds of digit entry - sensitive entries are never stored as typed, and label is how
+// the kind is named when an entry isn't valid (text or (voice) => text)
+export const DIGIT_ENTRY_KINDS = {
+  pin: {
+    label: voice => phrase(voice, 'keypad.kinds.pin'),
+    sensitive: true,
+    parse: digits => (/^\d{4,8}$/.test(digits) ? digits : null)
+  },
+  date: {
+    label: voice => phrase(voice, 'keypad.kinds.date'),
+    sensitive: false,
+    parse: (digits, context) => parseKeypadDate(digits, context)
+  },
+  number: {
+    label: voice => phrase(voice, 'keypad.kinds.number'),
+    sensitive: false,
+    parse: digits => (/^\d{1,12}$/.test(digits) ? Number(digits) : null)
+  }
+};
+
+/**
+ * Describe a date for speech ("Friday, March 15"), in the voice profile's language
+ * @param {Date} instant - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @param {Object} voice - Voice profile
+ * @param {Object} options - Extra Intl options (e.g. hour and minute)
+ * @returns {string} - Spoken date
+ */
+function speakDate(instant, timezone, voice, options = {}) {
+  return instant.toLocaleString(voice.language, { timeZone: timezone, weekday: 'long', month: 'long', day: 'numeric', ...options });
+}
+
+/**
+ * Read out a count of things with the one/many/first-few prompt that fits
+ * @param {Object} voice - Voice profile
+ * @param {Object} keys - { one, many, first } - prompt names
+ * @param {Array<string>} spoken - Every item, spoken
+ * @param {Object} values - Other placeholder values
+ * @returns {string} - Sentence
+ */
+function countedList(voice, keys, spoken, values = {}) {
+  const shown = spoken.slice(0, MAX_ITEMS_READ);
+  const key = spoken.length > MAX_ITEMS_READ ? keys.first : spoken.length === 1 ? keys.one : keys.many;
+  return phrase(voice, key, { ...values, count: spoken.length, shown: shown.length, items: listItems(voice, shown) });
+}
+
+/**
+ * Read out reminders
+ * @param {Object} twiml - VoiceResponse
+ * @param {Array<Object>} reminders - Reminders, soonest first
+ * @param {string} when - How the list is introduced ("coming up", "on Friday, March 15")
+ * @param {Object} voice - Voice profile
+ * @param {string} timezone - Caller's timezone (otherwise each reminder's own)
+ */
+function sayReminders(twiml, reminders, when, voice, timezone) {
+  if (reminders.length === 0) {
+    say(twiml, phrase(voice, 'reminders.none', { when }), voice);
+    return;
+  }
+
+  const spoken = reminders.map(reminder => {
+    const time = speakDate(toDate(reminder.dueAt), timezone || reminder.timezone || DEFAULT_TIMEZONE, voice, { hour: 'numeric', minute: '2-digit' });
+    return phrase(voice, 'reminders.item', { message: reminder.message, time });
+  });
+  say(twiml, countedList(voice, { one: 'reminders.one', many: 'reminders.many', first: 'reminders.first' }, spoken, { when }), voice);
+}
+
+/**
+ * The number the menus look up tasks and reminders by - the resolved caller, since
+ * From is our own number on outbound calls
+ * @param {Object} session - Call session
+ * @returns {string|null} - Caller's number
+ */
+function callerNumberFor(session) {
+  return session.caller || normalizePhoneNumber(session.from);
+}
+
+/**
+ * A caller's scheduled reminders, soonest first
+ * @param {Object} db - Storage backend
+ * @param {string} phoneNumber - Caller's number
+ * @returns {Promise<Array<Object>>} - Reminders
+ */
+async function loadScheduledReminders(db, phoneNumber) {
+  const callerNumber = normalizePhoneNumber(phoneNumber);
+  if (!callerNumber) return [];
+
+  const reminders = await db.query('reminders', { where: [['callerNumber', '==', callerNumber]] });
+  return reminders
+    .filter(reminder => reminder.status === 'scheduled' && toDate(reminder.dueAt))
+    .sort((a, b) => toDate(a.dueAt) - toDate(b.dueAt));
+}
+
+/**
+ * Menu action: read out the caller's open tasks
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {Object} context - { sessionId, session }
+ */
+async function readPendingTasks(db, twiml, { session }) {
+  const voice = sessionVoice(session);
+  const callerNumber = callerNumberFor(session);
+  const tasks = callerNumber
+    ? await db.query('potential_tasks', { where: [['callerNumber', '==', callerNumber]] })
+    : [];
+  const open = tasks
+    .filter(task => OPEN_TASK_STATUSES.includes(task.status))
+    .sort((a, b) => (toDate(b.createdAt)?.getTime() || 0) - (toDate(a.createdAt)?.getTime() || 0));
+
+  if (open.length === 0) {
+    say(twiml, phrase(voice, 'tasks.none'), voice);
+    return;
+  }
+
+  const spoken = open.map(task => phrase(voice, 'tasks.item', {
+    type: String(task.type || 'general').replace(/_/g, ' '),
+    about: task.parameters?.topic || task.sourceText || phrase(voice, 'tasks.noDetails'),
+    status: phrase(voice, `tasks.status.${task.status}`)
+  }));
+  say(twiml, countedList(voice, { one: 'tasks.one', many: 'tasks.many', first: 'tasks.latest' }, spoken), voice);
+  say(twiml, phrase(voice, 'whatElse'), voice);
+}
+
+/**
+ * Menu action: read out upcoming reminders and offer to look up another day
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {Object} context - { sessionId, session }
+ */
+async function readReminders(db, twiml, { sessionId, session }) {
+  const voice = sessionVoice(session);
+  const reminders = await loadScheduledReminders(db, callerNumberFor(session));
+  sayReminders(twiml, reminders, phrase(voice, 'reminders.comingUp'), voice, session.timezone);
+  promptForDigits(twiml, sessionId, session, 'reminders_on_date');
+}
+
+/**
+ * Menu action: back to the assistant
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {Object} context - { sessionId, session }
+ */
+async function talkToAssistant(db, twiml, { session }) {
+  const voice = sessionVoice(session);
+  say(twiml, phrase(voice, 'keypad.assistant'), voice);
+}
+
+// Menu actions that KEYPAD_MENU can map keys to
+const MENU_ACTIONS = {
+  pending_tasks: { offer: voice => phrase(voice, 'keypad.offers.pendingTasks'), run: readPendingTasks },
+  reminders: { offer: voice => phrase(voice, 'keypad.offers.reminders'), run: readReminders },
+  assistant: { offer: voice => phrase(voice, 'keypad.offers.assistant'), run: talkToAssistant }
+};
+
+/**
+ * Wording that is either fixed or depends on the voice profile
+ * @param {string|Function} text - Text, or (voice) => text
+ * @param {Object} voice - Voice profile
+ * @returns {string} - Text to say
+ */
+function wordingFor(text, voice) {
+  return typeof text === 'function' ? text(voice) : text;
+}
+
+/**
+ * Add or replace a menu action
+ * @param {string} name - Action name used in KEYPAD_MENU
+ * @param {Object} action - { offer, run } - offer is text or (voice) => text, run is async (db, twiml, { sessionId, session })
+ */
+export function registerMenuAction(name, action) {
+  MENU_ACTIONS[name] = action;
+}
+
+/**
+ * Parse a keypad menu ("1=pending_tasks,2=reminders,0=assistant")
+ * @param {string} config - Menu config, or "off" for no menu
+ * @returns {Object} - Key -> action name
+ */
+export function keypadMenu(config = process.env.KEYPAD_MENU || DEFAULT_MENU) {
+  if (config.trim().toLowerCase() === 'off') {
+    return {};
+  }
+
+  const menu = {};
+  for (const entry of config.split(',')) {
+    const [key, name] = entry.split('=').map(part => part.trim());
+    if (!/^[0-9*]$/.test(key) || !MENU_ACTIONS[name]) {
+      console.warn(`⚠️ Ignoring keypad menu entry "${entry.trim()}" (expected key=${Object.keys(MENU_ACTIONS).join('|')})`);
+      continue;
+    }
+    menu[key] = name;
+  }
+  return menu;
+}
+
+/**
+ * Spoken menu ("Press 1 for your pending tasks, or 0 to talk to the assistant.")
+ * @param {Object} menu - Output of keypadMenu
+ * @param {Object} options - { exclude, voice } - action names to leave out, and the voice profile to word it for
+ * @returns {string} - Prompt, or an empty string when there is nothing to offer
+ */
+export function menuPrompt(menu, { exclude = [], voice = getVoiceProfile() } = {}) {
+  // Read in phone order: 1-9, then 0, then star
+  const order = key => '1234567890*'.indexOf(key);
+  const offers = Object.entries(menu)
+    .filter(([, name]) => !exclude.includes(name))
+    .sort(([a], [b]) => order(a) - order(b))
+    .map(([key, name]) => `${key === '*' ? phrase(voice, 'keypad.star') : key} ${wordingFor(MENU_ACTIONS[name].offer, voice)}`);
+  if (offers.length === 0) return '';
+  const list = new Intl.ListFormat(voice.language, { type: 'disjunction' }).format(offers);
+  return phrase(voice, 'keypad.press', { offers: list });
+}
+
+/**
+ * Run the menu action for a key
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {Object} menu - Output of keypadMenu
+ * @param {string} key - Key pressed
+ * @param {Object} context - { sessionId, session } (the session may be updated in place)
+ * @returns {Promise<string|null>} - Action name, or null for a key with no action
+ */
+export async function handleMenuKey(db, twiml, menu, key, context) {
+  const name = menu[key];
+  if (!name) {
+    const voice = sessionVoice(context.session);
+    const prompt = menuPrompt(menu, { voice });
+    say(twiml, [
+      phrase(voice, 'keypad.notAnOption', { key: key === '*' ? phrase(voice, 'keypad.star') : key }),
+      prompt,
+      phrase(voice, 'keypad.justTellMe')
+    ].filter(Boolean).join(' '), voice);
+    return null;
+  }
+
+  console.log(`🔢 Keypad ${key} -> ${name} for session ${context.sessionId}`);
+  await MENU_ACTIONS[name].run(db, twiml, context);
+  return name;
+}
+
+// Digit prompts, by purpose - run receives the parsed value
+const DIGIT_PROMPTS = {
+  reminders_on_date: {
+    kind: 'date',
+    prompt: voice => phrase(voice, 'keypad.reminderDate'),
+    retryPrompt: voice => phrase(voice, 'keypad.reminderDateRetry'),
+    run: async (db, twiml, date, { session }) => {
+      const voice = sessionVoice(session);
+      const timezone = session.timezone || DEFAULT_TIMEZONE;
+      const start = zonedTimeToDate(date, 0, 0, timezone);
+      const end = new Date(start.getTime() + 24 * 60 * 60000);
+      const reminders = (await loadScheduledReminders(db, callerNumberFor(session)))
+        .filter(reminder => toDate(reminder.dueAt) >= start && toDate(reminder.dueAt) < end);
+      const day = speakDate(zonedTimeToDate(date, 12, 0, timezone), timezone, voice);
+      sayReminders(twiml, reminders, phrase(voice, 'reminders.onDate', { date: day }), voice, timezone);
+      say(twiml, phrase(voice, 'whatElse'), voice);
+    }
+  }
+};
+
+/**
+ * Add or replace a digit prompt
+ * @param {string} purpose - Prompt name
+ * @param {Object} prompt - { kind, prompt, retryPrompt, run } - prompts are text or (voice) => text,
+ *   run is async (db, twiml, value, { sessionId, session })
+ */
+export function registerDigitPrompt(purpose, prompt) {
+  DIGIT_PROMPTS[purpose] = prompt;
+}
+
+/**
+ * Ask the caller to type digits finished with # (speaking instead leaves the prompt)
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session (updated in place with the pending entry)
+ * @param {string} purpose - DIGIT_PROMPTS key
+ * @param {Object} options - { attempt, prompt } - prompt overrides the registered wording
+ */
+export function promptForDigits(twiml, sessionId, session, purpose, { attempt = 0, prompt } = {}) {
+  const definition = DIGIT_PROMPTS[purpose];
+  if (!definition) {
+    throw new Error(`Unknown digit prompt: ${purpose}`);
+  }
+
+  session.digitEntry = { purpose, kind: definition.kind, attempt };
+  const voice = sessionVoice(session);
+  say(
+    gatherInput(twiml, sessionId, { finishOnKey: '#', timeout: 8, voice }),
+    prompt || wordingFor(attempt > 0 ? definition.retryPrompt || definition.prompt : definition.prompt, voice),
+    voice
+  );
+
+  // If no input, prompt again
+  twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+}
+
+/**
+ * Handle digits typed at a digit prompt
+ * @param {Object} db - Storage backend
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} digits - Keys pressed (without the #)
+ * @param {Object} context - { sessionId, session } (the session may be updated in place)
+ * @returns {Promise<Object>} - { purpose, valid, sensitive }
+ */
+export async function handleDigitEntry(db, twiml, digits, { sessionId, session }) {
+  const { purpose, kind, attempt = 0 } = session.digitEntry;
+  const definition = DIGIT_PROMPTS[purpose];
+  const entryKind = DIGIT_ENTRY_KINDS[kind];
+  delete session.digitEntry;
+
+  const value = entryKind?.parse(String(digits || '').replace(/\D/g, ''), { timezone: session.timezone || DEFAULT_TIMEZONE });
+  const result = { purpose, valid: value !== null && value !== undefined, sensitive: Boolean(entryKind?.sensitive) };
+
+  if (!definition || !result.valid) {
+    const voice = sessionVoice(session);
+    if (definition && attempt + 1 < MAX_DIGIT_ATTEMPTS) {
+      say(twiml, phrase(voice, 'keypad.invalidEntry', { kind: wordingFor(entryKind?.label, voice) || kind }), voice);
+      promptForDigits(twiml, sessionId, session, purpose, { attempt: attempt + 1 });
+    } else {
+      say(twiml, phrase(voice, 'keypad.entryFailed'), voice);
+    }
+    return result;
+  }
+
+  await definition.run(db, twiml, value, { sessionId, session });
+  return result;
+}
@@ -0,0 +1,356 @@
+// Real-time voice mode (REALTIME_MODE=relay)
+// Instead of a <Gather> webhook per turn, the call is connected to Twilio ConversationRelay:
+// Twilio does speech recognition and text-to-speech, and this server talks to it over a
+// WebSocket. Transcripts arrive as the caller speaks, replies are streamed back token by token
+// to be spoken as they're written, and the caller can interrupt mid-sentence. If the session
+// fails, or a reply can't be generated, the call goes back to the /respond gather loop.
+import express from 'express';
+import twilio from 'twilio';
+import { WebSocketServer } from 'ws';
+import { streamAssistantResponse } from './assistants-util.js';
+import {
+  getVoiceProfile,
+  languageInstructions,
+  languageName,
+  listVoiceProfiles,
+  phrase,
+  say,
+  sessionVoice,
+  switchVoiceForUtterance
+} from './voice-profiles.js';
+
+export const RELAY_PATH = '/relay';
+
+/**
+ * Whether calls should use the real-time mode
+ * @returns {boolean} - True when REALTIME_MODE=relay
+ */
+export function realtimeRelayEnabled() {
+  return process.env.REALTIME_MODE === 'relay';
+}
+
+/**
+ * Connect the call to ConversationRelay. When the session ends Twilio posts to
+ * /relay/ended, which carries on with the gather loop.
+ * @param {Object} twiml - Twilio VoiceResponse
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { baseUrl, welcomeGreeting, voice } - baseUrl is the server's public URL
+ */
+export function connectRelay(twiml, sessionId, { baseUrl, welcomeGreeting, voice = getVoiceProfile() }) {
+  const connect = twiml.connect({ action: `${RELAY_PATH}/ended?session=${sessionId}`, method: 'POST' });
+  const relay = connect.conversationRelay({
+    url: `${baseUrl.replace(/^http/, 'ws')}${RELAY_PATH}?session=${sessionId}`,
+    welcomeGreeting,
+    // relayVoice is the Amazon voice closest to the profile's <Say> voice
+    ttsProvider: 'Amazon',
+    voice: voice.relayVoice,
+    language: voice.language,
+    interruptible: 'any',
+    partialPrompts: true
+  });
+  // Every profile's language, so the session can switch when the caller speaks another one
+  const languages = new Set();
+  for (const profile of listVoiceProfiles()) {
+    if (languages.has(profile.language)) continue;
+    languages.add(profile.language);
+    relay.language({ code: profile.language, ttsProvider: 'Amazon', voice: profile.relayVoice });
+  }
+}
+
+/**
+ * Create the WebSocket server ConversationRelay connects to. It doesn't listen itself:
+ * pass it upgrade requests for RELAY_PATH with handleUpgrade.
+ * @param {Object} options - Server options
+ * @param {Object} options.sessions - Call session store
+ * @param {Object} options.openai - OpenAI client, for callers without a thread and when the Assistant fails
+ * @param {Function} options.storeMessage - async (sessionId, data) - stores a conversation message
+ * @param {Function} options.transferRequested - async (sessionId) - whether the Assistant asked to transfer the call
+ * @returns {Object} - WebSocketServer
+ */
+export function createRelayServer({ sessions, openai, storeMessage, transferRequested }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  /**
+   * Stream a reply to the caller's utterance
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Call session
+   * @param {string} text - What the caller said
+   * @param {Object} options - { instructions, onDelta, signal } - aborting the signal stops the reply
+   * @returns {Promise<Object>} - { text, model, assistant, fallback }
+   */
+  const streamReply = async (sessionId, session, text, { instructions, onDelta, signal }) => {
+    const completeDirectly = async (fallback) => {
+      const stream = await openai.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        // The session starts with the system prompt for the caller's access level
+        messages: [...session.messages, ...(instructions ? [{ role: 'system', content: instructions }] : [])],
+        temperature: 0.7,
+        max_tokens: 300,
+        stream: true
+      }, { signal });
+      let reply = '';
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          reply += delta;
+          onDelta(delta);
+        }
+      }
+      return { text: reply, model: 'gpt-3.5-turbo', fallback };
+    };
+
+    if (!session.threadId) {
+      return completeDirectly(false);
+    }
+    try {
+      const reply = await streamAssistantResponse(session.threadId, text, {
+        sessionId,
+        callSid: session.callSid,
+        from: session.caller || session.from,
+        timezone: session.timezone
+      }, { instructions, onDelta, signal });
+      return { text: reply, model: 'gpt-4o', assistant: true };
+    } catch (error) {
+      // Stopped because the caller interrupted - there's nothing to fall back for
+      if (error.cancelled) throw error;
+      console.error('Error using Assistant API in real-time mode, falling back to direct completion:', error);
+      return completeDirectly(true);
+    }
+  };
+
+  wss.on('connection', (socket, req) => {
+    const sessionId = new URL(req.url, 'http://localhost').searchParams.get('session');
+    // Turns are answered one at a time, in order (a thread runs one reply at a time). An
+    // interrupt stops the reply in progress, so the next turn doesn't wait for it to finish.
+    const relay = { ready: false, turns: Promise.resolve(), current: null, interrupted: null };
+
+    const send = (event) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(event));
+      }
+    };
+
+    // Hand the call back to the gather loop (Twilio then posts to /relay/ended)
+    const handOff = (reason) => {
+      console.warn(`⚡ Ending real-time session ${sessionId}: ${reason}`);
+      send({ type: 'end', handoffData: JSON.stringify({ reason }) });
+    };
+
+    const answer = async (text, lang) => {
+      const session = await sessions.get(sessionId);
+      if (!session) {
+        return handOff('session_expired');
+      }
+
+      const turn = { interrupted: false, streamed: false, text: '', controller: new AbortController() };
+      relay.current = turn;
+      await storeMessage(sessionId, { type: 'user', content: text, input: 'speech', transport: 'relay', ...(lang ? { lang } : {}) });
+      session.messages.push({ role: 'user', content: text });
+
+      const switched = switchVoiceForUtterance(session, text);
+      if (switched) {
+        send({ type: 'language', ttsLanguage: switched.language, transcriptionLanguage: switched.language });
+        await storeMessage(sessionId, {
+          type: 'system',
+          content: `Caller speaks ${languageName(switched.language)}, switched voice profile`,
+          voiceProfile: switched.name,
+          transport: 'relay'
+        });
+      }
+
+      // Tell the model which language to answer in and where the caller cut off its last answer
+      const instructions = [
+        languageInstructions(sessionVoice(session)),
+        relay.interrupted ? `The caller interrupted your last answer after hearing only: "${relay.interrupted}"` : null
+      ].filter(Boolean).join('\n') || undefined;
+      relay.interrupted = null;
+
+      let reply;
+      try {
+        reply = await streamReply(sessionId, session, text, {
+          instructions,
+          signal: turn.controller.signal,
+          onDelta: delta => {
+            turn.text += delta;
+            if (turn.interrupted) return;
+            turn.streamed = true;
+            send({ type: 'text', token: delta, last: false });
+          }
+        });
+      } catch (error) {
+        if (!turn.interrupted) {
+          console.error('❌ Error generating real-time reply:', error);
+          await storeMessage(sessionId, { type: 'error', content: error.message, stack: error.stack });
+          return handOff('reply_failed');
+        }
+        // The reply was stopped for an interrupt - keep what was written before the caller cut in
+        reply = { text: turn.text };
+      }
+      if (!turn.interrupted) {
+        send({ type: 'text', token: turn.streamed ? '' : reply.text, last: true });
+      }
+      console.log(`🤖 Real-time reply${turn.interrupted ? ' (interrupted)' : ''}: "${reply.text}"`);
+
+      await storeMessage(sessionId, {
+        type: 'assistant',
+        content: reply.text,
+        ...(reply.model ? { model: reply.model } : {}),
+        transport: 'relay',
+        ...(reply.assistant ? { assistant: true } : {}),
+        ...(reply.fallback ? { fallback: true } : {}),
+        ...(turn.interrupted ? { interrupted: true } : {})
+      });
+      session.messages.push({ role: 'assistant', content: reply.text });
+      // Only the history and voice changed here - keep anything the webhooks changed meanwhile
+      const current = await sessions.get(sessionId);
+      await sessions.set(sessionId, {
+        ...(current || session),
+        messages: session.messages,
+        voiceProfile: session.voiceProfile,
+        languageChecked: session.languageChecked
+      });
+      // Transfers are dialed from TwiML, so the call goes back to the webhooks for it
+      if (await transferRequested?.(sessionId)) {
+        handOff('transfer');
+      }
+    };
+
+    socket.on('message', async data => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch {
+        console.warn(`⚠️ Ignored malformed real-time message for session ${sessionId}`);
+        return;
+      }
+
+      switch (event.type) {
+        case 'setup': {
+          // Only the call the session was created for can attach to it
+          const session = sessionId ? await sessions.get(sessionId) : null;
+          if (!session || session.callSid !== event.callSid) {
+            console.warn(`🚫 Rejected real-time session for ${sessionId} (call ${event.callSid})`);
+            socket.close(1008, 'Unknown session');
+            return;
+          }
+          relay.ready = true;
+          console.log(`⚡ Real-time session ${event.sessionId} connected for ${sessionId}`);
+          await storeMessage(sessionId, { type: 'system', content: 'Real-time session started', transport: 'relay', relaySessionId: event.sessionId });
+          break;
+        }
+
+        case 'prompt': {
+          if (!relay.ready) return;
+          // Partial transcripts arrive while the caller is still talking
+          if (!event.last) {
+            console.log(`👂 Hearing: "${event.voicePrompt}"`);
+            return;
+          }
+          const text = String(event.voicePrompt || '').trim();
+          if (!text) return;
+          console.log(`🗣️ User said (real-time): "${text}"`);
+          relay.turns = relay.turns
+            .then(() => answer(text, event.lang))
+            .catch(error => {
+              console.error('❌ Error handling real-time turn:', error);
+              handOff('error');
+            });
+          break;
+        }
+
+        case 'interrupt':
+          // The caller talked over the reply: Twilio has stopped speaking, so stop generating the
+          // rest (which cancels the run) and let their next prompt through
+          console.log(`✋ Caller interrupted after: "${event.utteranceUntilInterrupt}"`);
+          if (relay.current) {
+            relay.current.interrupted = true;
+            relay.current.controller.abort();
+          }
+          relay.interrupted = event.utteranceUntilInterrupt || '';
+          await storeMessage(sessionId, {
+            type: 'interrupt',
+            content: event.utteranceUntilInterrupt || '',
+            durationMs: event.durationUntilInterruptMs,
+            transport: 'relay'
+          });
+          break;
+
+        case 'error':
+          console.error(`❌ ConversationRelay error for session ${sessionId}: ${event.description}`);
+          break;
+
+        default:
+          console.log(`ℹ️ Unhandled real-time event ${event.type} for session ${sessionId}`);
+      }
+    });
+
+    socket.on('close', () => {
+      console.log(`⚡ Real-time socket closed for session ${sessionId}`);
+    });
+  });
+
+  return wss;
+}
+
+/**
+ * Create the router for the end of a real-time session (mounted under /relay)
+ * @param {Object} options - Router options
+ * @param {Object} options.sessions - Call session store
+ * @param {Function} options.storeMessage - async (sessionId, data) - stores a conversation message
+ * @param {Function} options.continueCall - (twiml, sessionId, voice) - adds the next gather loop turn
+ * @param {Function} options.startTransfer - async (twiml, sessionId) - dials a requested transfer, returns whether it did
+ * @returns {Object} - Express router
+ */
+export function createRelayRouter({ sessions, storeMessage, continueCall, startTransfer }) {
+  const router = express.Router();
+
+  // <Connect action> - the session ended: the caller hung up, it failed, or we handed off
+  router.post('/ended', async (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const sessionId = req.query.session;
+    const sendTwiml = () => {
+      res.set('Content-Type', 'text/xml');
+      res.send(twiml.toString());
+    };
+
+    if (req.body.CallStatus === 'completed') {
+      return sendTwiml();
+    }
+
+    let handoff = {};
+    try {
+      handoff = req.body.HandoffData ? JSON.parse(req.body.HandoffData) : {};
+    } catch {
+      handoff = {};
+    }
+    const reason = handoff.reason || req.body.SessionStatus || 'ended';
+
+    const session = sessionId ? await sessions.get(sessionId) : null;
+    if (!session) {
+      say(twiml, phrase(getVoiceProfile(), 'relay.timedOut'));
+      twiml.hangup();
+      return sendTwiml();
+    }
+
+    if (reason === 'transfer' && await startTransfer?.(twiml, sessionId)) {
+      await sessions.set(sessionId, { ...session, transport: 'gather' });
+      return sendTwiml();
+    }
+
+    console.warn(`⚡ Real-time session for ${sessionId} ended (${reason}${req.body.ErrorMessage ? `: ${req.body.ErrorMessage}` : ''}) - continuing with the gather loop`);
+    await sessions.set(sessionId, { ...session, transport: 'gather' });
+    await storeMessage(sessionId, {
+      type: 'system',
+      content: 'Real-time session ended, continuing with the gather loop',
+      reason,
+      transport: 'gather'
+    });
+
+    const voice = sessionVoice(session);
+    say(twiml, phrase(voice, 'relay.resumed'), voice);
+    continueCall(twiml, sessionId, voice);
+    sendTwiml();
+  });
+
+  return router;
+}
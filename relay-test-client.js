@@ -0,0 +1,144 @@
+// Local stand-in for Twilio ConversationRelay, for trying REALTIME_MODE=relay without a phone
+// Places a fake call through /voice, connects to the WebSocket from the returned TwiML and
+// speaks each utterance: partial transcripts first, then the final one. Prints the streamed
+// reply tokens. With --interrupt it talks over the first reply (barge-in), and when the
+// server hands off it posts the <Connect> action to show the gather loop fallback.
+//
+// Start the server with REALTIME_MODE=relay TWILIO_VALIDATE_SIGNATURES=false, then:
+//   node relay-test-client.js [--url http://localhost:8080] [--from +13125550100] [--interrupt] "What's the weather?" "Thanks"
+import WebSocket from 'ws';
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { url, from, interrupt, utterances }
+ */
+function parseArgs(argv) {
+  const options = { url: 'http://localhost:8080', from: '+13125550100', interrupt: false, utterances: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') options.url = argv[++i];
+    else if (argv[i] === '--from') options.from = argv[++i];
+    else if (argv[i] === '--interrupt') options.interrupt = true;
+    else options.utterances.push(argv[i]);
+  }
+  if (options.utterances.length === 0) {
+    options.utterances = ['What can you help me with?', 'Thanks, that is all.'];
+  }
+  return options;
+}
+
+/**
+ * POST a Twilio-style form webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} params - Form fields
+ * @returns {Promise<string>} - Response body (TwiML)
+ */
+async function postWebhook(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params)
+  });
+  return response.text();
+}
+
+/**
+ * Read an attribute of the first matching TwiML element
+ * @param {string} twiml - TwiML
+ * @param {string} element - Element name
+ * @param {string} attribute - Attribute name
+ * @returns {string|null} - Attribute value (XML entities decoded)
+ */
+function twimlAttribute(twiml, element, attribute) {
+  const match = twiml.match(new RegExp(`<${element}\\b[^>]*\\b${attribute}="([^"]*)"`));
+  return match ? match[1].replace(/&amp;/g, '&') : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const base = options.url.replace(/\/$/, '');
+  const callSid = `CA${Date.now()}`;
+  const call = { CallSid: callSid, From: options.from, To: '+15550001111', Direction: 'inbound', CallStatus: 'in-progress' };
+
+  console.log(`📞 Calling ${base}/voice as ${options.from}`);
+  const voiceTwiml = await postWebhook(`${base}/voice`, call);
+  const relayUrl = twimlAttribute(voiceTwiml, 'ConversationRelay', 'url');
+  const action = twimlAttribute(voiceTwiml, 'Connect', 'action');
+  if (!relayUrl) {
+    console.log('No <ConversationRelay> in the TwiML - is the server running with REALTIME_MODE=relay?');
+    console.log(voiceTwiml);
+    return;
+  }
+  console.log(`🤖 Greeting: ${twimlAttribute(voiceTwiml, 'ConversationRelay', 'welcomeGreeting')}`);
+
+  const socket = new WebSocket(relayUrl);
+  let reply = null;
+  let handoff = null;
+  socket.on('message', data => {
+    const event = JSON.parse(data.toString());
+    if (event.type === 'text') {
+      if (!reply) return;
+      process.stdout.write(event.token);
+      reply.tokens++;
+      reply.text += event.token;
+      if (event.last) {
+        process.stdout.write('\n');
+        reply.resolve();
+      }
+    } else if (event.type === 'end') {
+      handoff = event.handoffData;
+      reply?.resolve();
+    }
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  socket.send(JSON.stringify({ type: 'setup', sessionId: `VX${Date.now()}`, callSid, from: call.From, to: call.To, direction: 'inbound' }));
+
+  for (const [index, utterance] of options.utterances.entries()) {
+    // Partial transcripts while the caller is still talking, then the final one
+    const words = utterance.split(' ');
+    for (let i = 1; i < words.length; i++) {
+      socket.send(JSON.stringify({ type: 'prompt', voicePrompt: words.slice(0, i).join(' '), lang: 'en-US', last: false }));
+      await sleep(50);
+    }
+    console.log(`🗣️ Caller: ${utterance}`);
+    process.stdout.write('🤖 Agent: ');
+
+    const interrupting = options.interrupt && index === 0;
+    await new Promise(resolve => {
+      reply = { text: '', tokens: 0, resolve };
+      socket.send(JSON.stringify({ type: 'prompt', voicePrompt: utterance, lang: 'en-US', last: true }));
+      if (interrupting) {
+        // Talk over the reply once it has started
+        const timer = setInterval(() => {
+          if (reply.tokens < 2) return;
+          clearInterval(timer);
+          process.stdout.write(' [caller interrupts]\n');
+          socket.send(JSON.stringify({ type: 'interrupt', utteranceUntilInterrupt: reply.text, durationUntilInterruptMs: 800 }));
+          resolve();
+        }, 20);
+      }
+    });
+    if (handoff) break;
+  }
+
+  socket.close();
+  if (handoff) {
+    console.log(`⚡ Server handed off: ${handoff}`);
+    const fallbackTwiml = await postWebhook(`${base}${action}`, { ...call, SessionStatus: 'ended', HandoffData: handoff });
+    console.log(`📄 Fallback TwiML: ${fallbackTwiml}`);
+  }
+
+  await postWebhook(`${base}/status`, { ...call, CallStatus: 'completed' });
+  console.log('📴 Call ended');
+}
+
+main().catch(error => {
+  console.error('❌ Relay test client failed:', error);
+  process.exit(1);
+});
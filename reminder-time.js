@@ -0,0 +1,172 @@
+// Natural-language reminder times ("remind me Friday at 3pm to call Dana")
+// Days are resolved with the weather module's date parser; wall-clock times are
+// converted to an instant in the caller's timezone with Intl
+import { resolveForecastDate } from './weather.js';
+import { DEFAULT_TIMEZONE } from './functions/src/utils/timezone.js';
+
+const DEFAULT_HOUR = 9;
+
+const SMALL_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, ninety: 90
+};
+const UNIT_MINUTES = { minute: 1, min: 1, hour: 60, day: 24 * 60 };
+
+// Times implied by words alone
+const PERIOD_HOURS = { morning: 9, noon: 12, afternoon: 15, evening: 18, tonight: 20, night: 20, midnight: 0 };
+
+const DAY_PATTERN = /\b(the day after tomorrow|day after tomorrow|today|tonight|tomorrow|(?:next\s+)?(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday)|in\s+\w+\s+days?|(?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2}(?:st|nd|rd|th)?)\b/i;
+const CLOCK_PATTERN = /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[.,!?])|\bat\s+(\d{1,2})(?::(\d{2}))?\b/i;
+const PERIOD_PATTERN = /\b(?:(?:this|in the|at)\s+)?(morning|noon|afternoon|evening|night|midnight)\b/i;
+const RELATIVE_PATTERN = /\bin\s+(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|fifteen|twenty|thirty|forty|forty-five|ninety)\s+(minutes?|mins?|hours?)\b/i;
+const REQUEST_PATTERN = /^(please\s+)?(can you\s+|could you\s+)?(remind me|set a reminder|remember to|don't forget|do not forget)\s*(for(\s+me)?\s+)?/i;
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes
+ * @param {Date} instant - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Minutes to add to UTC to get local time
+ */
+function timezoneOffsetMinutes(instant, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).map(({ type, value }) => [type, value]));
+
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((localAsUtc - instant.getTime()) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * @param {string} date - Calendar date (yyyy-MM-dd)
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - The instant
+ */
+export function zonedTimeToDate(date, hour, minute, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Apply the offset twice so times next to a DST change land on the right side
+  let instant = new Date(wallClock - timezoneOffsetMinutes(new Date(wallClock), timezone) * 60000);
+  instant = new Date(wallClock - timezoneOffsetMinutes(instant, timezone) * 60000);
+  return instant;
+}
+
+/**
+ * Calendar date for an instant in a timezone
+ * @param {Date} instant - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - yyyy-MM-dd
+ */
+function dateIn(instant, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(instant);
+}
+
+/**
+ * Read a spoken amount ("2", "two", "an")
+ * @param {string} text - Amount
+ * @returns {number} - Number, or NaN
+ */
+function parseAmount(text) {
+  const lower = text.toLowerCase();
+  return SMALL_NUMBERS[lower] ?? Number(lower);
+}
+
+/**
+ * Parse a duration like "ten minutes" or "2 hours"
+ * @param {string} text - Text containing a duration
+ * @returns {number|null} - Minutes, or null if there is no duration
+ */
+export function parseDurationMinutes(text) {
+  const match = String(text || '').match(/\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|fifteen|twenty|thirty|forty|forty-five|ninety)\s+(minutes?|mins?|hours?|days?)\b/i);
+  if (!match) return null;
+
+  const amount = parseAmount(match[1]);
+  const unit = match[2].toLowerCase().replace(/s$/, '');
+  return Number.isFinite(amount) ? amount * UNIT_MINUTES[unit] : null;
+}
+
+/**
+ * Work out when a reminder is due and what it is about
+ * @param {string} text - What the caller said
+ * @param {Object} options - Parse options
+ * @param {string} options.timezone - Caller's timezone (defaults to DEFAULT_TIMEZONE)
+ * @param {Date} options.now - Current time (for tests)
+ * @returns {Object} - { dueAt: Date|null, message }
+ */
+export function parseReminderRequest(text, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  let remaining = String(text || '').trim();
+  let dueAt = null;
+
+  const take = (match) => {
+    remaining = `${remaining.slice(0, match.index)} ${remaining.slice(match.index + match[0].length)}`;
+  };
+
+  const relative = remaining.match(RELATIVE_PATTERN);
+  if (relative) {
+    const minutes = parseDurationMinutes(relative[0].replace(/^in\s+/i, ''));
+    if (minutes) {
+      dueAt = new Date(now.getTime() + minutes * 60000);
+      take(relative);
+    }
+  }
+
+  if (!dueAt) {
+    const dayMatch = remaining.match(DAY_PATTERN);
+    const day = dayMatch ? resolveForecastDate(dayMatch[1].replace(/(\d)(st|nd|rd|th)$/i, '$1'), { timezone, now }) : null;
+    if (dayMatch && day) take(dayMatch);
+
+    let hour = null;
+    let minute = 0;
+    const clock = remaining.match(CLOCK_PATTERN);
+    if (clock) {
+      hour = Number(clock[1] ?? clock[4]);
+      minute = Number(clock[2] ?? clock[5] ?? 0);
+      const meridiem = (clock[3] || '').toLowerCase().replace(/\./g, '');
+      if (meridiem === 'pm' && hour < 12) hour += 12;
+      if (meridiem === 'am' && hour === 12) hour = 0;
+      // "at 3" on a phone call almost always means the afternoon
+      if (!meridiem && hour >= 1 && hour <= 7) hour += 12;
+      if (!meridiem && /tonight|evening|night/i.test(dayMatch?.[1] || remaining) && hour < 12) hour += 12;
+      take(clock);
+    } else {
+      const period = remaining.match(PERIOD_PATTERN);
+      if (period) {
+        hour = PERIOD_HOURS[period[1].toLowerCase()];
+        take(period);
+      } else if (dayMatch?.[1].toLowerCase() === 'tonight') {
+        hour = PERIOD_HOURS.tonight;
+      }
+    }
+
+    if (hour !== null && hour <= 23 && minute <= 59) {
+      const date = day?.date || dateIn(now, timezone);
+      dueAt = zonedTimeToDate(date, hour, minute, timezone);
+      // A time that already passed today means tomorrow
+      if (!day && dueAt <= now) {
+        dueAt = new Date(dueAt.getTime() + 24 * 60 * 60000);
+      }
+    } else if (day) {
+      dueAt = zonedTimeToDate(day.date, DEFAULT_HOUR, 0, timezone);
+    }
+  }
+
+  const message = remaining
+    .replace(REQUEST_PATTERN, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(to|that|about)\s+/i, '')
+    .replace(/\s+(on|at|by)$/i, '')
+    .replace(/[\s.,!?]+$/, '');
+
+  return { dueAt, message };
+}
@@ -0,0 +1,404 @@
+// Reminder scheduling - reminders are parsed from what the caller said, picked up by a
+// node-cron scheduler when due and delivered with an outbound call the caller can
+// acknowledge, snooze or cancel by voice. Every attempt and outcome is appended to the
+// reminder's history.
+import express from 'express';
+import cron from 'node-cron';
+import twilio from 'twilio';
+import { toDate } from './functions/src/services/datastore.js';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { DEFAULT_TIMEZONE } from './functions/src/utils/timezone.js';
+import { parseReminderRequest, parseDurationMinutes } from './reminder-time.js';
+import { getCallerProfile } from './caller-auth.js';
+import { gatherAttributes, getVoiceProfile, phrase, resolveVoiceProfile, say } from './voice-profiles.js';
+
+const MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS || 3);
+const RETRY_DELAY_MINUTES = Number(process.env.REMINDER_RETRY_MINUTES || 5);
+const SNOOZE_MINUTES = Number(process.env.REMINDER_SNOOZE_MINUTES || 10);
+// A call with no status callback after this long is treated as a failed attempt
+const STALE_CALL_MINUTES = 15;
+
+const FAILED_CALL_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+// Keypad choices on a reminder call
+const REMINDER_KEYS = { 1: 'acknowledge', 2: 'snooze', 3: 'cancel' };
+
+/**
+ * Append an event to a reminder's history, optionally updating other fields
+ * @param {Object} db - Storage backend
+ * @param {string} reminderId - Reminder ID
+ * @param {string} event - Event name (scheduled, call_placed, acknowledged, ...)
+ * @param {Object} details - Extra details stored with the event
+ * @param {Object} patch - Fields to update on the reminder
+ */
+async function recordEvent(db, reminderId, event, details = {}, patch = {}) {
+  const at = new Date();
+  await db.appendToArray('reminders', reminderId, 'history', { event, at, ...details }, { ...patch, updatedAt: at });
+}
+
+/**
+ * Create a reminder from a potential reminder task
+ * The due time comes from the caller's own words; the classifier's dueTime is the fallback
+ * @param {Object} db - Storage backend
+ * @param {Object} task - Stored task data (sourceText, parameters, callerNumber, ...)
+ * @param {string} taskId - ID of the potential task
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Caller's timezone
+ * @returns {Promise<string>} - Reminder ID
+ */
+export async function createReminderFromTask(db, task, taskId, { timezone = DEFAULT_TIMEZONE } = {}) {
+  const parsed = parseReminderRequest(task.sourceText, { timezone });
+  const dueAt = parsed.dueAt || toDate(task.parameters?.dueTime);
+  const message = task.parameters?.topic || parsed.message || task.sourceText || 'Reminder (no details provided)';
+  const callerNumber = normalizePhoneNumber(task.callerNumber);
+
+  let status = 'scheduled';
+  let reason;
+  if (!dueAt) {
+    status = 'unscheduled';
+    reason = 'No time was given';
+  } else if (!callerNumber) {
+    status = 'unscheduled';
+    reason = 'No number to call back';
+  }
+
+  const now = new Date();
+  const reminderId = await db.add('reminders', {
+    taskId,
+    message,
+    sourceText: task.sourceText,
+    sourceId: task.sourceId,
+    callerNumber,
+    timezone,
+    dueAt,
+    status,
+    attemptCount: 0,
+    history: [{ event: status, at: now, ...(reason ? { reason } : {}) }],
+    createdAt: now,
+    updatedAt: now
+  });
+
+  console.log(status === 'scheduled'
+    ? `⏰ Scheduled reminder ${reminderId} for ${dueAt.toISOString()}: "${message}"`
+    : `⏰ Saved unscheduled reminder ${reminderId} (${reason}): "${message}"`);
+  return reminderId;
+}
+
+/**
+ * Cancel the reminders created for a task, e.g. when the task is rejected
+ * A reminder call already under way is left to finish
+ * @param {Object} db - Storage backend
+ * @param {string} taskId - ID of the potential task
+ * @param {Object} details - Details recorded with the cancellation ({ actor, reason })
+ * @returns {Promise<number>} - How many reminders were cancelled
+ */
+export async function cancelTaskReminders(db, taskId, details = {}) {
+  const reminders = await db.query('reminders', { where: [['taskId', '==', taskId]] });
+  let cancelled = 0;
+  for (const reminder of reminders.filter(r => ['scheduled', 'unscheduled'].includes(r.status))) {
+    // The scheduler may be claiming it at the same moment
+    const updated = await db.updateIf('reminders', reminder.id, [['status', '==', reminder.status]], { status: 'cancelled' });
+    if (!updated) continue;
+    await recordEvent(db, reminder.id, 'cancelled', details);
+    console.log(`⏰ Cancelled reminder ${reminder.id} for task ${taskId}`);
+    cancelled++;
+  }
+  return cancelled;
+}
+
+/**
+ * Place reminder calls through Twilio
+ * @param {Object} options - Caller options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.from - Twilio number to call from
+ * @param {string} options.publicBaseUrl - Public URL of this server, for the call webhooks
+ * @returns {Function} - async (reminder) => callSid
+ */
+export function createTwilioReminderCaller({ accountSid, authToken, from, publicBaseUrl }) {
+  const client = twilio(accountSid, authToken);
+  const baseUrl = publicBaseUrl.replace(/\/$/, '');
+
+  return async (reminder) => {
+    const call = await client.calls.create({
+      to: reminder.callerNumber,
+      from,
+      url: `${baseUrl}/reminders/${reminder.id}/voice`,
+      method: 'POST',
+      statusCallback: `${baseUrl}/reminders/${reminder.id}/status`,
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['completed']
+    });
+    return call.sid;
+  };
+}
+
+/**
+ * Schedule another attempt, or give up after MAX_ATTEMPTS
+ * @param {Object} db - Storage backend
+ * @param {Object} reminder - Reminder document
+ * @param {Object} details - Details recorded with the outcome
+ */
+async function retryOrFail(db, reminder, details) {
+  const attemptCount = reminder.attemptCount || 0;
+  if (attemptCount >= MAX_ATTEMPTS) {
+    console.warn(`⚠️ Reminder ${reminder.id} failed after ${attemptCount} attempts`);
+    await recordEvent(db, reminder.id, 'failed', details, { status: 'failed' });
+    return;
+  }
+
+  const dueAt = new Date(Date.now() + RETRY_DELAY_MINUTES * 60000);
+  console.log(`🔁 Reminder ${reminder.id} will be retried at ${dueAt.toISOString()}`);
+  await recordEvent(db, reminder.id, 'retry_scheduled', { ...details, dueAt }, { status: 'scheduled', dueAt });
+}
+
+export class ReminderScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.db - Storage backend
+   * @param {Function} options.placeCall - async (reminder) => callSid
+   * @param {string} options.schedule - Cron expression for checking due reminders (every minute by default)
+   */
+  constructor({ db, placeCall, schedule = process.env.REMINDER_CRON || '* * * * *' }) {
+    this.db = db;
+    this.placeCall = placeCall;
+    this.schedule = schedule;
+    this.job = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid REMINDER_CRON expression: ${this.schedule}`);
+    }
+    this.job = cron.schedule(this.schedule, () => {
+      this.tick().catch(error => console.error('❌ Reminder scheduler error:', error));
+    });
+    console.log(`⏰ Reminder scheduler started (${this.schedule})`);
+  }
+
+  stop() {
+    this.job?.stop();
+    this.job = null;
+  }
+
+  /**
+   * Call every reminder that is due and recover calls that never reported back
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of reminders fired
+   */
+  async tick(now = new Date()) {
+    // Ticks can overlap when calls are slow to place
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const staleBefore = new Date(now.getTime() - STALE_CALL_MINUTES * 60000);
+      const calling = await this.db.query('reminders', { where: [['status', '==', 'calling']] });
+      for (const reminder of calling) {
+        if (toDate(reminder.lastAttemptAt) <= staleBefore) {
+          await retryOrFail(this.db, reminder, { reason: 'No call status received' });
+        }
+      }
+
+      const scheduled = await this.db.query('reminders', { where: [['status', '==', 'scheduled']] });
+      const due = scheduled.filter(reminder => toDate(reminder.dueAt) <= now);
+
+      let fired = 0;
+      for (const reminder of due) {
+        if (await this.fire(reminder)) fired++;
+      }
+      return fired;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Place the call for one reminder
+   * @param {Object} reminder - Reminder document
+   * @returns {Promise<boolean>} - False when another instance claimed it first
+   */
+  async fire(reminder) {
+    const attempt = (reminder.attemptCount || 0) + 1;
+    const now = new Date();
+
+    // Claim the reminder before dialing - only one instance (and tick) gets to call
+    const claimed = await this.db.updateIf('reminders', reminder.id, [['status', '==', 'scheduled']], {
+      status: 'calling',
+      attemptCount: attempt,
+      lastAttemptAt: now,
+      updatedAt: now
+    });
+    if (!claimed) {
+      console.log(`ℹ️ Reminder ${reminder.id} was already claimed - skipping`);
+      return false;
+    }
+    await recordEvent(this.db, reminder.id, 'call_started', { attempt });
+
+    try {
+      const callSid = await this.placeCall(reminder);
+      console.log(`📞 Reminder ${reminder.id} call placed (attempt ${attempt}): ${callSid}`);
+      await recordEvent(this.db, reminder.id, 'call_placed', { attempt, callSid }, { lastCallSid: callSid });
+    } catch (error) {
+      console.error(`❌ Could not place reminder call for ${reminder.id}:`, error.message);
+      await retryOrFail(this.db, { ...reminder, attemptCount: attempt }, { attempt, error: error.message });
+    }
+    return true;
+  }
+}
+
+/**
+ * Work out what the caller wants from their reply to a reminder
+ * @param {string} speech - What the caller said
+ * @param {string} digits - Keys the caller pressed
+ * @returns {string|null} - acknowledge, snooze, cancel or null if unclear
+ */
+export function interpretReminderReply(speech, digits) {
+  const key = String(digits || '').trim().charAt(0);
+  if (REMINDER_KEYS[key]) return REMINDER_KEYS[key];
+  const text = String(speech || '').toLowerCase();
+  if (!text.trim()) return null;
+  if (/\b(cancel|stop|delete|remove|never mind|don't remind)\b/.test(text)) return 'cancel';
+  if (/\b(snooze|later|again in|remind me again|remind me in)\b/.test(text)) return 'snooze';
+  if (/\b(done|got it|ok|okay|yes|yeah|thanks|thank you|acknowledged?|will do|sure)\b/.test(text)) return 'acknowledge';
+  return null;
+}
+
+/**
+ * Create the router for reminder call webhooks (mounted under /reminders)
+ * @param {Object} options - Router options
+ * @param {Object} options.db - Storage backend
+ * @returns {Object} - Express router
+ */
+export function createReminderRouter({ db }) {
+  const router = express.Router();
+
+  const sendTwiml = (res, twiml) => {
+    res.set('Content-Type', 'text/xml');
+    res.send(twiml.toString());
+  };
+
+  const askForReply = (twiml, reminderId, voice, retry = 0) => {
+    const gather = twiml.gather({
+      input: 'dtmf speech',
+      numDigits: 1,
+      action: `/reminders/${reminderId}/respond?retry=${retry}`,
+      method: 'POST',
+      speechTimeout: 'auto',
+      ...gatherAttributes(voice),
+      hints: 'done, got it, snooze, cancel'
+    });
+    say(gather, phrase(voice, 'reminders.call.options', { minutes: SNOOZE_MINUTES }), voice);
+    // No reply falls through to /respond with no speech
+    twiml.redirect({ method: 'POST' }, `/reminders/${reminderId}/respond?retry=${retry}`);
+  };
+
+  // Outbound reminder call answered - speak the reminder
+  router.post('/:id/voice', async (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    try {
+      const reminder = await db.get('reminders', req.params.id);
+      if (!reminder || reminder.status !== 'calling') {
+        say(twiml, phrase(getVoiceProfile(), 'reminders.call.inactive'));
+        twiml.hangup();
+        return sendTwiml(res, twiml);
+      }
+
+      // Reminder calls come from our number, so it's the From of this webhook
+      const { profile: voice } = resolveVoiceProfile({
+        callerProfile: await getCallerProfile(db, reminder.callerNumber),
+        dialedNumber: req.body.From
+      });
+      await recordEvent(db, reminder.id, 'answered', { callSid: req.body.CallSid, answeredBy: req.body.AnsweredBy }, { voiceProfile: voice.name });
+      say(twiml, phrase(voice, 'reminders.call.intro', { message: reminder.message }), voice);
+      askForReply(twiml, reminder.id, voice);
+    } catch (error) {
+      console.error('❌ Error speaking reminder:', error);
+      say(twiml, phrase(getVoiceProfile(), 'reminders.call.loadError'));
+      twiml.hangup();
+    }
+
+    sendTwiml(res, twiml);
+  });
+
+  // Caller's reply - acknowledge, snooze or cancel
+  router.post('/:id/respond', async (req, res) => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const speech = req.body.SpeechResult;
+    const digits = req.body.Digits;
+    // What to record about the reply
+    const reply = digits ? { digits } : { speech: speech || null };
+    const retry = Number(req.query.retry || 0);
+    const callSid = req.body.CallSid;
+
+    try {
+      const reminder = await db.get('reminders', req.params.id);
+      if (!reminder) {
+        twiml.hangup();
+        return sendTwiml(res, twiml);
+      }
+
+      const action = interpretReminderReply(speech, digits);
+      const voice = getVoiceProfile(reminder.voiceProfile);
+
+      if (action === 'acknowledge') {
+        await recordEvent(db, reminder.id, 'acknowledged', { callSid, ...reply }, { status: 'acknowledged' });
+        say(twiml, phrase(voice, 'reminders.call.done'), voice);
+      } else if (action === 'snooze') {
+        const minutes = parseDurationMinutes(speech) || SNOOZE_MINUTES;
+        const dueAt = new Date(Date.now() + minutes * 60000);
+        // A snooze starts a fresh round of attempts
+        await recordEvent(db, reminder.id, 'snoozed', { callSid, ...reply, minutes, dueAt }, { status: 'scheduled', dueAt, attemptCount: 0 });
+        say(twiml, phrase(voice, 'reminders.call.snoozed', { minutes }), voice);
+      } else if (action === 'cancel') {
+        await recordEvent(db, reminder.id, 'cancelled', { callSid, ...reply }, { status: 'cancelled' });
+        say(twiml, phrase(voice, 'reminders.call.cancelled'), voice);
+      } else if ((speech || digits) && retry === 0) {
+        say(twiml, phrase(voice, 'reminders.call.unclear'), voice);
+        askForReply(twiml, reminder.id, voice, 1);
+        return sendTwiml(res, twiml);
+      } else {
+        // The reminder was heard even if nobody answered the question
+        await recordEvent(db, reminder.id, 'delivered', { callSid, ...reply, outcome: 'no_response' }, { status: 'delivered' });
+        say(twiml, phrase(voice, 'reminders.call.delivered'), voice);
+      }
+      twiml.hangup();
+    } catch (error) {
+      console.error('❌ Error handling reminder reply:', error);
+      say(twiml, phrase(getVoiceProfile(), 'reminders.call.error'));
+      twiml.hangup();
+    }
+
+    sendTwiml(res, twiml);
+  });
+
+  // Call status callback - retry calls that were never answered
+  router.post('/:id/status', async (req, res) => {
+    const callStatus = req.body.CallStatus;
+    const callSid = req.body.CallSid;
+
+    try {
+      const reminder = await db.get('reminders', req.params.id);
+      if (reminder) {
+        await recordEvent(db, reminder.id, 'call_status', { callSid, callStatus, duration: req.body.CallDuration });
+
+        // Only calls that ended without an outcome need handling
+        if (reminder.status === 'calling') {
+          if (FAILED_CALL_STATUSES.includes(callStatus)) {
+            await retryOrFail(db, reminder, { callSid, callStatus });
+          } else if (callStatus === 'completed') {
+            await recordEvent(db, reminder.id, 'delivered', { callSid, outcome: 'hung_up' }, { status: 'delivered' });
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error handling reminder call status:', error);
+    }
+
+    res.sendStatus(200);
+  });
+
+  return router;
+}
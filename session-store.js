@@ -0,0 +1,223 @@
+// Call session store with TTL-based expiry
+// The memory backend is per-process; the storage backend keeps sessions in the shared
+// storage layer (Firestore in production, JSON files locally) so any instance can serve a call
+import { toDate } from './functions/src/services/datastore.js';
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * In-process session store - fine for a single instance
+ */
+export class MemorySessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttlMs - Idle time before a session expires
+   */
+  constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.backend = 'memory';
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+  }
+
+  async read(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async write(sessionId, session) {
+    this.sessions.set(sessionId, session);
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async findByCallSid(callSid) {
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.callSid === callSid) {
+        return { sessionId, session };
+      }
+    }
+    return null;
+  }
+
+  async listExpired(now = Date.now()) {
+    return [...this.sessions.entries()]
+      .filter(([, session]) => session.expiresAt <= now)
+      .map(([sessionId]) => sessionId);
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * Session store backed by the shared storage layer (the `sessions` collection)
+ */
+export class SharedSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.db - Store from functions/src/services/datastore.js
+   * @param {number} options.ttlMs - Idle time before a session expires
+   */
+  constructor({ db, ttlMs = DEFAULT_TTL_MS }) {
+    this.backend = `shared:${db.backend}`;
+    this.db = db;
+    this.ttlMs = ttlMs;
+  }
+
+  async read(sessionId) {
+    const doc = await this.db.get('sessions', sessionId);
+    if (!doc) return null;
+
+    const { id, ...session } = doc;
+    return { ...session, expiresAt: toDate(session.expiresAt).getTime() };
+  }
+
+  async write(sessionId, session) {
+    await this.db.set('sessions', sessionId, { ...session, expiresAt: new Date(session.expiresAt) });
+  }
+
+  async delete(sessionId) {
+    await this.db.delete('sessions', sessionId);
+  }
+
+  async findByCallSid(callSid) {
+    const [doc] = await this.db.query('sessions', { where: [['callSid', '==', callSid]], limit: 1 });
+    if (!doc) return null;
+
+    const { id, ...session } = doc;
+    return { sessionId: id, session: { ...session, expiresAt: toDate(session.expiresAt).getTime() } };
+  }
+
+  async listExpired(now = Date.now()) {
+    const docs = await this.db.query('sessions', { where: [['expiresAt', '<=', new Date(now)]] });
+    return docs.map(doc => doc.id);
+  }
+
+  async count() {
+    const docs = await this.db.query('sessions', { where: [['expiresAt', '>', new Date()]] });
+    return docs.length;
+  }
+}
+
+/**
+ * Session store with expiry and rehydration on top of a backend
+ */
+export class SessionStore {
+  /**
+   * @param {Object} backend - MemorySessionStore or SharedSessionStore
+   * @param {Object} options - Store options
+   * @param {Function} options.rehydrate - async (sessionId) => session|null, rebuilds a session we lost
+   */
+  constructor(backend, { rehydrate } = {}) {
+    this.backend = backend;
+    this.rehydrate = rehydrate;
+  }
+
+  /**
+   * Name of the backend in use (for logs and /health)
+   * @returns {string} - Backend name
+   */
+  get backendName() {
+    return this.backend.backend;
+  }
+
+  /**
+   * Get a live session, rehydrating it if this instance doesn't have it
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} - Session or null if it's gone
+   */
+  async get(sessionId) {
+    if (!sessionId) return null;
+
+    const session = await this.backend.read(sessionId);
+    if (session && session.expiresAt > Date.now()) {
+      return session;
+    }
+
+    if (!this.rehydrate) return null;
+
+    const rehydrated = await this.rehydrate(sessionId);
+    if (!rehydrated) return null;
+
+    console.log(`♻️ Rehydrated session ${sessionId} from conversation history`);
+    return this.set(sessionId, rehydrated);
+  }
+
+  /**
+   * Save a session and push its expiry out by the TTL
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session data
+   * @returns {Object} - Saved session
+   */
+  async set(sessionId, session) {
+    const lastActivity = Date.now();
+    const saved = { ...session, lastActivity, expiresAt: lastActivity + this.backend.ttlMs };
+    await this.backend.write(sessionId, saved);
+    return saved;
+  }
+
+  async delete(sessionId) {
+    await this.backend.delete(sessionId);
+  }
+
+  async findByCallSid(callSid) {
+    return this.backend.findByCallSid(callSid);
+  }
+
+  async count() {
+    return this.backend.count();
+  }
+
+  /**
+   * Periodically remove expired sessions
+   * @param {Object} options - Sweeper options
+   * @param {number} options.intervalMs - How often to sweep
+   * @param {Function} options.onExpire - async (sessionId) => void, called for each abandoned session
+   * @returns {Function} - Stops the sweeper
+   */
+  startSweeper({ intervalMs = 60 * 1000, onExpire } = {}) {
+    const sweep = async () => {
+      try {
+        const expired = await this.backend.listExpired(Date.now());
+        for (const sessionId of expired) {
+          console.log(`🧹 Session ${sessionId} expired without a status callback`);
+          if (onExpire) {
+            await onExpire(sessionId);
+          }
+          await this.backend.delete(sessionId);
+        }
+      } catch (error) {
+        console.error('❌ Error sweeping expired sessions:', error);
+      }
+    };
+
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+}
+
+/**
+ * Create the session store for the configured backend
+ * @param {Object} options - Store options
+ * @param {string} options.backend - 'memory' or 'shared' (defaults to SESSION_STORE or memory)
+ * @param {Object} options.db - Storage layer, required for the shared backend
+ * @param {number} options.ttlMs - Idle time before a session expires (defaults to SESSION_TTL_SECONDS)
+ * @param {Function} options.rehydrate - Rebuilds sessions missing from the store
+ * @returns {SessionStore} - Session store
+ */
+export function createSessionStore({ backend, db, ttlMs, rehydrate } = {}) {
+  const kind = backend || process.env.SESSION_STORE || 'memory';
+  const ttl = ttlMs || Number(process.env.SESSION_TTL_SECONDS || 0) * 1000 || DEFAULT_TTL_MS;
+
+  switch (kind) {
+    case 'memory':
+      return new SessionStore(new MemorySessionStore({ ttlMs: ttl }), { rehydrate });
+    case 'shared':
+      return new SessionStore(new SharedSessionStore({ db, ttlMs: ttl }), { rehydrate });
+    default:
+      throw new Error(`Unknown session store: ${kind}`);
+  }
+}
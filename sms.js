@@ -0,0 +1,408 @@
+// SMS channel
+// Texts to the Twilio number go through the same Assistant thread as calls from that number,
+// so a text and a call share memory. Replies are split into single-segment messages, and
+// answers that would take more than SMS_MAX_MESSAGES are cut short with a link to the full
+// text. Messages are stored in conversations with channel 'sms' and go through the same
+// caller checks and task extraction as calls.
+import express from 'express';
+import twilio from 'twilio';
+import { ensureThreadForPhoneNumber, getAssistantResponse } from './assistants-util.js';
+import { toDate } from './functions/src/services/datastore.js';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { checkCallerPin, pinFromReply, recordAuthEvent, resolveCallerAccess } from './caller-auth.js';
+
+// A link replaces the rest of the answer past this many messages (at least 2)
+const MAX_MESSAGES = Math.max(2, Number(process.env.SMS_MAX_MESSAGES || 3));
+// Without a public URL for links, send up to this many (Twilio's concatenation limit)
+const MAX_MESSAGES_WITHOUT_LINK = 10;
+// A text after this long without messages starts a new conversation
+const CONVERSATION_IDLE_HOURS = Number(process.env.SMS_CONVERSATION_IDLE_HOURS || 24);
+// Earlier messages sent along when answering without an Assistant thread
+const HISTORY_MESSAGES = 10;
+
+const SMS_INSTRUCTIONS = 'The user is texting, not calling. Reply in plain text without markdown, in a few short sentences. Numbers may be written as digits.';
+
+// GSM 03.38 characters - texts using only these fit 160 to a segment, anything else
+// switches the whole message to UCS-2 (70 per segment)
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Extension characters take two
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+const SEGMENT_LIMITS = { gsm: 160, ucs2: 70 };
+// Room kept for the " (n/N)" numbering on multi-message replies, and the "..." on a cut one
+const NUMBERING_LENGTH = '... (10/10)'.length;
+
+/**
+ * Whether text can be sent with the GSM 7-bit alphabet
+ * @param {string} text - Text
+ * @returns {boolean} - True for GSM text
+ */
+function isGsmText(text) {
+  return [...text].every(char => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char));
+}
+
+/**
+ * Length of text in its encoding's units (GSM septets or UTF-16 code units)
+ * @param {string} text - Text
+ * @param {string} encoding - gsm or ucs2
+ * @returns {number} - Length counted against the segment limit
+ */
+function smsLength(text, encoding) {
+  if (encoding === 'ucs2') return text.length;
+  return [...text].reduce((total, char) => total + (GSM_EXTENDED.includes(char) ? 2 : 1), 0);
+}
+
+/**
+ * Turn an Assistant reply into plain text for SMS: no markdown, and typographic characters
+ * that would force UCS-2 swapped for plain ones
+ * @param {string} text - Reply
+ * @returns {string} - SMS text
+ */
+export function toSmsText(text) {
+  return String(text || '')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/^\s*[*•]\s+/gm, '- ')
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/ /g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Split text into messages that each fit one SMS segment, breaking between words
+ * @param {string} text - SMS text
+ * @param {number} limit - Maximum length per message
+ * @param {string} encoding - gsm or ucs2
+ * @returns {Array<string>} - Parts
+ */
+function splitText(text, limit, encoding) {
+  const parts = [];
+  let current = '';
+  for (const word of text.split(/ +/)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (smsLength(candidate, encoding) <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) parts.push(current.trim());
+    // A single word longer than a segment is cut
+    let rest = word;
+    while (smsLength(rest, encoding) > limit) {
+      parts.push(rest.substring(0, limit));
+      rest = rest.substring(limit);
+    }
+    current = rest;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split a reply into SMS messages, each one segment long
+ * @param {string} text - SMS text (see toSmsText)
+ * @param {Object} options - { maxMessages, link } - the last message links to the full
+ *   answer when it doesn't fit, otherwise the text is cut short
+ * @returns {Object} - { messages, encoding, truncated }
+ */
+export function segmentSms(text, { maxMessages = MAX_MESSAGES, link = null } = {}) {
+  const encoding = isGsmText(text) ? 'gsm' : 'ucs2';
+  const single = SEGMENT_LIMITS[encoding];
+  if (smsLength(text, encoding) <= single) {
+    return { messages: [text], encoding, truncated: false };
+  }
+
+  const parts = splitText(text, single - NUMBERING_LENGTH, encoding);
+  if (parts.length <= maxMessages) {
+    return { messages: parts.map((part, index) => `${part} (${index + 1}/${parts.length})`), encoding, truncated: false };
+  }
+
+  // Keep what fits and link to the rest (the link message is plain ASCII, so it gets the
+  // full GSM segment even when the reply itself needs UCS-2)
+  const kept = parts.slice(0, link ? maxMessages - 1 : maxMessages);
+  const messages = kept.map((part, index) => `${index === kept.length - 1 ? `${part.replace(/[.,;:]+$/, '')}...` : part} (${index + 1}/${maxMessages})`);
+  if (link) {
+    messages.push(`(${maxMessages}/${maxMessages}) Full answer: ${link}`);
+  }
+  return { messages, encoding, truncated: true };
+}
+
+/**
+ * Send texts through Twilio
+ * @param {Object} options - Sender options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.from - Default number to send from
+ * @returns {Function} - async ({ to, from, body }) => messageSid
+ */
+export function createTwilioSmsSender({ accountSid, authToken, from }) {
+  const client = twilio(accountSid, authToken);
+
+  return async ({ to, from: sender, body }) => {
+    const message = await client.messages.create({ to, from: sender || from, body });
+    return message.sid;
+  };
+}
+
+/**
+ * Find the caller's open SMS conversation, or start a new one
+ * @param {Object} db - Storage backend
+ * @param {string} phoneNumber - Texter's E.164 number
+ * @param {string} access - Access level to start a new conversation with
+ * @returns {Promise<Object>} - Conversation document
+ */
+async function openSmsConversation(db, phoneNumber, access) {
+  const idleSince = Date.now() - CONVERSATION_IDLE_HOURS * 3600000;
+  const conversations = await db.query('conversations', { where: [['phoneNumber', '==', phoneNumber]] });
+  const open = conversations
+    .filter(conversation => conversation.channel === 'sms' && conversation.status === 'active')
+    .sort((a, b) => (toDate(b.updatedAt)?.getTime() || 0) - (toDate(a.updatedAt)?.getTime() || 0));
+
+  for (const stale of open.filter(conversation => (toDate(conversation.updatedAt)?.getTime() || 0) < idleSince)) {
+    await db.update('conversations', stale.id, { status: 'completed', completedAt: new Date() });
+  }
+  const current = open.find(conversation => (toDate(conversation.updatedAt)?.getTime() || 0) >= idleSince);
+  if (current) {
+    return current;
+  }
+
+  const now = new Date();
+  const sessionId = `sms_${phoneNumber.replace(/\D/g, '')}_${now.getTime()}`;
+  const conversation = {
+    sessionId,
+    channel: 'sms',
+    phoneNumber,
+    access,
+    createdAt: now,
+    updatedAt: now,
+    status: 'active',
+    messages: []
+  };
+  await db.set('conversations', sessionId, conversation);
+  console.log(`✅ Created new SMS conversation ${sessionId}`);
+  return { id: sessionId, ...conversation };
+}
+
+/**
+ * Add a message to an SMS conversation
+ * @param {Object} db - Storage backend
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} data - Message fields (type, content, ...)
+ * @param {Object} patch - Conversation fields to update
+ */
+async function storeSmsMessage(db, conversationId, data, patch = {}) {
+  const timestamp = new Date();
+  await db.appendToArray('conversations', conversationId, 'messages', { timestamp, channel: 'sms', ...data }, {
+    ...patch,
+    updatedAt: timestamp
+  });
+}
+
+/**
+ * Create the router for the SMS channel (mounted under /sms)
+ * @param {Object} options - Router options
+ * @param {Object} options.db - Storage backend
+ * @param {Object} options.openai - OpenAI client, for guests and when the Assistant fails
+ * @param {Object} options.prompts - { member, guest } system prompts for direct completions
+ * @param {Function} options.analyzeMessage - async (conversationId, text, { from, access, source, timezone }, turn) - task extraction
+ * @param {Function} options.sendSms - async ({ to, from, body }) => messageSid; without it replies go back in the webhook response
+ * @param {Function} options.verifyWebhook - Middleware checking the Twilio signature on incoming texts
+ * @param {string} options.publicBaseUrl - Public URL of this server, for full-answer links
+ * @returns {Object} - Express router
+ */
+export function createSmsRouter({ db, openai, prompts, analyzeMessage, sendSms = null, verifyWebhook, publicBaseUrl }) {
+  const router = express.Router();
+  const baseUrl = publicBaseUrl ? publicBaseUrl.replace(/\/$/, '') : null;
+
+  /**
+   * Answer a text, through the caller's Assistant thread when they have full access
+   * @param {Object} conversation - SMS conversation
+   * @param {string} text - The text
+   * @param {string} phoneNumber - Texter's number
+   * @param {string} timezone - Texter's timezone from their caller profile, for relative dates
+   * @returns {Promise<Object>} - { text, model, fallback }
+   */
+  const generateReply = async (conversation, text, phoneNumber, timezone) => {
+    const completeDirectly = async (fallback) => {
+      const history = (conversation.messages || [])
+        .filter(m => (m.type === 'user' || m.type === 'assistant') && m.content)
+        .slice(-HISTORY_MESSAGES)
+        .map(m => ({ role: m.type, content: m.content }));
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-3.5-turbo',
+        messages: [
+          { role: 'system', content: `${conversation.access === 'member' ? prompts.member : prompts.guest}\n\n${SMS_INSTRUCTIONS}` },
+          ...history,
+          { role: 'user', content: text }
+        ],
+        temperature: 0.7,
+        max_tokens: 300
+      });
+      return { text: completion.choices[0].message.content, model: 'gpt-3.5-turbo', fallback };
+    };
+
+    if (conversation.access !== 'member') {
+      return completeDirectly(false);
+    }
+    try {
+      const threadId = await ensureThreadForPhoneNumber(phoneNumber);
+      const reply = await getAssistantResponse(threadId, text, {
+        sessionId: conversation.id,
+        from: phoneNumber,
+        channel: 'sms',
+        timezone
+      }, { instructions: SMS_INSTRUCTIONS });
+      return { text: reply, model: 'gpt-4o', assistant: true };
+    } catch (error) {
+      console.error('Error using Assistant API for SMS, falling back to direct completion:', error);
+      return completeDirectly(true);
+    }
+  };
+
+  /**
+   * Work out the reply to an incoming text and record both sides
+   * @param {Object} message - { from, to, body, messageSid }
+   * @returns {Promise<Array<string>>} - Messages to send back (empty for none)
+   */
+  const handleText = async ({ from, to, body, messageSid }) => {
+    const auth = await resolveCallerAccess(db, from, { inbound: true });
+    if (auth.access === 'denied') {
+      console.warn(`🚫 Ignored text from denylisted number ${auth.phoneNumber}`);
+      await recordAuthEvent(db, 'sms_denied', { phoneNumber: auth.phoneNumber, messageSid });
+      return [];
+    }
+    if (auth.access === 'locked') {
+      await recordAuthEvent(db, 'caller_locked_sms', { phoneNumber: auth.phoneNumber, messageSid });
+      return ['There have been too many wrong PINs for this number. Please try again later.'];
+    }
+
+    const phoneNumber = auth.phoneNumber || normalizePhoneNumber(from) || from;
+    const conversation = await openSmsConversation(db, phoneNumber, auth.access === 'verify' ? 'verifying' : auth.access);
+
+    // Twilio retries webhooks that time out - answer each text once
+    if ((conversation.messages || []).some(m => m.messageSid === messageSid)) {
+      console.log(`ℹ️ Text ${messageSid} already handled - skipping`);
+      return [];
+    }
+
+    // PIN check - nothing reaches the assistant until a text carries the right PIN
+    if (conversation.access === 'verifying') {
+      if (!/^\d{4,8}$/.test(pinFromReply({ speech: body }))) {
+        // Not an attempt at a PIN, so it doesn't count as a failure (the text itself isn't kept)
+        await storeSmsMessage(db, conversation.id, { type: 'auth', content: 'PIN requested', messageSid });
+        return ['Hi, this is Agent Taskforce. Please reply with your PIN to continue.'];
+      }
+      const result = await checkCallerPin(db, phoneNumber, { speech: body }, { callSid: messageSid, attempt: 1 });
+      // Only the outcome is stored, never the PIN
+      await storeSmsMessage(db, conversation.id, {
+        type: 'auth',
+        content: result.ok ? 'PIN accepted' : 'PIN rejected',
+        messageSid
+      }, result.ok ? { access: 'member' } : {});
+      if (result.ok) return ['Thanks, you\'re verified. What can I help you with?'];
+      if (result.locked) return ['That PIN didn\'t match, and this number is now locked for a while.'];
+      return ['That PIN didn\'t match. Please reply with your PIN.'];
+    }
+
+    console.log(`💬 Text from ${phoneNumber}: "${body}"`);
+    await storeSmsMessage(db, conversation.id, { type: 'user', content: body, from: phoneNumber, to, messageSid });
+
+    // Same task extraction as spoken turns (guests are skipped there)
+    analyzeMessage(conversation.id, body, { from: phoneNumber, access: conversation.access, source: 'sms', timezone: auth.profile?.timezone }, messageSid);
+
+    const reply = await generateReply(conversation, body, phoneNumber, auth.profile?.timezone);
+    const smsText = toSmsText(reply.text);
+
+    // Answers too long for a few texts get a link to the full answer
+    const maxMessages = baseUrl ? MAX_MESSAGES : MAX_MESSAGES_WITHOUT_LINK;
+    let replyId = null;
+    let { messages, truncated } = segmentSms(smsText, { maxMessages });
+    if (truncated && baseUrl) {
+      replyId = await db.add('sms_replies', {
+        conversationId: conversation.id,
+        phoneNumber,
+        text: reply.text,
+        createdAt: new Date()
+      });
+      ({ messages, truncated } = segmentSms(smsText, { maxMessages, link: `${baseUrl}/sms/replies/${replyId}` }));
+    }
+
+    await storeSmsMessage(db, conversation.id, {
+      type: 'assistant',
+      content: reply.text,
+      model: reply.model,
+      ...(reply.assistant ? { assistant: true } : {}),
+      ...(reply.fallback ? { fallback: true } : {}),
+      segments: messages.length,
+      truncated,
+      ...(replyId ? { replyId } : {})
+    });
+    console.log(`💬 Replying to ${phoneNumber} with ${messages.length} message(s)${truncated ? ' and a link' : ''}`);
+    return messages;
+  };
+
+  // Incoming text (Twilio messaging webhook)
+  router.post('/', verifyWebhook, async (req, res) => {
+    const twiml = new twilio.twiml.MessagingResponse();
+    const message = {
+      from: req.body.From,
+      to: req.body.To,
+      body: String(req.body.Body || '').trim(),
+      messageSid: req.body.MessageSid
+    };
+
+    const sendTwiml = () => {
+      res.set('Content-Type', 'text/xml');
+      res.send(twiml.toString());
+    };
+
+    if (!message.from || !message.body) {
+      return sendTwiml();
+    }
+
+    if (!sendSms) {
+      // No REST client - answer in the webhook response
+      try {
+        const replies = await handleText(message);
+        replies.forEach(body => twiml.message(body));
+      } catch (error) {
+        console.error('❌ Error handling text:', error);
+        twiml.message('Sorry, something went wrong. Please try again.');
+      }
+      return sendTwiml();
+    }
+
+    // Acknowledge straight away so slow Assistant runs don't hit Twilio's webhook timeout
+    sendTwiml();
+    try {
+      const replies = await handleText(message);
+      for (const body of replies) {
+        await sendSms({ to: message.from, from: message.to, body });
+      }
+    } catch (error) {
+      console.error('❌ Error handling text:', error);
+      await sendSms({ to: message.from, from: message.to, body: 'Sorry, something went wrong. Please try again.' })
+        .catch(sendError => console.error('❌ Error sending SMS:', sendError));
+    }
+  });
+
+  // Full answer behind a link
+  router.get('/replies/:id', async (req, res) => {
+    try {
+      const reply = await db.get('sms_replies', req.params.id);
+      if (!reply) {
+        return res.status(404).type('text/plain').send('Not found');
+      }
+      const escaped = reply.text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+      res.type('html').send(`<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Agent Taskforce</title></head><body style="font-family: sans-serif; max-width: 40em; margin: 2em auto; padding: 0 1em; line-height: 1.5; white-space: pre-wrap;">${escaped}</body></html>`);
+    } catch (error) {
+      console.error('❌ Error getting SMS reply:', error);
+      res.status(500).type('text/plain').send('Error');
+    }
+  });
+
+  return router;
+}
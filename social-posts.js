@@ -0,0 +1,203 @@
+// Posting queue for the Social Media Manager
+// A cron job follows each post's review task (approved posts are scheduled, rejected ones
+// dropped) and publishes scheduled posts once they are due, through the platform's
+// publisher adapter. The router lets ops inspect posts and retry failed ones.
+import express from 'express';
+import cron from 'node-cron';
+import { toDate } from './functions/src/services/datastore.js';
+import { createPublishers } from './functions/src/agents/social-media-manager/publishers.js';
+import {
+  approvePost,
+  rejectPost,
+  retryPost,
+  isPostApproved,
+  publishPost
+} from './functions/src/agents/social-media-manager/manager.js';
+
+const POSTS_COLLECTION = 'social_posts';
+const POST_STATUSES = ['pending_approval', 'scheduled', 'publishing', 'published', 'failed', 'rejected'];
+const DEFAULT_LIST_LIMIT = 50;
+// A post stuck in publishing this long is marked failed rather than risk posting it twice
+const STALE_PUBLISH_MINUTES = 15;
+
+/**
+ * Who made the latest decision on a review task
+ * @param {Object} reviewTask - potential_tasks document
+ * @param {string} status - approved or rejected
+ * @returns {Object} - { actor, reason }
+ */
+function reviewDecision(reviewTask, status) {
+  const entry = [...(reviewTask.history || [])].reverse().find(item => item.to === status);
+  return { actor: entry?.actor || 'reviewer', reason: entry?.reason };
+}
+
+/**
+ * Publishes approved posts on a schedule
+ */
+export class SocialPostScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.db - Storage backend
+   * @param {Object} options.publishers - { [platform]: adapter } (from SOCIAL_PUBLISHERS by default)
+   * @param {string} options.schedule - Cron expression for the posting queue (every five minutes by default)
+   */
+  constructor({ db, publishers = createPublishers(), schedule = process.env.SOCIAL_POST_CRON || '*/5 * * * *' }) {
+    this.db = db;
+    this.publishers = publishers;
+    this.schedule = schedule;
+    this.job = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid SOCIAL_POST_CRON expression: ${this.schedule}`);
+    }
+    this.job = cron.schedule(this.schedule, () => {
+      this.tick().catch(error => console.error('❌ Posting scheduler error:', error));
+    });
+    console.log(`📣 Posting scheduler started (${this.schedule})`);
+  }
+
+  stop() {
+    this.job?.stop();
+    this.job = null;
+  }
+
+  /**
+   * Apply review decisions, then publish every post that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of posts published
+   */
+  async tick(now = new Date()) {
+    // Ticks can overlap when a platform is slow
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      await this.syncReviews();
+
+      const staleBefore = new Date(now.getTime() - STALE_PUBLISH_MINUTES * 60000);
+      const publishing = await this.db.query(POSTS_COLLECTION, { where: [['status', '==', 'publishing']] });
+      for (const post of publishing) {
+        if (toDate(post.lastAttemptAt) <= staleBefore) {
+          await this.db.appendToArray(POSTS_COLLECTION, post.id, 'history', { event: 'publish_failed', at: now, error: 'Publishing never finished' }, {
+            status: 'failed',
+            failureReason: 'Publishing never finished - check the platform before retrying',
+            updatedAt: now
+          });
+        }
+      }
+
+      const scheduled = await this.db.query(POSTS_COLLECTION, { where: [['status', '==', 'scheduled']] });
+      const due = scheduled.filter(post =>
+        (!post.scheduledAt || toDate(post.scheduledAt) <= now) &&
+        (!post.nextAttemptAt || toDate(post.nextAttemptAt) <= now)
+      );
+
+      let published = 0;
+      for (const post of due) {
+        // Never publish without an approved review, whatever the post's own status says
+        if (!await isPostApproved(this.db, post)) {
+          console.warn(`⚠️ Post ${post.id} is scheduled but its review task isn't approved - skipping`);
+          continue;
+        }
+        const publisher = this.publishers[post.platform];
+        if (!publisher) {
+          console.warn(`⚠️ No publisher for ${post.platform} - skipping post ${post.id}`);
+          continue;
+        }
+        if (await publishPost(this.db, post, publisher)) {
+          published++;
+        }
+      }
+      return published;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Schedule posts whose review task was approved and drop those that were rejected
+   */
+  async syncReviews() {
+    const pending = await this.db.query(POSTS_COLLECTION, { where: [['status', '==', 'pending_approval']] });
+    for (const post of pending) {
+      const reviewTask = post.reviewTaskId ? await this.db.get('potential_tasks', post.reviewTaskId) : null;
+      if (!reviewTask) continue;
+
+      if (await isPostApproved(this.db, post)) {
+        await approvePost(this.db, post.id, reviewDecision(reviewTask, 'approved'));
+      } else if (reviewTask.status === 'rejected') {
+        await rejectPost(this.db, post.id, reviewDecision(reviewTask, 'rejected'));
+        console.log(`🚫 Post ${post.id} rejected in review`);
+      }
+    }
+  }
+}
+
+/**
+ * Create the social post router (mounted under /admin/social-posts)
+ * Posts are approved or rejected through their review task in /admin/tasks
+ * @param {Object} options - Router options
+ * @param {Object} options.db - Storage backend
+ * @returns {Object} - Express router
+ */
+export function createSocialPostRouter({ db }) {
+  const router = express.Router();
+
+  // List posts - filter with ?status=&platform=&limit=
+  router.get('/', async (req, res) => {
+    try {
+      const { status, platform } = req.query;
+      const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIST_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ success: false, error: 'limit must be a positive whole number' });
+      }
+      if (status && !POST_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `Unknown status: ${status}` });
+      }
+
+      const where = Object.entries({ status, platform })
+        .filter(([, value]) => value)
+        .map(([field, value]) => [field, '==', value]);
+      const posts = (await db.query(POSTS_COLLECTION, { where }))
+        .sort((a, b) => (toDate(b.createdAt)?.getTime() || 0) - (toDate(a.createdAt)?.getTime() || 0))
+        .slice(0, limit);
+      res.json({ success: true, posts });
+    } catch (error) {
+      console.error('❌ Error listing posts:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Get one post with its history, permalink and failure reason
+  router.get('/:id', async (req, res) => {
+    try {
+      const post = await db.get(POSTS_COLLECTION, req.params.id);
+      if (!post) {
+        return res.status(404).json({ success: false, error: 'Post not found' });
+      }
+      res.json({ success: true, post });
+    } catch (error) {
+      console.error('❌ Error getting post:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Put a failed post back in the queue
+  router.post('/:id/retry', async (req, res) => {
+    try {
+      const post = await retryPost(db, req.params.id, { actor: req.body?.actor || 'admin' });
+      res.json({ success: true, post });
+    } catch (error) {
+      const status = { POST_NOT_FOUND: 404, INVALID_POST_STATUS: 409 }[error.code];
+      if (!status) {
+        console.error('❌ Error retrying post:', error);
+      }
+      res.status(status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
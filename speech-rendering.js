@@ -0,0 +1,369 @@
+// Speech rendering - turns an Assistant reply written for the screen into something that
+// sounds right on a call. Markdown is dropped, or turned into pauses and emphasis. Numbers,
+// units, dates and amounts are spelled out, and links are shortened to their site. Long
+// answers are split into several <Say>s, and the call stops to ask whether to go on.
+import { numberToWords, ordinalToWords } from './functions/src/utils/numbers.js';
+import { say } from './voice-profiles.js';
+
+// Characters of speech per <Say>, and per turn before asking whether to go on
+const SAY_CHARS = Number(process.env.SPEECH_SAY_CHARS || 400);
+const CHECKPOINT_CHARS = Number(process.env.SPEECH_CHECKPOINT_CHARS || 700);
+// A last bit this short is read out rather than asked about
+const MIN_REST_CHARS = 120;
+// Pause between paragraphs, list items and after headings
+const BLOCK_PAUSE = '500ms';
+
+// Replies to the checkpoint that mean "go on", in the languages the voice profiles ship with
+const CONTINUE_REPLY = /^(yes|yeah|yep|sure|ok|okay|please|continue|go on|go ahead|keep going|tell me more|sí|si|claro|continúa|continua|sigue|oui|vas-y|allez-y|continuez|d'accord)(?!\p{L})/iu;
+
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const CURRENCIES = {
+  '$': ['dollar', 'dollars', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence'],
+  '€': ['euro', 'euros', 'cent', 'cents']
+};
+const UNITS = {
+  mph: ['mile per hour', 'miles per hour'],
+  'km/h': ['kilometer per hour', 'kilometers per hour'],
+  kph: ['kilometer per hour', 'kilometers per hour'],
+  km: ['kilometer', 'kilometers'],
+  mi: ['mile', 'miles'],
+  kg: ['kilogram', 'kilograms'],
+  lb: ['pound', 'pounds'],
+  lbs: ['pound', 'pounds'],
+  oz: ['ounce', 'ounces'],
+  ft: ['foot', 'feet'],
+  cm: ['centimeter', 'centimeters'],
+  mm: ['millimeter', 'millimeters'],
+  hr: ['hour', 'hours'],
+  hrs: ['hour', 'hours'],
+  min: ['minute', 'minutes'],
+  mins: ['minute', 'minutes'],
+  sec: ['second', 'seconds'],
+  secs: ['second', 'seconds'],
+  KB: ['kilobyte', 'kilobytes'],
+  MB: ['megabyte', 'megabytes'],
+  GB: ['gigabyte', 'gigabytes'],
+  TB: ['terabyte', 'terabytes']
+};
+const ABBREVIATIONS = { 'e.g.': 'for example', 'i.e.': 'that is', 'etc.': 'et cetera', 'vs.': 'versus', 'approx.': 'about' };
+
+const toNumber = (text) => Number(String(text).replace(/,/g, ''));
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Spell out a year the way it's said ("twenty twenty-six", "two thousand five")
+ * @param {number} year - Four digit year
+ * @returns {string} - Words
+ */
+function yearToWords(year) {
+  if (year < 1100 || year >= 2100 || (year >= 2000 && year < 2010)) return numberToWords(year);
+  const rest = year % 100;
+  const century = numberToWords(Math.floor(year / 100));
+  if (rest === 0) return `${century} hundred`;
+  return `${century} ${rest < 10 ? `oh ${numberToWords(rest)}` : numberToWords(rest)}`;
+}
+
+/**
+ * Spell out a calendar date ("October twentieth, twenty twenty-six")
+ * @param {number} month - Month, 1 to 12
+ * @param {number} day - Day of the month
+ * @param {number} year - Year (optional)
+ * @returns {string|null} - Words, or null when it isn't a real date
+ */
+function dateToWords(month, day, year) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${MONTHS[month - 1]} ${ordinalToWords(day)}${year ? `, ${yearToWords(year)}` : ''}`;
+}
+
+/**
+ * Spell out a clock time ("three thirty PM", "nine oh five", "noon" stays as written)
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @param {string} meridiem - am or pm, if given
+ * @returns {string} - Words
+ */
+function timeToWords(hour, minute, meridiem) {
+  let words = numberToWords(hour);
+  if (minute) {
+    words += minute < 10 ? ` oh ${numberToWords(minute)}` : ` ${numberToWords(minute)}`;
+  } else if (!meridiem) {
+    words += ' o\'clock';
+  }
+  if (meridiem) {
+    words += ` ${meridiem.replace(/\./g, '').toUpperCase().split('').join(' ')}`;
+  }
+  return words;
+}
+
+/**
+ * Spell out an amount of money ("$12.50" -> "twelve dollars and fifty cents")
+ * @param {string} symbol - Currency symbol
+ * @param {string} amount - Amount as written
+ * @param {string} scale - million, billion, k, ... if given
+ * @returns {string} - Words
+ */
+function moneyToWords(symbol, amount, scale) {
+  const [one, many, minorOne, minorMany] = CURRENCIES[symbol];
+  const value = toNumber(amount);
+  if (scale) {
+    const scaleWord = { k: 'thousand', m: 'million', bn: 'billion' }[scale.toLowerCase()] || scale.toLowerCase();
+    return `${numberToWords(value)} ${scaleWord} ${many}`;
+  }
+  const whole = Math.floor(value);
+  const minor = Math.round((value - whole) * 100);
+  const parts = [];
+  if (whole || !minor) parts.push(`${numberToWords(whole)} ${whole === 1 ? one : many}`);
+  if (minor) parts.push(`${numberToWords(minor)} ${minor === 1 ? minorOne : minorMany}`);
+  return parts.join(' and ');
+}
+
+/**
+ * Read digits one at a time, in groups ("312-555-0100" -> "three one two, five five five, ...")
+ * @param {string} text - Digits, possibly with separators
+ * @returns {string} - Words
+ */
+function digitsToWords(text) {
+  return text
+    .split(/[^\d]+/)
+    .filter(Boolean)
+    .map(group => group.split('').map(digit => numberToWords(Number(digit))).join(' '))
+    .join(', ');
+}
+
+/**
+ * Spell out numbers, amounts, units, dates and times in English text
+ * @param {string} text - Plain text
+ * @returns {string} - Text ready to be spoken
+ */
+export function expandForSpeech(text) {
+  let spoken = ` ${text} `;
+
+  for (const [abbreviation, words] of Object.entries(ABBREVIATIONS)) {
+    spoken = spoken.replace(new RegExp(`(\\s)${escapeRegExp(abbreviation)}`, 'gi'), `$1${words}`);
+  }
+  spoken = spoken.replace(/\s&\s/g, ' and ');
+
+  // Phone numbers are read digit by digit
+  spoken = spoken.replace(/(\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, match => digitsToWords(match.replace(/^\+?1[\s.-]/, '')));
+
+  // Dates: 2026-10-20, 10/20/2026, Oct 20, October 20th, 2026
+  spoken = spoken.replace(/\b(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?\b/g, (match, year, month, day) =>
+    dateToWords(Number(month), Number(day), Number(year)) || match);
+  spoken = spoken.replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, (match, month, day, year) =>
+    dateToWords(Number(month), Number(day), Number(year)) || match);
+  spoken = spoken.replace(
+    /\b(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4})\b)?/g,
+    (match, month, day, year) => {
+      const index = MONTHS.findIndex(name => name.startsWith(month.slice(0, 3)));
+      return dateToWords(index + 1, Number(day), year ? Number(year) : null) || match;
+    }
+  );
+
+  // Times: 3:30 PM, 9:05, 3pm
+  spoken = spoken.replace(/\b(\d{1,2}):(\d{2})(?:\s*([ap](?:\.m\.|m))(?=\W))?/gi, (match, hour, minute, meridiem) =>
+    timeToWords(Number(hour), Number(minute), meridiem));
+  spoken = spoken.replace(/\b(\d{1,2})\s*([ap](?:\.m\.|m))(?=\W)/gi, (match, hour, meridiem) =>
+    timeToWords(Number(hour), 0, meridiem));
+
+  // Ranges keep their numbers for the amounts and units below
+  spoken = spoken.replace(new RegExp(`(?<![\\w.])(${NUMBER})\\s?[-–]\\s?(${NUMBER})(?!\\w)`, 'g'), '$1 to $2');
+
+  // Money, percentages, temperatures and units
+  spoken = spoken.replace(new RegExp(`([$£€])\\s?(${NUMBER})(?:\\s?(million|billion|thousand|bn|k|m)\\b)?`, 'gi'), (match, symbol, amount, scale) =>
+    moneyToWords(symbol, amount, scale));
+  spoken = spoken.replace(new RegExp(`(?<![\\w.])(${NUMBER})\\s?%`, 'g'), (match, value) => `${numberToWords(toNumber(value))} percent`);
+  spoken = spoken.replace(new RegExp(`((?<=\\s)-)?(?<![\\w.])(${NUMBER})\\s?°\\s?([FC])?\\b`, 'g'), (match, minus, value, scale) => {
+    const number = toNumber(value);
+    const degrees = `${minus ? 'minus ' : ''}${numberToWords(number)} ${number === 1 ? 'degree' : 'degrees'}`;
+    return scale ? `${degrees} ${scale === 'F' ? 'Fahrenheit' : 'Celsius'}` : degrees;
+  });
+  const unitPattern = Object.keys(UNITS).map(escapeRegExp).join('|');
+  spoken = spoken.replace(new RegExp(`(?<![\\w.])(${NUMBER})\\s?(${unitPattern})(?![\\w/])`, 'g'), (match, value, unit) => {
+    const number = toNumber(value);
+    return `${numberToWords(number)} ${UNITS[unit][number === 1 ? 0 : 1]}`;
+  });
+
+  // Ordinals, negatives, then any number left (digits inside words, like gpt-4o, stay as they are)
+  spoken = spoken.replace(/\b(\d+)(st|nd|rd|th)\b/gi, (match, value) => ordinalToWords(Number(value)));
+  spoken = spoken.replace(/(\s)-(?=\d)/g, '$1minus ');
+  // A four-digit number that could be a year is read as one ("born in 1999": nineteen ninety-nine)
+  spoken = spoken.replace(/(?<![\w.,+])(1[1-9]\d\d|20\d\d)(?![\w%°]|[.,]\d)/g, (match, year) => yearToWords(Number(year)));
+  spoken = spoken.replace(new RegExp(`\\+?(?<![\\w.])(${NUMBER})(?!\\w)`, 'g'), (match, value) =>
+    // Long digit strings are codes or IDs rather than amounts
+    /^\+?\d{7,}$/.test(match) ? digitsToWords(match) : numberToWords(toNumber(value)));
+
+  return spoken.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Shorten a URL to the site it points at
+ * @param {string} url - URL as written
+ * @returns {string} - Domain name (without www)
+ */
+function urlToDomain(url) {
+  try {
+    return new URL(/^https?:/i.test(url) ? url : `https://${url}`).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Strip inline markdown and shorten links, keeping **bold** markers for emphasis
+ * @param {string} text - One line of the reply
+ * @returns {string} - Plain text with bold markers
+ */
+function cleanInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\b(?:https?:\/\/|www\.)[^\s<>()]+/gi, url => {
+      // Keep sentence punctuation that ended up on the end of the link
+      const trailing = url.match(/[.,;:!?]+$/)?.[0] || '';
+      return urlToDomain(url.slice(0, url.length - trailing.length)) + trailing;
+    })
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/__(.+?)__/g, '**$1**')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?![*\w])/g, '$1$2')
+    .replace(/(^|\W)_([^_\s][^_]*?)_(?=\W|$)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Break a reply into spoken sentences, dropping markdown structure
+ * @param {string} text - Reply as written by the model
+ * @returns {Array<Object>} - { text, blockEnd } - text keeps **bold** markers
+ */
+function replySentences(text) {
+  const sentences = [];
+  let inCode = false;
+  for (const rawLine of String(text || '').replace(/\r/g, '').split('\n')) {
+    if (/^\s*```/.test(rawLine)) {
+      inCode = !inCode;
+      continue;
+    }
+    let line = rawLine.trim();
+    // Blank lines, horizontal rules and table separators
+    if (!line || /^([-*_]\s*){3,}$/.test(line) || /^\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*\|?$/.test(line)) continue;
+
+    if (!inCode) {
+      const heading = /^#{1,6}\s+/.test(line);
+      line = line
+        .replace(/^#{1,6}\s+/, '')
+        .replace(/^>\s?/, '')
+        .replace(/^([-*+•]|\d+[.)])\s+/, '')
+        .replace(/^\[[ xX]\]\s+/, '');
+      // Table rows are read cell by cell
+      if (/^\|.*\|$/.test(line)) {
+        line = line.slice(1, -1).split('|').map(cell => cell.trim()).filter(Boolean).join(', ');
+      }
+      line = cleanInline(line).replace(/[#*]{3,}|(^|\s)#+(?=\s|$)/g, '$1').trim();
+      // Headings and list items often have no full stop, which runs them into the next line
+      if (heading && !/[.!?:]$/.test(line)) line += '.';
+    }
+    if (!line) continue;
+
+    const parts = line.split(/(?<=[.!?…])\s+(?=["'(¿¡*]*[A-ZÀ-Ý0-9])/);
+    parts.forEach((part, index) => sentences.push({ text: part, blockEnd: index === parts.length - 1 }));
+  }
+  return sentences;
+}
+
+/**
+ * Turn one sentence into <Say> segments
+ * @param {string} text - Sentence with **bold** markers
+ * @param {boolean} english - Whether to spell out numbers, units and dates
+ * @returns {Array} - Segments: strings and { emphasis } objects
+ */
+function sentenceSegments(text, english) {
+  const speak = (part) => (english ? expandForSpeech(part) : part.replace(/\s+/g, ' ').trim());
+  const segments = [];
+  text.split(/\*\*(.+?)\*\*/).forEach((part, index) => {
+    const spoken = speak(part.replace(/\*/g, ''));
+    if (!spoken) return;
+    if (segments.length > 0 && !/^[.,;:!?]/.test(spoken)) segments.push(' ');
+    segments.push(index % 2 ? { emphasis: spoken } : spoken);
+  });
+  return segments;
+}
+
+const segmentsLength = (segments) => segments.reduce((length, segment) => length + (typeof segment === 'string' ? segment.length : segment.emphasis?.length || 0), 0);
+
+/**
+ * Render a reply for speech
+ * @param {string} text - Reply as written by the model
+ * @param {Object} options - { language, sayChars, checkpointChars } - numbers, units and dates are only spelled out in English
+ * @returns {Object} - { says: Array<Array> of segments per <Say>, rest: text left for after the checkpoint, or null }
+ */
+export function renderSpeech(text, { language = 'en-US', sayChars = SAY_CHARS, checkpointChars = CHECKPOINT_CHARS } = {}) {
+  const english = String(language).toLowerCase().startsWith('en');
+  const sentences = replySentences(text).map(sentence => {
+    const segments = sentenceSegments(sentence.text, english);
+    return { ...sentence, segments, length: segmentsLength(segments) };
+  }).filter(sentence => sentence.length > 0);
+
+  const says = [];
+  let current = [];
+  let currentLength = 0;
+  let spokenLength = 0;
+  let index = 0;
+  for (; index < sentences.length; index++) {
+    const sentence = sentences[index];
+    const remaining = sentences.slice(index).reduce((total, next) => total + next.length, 0);
+    if (spokenLength > 0 && spokenLength + sentence.length > checkpointChars && remaining > MIN_REST_CHARS) break;
+
+    if (current.length > 0 && currentLength + sentence.length > sayChars) {
+      says.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    if (current.length > 0 && !current.at(-1).pause) current.push(' ');
+    current.push(...sentence.segments);
+    if (sentence.blockEnd && index < sentences.length - 1) current.push({ pause: BLOCK_PAUSE });
+    currentLength += sentence.length + 1;
+    spokenLength += sentence.length + 1;
+  }
+  if (current.length > 0) {
+    // A pause at the very end would only delay what comes next
+    if (current.at(-1).pause) current.pop();
+    says.push(current);
+  }
+
+  if (index >= sentences.length) {
+    return { says, rest: null };
+  }
+  // Keep the rest as written, so it can be rendered again after the checkpoint
+  const rest = sentences.slice(index).map(sentence => sentence.text + (sentence.blockEnd ? '\n' : ' ')).join('').trim();
+  return { says, rest };
+}
+
+/**
+ * Whether the caller's reply to "want me to continue?" means yes
+ * @param {string} speech - What the caller said
+ * @returns {boolean} - True to carry on with the rest of the answer
+ */
+export function wantsToContinue(speech) {
+  return CONTINUE_REPLY.test(String(speech || '').trim().replace(/^(uh|um|oh|well)[,\s]+/i, ''));
+}
+
+/**
+ * Speak an Assistant reply, stopping at a checkpoint if it's long
+ * @param {Object} twiml - VoiceResponse
+ * @param {string} text - Reply as written by the model
+ * @param {Object} voice - Voice profile
+ * @param {Object} options - { checkpoint } - false to read the whole reply, e.g. before a transfer
+ * @returns {string|null} - The part left unsaid (for when the caller wants to continue), or null
+ */
+export function speakReply(twiml, text, voice, { checkpoint = true } = {}) {
+  const { says, rest } = renderSpeech(text, { language: voice.language, ...(checkpoint ? {} : { checkpointChars: Infinity }) });
+  for (const segments of says) {
+    say(twiml, segments, voice);
+  }
+  if (rest) {
+    say(twiml, voice.continuePrompt, voice);
+  }
+  return rest;
+}
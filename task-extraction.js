@@ -0,0 +1,242 @@
+// Task extraction for caller utterances
+// An LLM classifier with structured output pulls out every task in an utterance;
+// the keyword matcher is kept as the offline fallback when the model is unavailable
+import crypto from 'crypto';
+import { DEFAULT_TIMEZONE } from './functions/src/utils/timezone.js';
+
+const DEFAULT_MODEL = process.env.TASK_EXTRACTION_MODEL || 'gpt-4o-mini';
+const DEFAULT_MIN_CONFIDENCE = Number(process.env.TASK_MIN_CONFIDENCE || 0.5);
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Which agent handles each task type
+export const TASK_AGENTS = {
+  reminder: 'lead_agent',
+  research: 'web_scraper',
+  content_creation: 'copywriter',
+  image_creation: 'graphic_designer',
+  social_post: 'social_media_manager',
+  approval: 'project_manager'
+};
+
+// Keyword triggers used by the offline fallback
+const TASK_PATTERNS = [
+  {
+    type: 'reminder',
+    triggers: ['remind me', 'remember to', 'don\'t forget', 'set a reminder']
+  },
+  {
+    type: 'research',
+    triggers: ['find information', 'research', 'look up', 'search for', 'find out about']
+  },
+  {
+    type: 'content_creation',
+    triggers: ['create content', 'write', 'draft', 'compose', 'article about']
+  },
+  {
+    type: 'image_creation',
+    triggers: ['create image', 'design', 'picture of', 'illustration', 'graphic']
+  },
+  {
+    type: 'social_post',
+    triggers: ['post on', 'share on', 'twitter', 'facebook', 'instagram', 'social media']
+  },
+  {
+    type: 'approval',
+    triggers: ['approve', 'review', 'check', 'sign off']
+  }
+];
+
+// Structured output schema - strict mode needs every property listed as required,
+// so optional parameters are nullable instead
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['tasks'],
+  properties: {
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'agentType', 'parameters', 'confidence', 'rationale'],
+        properties: {
+          type: { type: 'string', enum: Object.keys(TASK_AGENTS) },
+          agentType: { type: 'string', enum: [...new Set(Object.values(TASK_AGENTS))] },
+          parameters: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['topic', 'platform', 'dueTime'],
+            properties: {
+              topic: { type: ['string', 'null'] },
+              platform: { type: ['string', 'null'] },
+              dueTime: { type: ['string', 'null'] }
+            }
+          },
+          confidence: { type: 'number' },
+          rationale: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const EXTRACTION_PROMPT = `You find actionable tasks in what a caller says to the AI Taskforce phone agent.
+Task types and the agent that handles them:
+- reminder (lead_agent): the caller wants to be reminded of something
+- research (web_scraper): gather information for later, beyond a quick answer on this call
+- content_creation (copywriter): write an article, blog post, email or other copy
+- image_creation (graphic_designer): create an image, graphic or design
+- social_post (social_media_manager): publish or schedule a social media post
+- approval (project_manager): approve, reject or sign off on work the agents produced
+
+Rules:
+- Return every distinct task in the utterance, or an empty list when there is none.
+- Questions answered on the call (weather, quick facts, small talk) are not tasks.
+- parameters.topic is what the task is about, parameters.platform is the social network or channel if named,
+  parameters.dueTime is an ISO 8601 timestamp with offset when a time is given, otherwise null.
+- confidence is between 0 and 1. rationale is one short sentence.`;
+
+/**
+ * Key that identifies an utterance within a session, used to analyze it only once
+ * The turn keeps a later repeat of the same words (SMS and web chats reuse their session)
+ * from being taken for the one already analyzed
+ * @param {string} sessionId - Session ID
+ * @param {string} text - Utterance
+ * @param {string} turn - Message the utterance came in (MessageSid, call turn, or the time it was stored)
+ * @returns {string} - Stable key
+ */
+export function utteranceKey(sessionId, text, turn) {
+  const normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  const digest = crypto.createHash('sha256').update(`${turn ?? ''}\n${normalized}`).digest('hex').substring(0, 16);
+  return `${sessionId}:${digest}`;
+}
+
+/**
+ * Offline fallback - match keyword triggers, stopping at the first hit
+ * @param {string} text - Utterance
+ * @returns {Array<Object>} - Zero or one task
+ */
+export function matchKeywordTasks(text) {
+  const normalizedSpeech = String(text).toLowerCase();
+
+  for (const pattern of TASK_PATTERNS) {
+    for (const trigger of pattern.triggers) {
+      if (normalizedSpeech.includes(trigger)) {
+        return [{
+          type: pattern.type,
+          agentType: TASK_AGENTS[pattern.type],
+          parameters: {},
+          confidence: null,
+          rationale: `Matched keyword "${trigger}"`,
+          trigger,
+          extractor: 'keywords'
+        }];
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Classify an utterance with the model using structured output
+ * @param {Object} openai - OpenAI client
+ * @param {string} text - Utterance
+ * @param {Object} options - Extraction options
+ * @param {string} options.model - Chat model
+ * @param {string} options.timezone - Caller's timezone, for resolving due times
+ * @param {Date} options.now - Current time
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Promise<Array<Object>>} - Extracted tasks
+ */
+export async function extractTasksWithModel(openai, text, { model = DEFAULT_MODEL, timezone = DEFAULT_TIMEZONE, now = new Date(), timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const completion = await openai.chat.completions.create({
+    model,
+    temperature: 0,
+    messages: [
+      { role: 'system', content: EXTRACTION_PROMPT },
+      { role: 'system', content: `Current time: ${now.toISOString()}. Caller timezone: ${timezone}.` },
+      { role: 'user', content: text }
+    ],
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'task_extraction', strict: true, schema: EXTRACTION_SCHEMA }
+    }
+  }, { timeout: timeoutMs, maxRetries: 1 });
+
+  const message = completion.choices[0].message;
+  if (message.refusal) {
+    throw new Error(`Task extraction refused: ${message.refusal}`);
+  }
+
+  const { tasks } = JSON.parse(message.content);
+  if (!Array.isArray(tasks)) {
+    throw new Error('Task extraction returned no task list');
+  }
+
+  return tasks
+    .filter(task => TASK_AGENTS[task.type])
+    .map(task => ({
+      type: task.type,
+      // The agent always follows the type, even if the model paired them differently
+      agentType: TASK_AGENTS[task.type],
+      parameters: Object.fromEntries(Object.entries(task.parameters || {}).filter(([, value]) => value !== null && value !== '')),
+      confidence: Math.min(Math.max(Number(task.confidence) || 0, 0), 1),
+      rationale: task.rationale || '',
+      extractor: 'model'
+    }));
+}
+
+/**
+ * Drop repeated tasks of the same type and topic, keeping the most confident one
+ * @param {Array<Object>} tasks - Extracted tasks
+ * @returns {Array<Object>} - Unique tasks
+ */
+function dedupeTasks(tasks) {
+  const byKey = new Map();
+  for (const task of tasks) {
+    const key = `${task.type}:${(task.parameters.topic || '').toLowerCase()}`;
+    const existing = byKey.get(key);
+    if (!existing || (task.confidence ?? 0) > (existing.confidence ?? 0)) {
+      byKey.set(key, task);
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Create a task extractor
+ * @param {Object} options - Extractor options
+ * @param {Object} options.openai - OpenAI client (keywords only when omitted)
+ * @param {string} options.mode - "model" (with keyword fallback) or "keywords" (TASK_EXTRACTION env)
+ * @param {number} options.minConfidence - Model tasks below this confidence are dropped
+ * @param {string} options.model - Chat model used for extraction
+ * @returns {Object} - Extractor with extract(text, { timezone, now })
+ */
+export function createTaskExtractor({ openai, mode = process.env.TASK_EXTRACTION || 'model', minConfidence = DEFAULT_MIN_CONFIDENCE, model = DEFAULT_MODEL } = {}) {
+  const useModel = mode !== 'keywords' && Boolean(openai);
+
+  return {
+    mode: useModel ? 'model' : 'keywords',
+
+    async extract(text, { timezone, now } = {}) {
+      if (!text || !text.trim()) return [];
+
+      if (!useModel) {
+        return matchKeywordTasks(text);
+      }
+
+      try {
+        const tasks = await extractTasksWithModel(openai, text, { model, timezone, now });
+        const confident = tasks.filter(task => task.confidence >= minConfidence);
+        if (confident.length < tasks.length) {
+          console.log(`ℹ️ Dropped ${tasks.length - confident.length} low-confidence task(s)`);
+        }
+        return dedupeTasks(confident);
+      } catch (error) {
+        console.warn(`⚠️ Task extraction with ${model} failed, using keyword matching: ${error.message}`);
+        return matchKeywordTasks(text);
+      }
+    }
+  };
+}
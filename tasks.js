@@ -0,0 +1,357 @@
+// Task lifecycle for potential_tasks and the ops API on top of it
+// potential -> approved -> queued -> running -> done / failed, or rejected along the way.
+// Every change is appended to the task's history; approved tasks are queued for their
+// agent in agent_tasks.
+import express from 'express';
+import { toDate } from './functions/src/services/datastore.js';
+import { TASK_AGENTS } from './task-extraction.js';
+import { cancelTaskReminders } from './reminders.js';
+
+const TASKS_COLLECTION = 'potential_tasks';
+const QUEUE_COLLECTION = 'agent_tasks';
+const DEFAULT_LIST_LIMIT = 50;
+
+// Allowed moves between statuses
+export const TASK_TRANSITIONS = {
+  potential: ['approved', 'rejected'],
+  approved: ['queued', 'done', 'rejected'],
+  queued: ['running', 'rejected'],
+  running: ['done', 'failed'],
+  done: ['queued'],
+  failed: ['queued', 'rejected'],
+  rejected: []
+};
+
+// Agents that are the voice server itself rather than a worker: reminders are scheduled
+// as soon as the task is stored (see reminders.js), so approving one finishes it
+const SERVER_AGENTS = ['lead_agent'];
+
+// Tasks can only be edited while nothing is working on them
+const EDITABLE_STATUSES = ['potential', 'approved', 'failed'];
+const EDITABLE_PARAMETERS = ['topic', 'platform', 'dueTime'];
+
+/**
+ * Build an error carrying an HTTP-friendly code
+ * @param {string} code - TASK_NOT_FOUND, INVALID_TRANSITION, TASK_CONFLICT or INVALID_EDIT
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a code
+ */
+function taskError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Whether a task may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} - True when the transition is allowed
+ */
+export function canTransition(from, to) {
+  return Boolean(TASK_TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * Move a task to a new status and record it in the task's history
+ * @param {Object} db - Storage backend
+ * @param {string} taskId - Task ID
+ * @param {string} to - Target status
+ * @param {Object} options - Transition options
+ * @param {string} options.actor - Who made the change (ops user, worker ID, ...)
+ * @param {string} options.reason - Why
+ * @param {Object} options.patch - Other fields to update with the transition
+ * @returns {Promise<Object>} - Updated task
+ */
+export async function transitionTask(db, taskId, to, { actor = 'system', reason, patch = {} } = {}) {
+  const task = await db.get(TASKS_COLLECTION, taskId);
+  if (!task) {
+    throw taskError('TASK_NOT_FOUND', `Task ${taskId} does not exist`);
+  }
+
+  const from = task.status || 'potential';
+  if (!canTransition(from, to)) {
+    throw taskError('INVALID_TRANSITION', `Cannot move a task from ${from} to ${to}`);
+  }
+
+  // Only move the task if nobody else has since it was read, so two approvals can't both queue it
+  const at = new Date();
+  const moved = await db.updateIf(TASKS_COLLECTION, taskId, [['status', '==', from]], {
+    ...patch,
+    status: to,
+    // Older readers look at executionStatus, so keep it in step
+    executionStatus: to,
+    updatedAt: at
+  });
+  if (!moved) {
+    throw taskError('TASK_CONFLICT', `Task ${taskId} was changed by someone else while moving it from ${from} to ${to}`);
+  }
+  await db.appendToArray(TASKS_COLLECTION, taskId, 'history', {
+    event: 'status_changed',
+    from,
+    to,
+    actor,
+    at,
+    ...(reason ? { reason } : {})
+  });
+
+  console.log(`🔀 Task ${taskId}: ${from} -> ${to} (${actor})`);
+  return db.get(TASKS_COLLECTION, taskId);
+}
+
+/**
+ * Queue an approved (or finished) task for its agent
+ * @param {Object} db - Storage backend
+ * @param {Object} task - Task document
+ * @param {string} actor - Who queued it
+ * @returns {Promise<Object>} - Updated task
+ */
+async function enqueueTask(db, task, actor) {
+  if (!canTransition(task.status, 'queued')) {
+    throw taskError('INVALID_TRANSITION', `Cannot move a task from ${task.status} to queued`);
+  }
+  if (SERVER_AGENTS.includes(task.agentType)) {
+    throw taskError('INVALID_TRANSITION', `${task.type} tasks are handled by the voice server, not queued`);
+  }
+
+  // Reuse the entry of an earlier try that queued the task but failed to record it
+  const entries = await db.query(QUEUE_COLLECTION, { where: [['taskId', '==', task.id]] });
+  const pending = entries.find(entry => entry.status === 'pending');
+  const queueId = pending?.id || await db.add(QUEUE_COLLECTION, {
+    type: task.agentType,
+    source: 'potential_tasks',
+    status: 'pending',
+    taskId: task.id,
+    data: {
+      taskType: task.type,
+      parameters: task.parameters || {},
+      sourceText: task.sourceText,
+      // Times the caller gave ("post tomorrow at 9") are read in their timezone
+      timezone: task.timezone || null
+    },
+    createdAt: Date.now()
+  });
+
+  try {
+    return await transitionTask(db, task.id, 'queued', { actor, patch: { queueId } });
+  } catch (error) {
+    // Someone else queued it first: withdraw the entry added here so the work only runs once
+    if (error.code === 'TASK_CONFLICT' && !pending) {
+      await db.updateIf(QUEUE_COLLECTION, queueId, [['status', '==', 'pending']], { status: 'cancelled', updatedAt: Date.now() });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Approve a potential task and queue it for its agent
+ * Approving an already approved task queues it again, for when queueing failed the first time
+ * @param {Object} db - Storage backend
+ * @param {string} taskId - Task ID
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} - Updated task
+ */
+export async function approveTask(db, taskId, { actor, reason } = {}) {
+  const task = await db.get(TASKS_COLLECTION, taskId);
+  if (!task) {
+    throw taskError('TASK_NOT_FOUND', `Task ${taskId} does not exist`);
+  }
+
+  const approved = task.status === 'approved' ? task : await transitionTask(db, taskId, 'approved', { actor, reason });
+  if (SERVER_AGENTS.includes(approved.agentType)) {
+    return transitionTask(db, taskId, 'done', { actor, reason: 'Handled by the voice server' });
+  }
+  return enqueueTask(db, approved, actor);
+}
+
+/**
+ * Reject a task, cancelling any reminder that was scheduled when it was stored
+ * @param {Object} db - Storage backend
+ * @param {string} taskId - Task ID
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} - Updated task
+ */
+export async function rejectTask(db, taskId, { actor, reason } = {}) {
+  const task = await transitionTask(db, taskId, 'rejected', { actor, reason });
+  await cancelTaskReminders(db, taskId, { actor, reason: reason || 'Task rejected' });
+  return task;
+}
+
+/**
+ * Run a finished or failed task again
+ * @param {Object} db - Storage backend
+ * @param {string} taskId - Task ID
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - Updated task
+ */
+export async function rerunTask(db, taskId, { actor } = {}) {
+  const task = await db.get(TASKS_COLLECTION, taskId);
+  if (!task) {
+    throw taskError('TASK_NOT_FOUND', `Task ${taskId} does not exist`);
+  }
+  if (!['done', 'failed'].includes(task.status)) {
+    throw taskError('INVALID_TRANSITION', `Only done or failed tasks can be re-run (task is ${task.status})`);
+  }
+  return enqueueTask(db, task, actor);
+}
+
+/**
+ * Edit a task's type or parameters before it runs
+ * @param {Object} db - Storage backend
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - { type, parameters, notes }
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - Updated task
+ */
+export async function editTask(db, taskId, changes, { actor = 'system' } = {}) {
+  const task = await db.get(TASKS_COLLECTION, taskId);
+  if (!task) {
+    throw taskError('TASK_NOT_FOUND', `Task ${taskId} does not exist`);
+  }
+  if (!EDITABLE_STATUSES.includes(task.status)) {
+    throw taskError('INVALID_EDIT', `A ${task.status} task cannot be edited`);
+  }
+
+  const patch = {};
+  if (changes.type !== undefined) {
+    if (!TASK_AGENTS[changes.type]) {
+      throw taskError('INVALID_EDIT', `Unknown task type: ${changes.type}`);
+    }
+    patch.type = changes.type;
+    patch.agentType = TASK_AGENTS[changes.type];
+  }
+  if (changes.parameters !== undefined) {
+    if (!changes.parameters || typeof changes.parameters !== 'object' || Array.isArray(changes.parameters)) {
+      throw taskError('INVALID_EDIT', 'parameters must be an object');
+    }
+    const unknown = Object.keys(changes.parameters).filter(key => !EDITABLE_PARAMETERS.includes(key));
+    if (unknown.length > 0) {
+      throw taskError('INVALID_EDIT', `Unknown parameters: ${unknown.join(', ')}`);
+    }
+    patch.parameters = { ...(task.parameters || {}), ...changes.parameters };
+  }
+  if (changes.notes !== undefined) {
+    patch.notes = String(changes.notes);
+  }
+  if (Object.keys(patch).length === 0) {
+    throw taskError('INVALID_EDIT', 'Nothing to change - send type, parameters or notes');
+  }
+
+  const at = new Date();
+  await db.appendToArray(TASKS_COLLECTION, taskId, 'history', {
+    event: 'edited',
+    actor,
+    at,
+    changes: patch
+  }, { ...patch, updatedAt: at });
+
+  return db.get(TASKS_COLLECTION, taskId);
+}
+
+/**
+ * List tasks, newest first
+ * @param {Object} db - Storage backend
+ * @param {Object} filters - { status, type, agentType, source, sourceId, limit }
+ * @returns {Promise<Array<Object>>} - Tasks
+ */
+export async function listTasks(db, { status, type, agentType, source, sourceId, limit = DEFAULT_LIST_LIMIT } = {}) {
+  const where = Object.entries({ status, type, agentType, source, sourceId })
+    .filter(([, value]) => value)
+    .map(([field, value]) => [field, '==', value]);
+
+  const tasks = await db.query(TASKS_COLLECTION, { where });
+  return tasks
+    .sort((a, b) => (toDate(b.createdAt)?.getTime() || 0) - (toDate(a.createdAt)?.getTime() || 0))
+    .slice(0, limit);
+}
+
+/**
+ * Create the task router (mounted under /admin/tasks)
+ * @param {Object} options - Router options
+ * @param {Object} options.db - Storage backend
+ * @returns {Object} - Express router
+ */
+export function createTaskRouter({ db }) {
+  const router = express.Router();
+
+  const sendError = (res, error, action) => {
+    const status = { TASK_NOT_FOUND: 404, INVALID_TRANSITION: 409, TASK_CONFLICT: 409, INVALID_EDIT: 400 }[error.code];
+    if (!status) {
+      console.error(`❌ Error ${action}:`, error);
+    }
+    res.status(status || 500).json({ success: false, error: error.message });
+  };
+
+  const actorOf = (req) => req.body?.actor || 'admin';
+
+  // List tasks - filter with ?status=&type=&agentType=&source=&sourceId=&limit=
+  router.get('/', async (req, res) => {
+    try {
+      const limit = req.query.limit ? Number(req.query.limit) : undefined;
+      if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({ success: false, error: 'limit must be a positive whole number' });
+      }
+      if (req.query.status && !TASK_TRANSITIONS[req.query.status]) {
+        return res.status(400).json({ success: false, error: `Unknown status: ${req.query.status}` });
+      }
+      const tasks = await listTasks(db, { ...req.query, limit });
+      res.json({ success: true, tasks });
+    } catch (error) {
+      sendError(res, error, 'listing tasks');
+    }
+  });
+
+  // Get one task with its history
+  router.get('/:id', async (req, res) => {
+    try {
+      const task = await db.get(TASKS_COLLECTION, req.params.id);
+      if (!task) {
+        return res.status(404).json({ success: false, error: 'Task not found' });
+      }
+      res.json({ success: true, task });
+    } catch (error) {
+      sendError(res, error, 'getting task');
+    }
+  });
+
+  // Approve and queue for the agent
+  router.post('/:id/approve', async (req, res) => {
+    try {
+      const task = await approveTask(db, req.params.id, { actor: actorOf(req), reason: req.body?.reason });
+      res.json({ success: true, task });
+    } catch (error) {
+      sendError(res, error, 'approving task');
+    }
+  });
+
+  // Reject
+  router.post('/:id/reject', async (req, res) => {
+    try {
+      const task = await rejectTask(db, req.params.id, { actor: actorOf(req), reason: req.body?.reason });
+      res.json({ success: true, task });
+    } catch (error) {
+      sendError(res, error, 'rejecting task');
+    }
+  });
+
+  // Queue a done or failed task again
+  router.post('/:id/rerun', async (req, res) => {
+    try {
+      const task = await rerunTask(db, req.params.id, { actor: actorOf(req) });
+      res.json({ success: true, task });
+    } catch (error) {
+      sendError(res, error, 're-running task');
+    }
+  });
+
+  // Edit type, parameters or notes
+  router.patch('/:id', async (req, res) => {
+    try {
+      const { type, parameters, notes } = req.body || {};
+      const task = await editTask(db, req.params.id, { type, parameters, notes }, { actor: actorOf(req) });
+      res.json({ success: true, task });
+    } catch (error) {
+      sendError(res, error, 'editing task');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,228 @@
+// Tool registry for the OpenAI Assistant
+// Each tool declares its JSON schema and handler; arguments are validated before the
+// handler runs and every outcome (including failures) is returned to the model as a string
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Validate a value against the subset of JSON Schema we use for tool parameters
+ * (type, properties, required, items, enum, additionalProperties, minimum, maximum)
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateAgainstSchema(schema, value, path = 'arguments') {
+  const errors = [];
+  if (!schema) return errors;
+
+  const typeOf = (v) => {
+    if (Array.isArray(v)) return 'array';
+    if (v === null) return 'null';
+    if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+    return typeof v;
+  };
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = allowed.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (!matches) {
+      errors.push(`${path} must be of type ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateAgainstSchema(propertySchema, propertyValue, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Serialize a tool error in the shape the model sees for every failure
+ * @param {string} type - Error type (unknown_tool, invalid_arguments, handler_error, timeout)
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Extra details
+ * @returns {string} - JSON string output
+ */
+function errorOutput(type, message, details = {}) {
+  return JSON.stringify({ success: false, error: { type, message, ...details } });
+}
+
+/**
+ * Limits how many calls of one tool run at the same time
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(fn) {
+    if (this.active >= this.limit) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active++;
+    try {
+      return await fn();
+    } finally {
+      this.active--;
+      this.waiting.shift()?.();
+    }
+  }
+}
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Function name the Assistant calls
+   * @param {string} tool.description - Description shown to the model
+   * @param {Object} tool.parameters - JSON schema for the arguments
+   * @param {Function} tool.handler - async (args, context) => string|Object
+   * @param {number} tool.timeoutMs - Maximum run time (defaults to 20 seconds)
+   * @param {number} tool.concurrency - Maximum simultaneous calls (unlimited when omitted)
+   * @returns {ToolRegistry} - The registry, for chaining
+   */
+  register({ name, description, parameters = { type: 'object', properties: {} }, handler, timeoutMs, concurrency }) {
+    if (!name || typeof handler !== 'function') {
+      throw new Error('A tool needs a name and a handler');
+    }
+    if (this.tools.has(name)) {
+      console.warn(`⚠️ Tool ${name} is already registered - replacing it`);
+    }
+
+    this.tools.set(name, {
+      name,
+      description,
+      parameters,
+      handler,
+      timeoutMs: timeoutMs || DEFAULT_TIMEOUT_MS,
+      semaphore: concurrency ? new Semaphore(concurrency) : null
+    });
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Tool definitions in the format the Assistants API expects
+   * @returns {Array<Object>} - Tool definitions
+   */
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * Run a single tool call from a requires_action run
+   * Never throws - failures come back as structured error output for the model
+   * @param {Object} toolCall - Tool call from the run (id, function.name, function.arguments)
+   * @param {Object} context - Per-request context passed to handlers (caller, session, etc.)
+   * @returns {Object} - { tool_call_id, output }
+   */
+  async execute(toolCall, context = {}) {
+    const name = toolCall.function?.name;
+    const respond = (output) => ({ tool_call_id: toolCall.id, output });
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      console.warn(`⚠️ Unknown tool called: ${name}`);
+      return respond(errorOutput('unknown_tool', `No tool named ${name} is available`, {
+        availableTools: [...this.tools.keys()]
+      }));
+    }
+
+    let args;
+    try {
+      args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    } catch (error) {
+      return respond(errorOutput('invalid_arguments', `Arguments are not valid JSON: ${error.message}`));
+    }
+
+    const validationErrors = validateAgainstSchema(tool.parameters, args);
+    if (validationErrors.length > 0) {
+      console.warn(`⚠️ Invalid arguments for ${name}: ${validationErrors.join('; ')}`);
+      return respond(errorOutput('invalid_arguments', 'Arguments did not match the tool schema', {
+        errors: validationErrors
+      }));
+    }
+
+    const invoke = async () => {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error(`${name} timed out after ${tool.timeoutMs}ms`), { code: 'TOOL_TIMEOUT' })), tool.timeoutMs);
+      });
+      try {
+        return await Promise.race([tool.handler(args, context), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    try {
+      console.log(`🔨 Running tool ${name} with ${JSON.stringify(args)}`);
+      const result = tool.semaphore ? await tool.semaphore.run(invoke) : await invoke();
+      const output = typeof result === 'string' ? result : JSON.stringify(result ?? { success: true });
+      console.log(`✅ Tool ${name} finished: "${output.substring(0, 150)}"`);
+      return respond(output);
+    } catch (error) {
+      console.error(`❌ Tool ${name} failed:`, error.message);
+      return error.code === 'TOOL_TIMEOUT'
+        ? respond(errorOutput('timeout', error.message))
+        : respond(errorOutput('handler_error', error.message));
+    }
+  }
+
+  /**
+   * Run all tool calls from one requires_action round in parallel
+   * @param {Array<Object>} toolCalls - Tool calls from the run
+   * @param {Object} context - Per-request context passed to handlers
+   * @returns {Array<Object>} - Tool outputs in the same order
+   */
+  async executeAll(toolCalls, context = {}) {
+    return Promise.all(toolCalls.map(toolCall => this.execute(toolCall, context)));
+  }
+}
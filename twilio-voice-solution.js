@@ -1,6 +1,9 @@
 // Simple Twilio voice agent with webhook approach instead of ConversationRelay
 // This uses Twilio's built-in speech recognition instead of WebSockets
 // Now enhanced with OpenAI Assistants API for persistent memory and tool calling
+// REALTIME_MODE=relay connects calls to ConversationRelay instead (realtime-relay.js), with
+// the webhook loop as the fallback
+import crypto from 'crypto';
 import express from 'express';
 import { OpenAI } from 'openai';
 import twilio from 'twilio';
@@ -8,7 +11,54 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { initializeAssistant, ensureThreadForPhoneNumber, getAssistantResponse } from './assistants-util.js';
+import { initializeAssistant, ensureThreadForPhoneNumber, getAssistantResponse, cancelActiveRuns, toolRegistry } from './assistants-util.js';
+import { initializeStore, toDate } from './functions/src/services/datastore.js';
+import { localFilesDir } from './functions/src/services/storage.js';
+import { createTwilioSignatureMiddleware, createTwilioUpgradeVerifier, getPublicRequestUrl } from './twilio-webhook-auth.js';
+import { createSessionStore } from './session-store.js';
+import { createAdminRouter, requireAdminToken } from './admin-routes.js';
+import { createTaskExtractor, utteranceKey } from './task-extraction.js';
+import { createTaskRouter } from './tasks.js';
+import { AgentWorker } from './agent-worker.js';
+import { registerAgentHandlers } from './agent-handlers.js';
+import { createReminderFromTask, createReminderRouter, createTwilioReminderCaller, ReminderScheduler } from './reminders.js';
+import { createSocialPostRouter, SocialPostScheduler } from './social-posts.js';
+import {
+  isApprover,
+  startApprovalScript,
+  continueApprovalScript,
+  repromptApproval,
+  createApproverCaller,
+  scheduleApprovalCalls,
+  createApprovalRouter
+} from './approvals.js';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { gatherInput, handleDigitEntry, handleMenuKey, keypadMenu, menuPrompt } from './keypad-menus.js';
+import {
+  askForPin,
+  callerAuthEnabled,
+  checkCallerPin,
+  createCallerProfileRouter,
+  recordAuthEvent,
+  repromptPin,
+  resolveCallerAccess
+} from './caller-auth.js';
+import { createSmsRouter, createTwilioSmsSender } from './sms.js';
+import { createWebChatServer } from './web-chat.js';
+import { connectRelay, createRelayRouter, createRelayServer, realtimeRelayEnabled, RELAY_PATH } from './realtime-relay.js';
+import { speakReply, wantsToContinue } from './speech-rendering.js';
+import { connectTransfer, createTransferRouter, registerTransferTool, requestedTransfer } from './call-transfer.js';
+import {
+  languageInstructions,
+  languageName,
+  getVoiceProfile,
+  loadVoiceProfiles,
+  phrase,
+  resolveVoiceProfile,
+  say,
+  sessionVoice,
+  switchVoiceForUtterance
+} from './voice-profiles.js';
 
 // Initialize environment
 dotenv.config();
@@ -30,8 +80,32 @@ const SYSTEM_PROMPT = `You are the Lead Agent for AI Taskforce, a specialized sy
 Respond helpfully and professionally to voice queries. Spell out numbers (say 'twenty' not '20').
 Keep responses concise as they will be spoken aloud.`;
 
-// Track active sessions
-const sessions = new Map();
+// Callers without a profile (see caller-auth.js) only get general answers
+const GUEST_SYSTEM_PROMPT = `${SYSTEM_PROMPT}
+
+This caller is a guest who has not been verified. Answer general questions about AI Taskforce and what it does. Do not share or discuss tasks, reminders, schedules, drafts, posts or anything about other callers, and do not take on work for them. If they ask for any of that, explain that it is only available to registered callers.`;
+
+// Async response mode - /respond returns a filler phrase right away and /respond/poll
+// speaks the answer once the Assistant run finishes (set RESPONSE_MODE=sync to disable)
+const RESPONSE_MODE = process.env.RESPONSE_MODE || 'async';
+const ASYNC_RESPONSE_TIMEOUT_MS = Number(process.env.ASYNC_RESPONSE_TIMEOUT_SECONDS || 60) * 1000;
+const HOLD_AUDIO_URL = process.env.HOLD_AUDIO_URL;
+const POLL_PAUSE_SECONDS = 2;
+const FILLER_EVERY_N_POLLS = 4;
+// Task analyses still running after this long are taken to have died with their instance
+const ANALYSIS_STALE_MS = 2 * 60 * 1000;
+const MAX_ANALYSIS_ATTEMPTS = 3;
+// Keys callers can press instead of speaking (KEYPAD_MENU, e.g. "1=pending_tasks,2=reminders,0=assistant")
+const KEYPAD_MENU = keypadMenu();
+// Voices and languages for calls (voice-profiles.json, VOICE_PROFILES_PATH to use another file)
+loadVoiceProfiles();
+
+// Guests can't reach tasks or reminders, so they get no keypad menu
+function keypadMenuFor(session) {
+  return session.access === 'member' ? KEYPAD_MENU : {};
+}
+// Filler prompts, in the order a long wait works through them
+const FILLER_PHRASES = ['filler.start', 'filler.working', 'filler.almostThere'];
 
 // API key handling - get from environment or env file
 let apiKey = process.env.OPENAI_API_KEY;
@@ -74,157 +148,50 @@ const openai = new OpenAI({
   apiKey
 });
 
-// Initialize the Assistant
+// Task extraction - TASK_EXTRACTION=keywords skips the model entirely
+const taskExtractor = createTaskExtractor({ openai });
+console.log(`🧠 Task extraction mode: ${taskExtractor.mode}`);
+
+// Storage initialization - backend is chosen with STORAGE_BACKEND (memory, file or firestore)
+let db;
+
+try {
+  db = await initializeStore();
+} catch (error) {
+  console.error('❌ Storage initialization error:', error);
+  console.warn('⚠️ Falling back to in-memory storage - conversations will not survive a restart');
+  db = await initializeStore({ backend: 'memory' });
+}
+
+// Initialize the Assistant - the transfer tool records transfers in storage, so it's
+// registered once storage is up
+registerTransferTool(toolRegistry, { db });
 initializeAssistant(apiKey).catch(error => {
   console.error('Failed to initialize Assistant:', error);
   process.exit(1);
 });
 
-// Firebase initialization
-let db = null;
-
-// Conversations storage (for demo mode when no Firebase)
-const conversations = new Map();
-
-// Check if we should use mock mode
-const useMockFirebase = false; // Set to false when using real Firebase
-
-if (useMockFirebase) {
-  console.log('💻 Using mock Firebase mode for demonstration purposes');
-  
-  // Create a simple mock Firestore-like interface
-  db = {
-    collection: (name) => {
-      return {
-        doc: (id) => {
-          return {
-            get: async () => {
-              return {
-                exists: conversations.has(id),
-                data: () => conversations.get(id) || {}
-              };
-            },
-            set: async (data) => {
-              conversations.set(id, data);
-              console.log(`🔥 Mock Firestore: Created document in ${name} with ID ${id}`);
-              return true;
-            },
-            update: async (data) => {
-              const existing = conversations.get(id) || {};
-              const updated = { ...existing, ...data };
-              
-              // Special handling for arrayUnion
-              if (data.messages && data.messages._arrayUnion) {
-                if (!updated.messages) updated.messages = [];
-                // Make sure messages is an array
-                if (!Array.isArray(updated.messages)) {
-                  updated.messages = [];
-                }
-                updated.messages.push(data.messages._arrayUnion);
-                console.log(`Added message to conversation ${id}: ${JSON.stringify(data.messages._arrayUnion).substring(0, 100)}...`);
-              }
-              
-              conversations.set(id, updated);
-              console.log(`🔥 Mock Firestore: Updated document in ${name} with ID ${id}`);
-              return true;
-            }
-          };
-        },
-        limit: () => ({
-          get: async () => ({
-            size: conversations.size,
-            docs: [...conversations.entries()].map(([id, data]) => ({
-              id,
-              data: () => data
-            }))
-          })
-        })
-      };
-    }
-  };
-  
-  // Mock the Firebase admin FieldValue.arrayUnion function
-  global.admin = {
-    firestore: {
-      FieldValue: {
-        arrayUnion: (item) => ({ _arrayUnion: item })
-      }
-    }
-  };
-  
-  console.log('✅ Mock Firebase initialized successfully');
-} else {
-  // Real Firebase initialization
-  try {
-    // Look for Firebase credentials
-    const serviceAccountPath = path.join(__dirname, 'functions', 'agentc-13331-firebase-adminsdk.json');
-    
-    if (fs.existsSync(serviceAccountPath)) {
-      console.log('✅ Firebase credentials found - initializing Firebase');
-      
-      // Import Firebase packages - use a different approach for ES modules
-      try {
-        // First, import the package
-        const admin = await import('firebase-admin');
-        
-        // Access the default export
-        const { default: firebaseAdmin } = admin;
-        
-        // Initialize Firebase with the service account
-        firebaseAdmin.initializeApp({
-          credential: firebaseAdmin.credential.cert(JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8')))
-        });
-        
-        // Store references for later use
-        global.admin = firebaseAdmin;
-        db = firebaseAdmin.firestore();
-        
-        console.log('🔥 Firebase and Firestore initialized successfully');
-        
-        // Create the conversation collection if it doesn't exist
-        try {
-          // Check if the conversations collection exists by making a small query
-          const snapshot = await db.collection('conversations').limit(1).get();
-          console.log(`✅ Conversations collection ready (${snapshot.size} documents found)`);
-        } catch (error) {
-          console.warn('⚠️ Error checking conversations collection:', error.message);
-        }
-      } catch (error) {
-        console.error('❌ Error initializing Firebase:', error);
-      }
-    } else {
-      console.warn('⚠️ Firebase credentials not found at', serviceAccountPath);
-      console.warn('⚠️ Running without Firebase integration - conversations will not be saved');
-    }
-  } catch (error) {
-    console.error('❌ Firebase initialization error:', error);
-  }
-}
+// Track active sessions - SESSION_STORE=shared keeps them in the storage layer so
+// any instance can serve any call; sessions idle past SESSION_TTL_SECONDS expire
+const sessions = createSessionStore({ db, rehydrate: rehydrateSession });
+console.log(`📇 Session store initialized: ${sessions.backendName}`);
 
-// Store conversation in Firebase
+// Store conversation in the configured storage backend
 async function storeConversation(sessionId, data) {
-  if (!db) {
-    console.log('Firebase not initialized, skipping conversation storage');
-    return;
-  }
-  
   try {
     // Get the current timestamp
     const timestamp = new Date();
     
-    // Create a reference to the conversation document
-    const conversationRef = db.collection('conversations').doc(sessionId);
-    
     // Check if the conversation document exists
-    const conversationDoc = await conversationRef.get();
+    const conversation = await db.get('conversations', sessionId);
     
-    if (!conversationDoc.exists) {
+    if (!conversation) {
       // Create a new conversation document
-      await conversationRef.set({
+      await db.set('conversations', sessionId, {
         sessionId,
         createdAt: timestamp,
         updatedAt: timestamp,
-        callSid: data.callSid || sessions.get(sessionId)?.callSid,
+        callSid: data.callSid || (await sessions.get(sessionId))?.callSid,
         status: 'active',
         messages: []
       });
@@ -239,16 +206,16 @@ async function storeConversation(sessionId, data) {
     };
     
     // Add the message to the conversation
-    await conversationRef.update({
-      updatedAt: timestamp,
-      messages: global.admin.firestore.FieldValue.arrayUnion(messageData)
+    await db.appendToArray('conversations', sessionId, 'messages', messageData, {
+      updatedAt: timestamp
     });
     
     console.log(`✅ Stored conversation message for session ${sessionId}`);
     
-    // If this is a user message, analyze it for potential agent tasks
+    // If this is a user message, analyze it for potential agent tasks in the background
+    // so the caller isn't kept waiting on the classifier
     if (data.type === 'user' && data.content) {
-      await analyzeConversation(sessionId, data.content);
+      analyzeConversation(sessionId, data.content, null, data.turn || timestamp.toISOString());
     }
     
     return true;
@@ -258,86 +225,150 @@ async function storeConversation(sessionId, data) {
   }
 }
 
+// Whether an utterance_analyses record should be run (again): analyses that failed, and
+// ones whose instance died mid-way, get a few more tries
+function analysisRetryable(record, now = Date.now()) {
+  if ((record.attempts || 1) >= MAX_ANALYSIS_ATTEMPTS) return false;
+  if (record.status === 'failed') return true;
+  return record.status === 'analyzing' && now - toDate(record.startedAt || record.createdAt).getTime() > ANALYSIS_STALE_MS;
+}
+
+// What tells tasks from the same utterance apart (two reminders differ by topic or time),
+// so a retry only stores the ones an earlier attempt didn't get to
+function taskSignature(task) {
+  return [task.type, (task.parameters?.topic || '').toLowerCase().trim(), task.parameters?.dueTime || ''].join('|');
+}
+
 // Analyze user speech for potential agent tasks
-async function analyzeConversation(sessionId, userSpeech) {
-  if (!db) return;
-  
-  console.log(`🧠 Analyzing conversation for session ${sessionId}`);
+// Each utterance is analyzed once: in-flight analyses are shared and finished ones are
+// recorded in utterance_analyses, so webhook retries and other instances skip them
+// Other channels pass the caller ({ from, access, source, timezone }) since they have no call session,
+// and every channel passes the turn the utterance came in (see utteranceKey): the MessageSid
+// for texts, the webhook's idempotency token or call turn for /respond, the time stored otherwise
+const inFlightAnalyses = new Map();
+
+async function analyzeConversation(sessionId, userSpeech, caller = null, turn = null) {
+  const key = utteranceKey(sessionId, userSpeech, turn);
+  if (inFlightAnalyses.has(key)) {
+    return inFlightAnalyses.get(key);
+  }
   
-  try {
-    // Task identification patterns
-    const taskPatterns = [
-      {
-        type: 'reminder',
-        triggers: ['remind me', 'remember to', 'don\'t forget', 'set a reminder'],
-        agentType: 'lead_agent'
-      },
-      {
-        type: 'research',
-        triggers: ['find information', 'research', 'look up', 'search for', 'find out about'],
-        agentType: 'web_scraper'
-      },
-      {
-        type: 'content_creation',
-        triggers: ['create content', 'write', 'draft', 'compose', 'article about'],
-        agentType: 'copywriter'
-      },
-      {
-        type: 'image_creation',
-        triggers: ['create image', 'design', 'picture of', 'illustration', 'graphic'],
-        agentType: 'graphic_designer'
-      },
-      {
-        type: 'social_post',
-        triggers: ['post on', 'share on', 'twitter', 'facebook', 'instagram', 'social media'],
-        agentType: 'social_media_manager'
-      },
-      {
-        type: 'approval',
-        triggers: ['approve', 'review', 'check', 'sign off'],
-        agentType: 'project_manager'
+  const analysis = (async () => {
+    try {
+      // Guests can't create tasks
+      const session = caller || await sessions.get(sessionId);
+      if (session?.access === 'guest') {
+        console.log(`ℹ️ Guest caller in session ${sessionId} - skipping task analysis`);
+        return;
+      }
+      
+      const now = new Date();
+      const existing = await db.get('utterance_analyses', key);
+      if (existing && !analysisRetryable(existing, now.getTime())) {
+        console.log(`ℹ️ Utterance already analyzed for session ${sessionId} - skipping`);
+        return;
+      }
+      const record = {
+        status: 'analyzing',
+        attempts: (existing?.attempts || 0) + 1,
+        startedAt: now
+      };
+      if (existing) {
+        // Another instance may be retrying it too
+        const claimed = await db.updateIf('utterance_analyses', key, [
+          ['status', '==', existing.status],
+          ['attempts', '==', existing.attempts]
+        ], record);
+        if (!claimed) return;
+        console.log(`🔁 Retrying task analysis ${key} (attempt ${record.attempts})`);
+      } else {
+        // Who said it is kept so a retry doesn't depend on the call session still being around
+        await db.set('utterance_analyses', key, {
+          sessionId,
+          sourceText: userSpeech,
+          turn,
+          caller: {
+            from: session?.caller || session?.from || null,
+            access: session?.access || null,
+            source: caller?.source || 'voice_call',
+            timezone: session?.timezone || null
+          },
+          ...record,
+          createdAt: now
+        });
       }
-    ];
-    
-    // Normalize the user speech
-    const normalizedSpeech = userSpeech.toLowerCase();
-    
-    // Check for potential tasks
-    for (const pattern of taskPatterns) {
-      for (const trigger of pattern.triggers) {
-        if (normalizedSpeech.includes(trigger)) {
-          console.log(`💡 Detected potential ${pattern.type} task from trigger: "${trigger}"`);
-          
-          // Store the potential task in Firebase
-          const taskData = {
-            type: pattern.type,
-            agentType: pattern.agentType,
-            source: 'voice_call',
-            sourceId: sessionId,
-            sourceText: userSpeech,
-            status: 'potential', // Not a real task yet, just potential
-            trigger: trigger,
-            createdAt: new Date(),
-            executionStatus: 'pending_review' // Would need to be reviewed before execution
-          };
-          
-          await storeAgentTask(taskData);
-          return; // Stop after finding the first match to avoid multiple similar tasks
+      
+      // Due times are worked out in the caller's timezone; a retry uses the one recorded first
+      const timezone = existing ? existing.caller?.timezone || undefined : session?.timezone || undefined;
+      
+      console.log(`🧠 Analyzing conversation for session ${sessionId}`);
+      const tasks = await taskExtractor.extract(userSpeech, { timezone });
+      const callerNumber = tasks.length > 0 ? session?.caller || session?.from : undefined;
+      
+      // A retry keeps the tasks an earlier attempt got as far as storing
+      const stored = existing ? await db.query('potential_tasks', { where: [['utteranceKey', '==', key]] }) : [];
+      const taskIds = stored.map(task => task.id);
+      const unmatched = stored.map(taskSignature);
+      for (const task of tasks) {
+        const match = unmatched.indexOf(taskSignature(task));
+        if (match !== -1) {
+          unmatched.splice(match, 1);
+          continue;
         }
+        console.log(`💡 Detected potential ${task.type} task (${task.extractor}${task.confidence !== null ? `, confidence ${task.confidence}` : ''}): ${task.rationale}`);
+        
+        const taskId = await storeAgentTask({
+          ...task,
+          source: caller?.source || 'voice_call',
+          sourceId: sessionId,
+          sourceText: userSpeech,
+          callerNumber,
+          timezone,
+          utteranceKey: key,
+          status: 'potential', // Not a real task yet, just potential
+          createdAt: new Date(),
+          executionStatus: 'pending_review' // Would need to be reviewed before execution
+        });
+        if (taskId) taskIds.push(taskId);
       }
+      
+      if (tasks.length === 0) {
+        console.log(`ℹ️ No agent tasks identified in speech`);
+      }
+      
+      await db.update('utterance_analyses', key, {
+        status: 'analyzed',
+        extractor: tasks[0]?.extractor || taskExtractor.mode,
+        taskIds,
+        analyzedAt: new Date()
+      });
+    } catch (error) {
+      console.error('❌ Error analyzing conversation:', error);
+      await db.updateIf('utterance_analyses', key, [['status', '==', 'analyzing']], {
+        status: 'failed',
+        error: error.message,
+        failedAt: new Date()
+      }).catch(() => {});
+    } finally {
+      inFlightAnalyses.delete(key);
     }
-    
-    console.log(`ℹ️ No agent tasks identified in speech`);
-    
-  } catch (error) {
-    console.error('❌ Error analyzing conversation:', error);
+  })();
+  
+  inFlightAnalyses.set(key, analysis);
+  return analysis;
+}
+
+// Run task analyses again that failed or were cut off by a crash or redeploy
+async function retryStaleAnalyses() {
+  const records = await db.query('utterance_analyses', { where: [['status', 'in', ['analyzing', 'failed']]] });
+  const now = Date.now();
+  for (const record of records.filter(r => r.caller && analysisRetryable(r, now))) {
+    await analyzeConversation(record.sessionId, record.sourceText, record.caller, record.turn);
   }
 }
 
-// Store agent task in Firebase
+// Store agent task in the configured storage backend
 async function storeAgentTask(taskData) {
-  if (!db) return;
-  
   try {
     // Clean the data to ensure no undefined values
     const cleanTaskData = {};
@@ -362,21 +393,24 @@ async function storeAgentTask(taskData) {
       ...cleanTaskData
     };
     
+    // Start the lifecycle history (see tasks.js for the later transitions)
+    safeTaskData.history = [{
+      event: 'created',
+      to: safeTaskData.status,
+      actor: safeTaskData.extractor || 'system',
+      at: safeTaskData.createdAt
+    }];
+    
     // Store in potential_tasks collection
-    const docRef = await db.collection('potential_tasks').add(safeTaskData);
-    console.log(`✅ Stored potential task with ID: ${docRef.id}`);
+    const taskId = await db.add('potential_tasks', safeTaskData);
+    console.log(`✅ Stored potential task with ID: ${taskId}`);
     
-    // For reminders specifically, create a dedicated reminder document
+    // For reminders specifically, create a reminder the scheduler will call back about
     if (safeTaskData.type === 'reminder') {
-      await db.collection('reminders').add({
-        ...safeTaskData,
-        message: safeTaskData.sourceText || 'Reminder (no details provided)',
-        taskId: docRef.id
-      });
-      console.log(`⏰ Created reminder from voice conversation`);
+      await createReminderFromTask(db, safeTaskData, taskId, { timezone: safeTaskData.timezone });
     }
     
-    return docRef.id;
+    return taskId;
   } catch (error) {
     console.error('❌ Error storing agent task:', error);
     return null;
@@ -385,14 +419,11 @@ async function storeAgentTask(taskData) {
 
 // Mark conversation as completed
 async function completeConversation(sessionId) {
-  if (!db) return;
-  
   try {
-    const conversationRef = db.collection('conversations').doc(sessionId);
-    const conversationDoc = await conversationRef.get();
+    const conversation = await db.get('conversations', sessionId);
     
-    if (conversationDoc.exists) {
-      await conversationRef.update({
+    if (conversation) {
+      await db.update('conversations', sessionId, {
         status: 'completed',
         completedAt: new Date()
       });
@@ -404,6 +435,64 @@ async function completeConversation(sessionId) {
   }
 }
 
+// Rebuild a session from its conversation record, e.g. after a restart or when
+// Twilio sends the next webhook to a different instance
+async function rehydrateSession(sessionId) {
+  try {
+    const conversation = await db.get('conversations', sessionId);
+    if (!conversation || conversation.status !== 'active') {
+      return null;
+    }
+    
+    const storedMessages = conversation.messages || [];
+    const history = storedMessages
+      .filter(m => (m.type === 'user' || m.type === 'assistant') && m.content)
+      .map(m => ({ role: m.type, content: m.content }));
+    
+    const from = storedMessages.find(m => m.from && m.from !== 'unknown')?.from;
+    // The latest access level recorded on the call (a verified PIN upgrades it)
+    const access = [...storedMessages].reverse().find(m => m.access)?.access
+      || (callerAuthEnabled() ? 'guest' : 'member');
+    const session = {
+      messages: [{ role: 'system', content: access === 'guest' ? GUEST_SYSTEM_PROMPT : SYSTEM_PROMPT }, ...history],
+      callSid: conversation.callSid,
+      from,
+      caller: storedMessages.find(m => m.caller)?.caller,
+      access,
+      // The latest voice profile recorded on the call (language detection may have switched it)
+      voiceProfile: [...storedMessages].reverse().find(m => m.voiceProfile)?.voiceProfile,
+      voiceLocked: storedMessages.some(m => m.voiceLocked),
+      timezone: storedMessages.find(m => m.timezone)?.timezone || null,
+      // Detection only looks at the first utterance
+      languageChecked: history.some(m => m.role === 'user')
+    };
+    if (access === 'verifying') {
+      session.mode = 'verifying';
+    }
+    
+    // Reattach the caller's Assistant thread
+    const threadNumber = session.caller || from;
+    if (threadNumber && access === 'member') {
+      try {
+        session.threadId = await ensureThreadForPhoneNumber(threadNumber);
+      } catch (error) {
+        console.error('Error reattaching thread for rehydrated session:', error);
+      }
+    }
+    
+    return session;
+  } catch (error) {
+    console.error('❌ Error rehydrating session:', error);
+    return null;
+  }
+}
+
+// Complete conversations for calls that went quiet without a status callback
+sessions.startSweeper({
+  intervalMs: Number(process.env.SESSION_SWEEP_INTERVAL_SECONDS || 60) * 1000,
+  onExpire: completeConversation
+});
+
 // Create Express app
 const app = express();
 app.use(express.urlencoded({ extended: true }));
@@ -412,6 +501,9 @@ app.use(express.json());
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Serve generated files (graphics, screenshots) when they're stored locally
+app.use('/files', express.static(localFilesDir()));
+
 // Log all requests for debugging
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -421,6 +513,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Verify X-Twilio-Signature on all Twilio webhooks
+// Set TWILIO_VALIDATE_SIGNATURES=false to bypass for local development and tests
+const twilioSignatureOptions = {
+  authToken: process.env.TWILIO_TOKEN,
+  publicBaseUrl: process.env.PUBLIC_BASE_URL,
+  enabled: process.env.TWILIO_VALIDATE_SIGNATURES !== 'false',
+  onReject: (auditEvent) => db.add('audit_events', auditEvent)
+};
+const twilioWebhook = createTwilioSignatureMiddleware(twilioSignatureOptions);
+// ConversationRelay signs its WebSocket handshake the same way
+const verifyTwilioUpgrade = createTwilioUpgradeVerifier(twilioSignatureOptions);
+
 // Health check endpoint with API key validation
 app.get('/health', async (req, res) => {
   let apiStatus = 'unknown';
@@ -456,11 +560,108 @@ app.get('/health', async (req, res) => {
       apiError
     },
     sessions: {
-      active: sessions.size
+      active: await sessions.count(),
+      backend: sessions.backendName
+    },
+    storage: {
+      backend: db.backend
     }
   });
 });
 
+// Admin API (caller threads) - requires ADMIN_API_TOKEN
+app.use('/admin', requireAdminToken(process.env.ADMIN_API_TOKEN), createAdminRouter());
+app.use('/admin/tasks', requireAdminToken(process.env.ADMIN_API_TOKEN), createTaskRouter({ db }));
+app.use('/admin/social-posts', requireAdminToken(process.env.ADMIN_API_TOKEN), createSocialPostRouter({ db }));
+app.use('/admin/callers', requireAdminToken(process.env.ADMIN_API_TOKEN), createCallerProfileRouter({ db }));
+
+// Approval calls - the Lead Agent calls approvers to review pending approvals
+const callApprover = process.env.PUBLIC_BASE_URL && process.env.TWILIO_SID && process.env.TWILIO_PHONE
+  ? createApproverCaller({
+    accountSid: process.env.TWILIO_SID,
+    authToken: process.env.TWILIO_TOKEN,
+    from: process.env.TWILIO_PHONE,
+    publicBaseUrl: process.env.PUBLIC_BASE_URL
+  })
+  : null;
+app.use('/admin/approvals', requireAdminToken(process.env.ADMIN_API_TOKEN), createApprovalRouter({ db, callApprover }));
+if (process.env.APPROVAL_CALL_CRON) {
+  if (callApprover) {
+    scheduleApprovalCalls({ db, callApprover, schedule: process.env.APPROVAL_CALL_CRON });
+  } else {
+    console.warn('⚠️ Approval calls not scheduled: PUBLIC_BASE_URL, TWILIO_SID and TWILIO_PHONE are required');
+  }
+}
+
+// Texts share the caller's Assistant thread; replies go out over the REST API when Twilio
+// credentials are set, otherwise in the webhook response
+const sendSms = process.env.TWILIO_SID && process.env.TWILIO_TOKEN && process.env.TWILIO_PHONE
+  ? createTwilioSmsSender({
+    accountSid: process.env.TWILIO_SID,
+    authToken: process.env.TWILIO_TOKEN,
+    from: process.env.TWILIO_PHONE
+  })
+  : null;
+app.use('/sms', createSmsRouter({
+  db,
+  openai,
+  prompts: { member: SYSTEM_PROMPT, guest: GUEST_SYSTEM_PROMPT },
+  analyzeMessage: analyzeConversation,
+  sendSms,
+  verifyWebhook: twilioWebhook,
+  publicBaseUrl: process.env.PUBLIC_BASE_URL
+}));
+
+// End of a real-time session - carries on with the gather loop
+app.use(RELAY_PATH, twilioWebhook, createRelayRouter({
+  sessions,
+  storeMessage: storeConversation,
+  continueCall: gatherNextTurn,
+  startTransfer: startRequestedTransfer
+}));
+
+// Transfers to a person - whisper, queue hold, outcome and voicemail webhooks
+app.use('/transfer', twilioWebhook, createTransferRouter({ db, sessions }));
+
+// Reminder call webhooks
+app.use('/reminders', twilioWebhook, createReminderRouter({ db }));
+
+// Call due reminders back - needs a public URL for Twilio to fetch the reminder TwiML from
+if (process.env.REMINDER_SCHEDULER === 'off') {
+  console.log('⏰ Reminder scheduler disabled');
+} else if (!process.env.PUBLIC_BASE_URL || !process.env.TWILIO_SID || !process.env.TWILIO_PHONE) {
+  console.warn('⚠️ Reminder scheduler not started: PUBLIC_BASE_URL, TWILIO_SID and TWILIO_PHONE are required');
+} else {
+  const reminderScheduler = new ReminderScheduler({
+    db,
+    placeCall: createTwilioReminderCaller({
+      accountSid: process.env.TWILIO_SID,
+      authToken: process.env.TWILIO_TOKEN,
+      from: process.env.TWILIO_PHONE,
+      publicBaseUrl: process.env.PUBLIC_BASE_URL
+    })
+  });
+  reminderScheduler.start();
+}
+
+// Publish approved social posts when they're due
+if (process.env.SOCIAL_SCHEDULER === 'off') {
+  console.log('📣 Posting scheduler disabled');
+} else {
+  new SocialPostScheduler({ db }).start();
+}
+
+// Pick up task analyses that failed or were cut off by a restart
+const sweepAnalyses = () => retryStaleAnalyses().catch(error => console.error('❌ Error retrying task analyses:', error));
+sweepAnalyses();
+setInterval(sweepAnalyses, ANALYSIS_STALE_MS).unref();
+
+// Run agent tasks inside this process - handy with the memory backend, which a separate
+// worker process can't see
+if (process.env.WORKER_IN_PROCESS === 'true') {
+  registerAgentHandlers(new AgentWorker({ db })).start();
+}
+
 // Root endpoint - serve index.html from public directory
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -505,74 +706,184 @@ app.post('/make-call', async (req, res) => {
   }
 });
 
-// Voice endpoint for Twilio TwiML - initial greeting
-app.post('/voice', async (req, res) => {
-  console.log('📞 Incoming voice call');
+// Public base URL for the real-time WebSocket, or null when calls use the gather loop
+function realtimeBaseUrl(req) {
+  return realtimeRelayEnabled() ? new URL(getPublicRequestUrl(req, process.env.PUBLIC_BASE_URL)).origin : null;
+}
+
+// Greet a caller who is allowed in - approvers go through pending approvals first (on our
+// calls to them with mode=approval, and when they call in and pass their PIN, since caller
+// ID alone can be spoofed), everyone else gets the greeting. With a realtimeUrl the
+// conversation continues over ConversationRelay. Updates the session in place.
+async function beginConversation(twiml, sessionId, session, { outbound = false, mode, verified = false, realtimeUrl = null } = {}) {
+  const voice = sessionVoice(session);
+  const approvalAllowed = outbound ? mode === 'approval' : verified;
+  if (session.access === 'member' && isApprover(session.caller) && approvalAllowed) {
+    try {
+      const approval = await startApprovalScript(db, twiml, sessionId, {
+        greeting: phrase(voice, `approvals.greeting.${verified ? 'verified' : outbound ? 'outbound' : 'inbound'}`),
+        voice
+      });
+      if (approval) {
+        console.log(`🗳️ Approval review started for ${session.caller}: ${approval.taskIds.length} item(s)`);
+        Object.assign(session, { mode: 'approval', approval, approver: session.caller });
+        return;
+      }
+    } catch (error) {
+      console.error('❌ Error starting approval review:', error);
+    }
+  }
   
-  // Create a unique session ID
-  const sessionId = `session_${Date.now()}`;
+  session.mode = 'assistant';
   
-  // Initialize session with system message
-  sessions.set(sessionId, {
-    messages: [{ role: 'system', content: SYSTEM_PROMPT }],
-    lastActivity: Date.now(),
-    callSid: req.body.CallSid
-  });
+  // Greeting message from the voice profile, offering the keypad menu
+  let greeting = voice.greeting;
+  if (verified) {
+    greeting = voice.verifiedGreeting;
+  } else if (session.access === 'guest') {
+    greeting = voice.guestGreeting;
+  }
+  
+  // Real-time mode has no keypad menu - Twilio speaks the greeting once connected
+  if (realtimeUrl) {
+    session.transport = 'relay';
+    connectRelay(twiml, sessionId, { baseUrl: realtimeUrl, welcomeGreeting: greeting, voice });
+    return;
+  }
+  
+  const keypadOffer = menuPrompt(keypadMenuFor(session), { exclude: ['assistant'], voice });
+  say(twiml, `${greeting}${keypadOffer ? ` ${keypadOffer}` : ''}`, voice);
+  
+  // Gather speech or a menu key and send to /respond endpoint
+  gatherInput(twiml, sessionId, { numDigits: 1, enhanced: true, voice });
+  
+  // If no input, prompt again
+  twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+}
+
+// Voice endpoint for Twilio TwiML - initial greeting
+app.post('/voice', twilioWebhook, async (req, res) => {
+  console.log('📞 Incoming voice call');
   
   // Create TwiML response with <Gather> for speech input
   const twiml = new twilio.twiml.VoiceResponse();
   
-  // Greeting message
-  twiml.say(
-    { voice: 'Polly.Amy', language: 'en-US' },
-    'Hello, I am your AI Assistant from Agent Taskforce. How can I help you today?'
-  );
-  
-  // Gather speech input and send to /respond endpoint
-  twiml.gather({
-    input: 'speech',
-    action: `/respond?session=${sessionId}`,
-    method: 'POST',
-    speechTimeout: 'auto',
-    speechModel: 'phone_call',
-    enhanced: true
+  // The other party is the caller on inbound calls and the number we dialed on outbound ones
+  const outbound = String(req.body.Direction || '').startsWith('outbound');
+  const remoteNumber = outbound ? req.body.To : req.body.From;
+  
+  // Check who is calling before the assistant engages
+  let auth;
+  try {
+    auth = await resolveCallerAccess(db, remoteNumber, { inbound: !outbound });
+  } catch (error) {
+    console.error('❌ Error checking caller access:', error);
+    auth = { access: 'guest', phoneNumber: normalizePhoneNumber(remoteNumber) };
+  }
+  
+  // The caller's own voice profile, else the one for the number they reached (ours)
+  const { profile: voice, source: voiceSource } = resolveVoiceProfile({
+    callerProfile: auth.profile,
+    dialedNumber: outbound ? req.body.From : req.body.To
   });
   
-  // If no input, prompt again
-  twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+  if (auth.access === 'denied' || auth.access === 'locked') {
+    const denied = auth.access === 'denied';
+    console.warn(`🚫 ${denied ? 'Rejected call from denylisted' : 'Turned away locked'} caller ${auth.phoneNumber}`);
+    await recordAuthEvent(db, denied ? 'caller_denied' : 'caller_locked_call', {
+      phoneNumber: auth.phoneNumber,
+      callSid: req.body.CallSid || null,
+      direction: req.body.Direction || null
+    });
+    
+    if (denied) {
+      // Rejected before answering, so the call is never connected
+      twiml.reject({ reason: 'rejected' });
+    } else {
+      say(twiml, phrase(voice, 'pin.locked'), voice);
+      twiml.hangup();
+    }
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
+  // Create a unique session ID
+  const sessionId = `session_${crypto.randomUUID()}`;
+  
+  // Initialize session with system message - guests get the limited prompt
+  const session = {
+    messages: [{ role: 'system', content: auth.access === 'guest' ? GUEST_SYSTEM_PROMPT : SYSTEM_PROMPT }],
+    callSid: req.body.CallSid,
+    from: req.body.From,
+    caller: auth.phoneNumber,
+    access: auth.access === 'verify' ? 'verifying' : auth.access,
+    voiceProfile: voice.name,
+    // A voice the caller chose isn't switched by language detection
+    voiceLocked: voiceSource === 'caller',
+    // Relative dates in tool calls ("tomorrow") are resolved in the caller's timezone
+    timezone: auth.profile?.timezone || null
+  };
+  
+  if (auth.access === 'verify') {
+    // Nothing reaches the assistant until the PIN checks out
+    session.mode = 'verifying';
+    session.pinAttempts = 0;
+    say(twiml, phrase(voice, 'pin.welcome'), voice);
+    askForPin(twiml, sessionId, undefined, voice);
+  } else {
+    await beginConversation(twiml, sessionId, session, { outbound, mode: req.query.mode, realtimeUrl: realtimeBaseUrl(req) });
+  }
+  
+  await sessions.set(sessionId, session);
   
   // Send TwiML response
   res.set('Content-Type', 'text/xml');
   res.send(twiml.toString());
   
-  console.log(`Created session: ${sessionId}`);
+  console.log(`Created session: ${sessionId} (${session.access})`);
   
-  // Store initial conversation data in Firebase
+  // Store initial conversation data
   // Clean the data by removing undefined values
   const callData = {
     type: 'system',
     callSid: req.body.CallSid || 'unknown',
     from: req.body.From || 'unknown',
     to: req.body.To || 'unknown',
-    content: 'Call initiated'
+    content: 'Call initiated',
+    access: session.access,
+    voiceProfile: voice.name
   };
   
-  // Only add direction if it exists
+  // Only add direction and the verified caller number if they exist
   if (req.body.Direction) {
     callData.direction = req.body.Direction;
   }
+  if (auth.phoneNumber) {
+    callData.caller = auth.phoneNumber;
+  }
+  if (session.voiceLocked) {
+    callData.voiceLocked = true;
+  }
+  if (session.timezone) {
+    callData.timezone = session.timezone;
+  }
   
-  // Store the call data in Firebase
+  // Store the call data
   storeConversation(sessionId, callData);
   
-  // Initialize thread for this caller's phone number
-  if (req.body.From) {
-    const callerPhone = req.body.From;
+  // Initialize thread for this caller's phone number - guests and callers who still
+  // have to give their PIN don't get one. On outbound calls From is our own number,
+  // so the thread belongs to the resolved remote number.
+  const callerPhone = session.caller || normalizePhoneNumber(remoteNumber);
+  if (callerPhone && session.access === 'member') {
     try {
       // Create or retrieve thread ID for this caller
       const threadId = await ensureThreadForPhoneNumber(callerPhone);
       // Store thread ID in the session
-      session.threadId = threadId;
+      const current = await sessions.get(sessionId);
+      if (current) {
+        await sessions.set(sessionId, { ...current, threadId });
+      }
       console.log(`Using thread ${threadId} for caller ${callerPhone}`);
     } catch (error) {
       console.error('Error setting up thread for caller:', error);
@@ -581,42 +892,361 @@ app.post('/voice', async (req, res) => {
   }
 });
 
+// Generate the AI reply for a user utterance and store it in the conversation
+// Uses the caller's Assistant thread when there is one, otherwise direct chat completions
+async function generateResponse(sessionId, session, userSpeech) {
+  // Reply in the language of the call's voice profile
+  const instructions = languageInstructions(sessionVoice(session));
+  
+  // Direct GPT completion (old method, and fallback when the Assistant fails)
+  const completeDirectly = async (fallback) => {
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-3.5-turbo',
+      messages: [
+        {
+          role: 'system',
+          content: session.access === 'guest' ? GUEST_SYSTEM_PROMPT : SYSTEM_PROMPT
+        },
+        ...session.messages,
+        ...(instructions ? [{ role: 'system', content: instructions }] : [])
+      ],
+      temperature: 0.7,
+      max_tokens: 300
+    });
+    
+    const responseText = completion.choices[0].message.content;
+    console.log(`🤖 ${fallback ? 'Fallback AI' : 'AI'} replied: "${responseText}"`);
+    
+    // Store AI response
+    const responseData = {
+      type: 'assistant',
+      content: responseText,
+      model: 'gpt-3.5-turbo',
+      tokensUsed: completion.usage?.total_tokens
+    };
+    if (fallback) {
+      responseData.fallback = true;
+    }
+    await storeConversation(sessionId, responseData);
+    
+    return responseText;
+  };
+  
+  // Use Assistant API if we have a thread ID, otherwise fall back to direct completion
+  if (!session.threadId) {
+    return completeDirectly(false);
+  }
+  
+  try {
+    console.log(`Using Assistant API with thread ${session.threadId}`);
+    const responseText = await getAssistantResponse(session.threadId, userSpeech, {
+      sessionId,
+      callSid: session.callSid,
+      from: session.caller || session.from,
+      timezone: session.timezone
+    }, { instructions });
+    console.log(`🤖 Assistant API replied: "${responseText}"`);
+    
+    // Store AI response
+    await storeConversation(sessionId, {
+      type: 'assistant',
+      content: responseText,
+      model: 'gpt-4o',
+      assistant: true
+    });
+    
+    return responseText;
+  } catch (assistantError) {
+    // A cancelled run means the caller moved on - there's nobody to answer
+    if (assistantError.cancelled) {
+      throw assistantError;
+    }
+    // Log error but continue with fallback
+    console.error('Error using Assistant API, falling back to direct completion:', assistantError);
+    return completeDirectly(true);
+  }
+}
+
+// Start generating a reply in the background (async response mode)
+// The result lands in the pending_responses collection for /respond/poll to pick up
+async function startPendingResponse(sessionId, session, userSpeech) {
+  const responseId = `${sessionId}_${Date.now()}`;
+  
+  await db.set('pending_responses', responseId, {
+    sessionId,
+    status: 'pending',
+    startedAt: new Date()
+  });
+  
+  // Only a response still pending is filled in - /respond/poll deletes it once it times out
+  generateResponse(sessionId, session, userSpeech)
+    .then(async (text) => {
+      const updated = await db.updateIf('pending_responses', responseId, [['status', '==', 'pending']], {
+        status: 'ready',
+        text,
+        completedAt: new Date()
+      });
+      if (!updated) {
+        console.log(`⏱️ Response ${responseId} finished after the caller moved on - dropping it`);
+      }
+    })
+    .catch(async (error) => {
+      if (error.cancelled) {
+        console.log(`🛑 Run for response ${responseId} was cancelled`);
+        return;
+      }
+      console.error('❌ Error generating background response:', error);
+      await storeConversation(sessionId, {
+        type: 'error',
+        content: error.message,
+        stack: error.stack
+      });
+      await db.updateIf('pending_responses', responseId, [['status', '==', 'pending']], {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date()
+      });
+    })
+    .catch(error => console.error('❌ Error recording background response:', error));
+  
+  return responseId;
+}
+
+// Gather the caller's next utterance or menu key, reprompting if they stay quiet
+function gatherNextTurn(twiml, sessionId, voice) {
+  gatherInput(twiml, sessionId, { numDigits: 1, enhanced: true, voice });
+  
+  // If no input, prompt again
+  twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+}
+
+// Put the caller through to a person if the Assistant asked to (real-time mode hands the call
+// back to do it). Returns whether a transfer was started.
+async function startRequestedTransfer(twiml, sessionId) {
+  const transfer = await requestedTransfer(db, sessionId);
+  if (!transfer) {
+    return false;
+  }
+  await connectTransfer(db, twiml, sessionId, transfer);
+  return true;
+}
+
+// Speak a short filler phrase (or play hold audio) while a reply is being generated
+function holdCaller(twiml, attempt, voice) {
+  if (attempt === 0 || attempt % FILLER_EVERY_N_POLLS === 0) {
+    const filler = FILLER_PHRASES[Math.min(Math.floor(attempt / FILLER_EVERY_N_POLLS), FILLER_PHRASES.length - 1)];
+    say(twiml, phrase(voice, filler), voice);
+  } else if (HOLD_AUDIO_URL) {
+    twiml.play(HOLD_AUDIO_URL);
+  } else {
+    twiml.pause({ length: POLL_PAUSE_SECONDS });
+  }
+}
+
 // Handle speech input and generate AI response
-app.post('/respond', async (req, res) => {
+app.post('/respond', twilioWebhook, async (req, res) => {
   // Get session from query parameter
   const sessionId = req.query.session;
   
   // Create TwiML response
   const twiml = new twilio.twiml.VoiceResponse();
   
-  if (!sessionId || !sessions.has(sessionId)) {
+  // Get session data
+  const session = await sessions.get(sessionId);
+  
+  if (!session) {
     console.log(`⚠️ Invalid or missing session: ${sessionId}`);
-    twiml.say(
-      { voice: 'Polly.Amy' },
-      'I\'m sorry, your session has expired. Please call again.'
-    );
+    say(twiml, phrase(getVoiceProfile(), 'sessionExpired'));
     twiml.hangup();
     res.set('Content-Type', 'text/xml');
     return res.send(twiml.toString());
   }
   
-  // Get session data
-  const session = sessions.get(sessionId);
+  let voice = sessionVoice(session);
   
-  // Get speech input from request
+  // PIN check - nothing reaches the assistant until the caller is verified
+  if (session.mode === 'verifying') {
+    const speech = req.body.SpeechResult;
+    const digits = req.body.Digits;
+    try {
+      session.pinAttempts = (session.pinAttempts || 0) + 1;
+      const result = await checkCallerPin(db, session.caller, { speech, digits }, {
+        callSid: req.body.CallSid,
+        attempt: session.pinAttempts
+      });
+      
+      // Only the outcome is stored, never the PIN
+      await storeConversation(sessionId, {
+        type: 'auth',
+        content: result.ok ? 'PIN accepted' : 'PIN rejected',
+        input: digits ? 'dtmf' : 'speech',
+        ...(result.ok ? { access: 'member' } : {})
+      });
+      
+      if (result.ok) {
+        session.access = 'member';
+        if (session.caller) {
+          try {
+            session.threadId = await ensureThreadForPhoneNumber(session.caller);
+          } catch (error) {
+            console.error('Error setting up thread for verified caller:', error);
+          }
+        }
+        await beginConversation(twiml, sessionId, session, { verified: true, realtimeUrl: realtimeBaseUrl(req) });
+      } else if (result.retry) {
+        askForPin(twiml, sessionId, phrase(voice, 'pin.retry'), voice);
+      } else {
+        say(twiml, phrase(voice, result.locked ? 'pin.lockedNow' : 'pin.failed'), voice);
+        twiml.hangup();
+      }
+    } catch (error) {
+      console.error('❌ Error checking caller PIN:', error);
+      say(twiml, phrase(voice, 'pin.error'), voice);
+      twiml.hangup();
+    }
+    
+    await sessions.set(sessionId, session);
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
+  // Approval review - the approval script handles the reply instead of the assistant
+  if (session.mode === 'approval') {
+    try {
+      const speech = req.body.SpeechResult;
+      const digits = req.body.Digits;
+      const taskId = session.approval.taskIds[session.approval.index];
+      const result = await continueApprovalScript(db, twiml, sessionId, session.approval, {
+        speech,
+        digits,
+        actor: `phone:${session.approver}`,
+        callSid: req.body.CallSid
+      });
+      
+      // Not a 'user' message, so task extraction doesn't treat "approve" as a new task
+      await storeConversation(sessionId, {
+        type: 'approval',
+        content: speech || (digits ? `Pressed ${digits}` : 'No reply'),
+        ...(digits ? { digits } : {}),
+        taskId: taskId || null,
+        decision: result.decision
+      });
+      
+      if (result.done) {
+        // Hand the call back to the assistant
+        session.mode = 'assistant';
+        say(twiml, phrase(voice, 'anythingElse'), voice);
+        gatherNextTurn(twiml, sessionId, voice);
+      }
+    } catch (error) {
+      console.error('❌ Error handling approval reply:', error);
+      session.mode = 'assistant';
+      say(twiml, phrase(voice, 'approvals.error'), voice);
+      gatherNextTurn(twiml, sessionId, voice);
+    }
+    
+    await sessions.set(sessionId, session);
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
+  // Get speech or keypad input from request
   const userSpeech = req.body.SpeechResult;
+  const digits = req.body.Digits;
+  
+  // The rest of a long answer is only kept for the turn right after "want me to continue?"
+  const unsaid = session.unsaidReply;
+  delete session.unsaidReply;
+  if (unsaid && !digits && wantsToContinue(userSpeech)) {
+    console.log('▶️ Caller asked for the rest of the answer');
+    await storeConversation(sessionId, {
+      type: 'system',
+      content: 'Caller asked for the rest of the answer',
+      speech: userSpeech
+    });
+    const rest = speakReply(twiml, unsaid, voice);
+    if (rest) {
+      session.unsaidReply = rest;
+    }
+    gatherNextTurn(twiml, sessionId, voice);
+    
+    await sessions.set(sessionId, session);
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
+  // Keys pressed instead of speaking go to the digit prompt or the keypad menu, not the model
+  if (digits && !(userSpeech && userSpeech.trim())) {
+    try {
+      if (session.digitEntry) {
+        const entry = await handleDigitEntry(db, twiml, digits, { sessionId, session });
+        await storeConversation(sessionId, {
+          type: 'keypad',
+          content: `Entered digits for ${entry.purpose.replace(/_/g, ' ')}`,
+          // PINs and the like are never stored as typed
+          digits: entry.sensitive ? '*'.repeat(digits.length) : digits,
+          purpose: entry.purpose,
+          valid: entry.valid
+        });
+      } else {
+        const key = digits.charAt(0);
+        console.log(`🔢 Caller pressed ${key}`);
+        const action = await handleMenuKey(db, twiml, keypadMenuFor(session), key, { sessionId, session });
+        await storeConversation(sessionId, {
+          type: 'keypad',
+          content: `Pressed ${key}`,
+          digits,
+          action
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error handling keypad input:', error);
+      delete session.digitEntry;
+      say(twiml, phrase(voice, 'keypadError'), voice);
+    }
+    
+    // A digit prompt gathers its own input
+    if (!session.digitEntry) {
+      gatherNextTurn(twiml, sessionId, voice);
+    }
+    
+    await sessions.set(sessionId, session);
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
+  // Speaking at a digit prompt leaves it
+  delete session.digitEntry;
   
   if (userSpeech && userSpeech.trim()) {
     console.log(`👤 User said: "${userSpeech}"`);
     
+    // The first thing the caller says can switch the call to their language
+    const switched = switchVoiceForUtterance(session, userSpeech);
+    if (switched) {
+      voice = switched;
+      await storeConversation(sessionId, {
+        type: 'system',
+        content: `Caller speaks ${languageName(switched.language)}, switched voice profile`,
+        voiceProfile: switched.name
+      });
+    }
+    
     try {
+      // Twilio resends the same idempotency token when it retries a webhook; without one the
+      // call and the number of turns before this one identify it (see analyzeConversation)
+      const turn = req.get('I-Twilio-Idempotency-Token')
+        || `${req.body.CallSid || sessionId}:${session.messages.filter(m => m.role === 'user').length}`;
+      
       // Add user message to history
       session.messages.push({ role: 'user', content: userSpeech });
       
-      // Store user message in Firebase with proper validation
+      // Store user message with proper validation
       const userMessageData = {
         type: 'user',
-        content: userSpeech
+        content: userSpeech,
+        input: 'speech',
+        turn
       };
       
       // Add call sids if available
@@ -624,106 +1254,41 @@ app.post('/respond', async (req, res) => {
         userMessageData.callSid = req.body.CallSid;
       }
       
+      // Storing the message also kicks off task analysis
       await storeConversation(sessionId, userMessageData);
       
-      // Check for potential agent tasks
-      analyzeConversation(sessionId, userSpeech);
-      
-      let responseText;
-      
-      // Use Assistant API if we have a thread ID, otherwise fall back to direct completion
-      if (session.threadId) {
-        try {
-          console.log(`Using Assistant API with thread ${session.threadId}`);
-          responseText = await getAssistantResponse(session.threadId, userSpeech);
-          console.log(`🤖 Assistant API replied: "${responseText}"`);
-          
-          // Store AI response in Firebase
-          await storeConversation(sessionId, {
-            type: 'assistant',
-            content: responseText,
-            model: 'gpt-4o',
-            assistant: true
-          });
-        } catch (assistantError) {
-          // Log error but continue with fallback
-          console.error('Error using Assistant API, falling back to direct completion:', assistantError);
-          // Fall back to direct completion
-          const completion = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [
-              {
-                role: 'system',
-                content: SYSTEM_PROMPT
-              },
-              ...session.messages
-            ],
-            temperature: 0.7,
-            max_tokens: 300
-          });
-          
-          responseText = completion.choices[0].message.content;
-          console.log(`🤖 Fallback AI replied: "${responseText}"`);
-          
-          // Store AI response in Firebase
-          await storeConversation(sessionId, {
-            type: 'assistant',
-            content: responseText,
-            model: 'gpt-3.5-turbo',
-            tokensUsed: completion.usage?.total_tokens,
-            fallback: true
-          });
-        }
+      if (RESPONSE_MODE === 'async') {
+        // Reply from /respond/poll once the run finishes, so slow runs don't hit Twilio's webhook timeout
+        const responseId = await startPendingResponse(sessionId, session, userSpeech);
+        holdCaller(twiml, 0, voice);
+        twiml.redirect(
+          { method: 'POST' },
+          `/respond/poll?session=${sessionId}&response=${encodeURIComponent(responseId)}&attempt=1`
+        );
       } else {
-        // Direct GPT completion (old method)
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: SYSTEM_PROMPT
-            },
-            ...session.messages
-          ],
-          temperature: 0.7,
-          max_tokens: 300
-        });
+        const responseText = await generateResponse(sessionId, session, userSpeech);
         
-        responseText = completion.choices[0].message.content;
-        console.log(`🤖 AI replied: "${responseText}"`);
+        // Add assistant message to history
+        session.messages.push({ role: 'assistant', content: responseText });
         
-        // Store AI response in Firebase
-        await storeConversation(sessionId, {
-          type: 'assistant',
-          content: responseText,
-          model: 'gpt-3.5-turbo',
-          tokensUsed: completion.usage?.total_tokens
-        });
+        // Say the response, stopping to ask before the rest of a long one
+        const transfer = await requestedTransfer(db, sessionId);
+        const rest = speakReply(twiml, responseText, voice, { checkpoint: !transfer });
+        if (rest) {
+          session.unsaidReply = rest;
+        }
+        
+        // Put the caller through if the Assistant asked to, otherwise gather more speech input
+        if (transfer) {
+          await connectTransfer(db, twiml, sessionId, transfer);
+        } else {
+          gatherNextTurn(twiml, sessionId, voice);
+        }
       }
-      
-      // Add assistant message to history
-      session.messages.push({ role: 'assistant', content: responseText });
-      
-      // Say the response
-      twiml.say({ voice: 'Polly.Amy' }, responseText);
-      
-      // Gather more speech input
-      twiml.gather({
-        input: 'speech',
-        action: `/respond?session=${sessionId}`,
-        method: 'POST',
-        speechTimeout: 'auto',
-        speechModel: 'phone_call',
-        enhanced: true
-      });
-      
-      // If no input, prompt again
-      twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
-      
     } catch (error) {
       console.error('❌ Error generating response:', error);
       
-      // Store error in Firebase
+      // Store error
       await storeConversation(sessionId, {
         type: 'error',
         content: error.message,
@@ -731,95 +1296,172 @@ app.post('/respond', async (req, res) => {
       });
       
       // Error fallback
-      twiml.say(
-        { voice: 'Polly.Amy' },
-        'I\'m sorry, I encountered an error processing your request. Let\'s try again.'
-      );
+      say(twiml, phrase(voice, 'replyError'), voice);
       
       // Gather more speech input
-      twiml.gather({
-        input: 'speech',
-        action: `/respond?session=${sessionId}`,
-        method: 'POST',
-        speechTimeout: 'auto',
-        speechModel: 'phone_call'
-      });
-      
-      // If no input, prompt again
-      twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+      gatherNextTurn(twiml, sessionId, voice);
     }
   } else {
     console.log('⚠️ No speech detected');
     
-    // Store no speech event in Firebase
+    // Store no speech event
     await storeConversation(sessionId, {
       type: 'system',
       content: 'No speech detected'
     });
     
     // No speech detected
-    twiml.say(
-      { voice: 'Polly.Amy' },
-      'I didn\'t hear you say anything. Could you please try again?'
-    );
+    say(twiml, phrase(voice, 'noSpeech'), voice);
     
     // Gather more speech input
-    twiml.gather({
-      input: 'speech',
-      action: `/respond?session=${sessionId}`,
-      method: 'POST',
-      speechTimeout: 'auto',
-      speechModel: 'phone_call'
-    });
+    gatherNextTurn(twiml, sessionId, voice);
+  }
+  
+  // Save the updated history and refresh the session's expiry
+  await sessions.set(sessionId, session);
+  
+  // Send TwiML response
+  res.set('Content-Type', 'text/xml');
+  res.send(twiml.toString());
+});
+
+// Poll for a reply started by /respond in async response mode
+// Speaks the answer once it's ready, otherwise holds the caller and polls again
+app.post('/respond/poll', twilioWebhook, async (req, res) => {
+  const sessionId = req.query.session;
+  const responseId = req.query.response;
+  const attempt = Number(req.query.attempt) || 1;
+  
+  // Create TwiML response
+  const twiml = new twilio.twiml.VoiceResponse();
+  
+  const session = await sessions.get(sessionId);
+  
+  if (!session) {
+    console.log(`⚠️ Invalid or missing session: ${sessionId}`);
+    say(twiml, phrase(getVoiceProfile(), 'sessionExpired'));
+    twiml.hangup();
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
+  const voice = sessionVoice(session);
+  
+  try {
+    const pending = responseId ? await db.get('pending_responses', responseId) : null;
+    const elapsedMs = pending ? Date.now() - toDate(pending.startedAt).getTime() : 0;
     
-    // If no input, prompt again
-    twiml.redirect({ method: 'POST' }, `/reprompt?session=${sessionId}`);
+    if (!pending || pending.sessionId !== sessionId) {
+      console.log(`⚠️ Unknown pending response: ${responseId}`);
+      say(twiml, phrase(voice, 'lostQuestion'), voice);
+      gatherNextTurn(twiml, sessionId, voice);
+    } else if (pending.status === 'ready') {
+      console.log(`✅ Pending response ${responseId} ready after ${attempt} poll(s)`);
+      
+      // Add assistant message to history
+      session.messages.push({ role: 'assistant', content: pending.text });
+      
+      // Say the response, stopping to ask before the rest of a long one
+      const transfer = await requestedTransfer(db, sessionId);
+      const rest = speakReply(twiml, pending.text, voice, { checkpoint: !transfer });
+      if (rest) {
+        session.unsaidReply = rest;
+      }
+      if (transfer) {
+        await connectTransfer(db, twiml, sessionId, transfer);
+      } else {
+        gatherNextTurn(twiml, sessionId, voice);
+      }
+      
+      await db.delete('pending_responses', responseId);
+    } else if (pending.status === 'failed') {
+      say(twiml, phrase(voice, 'replyError'), voice);
+      gatherNextTurn(twiml, sessionId, voice);
+      
+      await db.delete('pending_responses', responseId);
+    } else if (elapsedMs > ASYNC_RESPONSE_TIMEOUT_MS) {
+      console.warn(`⏱️ Pending response ${responseId} timed out after ${elapsedMs}ms`);
+      
+      await storeConversation(sessionId, {
+        type: 'system',
+        content: `Response timed out after ${Math.round(elapsedMs / 1000)} seconds`
+      });
+      await db.delete('pending_responses', responseId);
+      
+      // Stop the run too, or the caller's next question finds the thread still busy
+      if (session.threadId) {
+        await cancelActiveRuns(session.threadId)
+          .catch(error => console.error('❌ Error cancelling the timed out run:', error));
+      }
+      
+      say(twiml, phrase(voice, 'slowReply'), voice);
+      gatherNextTurn(twiml, sessionId, voice);
+    } else {
+      // Still working - hold and check again
+      holdCaller(twiml, attempt, voice);
+      twiml.redirect(
+        { method: 'POST' },
+        `/respond/poll?session=${sessionId}&response=${encodeURIComponent(responseId)}&attempt=${attempt + 1}`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Error polling for response:', error);
+    say(twiml, phrase(voice, 'replyError'), voice);
+    gatherNextTurn(twiml, sessionId, voice);
   }
   
+  // Save the updated history and refresh the session's expiry
+  await sessions.set(sessionId, session);
+  
   // Send TwiML response
   res.set('Content-Type', 'text/xml');
   res.send(twiml.toString());
 });
 
 // Reprompt endpoint
-app.post('/reprompt', (req, res) => {
+app.post('/reprompt', twilioWebhook, async (req, res) => {
   // Get session from query parameter
   const sessionId = req.query.session;
   
   // Create TwiML response
   const twiml = new twilio.twiml.VoiceResponse();
   
-  if (!sessionId || !sessions.has(sessionId)) {
+  const session = await sessions.get(sessionId);
+  
+  if (!session) {
     console.log(`⚠️ Invalid or missing session: ${sessionId}`);
-    twiml.say(
-      { voice: 'Polly.Amy' },
-      'I\'m sorry, your session has expired. Please call again.'
-    );
+    say(twiml, phrase(getVoiceProfile(), 'sessionExpired'));
     twiml.hangup();
     res.set('Content-Type', 'text/xml');
     return res.send(twiml.toString());
   }
   
+  // The caller is still on the line, so keep the session alive (a digit prompt left
+  // unanswered is dropped)
+  delete session.digitEntry;
+  await sessions.set(sessionId, session);
+  const voice = sessionVoice(session);
+  
+  if (session.mode === 'verifying') {
+    repromptPin(twiml, sessionId, voice);
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
+  if (session.mode === 'approval') {
+    repromptApproval(twiml, sessionId, voice);
+    res.set('Content-Type', 'text/xml');
+    return res.send(twiml.toString());
+  }
+  
   // Reprompt for input
-  twiml.say(
-    { voice: 'Polly.Amy' },
-    'Are you still there? What would you like to know about our AI Agent Taskforce?'
-  );
-  
-  // Gather more speech input
-  twiml.gather({
-    input: 'speech',
-    action: `/respond?session=${sessionId}`,
-    method: 'POST',
-    speechTimeout: 'auto',
-    speechModel: 'phone_call'
-  });
+  say(twiml, phrase(voice, 'stillThere'), voice);
+  
+  // Gather more speech input or a menu key
+  gatherInput(twiml, sessionId, { numDigits: 1, voice });
   
   // If still no input, end the call
-  twiml.say(
-    { voice: 'Polly.Amy' },
-    'I haven\'t heard from you. Goodbye for now!'
-  );
+  say(twiml, phrase(voice, 'goodbye'), voice);
   twiml.hangup();
   
   // Send TwiML response
@@ -828,23 +1470,25 @@ app.post('/reprompt', (req, res) => {
 });
 
 // Status endpoint (for Twilio status callbacks)
-app.post('/status', (req, res) => {
+app.post('/status', twilioWebhook, async (req, res) => {
   console.log('📊 Call status update:', req.body.CallStatus);
   
   // If call completed or failed, clean up the session
   if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(req.body.CallStatus)) {
-    // Find the session for this call
-    for (const [sessionId, session] of sessions.entries()) {
-      if (session.callSid === req.body.CallSid) {
-        console.log(`🧹 Cleaning up session ${sessionId}`);
+    try {
+      // Find the session for this call
+      const match = await sessions.findByCallSid(req.body.CallSid);
+      if (match) {
+        console.log(`🧹 Cleaning up session ${match.sessionId}`);
         
-        // Mark the conversation as completed in Firebase
-        completeConversation(sessionId);
+        // Mark the conversation as completed
+        completeConversation(match.sessionId);
         
         // Remove from active sessions
-        sessions.delete(sessionId);
-        break;
+        await sessions.delete(match.sessionId);
       }
+    } catch (error) {
+      console.error('❌ Error cleaning up session:', error);
     }
   }
   
@@ -852,8 +1496,53 @@ app.post('/status', (req, res) => {
 });
 
 // Start the server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Twilio Voice AI Agent running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  console.log(`💻 Web chat: http://localhost:${PORT}/chat.html`);
   console.log(`🌐 Server is configured for Cloud Run deployment`);
 });
+
+// WebSocket endpoints
+const webChat = createWebChatServer({
+  db,
+  openai,
+  adminToken: process.env.ADMIN_API_TOKEN,
+  systemPrompt: SYSTEM_PROMPT,
+  analyzeMessage: analyzeConversation
+});
+const relay = createRelayServer({
+  sessions,
+  openai,
+  storeMessage: storeConversation,
+  transferRequested: async sessionId => Boolean(await requestedTransfer(db, sessionId))
+});
+const webSocketServers = { '/chat': webChat, [RELAY_PATH]: relay };
+
+server.on('upgrade', async (req, socket, head) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const wss = webSocketServers[pathname];
+  if (!wss) {
+    socket.destroy();
+    return;
+  }
+  
+  // Only Twilio may open a relay session, and only for a call that has one
+  if (wss === relay) {
+    try {
+      const sessionId = searchParams.get('session');
+      const allowed = await verifyTwilioUpgrade(req) && sessionId && await sessions.get(sessionId);
+      if (!allowed) {
+        console.warn(`🚫 Refused real-time connection for session ${sessionId || '(none)'}`);
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        return;
+      }
+    } catch (error) {
+      console.error('❌ Error checking real-time connection:', error);
+      socket.destroy();
+      return;
+    }
+  }
+  
+  wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+});
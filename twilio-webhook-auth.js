@@ -0,0 +1,161 @@
+// Twilio webhook authentication - verifies X-Twilio-Signature on incoming requests and WebSocket upgrades
+// Works behind Cloud Run's proxy by rebuilding the public URL from forwarded headers
+import twilio from 'twilio';
+
+/**
+ * Rebuild the URL Twilio signed for this request
+ * Twilio signs the public URL it called, not the internal one Cloud Run hands us
+ * @param {Object} req - Express request
+ * @param {string} publicBaseUrl - Optional fixed base URL (e.g. https://voice.example.com)
+ * @returns {string} - Full URL including the query string
+ */
+export function getPublicRequestUrl(req, publicBaseUrl) {
+  if (publicBaseUrl) {
+    return `${publicBaseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+  }
+
+  // Forwarded headers can hold a comma-separated chain - the first entry is the client-facing one
+  const forwardedProto = req.get('x-forwarded-proto')?.split(',')[0].trim();
+  const forwardedHost = req.get('x-forwarded-host')?.split(',')[0].trim();
+
+  const protocol = forwardedProto || req.protocol;
+  const host = forwardedHost || req.get('host');
+
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Rebuild the WebSocket URL Twilio signed for an upgrade request (ConversationRelay's handshake)
+ * @param {Object} req - Node HTTP request for the upgrade (not an Express request)
+ * @param {string} publicBaseUrl - Optional fixed base URL (e.g. https://voice.example.com)
+ * @returns {string} - ws:// or wss:// URL including the query string
+ */
+export function getPublicWebSocketUrl(req, publicBaseUrl) {
+  if (publicBaseUrl) {
+    return `${publicBaseUrl.replace(/\/$/, '').replace(/^http/, 'ws')}${req.url}`;
+  }
+
+  const forwardedProto = req.headers['x-forwarded-proto']?.split(',')[0].trim();
+  const forwardedHost = req.headers['x-forwarded-host']?.split(',')[0].trim();
+
+  // https -> wss, http -> ws
+  const protocol = (forwardedProto || (req.socket.encrypted ? 'https' : 'http')).replace(/^http/, 'ws');
+  const host = forwardedHost || req.headers.host;
+
+  return `${protocol}://${host}${req.url}`;
+}
+
+/**
+ * Why a request's signature doesn't check out
+ * @param {string} authToken - Twilio auth token
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url - URL Twilio called
+ * @param {Object} params - POST parameters (empty for WebSocket handshakes)
+ * @returns {string|null} - Reason, or null when the signature is valid
+ */
+function signatureProblem(authToken, signature, url, params) {
+  if (!authToken) return 'auth_token_not_configured';
+  if (!signature) return 'missing_signature';
+  if (!twilio.validateRequest(authToken, signature, url, params)) return 'invalid_signature';
+  return null;
+}
+
+/**
+ * Log a rejected request and hand its audit event to onReject
+ * @param {Object} auditEvent - twilio_signature_rejected event
+ * @param {Function} onReject - Optional async callback
+ */
+async function reportRejection(auditEvent, onReject) {
+  console.warn(`🚫 Rejected unsigned Twilio webhook (${auditEvent.reason}): ${auditEvent.method} ${auditEvent.url}`);
+
+  if (onReject) {
+    try {
+      await onReject(auditEvent);
+    } catch (error) {
+      console.error('❌ Error recording rejected webhook:', error);
+    }
+  }
+}
+
+/**
+ * Create Express middleware that rejects requests without a valid Twilio signature
+ *
+ * For local development and tests, set TWILIO_VALIDATE_SIGNATURES=false to skip the check.
+ * Never disable it on a publicly reachable deployment.
+ *
+ * @param {Object} options - Middleware options
+ * @param {string} options.authToken - Twilio auth token used to sign requests
+ * @param {string} options.publicBaseUrl - Fixed public base URL, if the forwarded headers can't be trusted
+ * @param {boolean} options.enabled - Whether to validate signatures (defaults to true)
+ * @param {Function} options.onReject - Called with an audit event for every rejected request
+ * @returns {Function} - Express middleware
+ */
+export function createTwilioSignatureMiddleware({ authToken, publicBaseUrl, enabled = true, onReject } = {}) {
+  if (!enabled) {
+    console.warn('⚠️ Twilio signature validation is DISABLED - only do this for local development and tests');
+    return (req, res, next) => next();
+  }
+
+  if (!authToken) {
+    console.error('❌ No Twilio auth token configured - all Twilio webhooks will be rejected');
+  }
+
+  return async (req, res, next) => {
+    const signature = req.get('x-twilio-signature');
+    const url = getPublicRequestUrl(req, publicBaseUrl);
+
+    const reason = signatureProblem(authToken, signature, url, req.body || {});
+    if (!reason) {
+      return next();
+    }
+
+    const auditEvent = {
+      type: 'twilio_signature_rejected',
+      reason,
+      method: req.method,
+      path: req.path,
+      url,
+      ip: req.get('x-forwarded-for')?.split(',')[0].trim() || req.ip,
+      callSid: req.body?.CallSid,
+      from: req.body?.From,
+      userAgent: req.get('user-agent'),
+      timestamp: new Date()
+    };
+
+    await reportRejection(auditEvent, onReject);
+    res.status(403).send('Forbidden');
+  };
+}
+
+/**
+ * Create a check for WebSocket upgrades Twilio opens (ConversationRelay), which carry the
+ * same X-Twilio-Signature as webhooks, signed over the ws(s):// URL with no parameters
+ * Takes the same options as createTwilioSignatureMiddleware.
+ * @param {Object} options - { authToken, publicBaseUrl, enabled, onReject }
+ * @returns {Function} - async (req) => true when the upgrade may go ahead
+ */
+export function createTwilioUpgradeVerifier({ authToken, publicBaseUrl, enabled = true, onReject } = {}) {
+  if (!enabled) {
+    return async () => true;
+  }
+
+  return async (req) => {
+    const url = getPublicWebSocketUrl(req, publicBaseUrl);
+    const reason = signatureProblem(authToken, req.headers['x-twilio-signature'], url, {});
+    if (!reason) {
+      return true;
+    }
+
+    await reportRejection({
+      type: 'twilio_signature_rejected',
+      reason,
+      method: req.method,
+      path: new URL(req.url, 'http://localhost').pathname,
+      url,
+      ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      timestamp: new Date()
+    }, onReject);
+    return false;
+  };
+}
@@ -0,0 +1,432 @@
+// Voice profiles
+// A profile is how the agent sounds and listens on a call: the <Say> voice, the language for
+// speech and speech recognition, the speech model, the speaking rate, the greetings and the
+// fixed prompts (translated in "prompts").
+// Profiles live in voice-profiles.json. The one a call uses is picked per caller (the
+// voiceProfile on their caller profile), per dialed number ("numbers") or per deployment
+// (VOICE_PROFILE), in that order. Unless the caller has one set, the language of their first
+// utterance can switch the call to the profile for that language. Detection reads what
+// speech recognition heard, and recognition listens in the call's current language, so
+// speech in another language may come through too garbled to detect - route numbers that
+// expect other languages to their profile instead of relying on it.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROFILES_PATH = path.join(__dirname, 'voice-profiles.json');
+
+// Fixed prompts, in English. A profile's "prompts" can translate any of them - whatever it
+// leaves out is said in English. {name} placeholders are filled in by phrase().
+const BASE_PROMPTS = {
+  sessionExpired: 'I\'m sorry, your session has expired. Please call again.',
+  stillThere: 'Are you still there? What would you like to know about our AI Agent Taskforce?',
+  goodbye: 'I haven\'t heard from you. Goodbye for now!',
+  noSpeech: 'I didn\'t hear you say anything. Could you please try again?',
+  replyError: 'I\'m sorry, I encountered an error processing your request. Let\'s try again.',
+  lostQuestion: 'I\'m sorry, I lost track of your question. Could you ask it again?',
+  slowReply: 'I\'m sorry, that\'s taking longer than expected. Could you ask me again, or try something else?',
+  keypadError: 'I\'m sorry, I couldn\'t do that right now. What else can I help you with?',
+  anythingElse: 'Is there anything else I can help you with?',
+  whatElse: 'What else can I help you with?',
+  and: 'and',
+  filler: {
+    start: 'One moment while I look into that.',
+    working: 'Still working on it, thanks for your patience.',
+    almostThere: 'Almost there, just a few more seconds.'
+  },
+  pin: {
+    welcome: 'Hello, this is Agent Taskforce.',
+    ask: 'Please enter your PIN, then press pound. You can also say it.',
+    reprompt: 'Are you still there? Please enter your PIN, then press pound.',
+    retry: 'That PIN didn\'t match. Please try again, then press pound.',
+    failed: 'That PIN didn\'t match. Goodbye.',
+    lockedNow: 'That PIN didn\'t match, and this number is now locked for a while. Goodbye.',
+    locked: 'There have been too many wrong PINs for this number. Please try again later. Goodbye.',
+    error: 'I\'m sorry, I couldn\'t check your PIN right now. Please call again later.'
+  },
+  keypad: {
+    press: 'Press {offers}.',
+    star: 'star',
+    offers: {
+      pendingTasks: 'for your pending tasks',
+      reminders: 'for your reminders',
+      assistant: 'to talk to the assistant'
+    },
+    notAnOption: 'Sorry, {key} isn\'t an option.',
+    justTellMe: 'Or just tell me what you need.',
+    assistant: 'Sure. What can I help you with?',
+    invalidEntry: 'Sorry, that isn\'t a valid {kind}.',
+    kinds: { pin: 'PIN', date: 'date', number: 'number' },
+    entryFailed: 'Sorry, I couldn\'t use that entry. What else can I help you with?',
+    reminderDate: 'To hear your reminders for another day, enter the month and day, for example 0 3 1 5 for March 15th, then press pound. Or just tell me what you need.',
+    reminderDateRetry: 'Please enter the month and day as four digits, then press pound.'
+  },
+  tasks: {
+    none: 'You have no pending tasks. What else can I help you with?',
+    one: 'You have 1 pending task. It is: {items}.',
+    many: 'You have {count} pending tasks. They are: {items}.',
+    latest: 'You have {count} pending tasks. The latest {shown} are: {items}.',
+    item: 'a {type} task about {about}, {status}',
+    noDetails: 'no details',
+    status: {
+      potential: 'waiting for review',
+      approved: 'approved',
+      queued: 'queued',
+      running: 'in progress',
+      failed: 'failed'
+    }
+  },
+  reminders: {
+    none: 'You have no reminders {when}.',
+    one: 'You have 1 reminder {when}: {items}.',
+    many: 'You have {count} reminders {when}: {items}.',
+    first: 'You have {count} reminders {when}. The first {shown} are: {items}.',
+    item: '{message}, {time}',
+    comingUp: 'coming up',
+    onDate: 'on {date}',
+    call: {
+      intro: 'Hi, this is AI Taskforce with your reminder: {message}.',
+      options: 'Say done or press 1 if you\'ve got it, say snooze or press 2 to hear it again in {minutes} minutes, or say cancel or press 3 to stop this reminder.',
+      inactive: 'This reminder is no longer active. Goodbye.',
+      loadError: 'Sorry, I could not load your reminder. Goodbye.',
+      done: 'Great, I\'ll mark it as done. Goodbye!',
+      snoozed: 'Okay, I\'ll call you again in {minutes} minutes. Goodbye!',
+      cancelled: 'Okay, I\'ve cancelled this reminder. Goodbye!',
+      unclear: 'Sorry, I didn\'t catch that.',
+      delivered: 'I\'ll consider this reminder delivered. Goodbye!',
+      error: 'Sorry, something went wrong. Goodbye.'
+    }
+  },
+  approvals: {
+    greeting: {
+      verified: 'Thanks, you\'re verified.',
+      outbound: 'Hi, this is AI Taskforce.',
+      inbound: 'Hello, I am your AI Assistant from Agent Taskforce.'
+    },
+    waitingOne: 'You have 1 item waiting for approval.',
+    waitingMany: 'You have {count} items waiting for approval.',
+    item: 'Item {number} of {total}.',
+    help: 'Say approve, reject, skip, or change followed by what to change. Or press 1 to approve, 2 to reject, 3 to skip, or 9 to hear it again.',
+    ask: 'Approve, reject, skip or change?',
+    unclear: 'Sorry, I didn\'t catch that.',
+    reprompt: 'Are you still there?',
+    goodbye: 'I haven\'t heard from you, so I\'ll leave the rest for later. Goodbye!',
+    leaveForLater: 'I\'ll leave that one for later.',
+    confirm: {
+      approve: 'Approved.',
+      reject: 'Rejected.',
+      change: 'Got it, I\'ve noted: {change}.',
+      skip: 'Skipped.'
+    },
+    alreadyDecided: 'Someone already handled that item in the meantime.',
+    recordError: 'I couldn\'t record that decision, so I\'ll leave this item for later.',
+    summary: 'That\'s everything. You {decisions}.',
+    decisions: {
+      approve: 'approved {count}',
+      reject: 'rejected {count}',
+      change: 'asked for changes on {count}',
+      skip: 'skipped {count}'
+    },
+    nothingLeft: 'That\'s everything waiting for approval.',
+    error: 'I\'m sorry, I couldn\'t go through the approvals right now. How else can I help?'
+  },
+  relay: {
+    timedOut: 'Sorry, this call has timed out. Please call again. Goodbye.',
+    resumed: 'Sorry about that. What would you like to do next?'
+  },
+  transfer: {
+    hold: 'Please hold while I find someone to take your call.',
+    noAnswer: 'Sorry, nobody could take your call right now. Please leave a message after the tone, and press pound when you\'re done.',
+    noMessage: 'I didn\'t get a message. Goodbye.',
+    voicemailThanks: 'Thanks, I\'ll pass your message on. Goodbye.',
+    error: 'Sorry, something went wrong with the transfer. Please call again. Goodbye.',
+    noQueue: 'There is no transfer queue set up. Goodbye.',
+    whisper: 'Transferred call from {caller}. Reason: {reason}. {summary} Connecting you now.',
+    unknownNumber: 'an unknown number'
+  }
+};
+
+// Fills in whatever a profile leaves out, and is the only profile without a profiles file
+const BASE_PROFILE = {
+  voice: 'Polly.Amy',
+  language: 'en-US',
+  speechModel: 'phone_call',
+  rate: null,
+  relayVoice: 'Amy-Neural',
+  greeting: 'Hello, I am your AI Assistant from Agent Taskforce. How can I help you today?',
+  guestGreeting: 'Hello, I am the AI Assistant from Agent Taskforce. I can answer general questions about what we do. How can I help you today?',
+  verifiedGreeting: 'Thanks, you\'re verified. How can I help you today?',
+  continuePrompt: 'Want me to continue?',
+  prompts: BASE_PROMPTS
+};
+
+// Everyday words that are rare in the other languages, for spotting the caller's language
+const LANGUAGE_MARKERS = {
+  en: ['the', 'and', 'is', 'you', 'what', 'my', 'to', 'can', 'please', 'i', 'it', 'of', 'for', 'this', 'how', 'want', 'need', 'hello', 'thanks'],
+  es: ['el', 'los', 'las', 'y', 'por', 'favor', 'quiero', 'para', 'es', 'una', 'hola', 'cómo', 'como', 'necesito', 'qué', 'mi', 'con', 'gracias', 'puedes', 'puede', 'estoy', 'tengo', 'mañana'],
+  fr: ['le', 'les', 'des', 'je', 'vous', 'est', 'et', 'pour', 'une', 'bonjour', 'merci', 'voudrais', 'pas', 'mon', 'ma', 'avec', 'suis', 'oui', 'demain', 'pouvez', 'c\'est', 'j\'ai']
+};
+// Characters only one of the languages uses
+const LANGUAGE_CHARACTERS = { es: /[ñ¿¡]/, fr: /[çœèêëîû]/ };
+
+let voiceConfig = null;
+
+/**
+ * Load the voice profiles, replacing any loaded before
+ * @param {string} profilesPath - Path to the JSON file (defaults to VOICE_PROFILES_PATH)
+ * @returns {Object} - { defaultName, numbers, profiles }
+ */
+export function loadVoiceProfiles(profilesPath = process.env.VOICE_PROFILES_PATH || DEFAULT_PROFILES_PATH) {
+  let raw = {};
+  if (fs.existsSync(profilesPath)) {
+    raw = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+  } else {
+    console.warn(`⚠️ No voice profiles at ${profilesPath} - using the default voice`);
+  }
+
+  const profiles = { default: { ...BASE_PROFILE, name: 'default' } };
+  for (const [name, profile] of Object.entries(raw.profiles || {})) {
+    if (profile.language && !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(profile.language)) {
+      throw new Error(`Voice profile "${name}" has an invalid language "${profile.language}" (expected e.g. es-US)`);
+    }
+    if (profile.prompts !== undefined && (typeof profile.prompts !== 'object' || Array.isArray(profile.prompts))) {
+      throw new Error(`Voice profile "${name}" has invalid prompts (expected an object of translations)`);
+    }
+    profiles[name] = { ...BASE_PROFILE, ...profile, name };
+  }
+
+  // Numbers are matched in E.164 form whatever way they were written
+  const numbers = {};
+  for (const [number, name] of Object.entries(raw.numbers || {})) {
+    if (!profiles[name]) {
+      throw new Error(`Voice profile "${name}" for ${number} is not defined`);
+    }
+    numbers[normalizePhoneNumber(number) || number] = name;
+  }
+
+  const defaultName = process.env.VOICE_PROFILE || raw.default || 'default';
+  if (!profiles[defaultName]) {
+    throw new Error(`Default voice profile "${defaultName}" is not defined`);
+  }
+
+  voiceConfig = { defaultName, numbers, profiles };
+  console.log(`🗣️ Voice profiles: ${Object.keys(profiles).join(', ')} (default ${defaultName})`);
+  return voiceConfig;
+}
+
+/**
+ * The loaded voice profiles, loading them on first use
+ * @returns {Object} - { defaultName, numbers, profiles }
+ */
+function getVoiceConfig() {
+  return voiceConfig || loadVoiceProfiles();
+}
+
+/**
+ * Whether a voice profile exists
+ * @param {string} name - Profile name
+ * @returns {boolean} - True when it's defined
+ */
+export function hasVoiceProfile(name) {
+  return Boolean(getVoiceConfig().profiles[name]);
+}
+
+/**
+ * Get a voice profile by name
+ * @param {string} name - Profile name (the deployment default when empty or unknown)
+ * @returns {Object} - Profile
+ */
+export function getVoiceProfile(name) {
+  const { profiles, defaultName } = getVoiceConfig();
+  return profiles[name] || profiles[defaultName];
+}
+
+/**
+ * All loaded voice profiles
+ * @returns {Array<Object>} - Profiles
+ */
+export function listVoiceProfiles() {
+  return Object.values(getVoiceConfig().profiles);
+}
+
+/**
+ * The voice profile a call session uses
+ * @param {Object} session - Call session (voiceProfile holds the profile name)
+ * @returns {Object} - Profile
+ */
+export function sessionVoice(session) {
+  return getVoiceProfile(session?.voiceProfile);
+}
+
+/**
+ * Pick the voice profile for a call: the caller's own, then the dialed number's, then the
+ * deployment's
+ * @param {Object} options - { callerProfile, dialedNumber } - dialedNumber is our Twilio number
+ * @returns {Object} - { profile, source: caller|number|deployment }
+ */
+export function resolveVoiceProfile({ callerProfile, dialedNumber } = {}) {
+  const { profiles, numbers, defaultName } = getVoiceConfig();
+  if (callerProfile?.voiceProfile && profiles[callerProfile.voiceProfile]) {
+    return { profile: profiles[callerProfile.voiceProfile], source: 'caller' };
+  }
+  const dialed = normalizePhoneNumber(dialedNumber);
+  if (dialed && numbers[dialed]) {
+    return { profile: profiles[numbers[dialed]], source: 'number' };
+  }
+  return { profile: profiles[defaultName], source: 'deployment' };
+}
+
+/**
+ * Find the profile for a language, preferring the deployment default
+ * @param {string} language - Language code (es, es-MX, ...)
+ * @returns {Object|null} - Profile, or null when none speaks it
+ */
+export function profileForLanguage(language) {
+  const primary = String(language || '').split('-')[0].toLowerCase();
+  if (!primary) return null;
+  const { profiles, defaultName } = getVoiceConfig();
+  const matches = Object.values(profiles).filter(profile => profile.language.split('-')[0] === primary);
+  return matches.find(profile => profile.name === defaultName) || matches[0] || null;
+}
+
+/**
+ * Whether the caller's first utterance may switch the call's language (LANGUAGE_DETECTION=off turns it off)
+ * @returns {boolean} - True when detection is on
+ */
+export function languageDetectionEnabled() {
+  return (process.env.LANGUAGE_DETECTION || 'on').toLowerCase() !== 'off';
+}
+
+/**
+ * Guess the language of an utterance from its everyday words
+ * @param {string} text - What the caller said
+ * @returns {string|null} - en, es or fr, or null when it's unclear
+ */
+export function detectLanguage(text) {
+  const lower = String(text || '').toLowerCase();
+  const words = lower.split(/[^a-zà-ÿœ']+/).filter(Boolean);
+  const scores = Object.entries(LANGUAGE_MARKERS).map(([language, markers]) => {
+    let score = words.filter(word => markers.includes(word)).length;
+    if (LANGUAGE_CHARACTERS[language]?.test(lower)) score += 2;
+    return { language, score };
+  }).sort((a, b) => b.score - a.score);
+
+  // Needs two signs, and more than any other language
+  if (scores[0].score < 2 || scores[0].score === scores[1].score) return null;
+  return scores[0].language;
+}
+
+/**
+ * Check the caller's first utterance for a language other than the call's and switch the
+ * session to the profile for it. Later utterances, and sessions whose voice was picked by
+ * the caller's own profile, are left alone.
+ * @param {Object} session - Call session (voiceProfile, voiceLocked and languageChecked are updated)
+ * @param {string} text - What the caller said
+ * @returns {Object|null} - The new profile, or null when the voice stays the same
+ */
+export function switchVoiceForUtterance(session, text) {
+  if (session.languageChecked) return null;
+  session.languageChecked = true;
+  if (session.voiceLocked || !languageDetectionEnabled()) return null;
+
+  const profile = profileForLanguage(detectLanguage(text));
+  const current = sessionVoice(session);
+  if (!profile || profile.language.split('-')[0] === current.language.split('-')[0]) return null;
+  session.voiceProfile = profile.name;
+  console.log(`🗣️ Caller speaks ${languageName(profile.language)} - switching to voice profile ${profile.name}`);
+  return profile;
+}
+
+/**
+ * English name of a profile's language
+ * @param {string} language - Language code
+ * @returns {string} - e.g. Spanish
+ */
+export function languageName(language) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(String(language).split('-')[0]);
+  } catch {
+    return language;
+  }
+}
+
+/**
+ * Extra instructions telling the model which language to answer in
+ * @param {Object} profile - Voice profile
+ * @returns {string|undefined} - Instructions, or undefined for English
+ */
+export function languageInstructions(profile) {
+  if (!profile || profile.language.startsWith('en')) return undefined;
+  const name = languageName(profile.language);
+  return `The caller speaks ${name}. Always reply in ${name}.`;
+}
+
+/**
+ * A fixed prompt in a profile's language, falling back to the English one
+ * @param {Object} profile - Voice profile
+ * @param {string} key - Prompt name, dotted for nested ones (e.g. "pin.retry")
+ * @param {Object} values - Values for the prompt's {placeholders}
+ * @returns {string} - Prompt text
+ */
+export function phrase(profile, key, values = {}) {
+  const lookup = prompts => key.split('.').reduce((node, part) => node?.[part], prompts);
+  const text = lookup(profile?.prompts) ?? lookup(BASE_PROMPTS);
+  if (typeof text !== 'string') {
+    throw new Error(`Unknown prompt: ${key}`);
+  }
+  // A value that ends a sentence itself ("1:00 p.m.") takes the template's full stop
+  return text.replace(/\{(\w+)\}(\.?)/g, (match, name, stop) => {
+    if (!(name in values)) return match;
+    const value = String(values[name]);
+    return stop && value.endsWith('.') ? value : `${value}${stop}`;
+  });
+}
+
+/**
+ * Join items in a profile's language ("a; b; and c" - semicolons, since items may hold commas)
+ * @param {Object} profile - Voice profile
+ * @param {Array<string>} items - Items
+ * @returns {string} - Sentence fragment
+ */
+export function listItems(profile, items) {
+  if (items.length < 2) return items[0] || '';
+  return `${items.slice(0, -1).join('; ')}; ${phrase(profile, 'and')} ${items[items.length - 1]}`;
+}
+
+/**
+ * Speak text with a voice profile
+ * @param {Object} twiml - VoiceResponse, or a Gather to nest the prompt in
+ * @param {string|Array} text - What to say, or SSML segments: strings, { pause: '500ms' } and { emphasis: 'words' }
+ * @param {Object} profile - Voice profile (defaults to the deployment's)
+ * @returns {Object} - Say verb
+ */
+export function say(twiml, text, profile = getVoiceProfile()) {
+  const attributes = { voice: profile.voice, language: profile.language };
+  if (!profile.rate && !Array.isArray(text)) {
+    return twiml.say(attributes, text);
+  }
+  const element = twiml.say(attributes);
+  const body = profile.rate ? element.prosody({ rate: profile.rate }) : element;
+  for (const segment of Array.isArray(text) ? text : [text]) {
+    if (segment.pause) {
+      body.break({ time: segment.pause });
+    } else if (segment.emphasis) {
+      body.emphasis({ level: 'moderate' }, segment.emphasis);
+    } else {
+      body.addText(segment);
+    }
+  }
+  return element;
+}
+
+/**
+ * Speech recognition attributes for a Gather
+ * @param {Object} profile - Voice profile (defaults to the deployment's)
+ * @returns {Object} - { language, speechModel }
+ */
+export function gatherAttributes(profile = getVoiceProfile()) {
+  return { language: profile.language, speechModel: profile.speechModel };
+}
@@ -0,0 +1,375 @@
+// Weather for the getWeather Assistant tool
+// Providers: open-meteo (real HTTP forecasts, no API key) and fixture (deterministic, offline)
+// Dates like "tomorrow" or "Saturday" are resolved in the caller's timezone with date-fns
+import axios from 'axios';
+import { addDays, differenceInCalendarDays, format, getDay, isValid, nextDay, parse, parseISO } from 'date-fns';
+import { numberToWords, ordinalToWords } from './functions/src/utils/numbers.js';
+import { DEFAULT_TIMEZONE } from './functions/src/utils/timezone.js';
+
+const FORECAST_DAYS = 16;
+const FORECAST_CACHE_TTL_MS = 30 * 60 * 1000;
+const GEOCODE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SMALL_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const US_STATES = {
+  al: 'alabama', ak: 'alaska', az: 'arizona', ar: 'arkansas', ca: 'california', co: 'colorado', ct: 'connecticut',
+  de: 'delaware', dc: 'district of columbia', fl: 'florida', ga: 'georgia', hi: 'hawaii', id: 'idaho', il: 'illinois',
+  in: 'indiana', ia: 'iowa', ks: 'kansas', ky: 'kentucky', la: 'louisiana', me: 'maine', md: 'maryland',
+  ma: 'massachusetts', mi: 'michigan', mn: 'minnesota', ms: 'mississippi', mo: 'missouri', mt: 'montana',
+  ne: 'nebraska', nv: 'nevada', nh: 'new hampshire', nj: 'new jersey', nm: 'new mexico', ny: 'new york',
+  nc: 'north carolina', nd: 'north dakota', oh: 'ohio', ok: 'oklahoma', or: 'oregon', pa: 'pennsylvania',
+  ri: 'rhode island', sc: 'south carolina', sd: 'south dakota', tn: 'tennessee', tx: 'texas', ut: 'utah',
+  vt: 'vermont', va: 'virginia', wa: 'washington', wv: 'west virginia', wi: 'wisconsin', wy: 'wyoming'
+};
+
+// WMO weather interpretation codes used by Open-Meteo
+const WEATHER_CODES = {
+  0: 'clear skies',
+  1: 'mostly clear skies',
+  2: 'partly cloudy skies',
+  3: 'overcast skies',
+  45: 'fog',
+  48: 'freezing fog',
+  51: 'light drizzle',
+  53: 'drizzle',
+  55: 'heavy drizzle',
+  56: 'freezing drizzle',
+  57: 'heavy freezing drizzle',
+  61: 'light rain',
+  63: 'rain',
+  65: 'heavy rain',
+  66: 'freezing rain',
+  67: 'heavy freezing rain',
+  71: 'light snow',
+  73: 'snow',
+  75: 'heavy snow',
+  77: 'snow grains',
+  80: 'light showers',
+  81: 'showers',
+  82: 'heavy showers',
+  85: 'snow showers',
+  86: 'heavy snow showers',
+  95: 'thunderstorms',
+  96: 'thunderstorms with hail',
+  99: 'severe thunderstorms with hail'
+};
+
+/**
+ * Today's calendar date in a timezone, as a date-fns friendly Date (local midnight)
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now - Current time
+ * @returns {Date} - Today in that timezone
+ */
+function todayIn(timezone, now) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+  return parseISO(parts);
+}
+
+/**
+ * Resolve a spoken or written date ("tomorrow", "Saturday", "July 15", "2025-07-15")
+ * @param {string} dateText - Date as the caller or the model phrased it
+ * @param {Object} options - Resolution options
+ * @param {string} options.timezone - Caller's timezone (defaults to DEFAULT_TIMEZONE)
+ * @param {Date} options.now - Current time (for tests)
+ * @returns {Object|null} - { date: 'yyyy-MM-dd', offset, label } or null if it can't be understood
+ */
+export function resolveForecastDate(dateText, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+  const today = todayIn(timezone, now);
+  const text = (dateText || 'today').toLowerCase().trim()
+    .replace(/^(on|for|this coming|this)\s+/, '')
+    .replace(/[.,!?]+$/, '');
+
+  let target = null;
+
+  if (['today', 'now', 'tonight', 'right now', 'currently'].includes(text) || /^(morning|afternoon|evening)$/.test(text)) {
+    target = today;
+  } else if (text === 'tomorrow' || /^tomorrow (morning|afternoon|evening|night)$/.test(text)) {
+    target = addDays(today, 1);
+  } else if (text === 'day after tomorrow' || text === 'the day after tomorrow') {
+    target = addDays(today, 2);
+  } else if (/^in (\w+) days?$/.test(text)) {
+    const amount = text.match(/^in (\w+) days?$/)[1];
+    const days = SMALL_NUMBERS[amount] ?? Number(amount);
+    if (Number.isInteger(days)) {
+      target = addDays(today, days);
+    }
+  } else {
+    const weekdayMatch = text.match(/^(next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+    if (weekdayMatch) {
+      const weekday = WEEKDAYS.indexOf(weekdayMatch[2]);
+      target = getDay(today) === weekday ? today : nextDay(today, weekday);
+      // "next Saturday" said on a Saturday means a week from today
+      if (weekdayMatch[1] && getDay(today) === weekday) {
+        target = addDays(today, 7);
+      }
+    } else {
+      // Explicit dates, with or without a year
+      const withYear = ['yyyy-MM-dd', 'MMMM d yyyy', 'MMMM do yyyy', 'MMM d yyyy', 'M/d/yyyy'];
+      const withoutYear = ['MMMM d', 'MMMM do', 'MMM d', 'MMM do', 'M/d', 'd MMMM'];
+      const cleaned = text.replace(/,/g, '');
+
+      for (const pattern of withYear) {
+        const parsed = parse(cleaned, pattern, today);
+        if (isValid(parsed)) {
+          target = parsed;
+          break;
+        }
+      }
+      if (!target) {
+        for (const pattern of withoutYear) {
+          const parsed = parse(cleaned, pattern, today);
+          if (isValid(parsed)) {
+            // A date earlier this year most likely means next year
+            target = differenceInCalendarDays(parsed, today) < 0 ? parse(`${cleaned} ${today.getFullYear() + 1}`, `${pattern} yyyy`, today) : parsed;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  if (!target || !isValid(target)) return null;
+
+  const offset = differenceInCalendarDays(target, today);
+  let label;
+  if (offset === 0) {
+    label = text === 'tonight' ? 'tonight' : 'today';
+  } else if (offset === 1) {
+    label = 'tomorrow';
+  } else if (offset > 1 && offset < 7) {
+    label = `on ${format(target, 'EEEE')}`;
+  } else {
+    label = `on ${format(target, 'EEEE, MMMM')} ${ordinalToWords(target.getDate())}`;
+  }
+
+  return { date: format(target, 'yyyy-MM-dd'), offset, label };
+}
+
+/**
+ * Open-Meteo provider - real geocoding and daily forecasts, no API key needed
+ */
+export class OpenMeteoProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.units - 'fahrenheit' or 'celsius'
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ units = 'fahrenheit', timeoutMs = 8000 } = {}) {
+    this.name = 'open-meteo';
+    this.units = units;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Look up a place by name ("Boston, MA", "Paris, France")
+   * @param {string} location - Place name
+   * @returns {Object|null} - { name, region, country, latitude, longitude } or null if unknown
+   */
+  async geocode(location) {
+    const [city, ...qualifiers] = location.split(',').map(part => part.trim()).filter(Boolean);
+    if (!city) return null;
+
+    const response = await axios.get('https://geocoding-api.open-meteo.com/v1/search', {
+      params: { name: city, count: 10, language: 'en', format: 'json' },
+      timeout: this.timeoutMs
+    });
+    const results = response.data?.results || [];
+    if (results.length === 0) return null;
+
+    // Prefer the result matching the state or country the caller mentioned
+    const qualifier = qualifiers.join(' ').toLowerCase();
+    const expanded = US_STATES[qualifier] || qualifier;
+    const match = !qualifier ? results[0] : results.find(result =>
+      [result.admin1, result.country, result.country_code]
+        .filter(Boolean)
+        .some(value => value.toLowerCase() === expanded || value.toLowerCase() === qualifier)
+    );
+    if (!match) return null;
+
+    return {
+      name: match.name,
+      region: match.admin1 || null,
+      country: match.country || null,
+      latitude: match.latitude,
+      longitude: match.longitude
+    };
+  }
+
+  /**
+   * Daily forecast for a place
+   * @param {Object} place - Result of geocode
+   * @param {string} date - Date as yyyy-MM-dd
+   * @returns {Object} - { high, low, condition, precipitationChance, units }
+   */
+  async forecast(place, date) {
+    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
+      params: {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max',
+        temperature_unit: this.units,
+        timezone: 'auto',
+        start_date: date,
+        end_date: date
+      },
+      timeout: this.timeoutMs
+    });
+
+    const daily = response.data?.daily;
+    if (!daily || !daily.time?.length) {
+      throw new Error(`No forecast returned for ${date}`);
+    }
+
+    return {
+      high: Math.round(daily.temperature_2m_max[0]),
+      low: Math.round(daily.temperature_2m_min[0]),
+      condition: WEATHER_CODES[daily.weather_code[0]] || 'mixed conditions',
+      precipitationChance: daily.precipitation_probability_max?.[0] ?? null,
+      units: this.units
+    };
+  }
+}
+
+/**
+ * Fixture provider - fixed places and deterministic forecasts for tests and offline demos
+ */
+export class FixtureWeatherProvider {
+  constructor({ units = 'fahrenheit' } = {}) {
+    this.name = 'fixture';
+    this.units = units;
+    this.places = {
+      'new york': { name: 'New York', region: 'New York', high: 68, low: 55, condition: 'partly cloudy skies', precipitationChance: 10 },
+      'san francisco': { name: 'San Francisco', region: 'California', high: 62, low: 52, condition: 'fog', precipitationChance: 0 },
+      'chicago': { name: 'Chicago', region: 'Illinois', high: 72, low: 58, condition: 'clear skies', precipitationChance: 0 },
+      'los angeles': { name: 'Los Angeles', region: 'California', high: 75, low: 61, condition: 'clear skies', precipitationChance: 0 },
+      'miami': { name: 'Miami', region: 'Florida', high: 85, low: 76, condition: 'thunderstorms', precipitationChance: 70 },
+      'seattle': { name: 'Seattle', region: 'Washington', high: 58, low: 48, condition: 'rain', precipitationChance: 80 },
+      'austin': { name: 'Austin', region: 'Texas', high: 82, low: 66, condition: 'clear skies', precipitationChance: 0 },
+      'boston': { name: 'Boston', region: 'Massachusetts', high: 66, low: 54, condition: 'overcast skies', precipitationChance: 20 },
+      'denver': { name: 'Denver', region: 'Colorado', high: 70, low: 45, condition: 'clear skies', precipitationChance: 0 }
+    };
+  }
+
+  async geocode(location) {
+    const city = location.split(',')[0].trim().toLowerCase();
+    const place = this.places[city];
+    return place ? { name: place.name, region: place.region, country: 'United States', key: city } : null;
+  }
+
+  async forecast(place, date) {
+    const base = this.places[place.key];
+    // Vary by day of month so different dates give different (but repeatable) answers
+    const swing = (Number(date.slice(-2)) % 5) - 2;
+    const toUnits = (f) => (this.units === 'celsius' ? Math.round((f - 32) * 5 / 9) : f);
+
+    return {
+      high: toUnits(base.high + swing),
+      low: toUnits(base.low + swing),
+      condition: base.condition,
+      precipitationChance: base.precipitationChance,
+      units: this.units
+    };
+  }
+}
+
+/**
+ * Wrap a provider with a time-based cache for geocoding and forecasts
+ * @param {Object} provider - Weather provider
+ * @returns {Object} - Provider with the same interface
+ */
+export function withCache(provider) {
+  const cache = new Map();
+
+  const cached = async (key, ttlMs, load) => {
+    const hit = cache.get(key);
+    if (hit && hit.expiresAt > Date.now()) {
+      return hit.value;
+    }
+    const value = await load();
+    cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  };
+
+  return {
+    name: provider.name,
+    units: provider.units,
+    geocode: (location) => cached(`geo:${location.toLowerCase()}`, GEOCODE_CACHE_TTL_MS, () => provider.geocode(location)),
+    forecast: (place, date) => cached(
+      `forecast:${place.latitude ?? place.key},${place.longitude ?? ''}:${date}`,
+      FORECAST_CACHE_TTL_MS,
+      () => provider.forecast(place, date)
+    )
+  };
+}
+
+/**
+ * Create the provider configured by WEATHER_PROVIDER (open-meteo or fixture)
+ * @param {Object} options - Provider options
+ * @returns {Object} - Cached weather provider
+ */
+export function createWeatherProvider({ provider = process.env.WEATHER_PROVIDER || 'open-meteo', units = process.env.WEATHER_UNITS || 'fahrenheit' } = {}) {
+  switch (provider) {
+    case 'open-meteo':
+      return withCache(new OpenMeteoProvider({ units }));
+    case 'fixture':
+      return withCache(new FixtureWeatherProvider({ units }));
+    default:
+      throw new Error(`Unknown weather provider: ${provider}`);
+  }
+}
+
+// Provider used by getWeatherReport unless one is passed in
+let defaultProvider = null;
+
+/**
+ * Build a spoken weather answer for a location and date
+ * @param {Object} args - Tool arguments
+ * @param {string} args.location - Place name
+ * @param {string} args.date - Date as phrased by the caller (optional)
+ * @param {Object} options - Report options
+ * @param {string} options.timezone - Caller's timezone, used for relative dates
+ * @param {Object} options.provider - Weather provider (defaults to WEATHER_PROVIDER)
+ * @param {Date} options.now - Current time (for tests)
+ * @returns {string} - Sentence ready to be spoken
+ */
+export async function getWeatherReport({ location, date }, { timezone, provider, now } = {}) {
+  if (!provider) {
+    defaultProvider = defaultProvider || createWeatherProvider();
+    provider = defaultProvider;
+  }
+
+  const resolved = resolveForecastDate(date, { timezone: timezone || DEFAULT_TIMEZONE, now });
+  if (!resolved) {
+    return `I'm not sure which day you mean by "${date}". Try today, tomorrow, or a day of the week.`;
+  }
+  if (resolved.offset < 0) {
+    return 'I can only look up forecasts, not past weather.';
+  }
+  if (resolved.offset >= FORECAST_DAYS) {
+    return `I can only forecast up to ${numberToWords(FORECAST_DAYS)} days ahead.`;
+  }
+
+  const place = await provider.geocode(location);
+  if (!place) {
+    return `I couldn't find a place called ${location}.`;
+  }
+
+  const forecast = await provider.forecast(place, resolved.date);
+  const placeName = [place.name, place.region || place.country].filter(Boolean).join(', ');
+  const when = resolved.label.charAt(0).toUpperCase() + resolved.label.slice(1);
+  const unitName = forecast.units === 'celsius' ? 'Celsius' : 'Fahrenheit';
+
+  let sentence = `${when} in ${placeName}, expect ${forecast.condition} with a high of ${numberToWords(forecast.high)} ` +
+    `and a low of ${numberToWords(forecast.low)} degrees ${unitName}`;
+  if (forecast.precipitationChance >= 20) {
+    sentence += `, and a ${numberToWords(forecast.precipitationChance)} percent chance of precipitation`;
+  }
+  return `${sentence}.`;
+}
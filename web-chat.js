@@ -0,0 +1,242 @@
+// Browser chat channel
+// Teammates chat with the Lead Agent from public/chat.html over a WebSocket. The chat uses
+// the Assistant thread of the phone number they sign in with, so it shares memory and tools
+// with their calls and texts, and replies stream in as they're written. Messages are stored
+// in conversations with channel 'web' and go through task extraction like spoken turns.
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import { ensureThreadForPhoneNumber, streamAssistantResponse } from './assistants-util.js';
+import { adminTokenMatches } from './admin-routes.js';
+import { normalizePhoneNumber } from './functions/src/utils/phone.js';
+import { isValidTimezone } from './functions/src/utils/timezone.js';
+
+// Longest chat message accepted
+const MAX_MESSAGE_CHARACTERS = 4000;
+// Connections that don't sign in within this long are closed
+const START_TIMEOUT_MS = 10000;
+// Earlier messages sent along when answering without an Assistant thread
+const HISTORY_MESSAGES = 10;
+
+const WEB_INSTRUCTIONS = 'The user is chatting from a browser, not calling. Markdown is fine, keep answers concise.';
+
+/**
+ * Send a JSON event to a chat client if it's still connected
+ * @param {Object} socket - WebSocket
+ * @param {Object} event - Event ({ type, ... })
+ */
+function send(socket, event) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(event));
+  }
+}
+
+/**
+ * Create the WebSocket server for the browser chat. It doesn't listen itself: pass it
+ * upgrade requests for its path with handleUpgrade.
+ *
+ * Client events: { type: 'start', token, phoneNumber, timezone } once, then { type: 'message', text }.
+ * timezone is the browser's, for relative dates in tool calls.
+ * Server events: ready, delta (streamed text), tool (tool names in use), done (full reply)
+ * and error.
+ * @param {Object} options - Server options
+ * @param {Object} options.db - Storage backend
+ * @param {Object} options.openai - OpenAI client, for when the Assistant fails
+ * @param {string} options.adminToken - Token teammates sign in with (the chat is disabled when empty)
+ * @param {string} options.systemPrompt - System prompt for direct completions
+ * @param {Function} options.analyzeMessage - async (conversationId, text, { from, access, source, timezone }, turn) - task extraction
+ * @returns {Object} - WebSocketServer
+ */
+export function createWebChatServer({ db, openai, adminToken, systemPrompt, analyzeMessage }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+  /**
+   * Stream a reply without the Assistant, from the conversation so far
+   * @param {Object} chat - Connection state
+   * @param {string} text - User's message
+   * @param {Function} onDelta - Called with each piece of text
+   * @returns {Promise<string>} - Full reply
+   */
+  const completeDirectly = async (chat, text, onDelta) => {
+    const stream = await openai.chat.completions.create({
+      model: 'gpt-3.5-turbo',
+      messages: [
+        { role: 'system', content: `${systemPrompt}\n\n${WEB_INSTRUCTIONS}` },
+        ...chat.history.slice(-HISTORY_MESSAGES),
+        { role: 'user', content: text }
+      ],
+      temperature: 0.7,
+      max_tokens: 500,
+      stream: true
+    });
+    let reply = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        reply += delta;
+        onDelta(delta);
+      }
+    }
+    return reply;
+  };
+
+  /**
+   * Sign a connection in and open its conversation
+   * @param {Object} socket - WebSocket
+   * @param {Object} chat - Connection state
+   * @param {Object} event - start event
+   */
+  const start = async (socket, chat, event) => {
+    if (!adminToken) {
+      send(socket, { type: 'error', error: 'Web chat disabled: ADMIN_API_TOKEN is not configured' });
+      return socket.close(1008, 'Disabled');
+    }
+    if (!adminTokenMatches(adminToken, event.token)) {
+      console.warn('🚫 Rejected web chat sign-in');
+      send(socket, { type: 'error', error: 'Unauthorized' });
+      return socket.close(1008, 'Unauthorized');
+    }
+    const phoneNumber = normalizePhoneNumber(event.phoneNumber);
+    if (!phoneNumber) {
+      send(socket, { type: 'error', error: 'A valid phone number is required to pick your thread' });
+      return socket.close(1008, 'Invalid phone number');
+    }
+
+    const now = new Date();
+    const sessionId = `web_${now.getTime()}_${crypto.randomBytes(3).toString('hex')}`;
+    await db.set('conversations', sessionId, {
+      sessionId,
+      channel: 'web',
+      phoneNumber,
+      access: 'member',
+      createdAt: now,
+      updatedAt: now,
+      status: 'active',
+      messages: []
+    });
+    Object.assign(chat, { sessionId, phoneNumber, timezone: isValidTimezone(event.timezone) ? event.timezone : null });
+    console.log(`💻 Web chat ${sessionId} started for ${phoneNumber}`);
+    send(socket, { type: 'ready', conversationId: sessionId });
+  };
+
+  /**
+   * Answer a chat message, streaming the reply
+   * @param {Object} socket - WebSocket
+   * @param {Object} chat - Connection state
+   * @param {string} text - User's message
+   */
+  const answer = async (socket, chat, text) => {
+    const timestamp = new Date();
+    await db.appendToArray('conversations', chat.sessionId, 'messages', { type: 'user', content: text, channel: 'web', timestamp }, {
+      updatedAt: timestamp
+    });
+    console.log(`💻 Web chat message in ${chat.sessionId}: "${text}"`);
+
+    // Same task extraction as spoken turns
+    analyzeMessage(chat.sessionId, text, { from: chat.phoneNumber, access: 'member', source: 'web', timezone: chat.timezone }, timestamp.toISOString());
+
+    const onDelta = delta => send(socket, { type: 'delta', text: delta });
+    const tools = [];
+    let reply;
+    let model = 'gpt-4o';
+    let fallback = false;
+    try {
+      const threadId = await ensureThreadForPhoneNumber(chat.phoneNumber);
+      reply = await streamAssistantResponse(threadId, text, {
+        sessionId: chat.sessionId,
+        from: chat.phoneNumber,
+        channel: 'web',
+        timezone: chat.timezone
+      }, {
+        instructions: WEB_INSTRUCTIONS,
+        onDelta,
+        onToolCalls: names => {
+          tools.push(...names);
+          send(socket, { type: 'tool', names });
+        }
+      });
+    } catch (error) {
+      console.error('Error using Assistant API for web chat, falling back to direct completion:', error);
+      // Start the reply over in case part of it had streamed
+      send(socket, { type: 'reset' });
+      reply = await completeDirectly(chat, text, onDelta);
+      model = 'gpt-3.5-turbo';
+      fallback = true;
+    }
+
+    chat.history.push({ role: 'user', content: text }, { role: 'assistant', content: reply });
+    const repliedAt = new Date();
+    await db.appendToArray('conversations', chat.sessionId, 'messages', {
+      type: 'assistant',
+      content: reply,
+      model,
+      channel: 'web',
+      timestamp: repliedAt,
+      ...(fallback ? { fallback: true } : { assistant: true }),
+      ...(tools.length ? { tools } : {})
+    }, {
+      updatedAt: repliedAt
+    });
+    send(socket, { type: 'done', text: reply });
+  };
+
+  wss.on('connection', socket => {
+    const chat = { sessionId: null, phoneNumber: null, timezone: null, busy: false, history: [] };
+    const startTimer = setTimeout(() => {
+      if (!chat.sessionId) socket.close(1008, 'No start message');
+    }, START_TIMEOUT_MS);
+
+    socket.on('message', async data => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch {
+        return send(socket, { type: 'error', error: 'Messages must be JSON' });
+      }
+
+      try {
+        if (event.type === 'start') {
+          if (chat.sessionId) return send(socket, { type: 'error', error: 'Already started' });
+          return await start(socket, chat, event);
+        }
+        if (event.type !== 'message') {
+          return send(socket, { type: 'error', error: `Unknown event type: ${event.type}` });
+        }
+        if (!chat.sessionId) {
+          return send(socket, { type: 'error', error: 'Send a start event first' });
+        }
+
+        const text = String(event.text || '').trim();
+        if (!text) return;
+        if (text.length > MAX_MESSAGE_CHARACTERS) {
+          return send(socket, { type: 'error', error: `Messages are limited to ${MAX_MESSAGE_CHARACTERS} characters` });
+        }
+        // A thread runs one reply at a time
+        if (chat.busy) {
+          return send(socket, { type: 'error', error: 'Still answering the last message' });
+        }
+        chat.busy = true;
+        try {
+          await answer(socket, chat, text);
+        } finally {
+          chat.busy = false;
+        }
+      } catch (error) {
+        console.error('❌ Error handling web chat message:', error);
+        send(socket, { type: 'error', error: 'Sorry, something went wrong. Please try again.' });
+      }
+    });
+
+    socket.on('close', async () => {
+      clearTimeout(startTimer);
+      if (!chat.sessionId) return;
+      console.log(`💻 Web chat ${chat.sessionId} ended`);
+      try {
+        await db.update('conversations', chat.sessionId, { status: 'completed', completedAt: new Date() });
+      } catch (error) {
+        console.error('❌ Error closing web chat conversation:', error);
+      }
+    });
+  });
+
+  return wss;
+}
@@ -0,0 +1,28 @@
+// Standalone worker process for the agent_tasks queue: npm run worker
+import dotenv from 'dotenv';
+import { initializeStore } from './functions/src/services/datastore.js';
+import { AgentWorker } from './agent-worker.js';
+import { registerAgentHandlers } from './agent-handlers.js';
+
+dotenv.config();
+
+const db = await initializeStore();
+// The memory and file backends are copies held by one process: a separate worker would never see
+// tasks the voice server queues after it starts, each process would overwrite the other's
+// collection files, and StoreQueueBackend only serializes claims within a process
+if (db.backend === 'memory' || db.backend === 'file') {
+  console.error(`❌ The ${db.backend} backend can't be shared between processes, and its queue claims are only locked within one process - use WORKER_IN_PROCESS=true on the voice server, or STORAGE_BACKEND=firestore`);
+  process.exit(1);
+}
+
+const worker = registerAgentHandlers(new AgentWorker({ db }));
+worker.start();
+
+// Finish running tasks before exiting so their leases aren't left to expire
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received - stopping worker`);
+    await worker.stop();
+    process.exit(0);
+  });
+}